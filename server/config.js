@@ -0,0 +1,54 @@
+// ============ SERVER CONFIG ============
+// Defaults, overridden by a JSON file (SERVER_CONFIG, default
+// server/config.json), overridden in turn by environment variables.
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = {
+  port: 8787,
+  // Loopback only; set to 0.0.0.0 (or an interface address) to expose it,
+  // which needs users with tokens
+  host: '127.0.0.1',
+  anthropic: { apiKey: '', baseUrl: 'https://api.anthropic.com' },
+  openai: { baseUrl: '', apiKey: '', model: '' },
+  // [{ id, token, tokenBudget? }]. When empty no token is needed and callers
+  // are told apart by address.
+  users: [],
+  rateLimit: { requests: 30, windowSeconds: 60 },
+  tokenBudget: { tokens: 500000, periodHours: 24 },
+  maxTokens: 8000,
+  usageLog: path.join(SERVER_DIR, 'usage.log'),
+  // Serve the production build too, so one process is the whole app
+  staticDir: path.join(SERVER_DIR, '..', 'dist')
+};
+
+const pick = (...values) => values.find(v => v !== undefined && v !== '');
+
+export const loadConfig = (env = process.env) => {
+  const file = env.SERVER_CONFIG || path.join(SERVER_DIR, 'config.json');
+  const fromFile = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+  const merged = {
+    ...DEFAULTS,
+    ...fromFile,
+    anthropic: { ...DEFAULTS.anthropic, ...fromFile.anthropic },
+    openai: { ...DEFAULTS.openai, ...fromFile.openai },
+    rateLimit: { ...DEFAULTS.rateLimit, ...fromFile.rateLimit },
+    tokenBudget: { ...DEFAULTS.tokenBudget, ...fromFile.tokenBudget }
+  };
+
+  return {
+    ...merged,
+    port: Number(pick(env.PORT, merged.port)),
+    host: pick(env.HOST, merged.host),
+    anthropic: { ...merged.anthropic, apiKey: pick(env.ANTHROPIC_API_KEY, merged.anthropic.apiKey) || '' },
+    openai: {
+      baseUrl: pick(env.OPENAI_BASE_URL, merged.openai.baseUrl) || '',
+      apiKey: pick(env.OPENAI_API_KEY, merged.openai.apiKey) || '',
+      model: pick(env.OPENAI_MODEL, merged.openai.model) || ''
+    },
+    usageLog: pick(env.USAGE_LOG, merged.usageLog)
+  };
+};
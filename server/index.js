@@ -0,0 +1,322 @@
+// ============ API SERVER ============
+// Keeps provider credentials out of the browser. The frontend sends the
+// prompt builder inputs for a task; the server builds the prompts, calls the
+// provider and streams its server-sent events straight back, metering the
+// tokens on the way through for per-user budgets and the usage log.
+//
+//   GET  /api/status        providers configured, caller, budget
+//   POST /api/hypotheses    { provider, model, maxTokens, temperature, inputs, repair?, prefill? }
+//   POST /api/refine        (same body)
+//   POST /api/chat          (same body)
+//   POST /api/experimental  (same body)
+//   POST /api/literature    (same body)
+import http from 'node:http';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { loadConfig } from './config.js';
+import { createUsageLog } from './usage.js';
+import { createRateLimiter, createReservations, budgetStatus } from './limits.js';
+import { buildPrompts, buildMessages, PROMPT_INPUTS } from '../src/lib/prompts.js';
+import { readAnthropicStream, readOpenAIStream, estimateTokens } from '../src/lib/streaming.js';
+
+const ENDPOINTS = {
+  '/api/hypotheses': 'hypothesis',
+  '/api/refine': 'refine',
+  '/api/chat': 'chat',
+  '/api/experimental': 'experimental',
+  '/api/literature': 'literature'
+};
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_PROMPT_CHARS = 400000;
+// Chat servers can't resume a partial assistant turn, so a continuation is
+// asked for explicitly
+const CONTINUE_PROMPT = 'Your previous message was cut off. Continue exactly where it stopped, without repeating anything.';
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json',
+  '.map': 'application/json'
+};
+
+const config = loadConfig();
+const usageLog = createUsageLog(config.usageLog);
+const rateLimiter = createRateLimiter(config.rateLimit);
+const reservations = createReservations();
+
+const httpError = (status, message, headers = {}) => Object.assign(new Error(message), { status, headers });
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(httpError(413, 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (err) {
+      reject(httpError(400, 'Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// ============ CALLERS ============
+// With users configured, a bearer token is required; otherwise each address
+// gets its own limits.
+const identify = (req) => {
+  if (config.users.length === 0) return { id: `addr:${req.socket.remoteAddress}` };
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  return config.users.find(user => user.token && user.token === token) || null;
+};
+
+const providerStatus = () => ({
+  anthropic: { configured: Boolean(config.anthropic.apiKey) },
+  openai: { configured: Boolean(config.openai.baseUrl), model: config.openai.model || null }
+});
+
+const handleStatus = (req, res) => {
+  const user = identify(req);
+  sendJson(res, 200, {
+    authRequired: config.users.length > 0,
+    user: user?.id || null,
+    providers: providerStatus(),
+    budget: user ? budgetStatus(user, config, usageLog, reservations) : null,
+    rateLimit: config.rateLimit,
+    maxTokens: config.maxTokens
+  });
+};
+
+// ============ PROVIDERS ============
+const anthropicRequest = ({ model, maxTokens, temperature, systemPrompt, messages, prefill }) => ({
+  url: `${config.anthropic.baseUrl.replace(/\/+$/, '')}/v1/messages`,
+  headers: {
+    'Content-Type': 'application/json',
+    'x-api-key': config.anthropic.apiKey,
+    'anthropic-version': '2023-06-01'
+  },
+  body: {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    system: systemPrompt,
+    messages: [...messages, ...(prefill ? [{ role: 'assistant', content: prefill }] : [])],
+    stream: true
+  }
+});
+
+const openaiRequest = ({ model, maxTokens, temperature, systemPrompt, messages, prefill }) => ({
+  url: `${config.openai.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(config.openai.apiKey ? { Authorization: `Bearer ${config.openai.apiKey}` } : {})
+  },
+  body: {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...messages,
+      ...(prefill ? [{ role: 'assistant', content: prefill }, { role: 'user', content: CONTINUE_PROMPT }] : [])
+    ],
+    stream: true,
+    stream_options: { include_usage: true }
+  }
+});
+
+const PROVIDERS = {
+  anthropic: { build: anthropicRequest, read: readAnthropicStream },
+  openai: { build: openaiRequest, read: readOpenAIStream }
+};
+
+// ============ GENERATION ============
+const handleGenerate = async (req, res, task) => {
+  const user = identify(req);
+  if (!user) throw httpError(401, 'Missing or invalid access token');
+
+  const limit = rateLimiter.check(user.id);
+  if (!limit.ok) {
+    throw httpError(429, `Rate limit of ${config.rateLimit.requests} requests per ${config.rateLimit.windowSeconds}s reached`, {
+      'Retry-After': String(limit.retryAfter)
+    });
+  }
+  const budget = budgetStatus(user, config, usageLog, reservations);
+  if (budget.remaining <= 0) {
+    throw httpError(403, `Token budget of ${budget.tokens} tokens per ${budget.periodHours}h used up`);
+  }
+
+  const body = await readJson(req);
+  // Own keys only, so "toString" or "__proto__" is an unknown provider too
+  if (!Object.hasOwn(PROVIDERS, body.provider)) throw httpError(400, `Unknown provider "${body.provider}"`);
+  const provider = PROVIDERS[body.provider];
+  if (!providerStatus()[body.provider].configured) throw httpError(503, `No credentials configured for ${body.provider}`);
+
+  const inputs = body.inputs || {};
+  const missing = PROMPT_INPUTS[task].filter(key => !inputs[key]);
+  if (missing.length) throw httpError(400, `Invalid inputs for ${task}: missing ${missing.join(', ')}`);
+  let prompts;
+  try {
+    prompts = buildPrompts(task, inputs);
+  } catch (err) {
+    throw httpError(400, `Invalid inputs for ${task}: ${err.message}`);
+  }
+  const repair = body.repair && typeof body.repair.response === 'string' && Array.isArray(body.repair.errors)
+    ? body.repair
+    : null;
+  const messages = buildMessages(task, prompts.userPrompt, repair, inputs);
+  if (messages.reduce((chars, m) => chars + m.content.length, 0) > MAX_PROMPT_CHARS) throw httpError(413, 'Prompt too large');
+
+  const model = body.provider === 'openai' ? body.model || config.openai.model : body.model;
+  if (!model) throw httpError(400, 'No model given');
+  // Reserve the prompt's estimated tokens plus the output allowance before
+  // dispatching; the reservation is released once the call is metered
+  const estimatedInput = estimateTokens(prompts.systemPrompt + messages.map(m => m.content).join(''));
+  const { remaining } = budgetStatus(user, config, usageLog, reservations);
+  const available = remaining - estimatedInput;
+  if (available < 1) {
+    throw httpError(403, `${remaining} of the ${budget.tokens}-token budget per ${budget.periodHours}h left (requests in flight included); this prompt needs about ${estimatedInput}`);
+  }
+  const maxTokens = Math.max(1, Math.min(Number(body.maxTokens) || 2000, config.maxTokens, available));
+  const release = reservations.reserve(user.id, estimatedInput + maxTokens);
+  try {
+    await dispatch({ res, task, user, body, provider, prompts, messages, model, maxTokens, repair });
+  } finally {
+    release();
+  }
+};
+
+// Send one built request upstream, stream it to the browser and meter it
+const dispatch = async ({ res, task, user, body, provider, prompts, messages, model, maxTokens, repair }) => {
+  const request = provider.build({
+    model,
+    maxTokens,
+    temperature: Number.isFinite(body.temperature) ? body.temperature : 0.7,
+    systemPrompt: prompts.systemPrompt,
+    messages,
+    prefill: typeof body.prefill === 'string' ? body.prefill : ''
+  });
+
+  // Stop the upstream request when the browser goes away (Stop button)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const entry = { user: user.id, task, provider: body.provider, model, repair: Boolean(repair), continuation: Boolean(body.prefill) };
+  let upstream;
+  try {
+    upstream = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: controller.signal
+    });
+  } catch (err) {
+    usageLog.record({ ...entry, status: 'unreachable' });
+    throw httpError(502, `Could not reach the ${body.provider} endpoint: ${err.message}`);
+  }
+  if (!upstream.ok) {
+    const errorData = await upstream.json().catch(() => ({}));
+    usageLog.record({ ...entry, status: upstream.status });
+    const retryAfter = upstream.headers.get('retry-after');
+    throw httpError(upstream.status, errorData.error?.message || `Upstream error: ${upstream.status}`,
+      retryAfter ? { 'Retry-After': retryAfter } : {});
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Model': model });
+  const [toClient, toMeter] = upstream.body.tee();
+  Readable.fromWeb(toClient).on('error', () => res.end()).pipe(res);
+
+  let lastUsage = null;
+  let result = null;
+  try {
+    result = await provider.read({ body: toMeter }, (text, usage) => { lastUsage = usage; });
+  } catch (err) {
+    // Aborted or broken stream; meter what arrived
+  }
+  const usage = result?.usage || lastUsage || { inputTokens: 0, outputTokens: 0, estimated: true };
+  const inputTokens = usage.inputTokens
+    || estimateTokens(prompts.systemPrompt + request.body.messages.map(m => m.content).join(''));
+  usageLog.record({
+    ...entry,
+    status: result ? 'ok' : 'aborted',
+    stopReason: result?.stopReason || null,
+    inputTokens,
+    outputTokens: usage.outputTokens,
+    estimated: Boolean(usage.estimated || !usage.inputTokens)
+  });
+};
+
+// ============ STATIC FILES ============
+const serveStatic = (req, res) => {
+  const root = path.resolve(config.staticDir);
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://x').pathname);
+  } catch (err) {
+    throw httpError(400, 'Malformed URL');
+  }
+  const requested = path.resolve(root, `.${pathname}`);
+  // Inside root itself, not a sibling such as <root>-old
+  const inside = requested.startsWith(root + path.sep);
+  const file = inside && existsSync(requested) && statSync(requested).isFile()
+    ? requested
+    : path.join(root, 'index.html');
+  if (!existsSync(file)) {
+    sendJson(res, 404, { error: { message: 'Not found (run npm run build to serve the app from here)' } });
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+  createReadStream(file).pipe(res);
+};
+
+// ============ SERVER ============
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://x');
+  try {
+    if (pathname === '/api/status' && req.method === 'GET') {
+      handleStatus(req, res);
+    } else if (ENDPOINTS[pathname] && req.method === 'POST') {
+      await handleGenerate(req, res, ENDPOINTS[pathname]);
+    } else if (pathname.startsWith('/api/')) {
+      throw httpError(404, 'Unknown endpoint');
+    } else {
+      serveStatic(req, res);
+    }
+  } catch (err) {
+    if (!err.status) console.error(err);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendJson(res, err.status || 500, { error: { message: err.message } }, err.headers);
+    }
+  }
+});
+
+// Without users anyone who can reach the port spends the provider keys
+const isLoopback = (host) => host === 'localhost' || host === '::1' || /^127\./.test(host);
+if (!isLoopback(config.host) && !config.users.some(user => user.token)) {
+  console.error(`Refusing to listen on ${config.host}: configure users with tokens first, or leave host at 127.0.0.1`);
+  process.exit(1);
+}
+
+server.listen(config.port, config.host, () => {
+  const configured = Object.entries(providerStatus()).filter(([, p]) => p.configured).map(([id]) => id);
+  const shown = config.host.includes(':') ? `[${config.host}]` : config.host;
+  console.log(`API server on http://${shown}:${config.port} (providers: ${configured.join(', ') || 'none configured'})`);
+});
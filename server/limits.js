@@ -0,0 +1,69 @@
+// ============ RATE LIMITS ============
+// Sliding-window request limit per user. check() records the request when it
+// is allowed, otherwise says how many seconds until the oldest one expires.
+// Users with nothing left in the window are dropped once per window, so the
+// history stays bounded on a long-running server.
+export const createRateLimiter = ({ requests, windowSeconds }) => {
+  const history = new Map();
+  const windowMs = windowSeconds * 1000;
+  let lastSweep = 0;
+
+  const sweep = (now) => {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    history.forEach((times, user) => {
+      if (!times.length || times[times.length - 1] <= now - windowMs) history.delete(user);
+    });
+  };
+
+  const check = (user, now = Date.now()) => {
+    sweep(now);
+    const recent = (history.get(user) || []).filter(t => t > now - windowMs);
+    if (recent.length >= requests) {
+      history.set(user, recent);
+      return { ok: false, retryAfter: Math.max(1, Math.ceil((recent[0] + windowMs - now) / 1000)) };
+    }
+    recent.push(now);
+    history.set(user, recent);
+    return { ok: true, remaining: requests - recent.length };
+  };
+
+  return { check, size: () => history.size };
+};
+
+// ============ TOKEN BUDGETS ============
+export const budgetFor = (user, config) => user.tokenBudget ?? config.tokenBudget.tokens;
+
+// Tokens held for requests still in flight, so requests running side by side
+// can't each pass the budget check on the same recorded spend. reserve()
+// returns the release function, to call once the request has been metered.
+export const createReservations = () => {
+  const held = new Map();
+
+  const reserve = (user, tokens) => {
+    held.set(user, (held.get(user) || 0) + tokens);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = held.get(user) - tokens;
+      if (left > 0) held.set(user, left);
+      else held.delete(user);
+    };
+  };
+
+  return { reserve, heldBy: (user) => held.get(user) || 0 };
+};
+
+export const budgetStatus = (user, config, usageLog, reservations = null, now = Date.now()) => {
+  const tokens = budgetFor(user, config);
+  const used = usageLog.tokensSince(user.id, now - config.tokenBudget.periodHours * 3600 * 1000);
+  const reserved = reservations ? reservations.heldBy(user.id) : 0;
+  return {
+    tokens,
+    used,
+    reserved,
+    remaining: Math.max(0, tokens - used - reserved),
+    periodHours: config.tokenBudget.periodHours
+  };
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter, createReservations, budgetStatus } from './limits.js';
+
+describe('createRateLimiter', () => {
+  it('allows the configured number of requests per window', () => {
+    const limiter = createRateLimiter({ requests: 2, windowSeconds: 10 });
+    expect(limiter.check('a', 0).ok).toBe(true);
+    expect(limiter.check('a', 1000).ok).toBe(true);
+    expect(limiter.check('a', 2000)).toEqual({ ok: false, retryAfter: 8 });
+    expect(limiter.check('a', 10001).ok).toBe(true);
+  });
+
+  it('forgets users whose requests have all expired', () => {
+    const limiter = createRateLimiter({ requests: 5, windowSeconds: 10 });
+    ['a', 'b', 'c'].forEach(user => limiter.check(user, 0));
+    limiter.check('d', 5000);
+    expect(limiter.size()).toBe(4);
+    limiter.check('e', 12000);
+    expect(limiter.size()).toBe(2);
+  });
+});
+
+describe('budgetStatus', () => {
+  const config = { tokenBudget: { tokens: 1000, periodHours: 24 } };
+  const usageLog = { tokensSince: () => 300 };
+  const user = { id: 'a' };
+
+  it('counts tokens reserved by requests in flight', () => {
+    const reservations = createReservations();
+    const release = reservations.reserve('a', 500);
+    reservations.reserve('b', 400);
+    expect(budgetStatus(user, config, usageLog, reservations)).toMatchObject({ used: 300, reserved: 500, remaining: 200 });
+    release();
+    release();
+    expect(budgetStatus(user, config, usageLog, reservations)).toMatchObject({ reserved: 0, remaining: 700 });
+    expect(reservations.heldBy('b')).toBe(400);
+  });
+});
@@ -0,0 +1,36 @@
+// ============ USAGE LOG ============
+// One JSON line per model request. The log is replayed at startup so token
+// budgets survive a restart.
+import { appendFile, existsSync, readFileSync } from 'node:fs';
+
+export const createUsageLog = (file) => {
+  const entries = [];
+  if (file && existsSync(file)) {
+    readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // Skip a partially written line
+      }
+    });
+  }
+
+  const record = (entry) => {
+    const line = { time: new Date().toISOString(), ...entry };
+    entries.push(line);
+    if (file) {
+      appendFile(file, `${JSON.stringify(line)}\n`, (err) => {
+        if (err) console.error(`Could not write usage log: ${err.message}`);
+      });
+    }
+    return line;
+  };
+
+  // Input + output tokens a user spent since `since` (ms timestamp)
+  const tokensSince = (user, since) => entries.reduce((sum, e) => (
+    e.user === user && Date.parse(e.time) >= since ? sum + (e.inputTokens || 0) + (e.outputTokens || 0) : sum
+  ), 0);
+
+  return { record, tokensSince };
+};
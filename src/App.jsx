@@ -1,108 +1,143 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, FileText, Beaker, Brain, FlaskConical, BarChart3, Settings, Loader2, AlertCircle, CheckCircle, ChevronDown, ChevronRight, Trash2 } from 'lucide-react';
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { Upload, FileText, Beaker, Brain, FlaskConical, BarChart3, Settings, Loader2, AlertCircle, CheckCircle, ChevronDown, ChevronRight, Trash2, FolderOpen, ScrollText, Plus, FileDown } from 'lucide-react';
+import { importFile, isSupportedFile, describeDelimiter, SUPPORTED_EXTENSIONS } from './lib/importer';
+import { detectColumns, applyColumnMapping } from './lib/columns';
+import {
+  ADJ_P, IS_SIGNIFICANT, DEFAULT_THRESHOLDS, annotateSignificance, describeSignificanceRule, correctionLabel, storeyFallbacks
+} from './lib/statistics';
+import { rowsToCSV, downloadText, baseName } from './lib/exporters';
+import { parseGMT, setsFromPathwayColumn, runORA, runMSEA, formatEnrichmentForPrompt } from './lib/enrichment';
+import {
+  CANONICAL_ID, BUNDLED_SYNONYMS, buildSynonymIndex, resolveIdentifiers, annotateIdentifiers,
+  metaboliteKey, parseSynonymTable, mergeSynonymTables
+} from './lib/identifiers';
+import {
+  createId, listProjects, loadProject, saveProject, deleteProject, createRunRecord, createBundle, importBundle
+} from './lib/projects';
+import { hypothesisRuns, createMetaboliteMatcher, findRecurringHypotheses } from './lib/runHistory';
+import {
+  HYPOTHESIS_SCHEMA, HYPOTHESIS_LIST_SCHEMA, PROTOCOL_SCHEMA, LITERATURE_SCHEMA, validate, issuesByItem, buildRepairPrompt,
+  formatPath
+} from './lib/schemas';
+import { POSTERIOR_MODES, computeRunPosteriors } from './lib/bayes';
+import { createGroundingIndex, checkGrounding } from './lib/grounding';
+import { extractCompleteObjects, estimateTokens, addUsage } from './lib/streaming';
+import {
+  PROVIDERS, PROVIDER_TASKS, DEFAULT_PROVIDERS, providerFor, modelFor, providerSetupError, callProvider, fetchServerStatus
+} from './lib/providers';
+import { buildPrompts, DEFAULT_N_HYPOTHESES } from './lib/prompts';
+import { parseChatReply, checkProposal, describeChanges, chatTurns } from './lib/chat';
+import {
+  POOLED, groupOf, splitByGroup, effectiveContrast, compareGroups, formatComparisonForPrompt
+} from './lib/contrasts';
+import { CUSTOM_QUERY_TYPE, createPromptLibrary, normalizeLibrary, activeTemplate } from './lib/promptLibrary';
+import { withRetry, createRequestQueue } from './lib/requests';
+import { DEFAULT_PRICES, createUsageEntry, summarizeUsage, budgetBlock } from './lib/usage';
+import {
+  DEFAULT_DIFFERENTIAL_OPTIONS, guessDesign, runDifferentialAnalysis, describeDifferential, formatGroupStats
+} from './lib/differential';
+import {
+  checkResultsTable, applyExclusions, excludeCheck, restoreCheck, describeExclusions, checkSamples, attachQc
+} from './lib/qc';
+import {
+  DEFAULT_TIME_COURSE, looksLikeTimepoints, resolveOrder, buildTrajectories, clusterTrajectories, formatTimeCourseForPrompt
+} from './lib/timecourse';
+import ColumnMappingEditor from './components/ColumnMappingEditor';
+import SignificanceSettings from './components/SignificanceSettings';
+import VolcanoPlot from './components/VolcanoPlot';
+import WaterfallChart from './components/WaterfallChart';
+import EnrichmentPanel from './components/EnrichmentPanel';
+import IdentifierPanel from './components/IdentifierPanel';
+import ProjectsPanel from './components/ProjectsPanel';
+import RunHistory from './components/RunHistory';
+import ValidationIssues from './components/ValidationIssues';
+import GroundingReport, { GroundingBadge } from './components/GroundingReport';
+import StreamingStatus from './components/StreamingStatus';
+import SensitivityExplorer from './components/SensitivityExplorer';
+import UsagePanel from './components/UsagePanel';
+import PromptLibrary from './components/PromptLibrary';
+import RefinePanel from './components/RefinePanel';
+import HypothesisChat from './components/HypothesisChat';
+import ContrastSelector from './components/ContrastSelector';
+import ContrastComparison from './components/ContrastComparison';
+import MatrixImport from './components/MatrixImport';
+import DataQualityPanel from './components/DataQualityPanel';
+import TimeCoursePanel from './components/TimeCoursePanel';
+import TrajectoryPlot from './components/TrajectoryPlot';
+import ReportBuilder from './components/ReportBuilder';
 
 // ============ CONFIGURATION ============
 const DEFAULT_CONFIG = {
   model: 'claude-sonnet-4-20250514',
   maxTokens: 2000,  // Reduced to avoid rate limits and truncation
   temperature: 0.7,
+  autoRepair: true,  // Re-prompt once when the response violates its schema
+  posteriorMode: 'binary',  // How computed posteriors are normalized (see POSTERIOR_MODES)
+  providers: DEFAULT_PROVIDERS,  // Provider per task (see PROVIDERS)
+  openaiModel: '',  // Empty uses the server's default
+  maxRetries: 3,  // Extra attempts after a rate limit, overload, timeout or network error
+  requestTimeout: 60,  // Seconds without any response data before an attempt is abandoned
+  maxConcurrentRequests: 1,  // Further generations wait in a queue
+  costBudget: 0,  // USD; new generations are blocked once spent. 0 = no budget
+  tokenBudget: 0,  // Input + output tokens, for models without a price. 0 = no budget
+  costBudgetScope: 'project',  // What the budgets count (see BUDGET_SCOPES)
 };
 
-// ============ SYSTEM PROMPTS ============
-const SYSTEM_PROMPTS = {
-  hypothesis: `You are an expert in systems biology, metabolomics, and biomedical research.
-You analyze differential metabolomics data and generate scientific hypotheses.
-
-CRITICAL REQUIREMENTS:
-1. Each hypothesis must be SPECIFIC and TESTABLE
-2. Evidence must cite EXACT metabolite names and fold-change values from the provided data
-3. Mechanisms must connect to known biochemistry with specific pathway names
-4. Confidence levels must be justified with explicit Bayesian reasoning
-5. Predictions must be experimentally verifiable
-
-For each hypothesis, assess:
-- Prior probability (based on existing literature)
-- Likelihood (how well the data supports this hypothesis)
-- Posterior probability (updated belief after seeing data)
-
-OUTPUT FORMAT: JSON array with structured hypothesis objects.`,
-
-  experimental: `You are an expert in experimental design for metabolomics and biomedical research.
-Given a hypothesis, design a rigorous experimental validation protocol.
-
-Include:
-1. Primary experiment with controls
-2. Sample size calculations with power analysis
-3. Expected outcomes and decision criteria
-4. Timeline and resource estimates
-5. Potential pitfalls and mitigation strategies
-6. Alternative approaches if primary experiment fails
-
-OUTPUT FORMAT: Structured experimental protocol in JSON.`,
-
-  literature: `You are a scientific literature expert specializing in metabolomics and systems biology.
-Analyze the provided metabolites and findings in the context of published research.
-
-Provide:
-1. Relevant PubMed references (cite specific PMIDs if known)
-2. Key findings from related studies
-3. How current data aligns or conflicts with literature
-4. Knowledge gaps that this data could address
-5. Suggested follow-up literature searches
-
-OUTPUT FORMAT: Structured literature analysis in JSON.`
+const AUTOSAVE_DELAY = 800;  // ms of inactivity before the open project is written to IndexedDB
+const LAST_PROJECT_KEY = 'mhg:lastProject';
+const PRICES_KEY = 'mhg:prices';  // The price table is per browser, not per project
+
+const PROMPT_LIBRARY_KEY = 'mhg:promptLibrary';  // Templates and hypothesis types, also per browser
+
+const loadPromptLibrary = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROMPT_LIBRARY_KEY));
+    return stored ? normalizeLibrary(stored) : createPromptLibrary();
+  } catch (err) {
+    return createPromptLibrary();
+  }
 };
 
-// ============ HYPOTHESIS TYPES ============
-const HYPOTHESIS_TYPES = [
-  { id: 'mechanisms', label: 'Biological Mechanisms', icon: '🧬', 
-    prompt: 'Generate hypotheses about the biological mechanisms underlying these metabolic changes.' },
-  { id: 'disease', label: 'Disease Association', icon: '🏥',
-    prompt: 'Generate hypotheses about disease associations and clinical implications of these metabolic patterns.' },
-  { id: 'biomarkers', label: 'Biomarker Discovery', icon: '🎯',
-    prompt: 'Identify potential biomarker panels from these metabolic changes.' },
-  { id: 'therapeutics', label: 'Therapeutic Targets', icon: '💊',
-    prompt: 'Propose therapeutic interventions based on these metabolic findings.' },
-  { id: 'pathways', label: 'Pathway Analysis', icon: '🔄',
-    prompt: 'Analyze pathway-level changes and their biological significance.' },
-  { id: 'custom', label: 'Custom Query', icon: '✨',
-    prompt: '' }
-];
+const loadPrices = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRICES_KEY)) || DEFAULT_PRICES;
+  } catch (err) {
+    return DEFAULT_PRICES;
+  }
+};
 
-// ============ UTILITY FUNCTIONS ============
-const parseCSV = (text) => {
-  const lines = text.trim().split('\n');
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-  const data = lines.slice(1).map(line => {
-    const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-    const row = {};
-    headers.forEach((h, i) => {
-      row[h] = isNaN(values[i]) ? values[i] : parseFloat(values[i]);
-    });
-    return row;
-  });
-  return { headers, data };
+// Output schema per generation task
+const TASK_SCHEMAS = {
+  hypothesis: { schema: HYPOTHESIS_LIST_SCHEMA, isArray: true },
+  refine: { schema: HYPOTHESIS_SCHEMA, isArray: false },
+  experimental: { schema: PROTOCOL_SCHEMA, isArray: false },
+  literature: { schema: LITERATURE_SCHEMA, isArray: false }
 };
 
-const detectColumns = (headers) => {
-  const patterns = {
-    metabolite: /^(metabolite|compound|name|id|feature)/i,
-    foldChange: /^(fc|fold.?change|log2fc|logfc|ratio)/i,
-    pValue: /^(p.?val|pvalue|p$|fdr|q.?val|adj)/i,
-    pathway: /^(pathway|kegg|hmdb|class|category|super)/i
-  };
-  
-  const detected = {};
-  headers.forEach(h => {
-    Object.entries(patterns).forEach(([key, pattern]) => {
-      if (pattern.test(h) && !detected[key]) {
-        detected[key] = h;
-      }
-    });
-  });
-  return detected;
+const MAX_HYPOTHESES = 10;
+
+// Loading flag for each generation task
+const LOADING_KEYS = {
+  hypothesis: 'hypotheses', refine: 'refine', chat: 'chat', experimental: 'experimental', literature: 'literature'
+};
+
+// What each contrast sends with a generation
+const CONTRAST_HINTS = {
+  pooled: 'All groups in one summary, with each metabolite tagged by its group.',
+  group: 'Only the rows of the selected group are summarised and sent.',
+  compare: 'Each group\'s changes are sent sorted into shared, discordant and group-specific ones, and the model is asked to contrast the groups (e.g. region-specific vs shared changes).',
+  timecourse: 'All groups pooled, plus each metabolite\'s trajectory across the ordered timepoints, clustered by pattern (transient spike, sustained rise, delayed drop...), and the model is asked to match mechanisms to their kinetics.'
 };
 
+// Follow-up kinds that replace a hypothesis (listed in its edit history)
+const EDIT_KINDS = ['refine', 'update', 'restore'];
+
+// Upload tab, sample-level mode: the two files and the analysis settings
+const EMPTY_MATRIX_INPUT = {
+  matrix: null, matrixSheet: 0, metadata: null, metadataSheet: 0, design: null, options: DEFAULT_DIFFERENTIAL_OPTIONS
+};
+
+// ============ UTILITY FUNCTIONS ============
 // Robust JSON parser that handles truncated/malformed responses
 const parseJSONSafely = (text, isArray = true) => {
   if (!text) return null;
@@ -220,18 +255,11 @@ const parseJSONSafely = (text, isArray = true) => {
   }
 };
 
-const summarizeData = (data, columns) => {
-  if (!data || data.length === 0) return null;
-  
+const summarizeRows = (data, columns) => {
   const fcCol = columns.foldChange;
-  const pCol = columns.pValue;
-  const nameCol = columns.metabolite;
   
-  const significant = data.filter(row => {
-    const fc = Math.abs(row[fcCol] || 0);
-    const p = row[pCol] || 1;
-    return fc > 0.5 && p < 0.05;
-  });
+  // Rows arrive annotated by annotateSignificance with the active thresholds
+  const significant = data.filter(row => row[IS_SIGNIFICANT]);
   
   const increased = significant.filter(row => row[fcCol] > 0);
   const decreased = significant.filter(row => row[fcCol] < 0);
@@ -246,51 +274,301 @@ const summarizeData = (data, columns) => {
     decreased: decreased.length,
     topIncreased,
     topDecreased,
+    significantRows: significant,
     columns
   };
 };
 
+// Summary of all rows, plus one per group when the grouping column splits
+// them into two or more (byGroup: [{ value, rows, ...summary }])
+const summarizeData = (data, columns) => {
+  if (!data || data.length === 0) return null;
+  const groups = splitByGroup(data, columns.group);
+  return {
+    ...summarizeRows(data, columns),
+    byGroup: groups.length > 1 ? groups.map(({ value, rows }) => ({ value, rows, ...summarizeRows(rows, columns) })) : []
+  };
+};
+
 // ============ MAIN COMPONENT ============
 export default function MetabolomicsHypothesisGenerator() {
   // State
-  const [apiKey, setApiKey] = useState('');
-  const [data, setData] = useState(null);
+  // API server: credentials live there; the browser only holds an optional
+  // access token, which is never saved
+  const [serverToken, setServerToken] = useState('');
+  const [serverStatus, setServerStatus] = useState(null);
+  const refreshServerStatus = useCallback(() => {
+    fetchServerStatus(serverToken).then(setServerStatus);
+  }, [serverToken]);
+  useEffect(() => { refreshServerStatus(); }, [refreshServerStatus]);
+  const [rawData, setRawData] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [importResult, setImportResult] = useState(null);
+  const [activeSheet, setActiveSheet] = useState(0);
   const [columns, setColumns] = useState({});
-  const [summary, setSummary] = useState(null);
+  const [exclusions, setExclusions] = useState({});  // { [rowIndex]: reason } set from the data quality checks
   const [selectedType, setSelectedType] = useState(null);
   const [customPrompt, setCustomPrompt] = useState('');
-  const [hypotheses, setHypotheses] = useState(null);
+  const [organism, setOrganism] = useState('');  // Fills {{organism}} in the prompt templates
+  const [nHypotheses, setNHypotheses] = useState(DEFAULT_N_HYPOTHESES);
   const [experimentalDesign, setExperimentalDesign] = useState(null);
   const [literatureAnalysis, setLiteratureAnalysis] = useState(null);
-  const [loading, setLoading] = useState({ hypotheses: false, experimental: false, literature: false });
+  const [runs, setRuns] = useState([]);  // Every model call with its prompt, settings and raw response
+  const [protocols, setProtocols] = useState([]);
+
+  // ============ PROMPT LIBRARY ============
+  const [promptLibrary, setPromptLibrary] = useState(loadPromptLibrary);
+  useEffect(() => {
+    localStorage.setItem(PROMPT_LIBRARY_KEY, JSON.stringify(promptLibrary));
+  }, [promptLibrary]);
+  const hypothesisTypes = useMemo(() => [...promptLibrary.types, CUSTOM_QUERY_TYPE], [promptLibrary.types]);
+  const typeLabel = (id) => hypothesisTypes.find(t => t.id === id)?.label || id;
+
+  // ============ USAGE ============
+  // One ledger entry per model call: the project's is saved with it, the
+  // session's covers every project opened since the page loaded
+  const [usageLog, setUsageLog] = useState([]);
+  const [sessionUsage, setSessionUsage] = useState([]);
+  const [prices, setPrices] = useState(loadPrices);
+  useEffect(() => {
+    localStorage.setItem(PRICES_KEY, JSON.stringify(prices));
+  }, [prices]);
+  const projectUsageSummary = useMemo(() => summarizeUsage(usageLog, prices), [usageLog, prices]);
+  const sessionUsageSummary = useMemo(() => summarizeUsage(sessionUsage, prices), [sessionUsage, prices]);
+
+  // Hypothesis runs are versioned; the Results tab shows one at a time (latest by default)
+  const [viewedRunId, setViewedRunId] = useState(null);
+  const historyRuns = useMemo(() => hypothesisRuns(runs), [runs]);
+  const viewedRun = historyRuns.find(run => run.id === viewedRunId) || historyRuns[historyRuns.length - 1] || null;
+  const hypotheses = viewedRun?.parsed || null;
+  const viewedIssues = useMemo(() => issuesByItem(viewedRun?.issues), [viewedRun]);
+  const protocolRun = runs.find(run => run.id === experimentalDesign?.runId) || null;
+  const latestLiteratureRun = [...runs].reverse().find(run => run.task === 'literature' && run.parsed) || null;
+  const [loading, setLoading] = useState({ hypotheses: false, refine: false, chat: false, experimental: false, literature: false });
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('upload');
   const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const posteriorOptions = useMemo(() => ({ mode: config.posteriorMode }), [config.posteriorMode]);
+  const viewedPosteriors = useMemo(() => computeRunPosteriors(hypotheses, posteriorOptions), [hypotheses, posteriorOptions]);
   const [expandedHypothesis, setExpandedHypothesis] = useState(null);
 
-  // File Upload Handler
-  const processFile = useCallback((file) => {
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [selectedMetabolite, setSelectedMetabolite] = useState(null);
+
+  // Metabolite identifier resolution
+  const [synonymTable, setSynonymTable] = useState(null);
+  const [identifierOverrides, setIdentifierOverrides] = useState({});
+  const synonymIndex = useMemo(
+    () => buildSynonymIndex(synonymTable ? mergeSynonymTables(synonymTable.entries) : BUNDLED_SYNONYMS),
+    [synonymTable]
+  );
+  const identifierMatches = useMemo(
+    () => resolveIdentifiers(rawData, columns.metabolite, synonymIndex, identifierOverrides),
+    [rawData, columns.metabolite, synonymIndex, identifierOverrides]
+  );
+  // Stable key for a metabolite name: curated/resolved canonical ID, else normalized name
+  const keyOfMetabolite = useCallback(
+    (name) => identifierMatches.get(String(name ?? ''))?.id || metaboliteKey(name, synonymIndex),
+    [identifierMatches, synonymIndex]
+  );
+
+  // Row-level data quality checks; excluded rows are left out of everything below
+  const qualityChecks = useMemo(() => checkResultsTable(rawData, columns), [rawData, columns]);
+  const includedRows = useMemo(() => applyExclusions(rawData, exclusions), [rawData, exclusions]);
+
+  // Rows with the fold change converted to log2 per the column mapping, tagged
+  // with canonical IDs, and annotated with adjusted p-values and significance
+  // under the active thresholds
+  const data = useMemo(
+    () => annotateSignificance(
+      annotateIdentifiers(applyColumnMapping(includedRows, columns), columns.metabolite, identifierMatches),
+      columns,
+      thresholds
+    ),
+    [includedRows, columns, thresholds, identifierMatches]
+  );
+  const summary = useMemo(() => summarizeData(data, columns), [data, columns]);
+  const pi0Fallbacks = useMemo(() => storeyFallbacks(data, columns, thresholds), [data, columns, thresholds]);
+  // How the table was computed, when it came from an intensity matrix
+  const differential = rawData ? importResult?.sheets[activeSheet]?.differential || null : null;
+
+  // Contrasts: the Analyze tab's view and the scope sent with generations
+  const [analysisContrast, setAnalysisContrast] = useState(POOLED);
+  const [contrast, setContrast] = useState(POOLED);
+  const groups = useMemo(() => (summary?.byGroup || []).map(g => g.value), [summary]);
+  const viewContrast = effectiveContrast(analysisContrast, groups);
+  const viewSummary = viewContrast.mode === 'group' ? summary.byGroup.find(g => g.value === viewContrast.group) : summary;
+  const viewData = viewContrast.mode === 'group' ? viewSummary.rows : data;
+  const comparison = useMemo(
+    () => (groups.length > 1 ? compareGroups(data, columns, keyOfMetabolite) : null),
+    [groups, data, columns, keyOfMetabolite]
+  );
+
+  // Time course: the groups read as ordered timepoints and each metabolite's
+  // log2FC across them clustered by trajectory shape
+  const [timeCourse, setTimeCourse] = useState(DEFAULT_TIME_COURSE);
+  const timeCourseDetected = useMemo(() => looksLikeTimepoints(columns.group, groups), [columns.group, groups]);
+  const timeCourseActive = groups.length > 1 && (timeCourse.enabled ?? timeCourseDetected);
+  const timepoints = useMemo(() => resolveOrder(timeCourse.order, groups), [timeCourse.order, groups]);
+  const trajectoryClusters = useMemo(
+    () => (timeCourseActive ? clusterTrajectories(buildTrajectories(data, columns, timepoints, keyOfMetabolite)) : []),
+    [timeCourseActive, data, columns, timepoints, keyOfMetabolite]
+  );
+  const generationContrast = effectiveContrast(contrast, groups, { timeCourse: timeCourseActive });
+
+  // Hypotheses that reappear across runs, matched by title and cited metabolites
+  const matchMetabolites = useMemo(
+    () => createMetaboliteMatcher((rawData || []).map(row => row[columns.metabolite]), keyOfMetabolite),
+    [rawData, columns.metabolite, keyOfMetabolite]
+  );
+  const recurrence = useMemo(() => findRecurringHypotheses(runs, matchMetabolites), [runs, matchMetabolites]);
+
+  // Cited metabolites and values checked against the table (needs the data loaded)
+  const groundingIndex = useMemo(
+    () => (data ? createGroundingIndex(data, columns, synonymIndex) : null),
+    [data, columns, synonymIndex]
+  );
+  const viewedGrounding = useMemo(
+    () => (groundingIndex && hypotheses ? hypotheses.map(hyp => checkGrounding(hyp, groundingIndex)) : []),
+    [groundingIndex, hypotheses]
+  );
+
+  const togglePinRun = (id) => {
+    setRuns(prev => prev.map(run => (run.id === id ? { ...run, pinned: !run.pinned } : run)));
+  };
+
+  // Drops unpinned hypothesis runs; the viewed run and other tasks' runs are kept
+  const clearUnpinnedRuns = () => {
+    setRuns(prev => prev.filter(run => run.task !== 'hypothesis' || run.pinned || run.id === viewedRun?.id));
+  };
+
+  // Pathway enrichment
+  const [setLibrary, setSetLibrary] = useState(null);
+  const [enrichmentSource, setEnrichmentSource] = useState('pathway');
+  const [enrichment, setEnrichment] = useState(null);
+  const [enrichmentRunning, setEnrichmentRunning] = useState(false);
+
+  // Results depend on the significance rule and the rows in view, so drop
+  // them when the inputs change
+  const enrichmentGroup = viewContrast.mode === 'group' ? viewContrast.group : null;
+  // Each metabolite appears once per group, so with several groups the sets
+  // are tested within one of them rather than on rows pooled across groups
+  const enrichmentBlocker = groups.length > 1 && !enrichmentGroup
+    ? `Select a single ${columns.group} group under Contrasts to run enrichment`
+    : null;
+  useEffect(() => {
+    setEnrichment(null);
+  }, [data, enrichmentSource, setLibrary, enrichmentGroup]);
+
+  const importSetLibrary = useCallback((file) => {
     if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const { sets, errors } = parseGMT(e.target.result);
+      if (sets.length === 0) {
+        setError(`No metabolite sets found in ${file.name}`);
+        return;
+      }
+      setSetLibrary({ fileName: file.name, sets, errors });
+      setEnrichmentSource('library');
+    };
+    reader.onerror = () => {
+      setError(`Failed to read ${file.name}: ${reader.error?.message || 'unknown error'}`);
+    };
+    reader.readAsText(file);
+  }, []);
 
+  const importSynonymTable = useCallback((file) => {
+    if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const text = e.target.result;
-        const { headers, data: parsedData } = parseCSV(text);
-        const detectedColumns = detectColumns(headers);
-
-        setData(parsedData);
-        setColumns(detectedColumns);
-        setSummary(summarizeData(parsedData, detectedColumns));
-        setError(null);
-        setActiveTab('analyze');
+        const { entries } = parseSynonymTable(e.target.result);
+        if (entries.length === 0) throw new Error('no usable rows');
+        setSynonymTable({ fileName: file.name, entries });
       } catch (err) {
-        setError(`Failed to parse file: ${err.message}`);
+        setError(`Failed to import synonym table: ${err.message}`);
       }
     };
     reader.readAsText(file);
   }, []);
 
+  const runEnrichment = useCallback(() => {
+    if (enrichmentBlocker) {
+      setError(enrichmentBlocker);
+      return;
+    }
+    const useLibrary = enrichmentSource === 'library' && setLibrary;
+    const sets = useLibrary
+      ? setLibrary.sets
+      : setsFromPathwayColumn(data, columns.metabolite, columns.pathway);
+    const source = useLibrary ? `metabolite-set library ${setLibrary.fileName}` : `uploaded "${columns.pathway}" column`;
+    setEnrichmentRunning(true);
+    // Yield so the spinner paints before the permutation loop blocks the thread
+    setTimeout(() => {
+      try {
+        setEnrichment({
+          sourceLabel: enrichmentGroup ? `${source}, ${columns.group} = ${enrichmentGroup}` : source,
+          group: enrichmentGroup,
+          ora: runORA(viewData, columns, sets, { keyOf: keyOfMetabolite }),
+          msea: runMSEA(viewData, columns, sets, { keyOf: keyOfMetabolite })
+        });
+      } catch (err) {
+        setError(`Enrichment failed: ${err.message}`);
+      }
+      setEnrichmentRunning(false);
+    }, 0);
+  }, [data, viewData, enrichmentGroup, enrichmentBlocker, columns, enrichmentSource, setLibrary, keyOfMetabolite]);
+
+  // Load one parsed table (a CSV file or a single workbook sheet) into the app
+  const loadSheet = useCallback((sheet) => {
+    if (!sheet || sheet.data.length === 0) {
+      setRawData(null);
+      setHeaders([]);
+      setColumns({});
+      setError(`No usable rows found in ${sheet?.name || 'file'}`);
+      return false;
+    }
+    setRawData(sheet.data);
+    setHeaders(sheet.headers);
+    setColumns(detectColumns(sheet.headers, sheet.data));
+    setExclusions({});
+    setTimeCourse(DEFAULT_TIME_COURSE);
+    setSelectedMetabolite(null);
+    setIdentifierOverrides({});
+    setError(null);
+    return true;
+  }, []);
+
+  // File Upload Handler
+  const processFile = useCallback(async (file) => {
+    if (!file) return;
+
+    try {
+      const result = await importFile(file);
+      // Default to the first sheet that actually has rows
+      const sheetIndex = Math.max(0, result.sheets.findIndex(s => s.data.length > 0));
+      setImportResult(result);
+      setActiveSheet(sheetIndex);
+      const loaded = loadSheet(result.sheets[sheetIndex]);
+      const sheet = result.sheets[sheetIndex];
+      // Stay on the Upload tab when there is something the user should review
+      const qualityErrors = loaded && checkResultsTable(sheet.data, detectColumns(sheet.headers, sheet.data))
+        .some(check => check.severity === 'error');
+      if (loaded && sheet.errors.length === 0 && !qualityErrors && result.sheets.length === 1) {
+        setActiveTab('analyze');
+      }
+    } catch (err) {
+      setImportResult(null);
+      setError(`Failed to parse file: ${err.message}`);
+    }
+  }, [loadSheet]);
+
+  const selectSheet = useCallback((index) => {
+    setActiveSheet(index);
+    loadSheet(importResult?.sheets[index]);
+  }, [importResult, loadSheet]);
+
   const handleFileUpload = useCallback((event) => {
     const file = event.target.files[0];
     processFile(file);
@@ -319,76 +597,789 @@ export default function MetabolomicsHypothesisGenerator() {
     const files = e.dataTransfer.files;
     if (files && files.length > 0) {
       const file = files[0];
-      if (file.name.endsWith('.csv')) {
+      if (isSupportedFile(file.name)) {
         processFile(file);
       } else {
-        setError('Please upload a CSV file');
+        setError('Please upload a CSV, TSV or Excel file');
       }
     }
   }, [processFile]);
 
-  // Build context from data
-  const buildContext = useCallback(() => {
+  // ============ INTENSITY MATRIX IMPORT ============
+  // Sample-level data is turned into a results table in the browser and then
+  // loaded like any uploaded table
+  const [uploadMode, setUploadMode] = useState('table');
+  const [matrixInput, setMatrixInput] = useState(EMPTY_MATRIX_INPUT);
+
+  // The design is guessed again whenever either sheet changes
+  const updateMatrixInput = useCallback((patch) => {
+    setMatrixInput(prev => {
+      const next = { ...prev, ...patch };
+      if (['matrix', 'matrixSheet', 'metadata', 'metadataSheet'].some(key => key in patch)) {
+        const matrixSheet = next.matrix?.sheets[next.matrixSheet];
+        const metadataSheet = next.metadata?.sheets[next.metadataSheet];
+        next.design = matrixSheet && metadataSheet ? guessDesign(matrixSheet, metadataSheet) : null;
+      }
+      return next;
+    });
+  }, []);
+
+  const importMatrixFile = useCallback(async (slot, file) => {
+    if (!file) return;
+    try {
+      const result = await importFile(file);
+      const sheetIndex = Math.max(0, result.sheets.findIndex(s => s.data.length > 0));
+      updateMatrixInput({ [slot]: result, [`${slot}Sheet`]: sheetIndex });
+    } catch (err) {
+      setError(`Failed to parse ${file.name}: ${err.message}`);
+    }
+  }, [updateMatrixInput]);
+
+  // Sample QC over every matched sample, refreshed as exclusions and settings change
+  const matrixQc = useMemo(() => {
+    const { matrix, matrixSheet, metadata, metadataSheet, design, options } = matrixInput;
+    if (!design) return null;
+    try {
+      return checkSamples(matrix.sheets[matrixSheet], metadata.sheets[metadataSheet], design, options);
+    } catch (err) {
+      return null;
+    }
+  }, [matrixInput]);
+
+  const setExcludedSamples = useCallback((update) => {
+    setMatrixInput(prev => ({
+      ...prev,
+      design: { ...prev.design, excludedSamples: update(prev.design.excludedSamples || {}) }
+    }));
+  }, []);
+
+  const runMatrixAnalysis = useCallback(() => {
+    const { matrix, matrixSheet, metadata, metadataSheet, design, options } = matrixInput;
+    try {
+      const sheet = attachQc(
+        runDifferentialAnalysis(matrix.sheets[matrixSheet], metadata.sheets[metadataSheet], design, options),
+        matrixQc
+      );
+      setImportResult({ fileName: matrix.fileName, sheets: [sheet] });
+      setActiveSheet(0);
+      // Stay on the Upload tab when there are warnings to review
+      if (loadSheet(sheet) && sheet.warnings.length === 0) setActiveTab('analyze');
+    } catch (err) {
+      setError(`Differential analysis failed: ${err.message}`);
+    }
+  }, [matrixInput, matrixQc, loadSheet]);
+
+  // ============ PROJECT WORKSPACE ============
+  const [project, setProject] = useState(null);  // { id, name, createdAt } of the open project
+  const [projects, setProjects] = useState([]);
+  const [saveStatus, setSaveStatus] = useState('saved');
+
+  const refreshProjects = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (err) {
+      setError(`Project storage unavailable: ${err.message}`);
+    }
+  }, []);
+
+  // Everything needed to restore the session. The server access token is deliberately left out.
+  const snapshot = useMemo(() => {
+    const sheet = rawData ? importResult?.sheets[activeSheet] : null;
+    return {
+      dataset: sheet ? { fileName: importResult.fileName, sheet } : null,
+      columns,
+      exclusions,
+      thresholds,
+      identifierOverrides,
+      synonymTable,
+      setLibrary,
+      enrichmentSource,
+      config,
+      selectedType,
+      customPrompt,
+      organism,
+      nHypotheses,
+      contrast,
+      timeCourse,
+      runs,
+      usageLog,
+      viewedRunId,
+      experimentalDesign,
+      protocols,
+      literatureAnalysis
+    };
+  }, [
+    rawData, importResult, activeSheet, columns, exclusions, thresholds, identifierOverrides, synonymTable, setLibrary,
+    enrichmentSource, config, selectedType, customPrompt, organism, nHypotheses, contrast, timeCourse, runs, usageLog, viewedRunId, experimentalDesign, protocols,
+    literatureAnalysis
+  ]);
+
+  // Debounced autosave of the open project
+  useEffect(() => {
+    if (!project) return undefined;
+    setSaveStatus('saving');
+    const timer = setTimeout(() => {
+      saveProject({ ...project, ...snapshot })
+        .then(() => setSaveStatus('saved'))
+        .catch(err => {
+          setSaveStatus('error');
+          setError(`Autosave failed: ${err.message}`);
+        });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [project, snapshot]);
+
+  // Replace the whole workspace with a stored project (or an empty one)
+  const applyProject = useCallback((record) => {
+    const sheet = record.dataset?.sheet;
+    setImportResult(sheet ? { fileName: record.dataset.fileName, sheets: [sheet] } : null);
+    setActiveSheet(0);
+    setRawData(sheet?.data || null);
+    setHeaders(sheet?.headers || []);
+    setColumns(record.columns || {});
+    setExclusions(record.exclusions || {});
+    setThresholds(record.thresholds || DEFAULT_THRESHOLDS);
+    setIdentifierOverrides(record.identifierOverrides || {});
+    setSynonymTable(record.synonymTable || null);
+    setSetLibrary(record.setLibrary || null);
+    setEnrichmentSource(record.enrichmentSource || 'pathway');
+    setConfig({ ...DEFAULT_CONFIG, ...record.config });
+    setSelectedType(record.selectedType || null);
+    setCustomPrompt(record.customPrompt || '');
+    setOrganism(record.organism || '');
+    setNHypotheses(record.nHypotheses || DEFAULT_N_HYPOTHESES);
+    setContrast(record.contrast || POOLED);
+    setAnalysisContrast(POOLED);
+    setTimeCourse(record.timeCourse || DEFAULT_TIME_COURSE);
+    setRuns(record.runs || []);
+    setUsageLog(record.usageLog || []);
+    setViewedRunId(record.viewedRunId || null);
+    setExperimentalDesign(record.experimentalDesign || null);
+    setProtocols(record.protocols || []);
+    setLiteratureAnalysis(record.literatureAnalysis || null);
+    setSelectedMetabolite(null);
+    setExpandedHypothesis(null);
+    setError(null);
+  }, []);
+
+  const openRecord = useCallback((record) => {
+    applyProject(record);
+    setProject({ id: record.id, name: record.name, createdAt: record.createdAt });
+    setSaveStatus('saved');
+    localStorage.setItem(LAST_PROJECT_KEY, record.id);
+    setActiveTab(record.dataset ? 'analyze' : 'upload');
+  }, [applyProject]);
+
+  const openProject = useCallback(async (id) => {
+    try {
+      const record = await loadProject(id);
+      if (!record) throw new Error('project not found');
+      openRecord(record);
+    } catch (err) {
+      setError(`Failed to open project: ${err.message}`);
+    }
+  }, [openRecord]);
+
+  const closeProject = useCallback(() => {
+    setProject(null);
+    applyProject({});
+    localStorage.removeItem(LAST_PROJECT_KEY);
+  }, [applyProject]);
+
+  // With no project open the current session becomes the new project;
+  // otherwise start a fresh, empty one
+  const createProject = useCallback(async (name) => {
+    try {
+      const record = await saveProject({
+        id: createId('project'),
+        name,
+        createdAt: new Date().toISOString(),
+        ...(project ? {} : snapshot)
+      });
+      openRecord(record);
+      refreshProjects();
+    } catch (err) {
+      setError(`Failed to create project: ${err.message}`);
+    }
+  }, [project, snapshot, openRecord, refreshProjects]);
+
+  const renameProject = useCallback(async (id, name) => {
+    try {
+      if (id === project?.id) {
+        // Autosave picks up the new name
+        setProject(prev => ({ ...prev, name }));
+      } else {
+        const record = await loadProject(id);
+        await saveProject({ ...record, name });
+      }
+      setProjects(prev => prev.map(p => (p.id === id ? { ...p, name } : p)));
+    } catch (err) {
+      setError(`Failed to rename project: ${err.message}`);
+    }
+  }, [project]);
+
+  const removeProject = useCallback(async (id) => {
+    try {
+      await deleteProject(id);
+      if (id === project?.id) closeProject();
+      refreshProjects();
+    } catch (err) {
+      setError(`Failed to delete project: ${err.message}`);
+    }
+  }, [project, closeProject, refreshProjects]);
+
+  const exportProject = useCallback(async (id) => {
+    try {
+      const record = id === project?.id ? { ...project, ...snapshot } : await loadProject(id);
+      const fileName = `${record.name.replace(/[^\w.-]+/g, '_')}.project.json`;
+      downloadText(JSON.stringify(createBundle(record), null, 2), fileName, 'application/json');
+    } catch (err) {
+      setError(`Failed to export project: ${err.message}`);
+    }
+  }, [project, snapshot]);
+
+  const importProjectBundle = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const record = await importBundle(await file.text());
+      openRecord(record);
+      refreshProjects();
+    } catch (err) {
+      setError(`Failed to import project: ${err.message}`);
+    }
+  }, [openRecord, refreshProjects]);
+
+  // Reopen the last project after a reload
+  useEffect(() => {
+    const lastId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (!lastId) return;
+    loadProject(lastId)
+      .then(record => (record ? openRecord(record) : localStorage.removeItem(LAST_PROJECT_KEY)))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'projects') refreshProjects();
+  }, [activeTab, refreshProjects]);
+
+  // Build context from data, for one contrast (default: the Generate tab's).
+  // A single group is summarised on its own; pooled and compared rows are
+  // tagged with their group.
+  const buildContext = useCallback((requested = contrast) => {
     if (!data || !summary) return '';
+    const scope = effectiveContrast(requested, groups, { timeCourse: timeCourseActive });
+    const shown = scope.mode === 'group' ? summary.byGroup.find(g => g.value === scope.group) : summary;
     
-    const { metabolite: nameCol, foldChange: fcCol, pValue: pCol, pathway: pathCol } = columns;
+    const { metabolite: nameCol, foldChange: fcCol, pValue: pCol, pathway: pathCol, group: groupCol } = columns;
+    const adjLabel = correctionLabel(thresholds, columns);
+    const tagGroups = scope.mode !== 'group' && groups.length > 1;
+    const label = (row) => {
+      const name = row[CANONICAL_ID] ? `${row[nameCol]} [${row[CANONICAL_ID]}]` : row[nameCol];
+      return tagGroups ? `${name} (${groupOf(row, groupCol)})` : name;
+    };
+    const stats = (row, digits) => {
+      const raw = `log2FC=${row[fcCol]?.toFixed(digits)}, p=${row[pCol]?.toExponential(2)}`;
+      const withAdj = adjLabel === 'p' ? raw : `${raw}, ${adjLabel}=${row[ADJ_P]?.toExponential(2)}`;
+      return differential ? `${withAdj}, ${formatGroupStats(row, differential)}` : withAdj;
+    };
+    let scopeLines = '';
+    if (scope.mode === 'group') {
+      scopeLines = `Contrast: ${groupCol} = ${scope.group} (the other groups are left out)\n`;
+    } else if (tagGroups) {
+      scopeLines = `Groups (${groupCol}), counted together below:
+${summary.byGroup.map(g => `- ${g.value}: ${g.total} metabolites, ${g.significant} significant (${g.increased} up, ${g.decreased} down)`).join('\n')}
+`;
+    }
+    
+    if (Object.keys(exclusions).length > 0) {
+      scopeLines += `Rows excluded after quality checks: ${describeExclusions(exclusions).join(', ')}\n`;
+    }
+    if (differential) {
+      const scale = differential.options.transform === 'log2' ? 'log2 normalized intensity' : 'normalized intensity';
+      scopeLines += `Computed from sample-level intensities: ${describeDifferential(differential)}
+Group values below are mean±SD (n) of ${scale}
+`;
+    }
     
     let context = `DIFFERENTIAL METABOLOMICS DATA SUMMARY
 =====================================
-Total metabolites: ${summary.total}
-Significant changes (|FC| > 0.5, p < 0.05): ${summary.significant}
-- Increased: ${summary.increased}
-- Decreased: ${summary.decreased}
+${scopeLines}Total metabolites: ${shown.total}
+Significant changes (${describeSignificanceRule(thresholds, columns, groups.length)}): ${shown.significant}
+- Increased: ${shown.increased}
+- Decreased: ${shown.decreased}
 
 TOP INCREASED METABOLITES:
-${summary.topIncreased.map(row => 
-  `- ${row[nameCol]}: FC=${row[fcCol]?.toFixed(2)}, p=${row[pCol]?.toExponential(2)}${pathCol ? `, Pathway: ${row[pathCol]}` : ''}`
+${shown.topIncreased.map(row => 
+  `- ${label(row)}: ${stats(row, 2)}${pathCol ? `, Pathway: ${row[pathCol]}` : ''}`
 ).join('\n')}
 
 TOP DECREASED METABOLITES:
-${summary.topDecreased.map(row => 
-  `- ${row[nameCol]}: FC=${row[fcCol]?.toFixed(2)}, p=${row[pCol]?.toExponential(2)}${pathCol ? `, Pathway: ${row[pathCol]}` : ''}`
+${shown.topDecreased.map(row => 
+  `- ${label(row)}: ${stats(row, 2)}${pathCol ? `, Pathway: ${row[pathCol]}` : ''}`
 ).join('\n')}
 
 FULL SIGNIFICANT METABOLITES DATA:
-${data.filter(row => Math.abs(row[fcCol] || 0) > 0.5 && (row[pCol] || 1) < 0.05)
+${shown.significantRows
   .slice(0, 50)
-  .map(row => `${row[nameCol]}: FC=${row[fcCol]?.toFixed(3)}, p=${row[pCol]?.toExponential(2)}`)
+  .map(row => `${label(row)}: ${stats(row, 3)}`)
   .join('\n')}
 `;
+    if (scope.mode === 'compare') {
+      context += `\n${formatComparisonForPrompt(comparison, groupCol)}\n`;
+    }
+    if (scope.mode === 'timecourse') {
+      context += `\n${formatTimeCourseForPrompt(trajectoryClusters, timepoints, { groupCol, baseline: timeCourse.baseline })}\n`;
+    }
+    // Enrichment only describes the rows it was run on
+    if (enrichment && (enrichment.group ?? null) === (scope.mode === 'group' ? scope.group : null)) {
+      context += `\n${formatEnrichmentForPrompt(enrichment)}\n`;
+    }
     return context;
-  }, [data, summary, columns]);
+  }, [
+    data, summary, groups, comparison, contrast, columns, thresholds, enrichment, differential, exclusions,
+    timeCourseActive, trajectoryClusters, timepoints, timeCourse.baseline
+  ]);
+
+  // Export the annotated table with the significance rule applied
+  const exportAnnotatedTable = () => {
+    const rows = data.map(row => ({
+      ...row,
+      canonical_id: row[CANONICAL_ID],
+      adjusted_p: row[ADJ_P],
+      significant: row[IS_SIGNIFICANT] ? 'yes' : 'no'
+    }));
+    const added = ['canonical_id', 'adjusted_p', 'significant'];
+    const exportHeaders = [...headers.filter(h => !added.includes(h)), ...added];
+    const csv = [
+      `# Significance rule: ${describeSignificanceRule(thresholds, columns, groups.length)}`,
+      `# Fold changes in "${columns.foldChange}" are log2`,
+      rowsToCSV(exportHeaders, rows)
+    ].join('\r\n');
+    downloadText(csv, `${baseName(importResult?.fileName)}_annotated.csv`, 'text/csv');
+  };
 
-  // Claude API Call
-  const callClaudeAPI = async (systemPrompt, userPrompt) => {
-    if (!apiKey) {
-      throw new Error('Please enter your Anthropic API key');
+  // Hard cost and token budgets over the project's or the session's calls;
+  // without a task only what has been spent is checked
+  const budgetError = (task) => budgetBlock(
+    { cost: config.costBudget, tokens: config.tokenBudget },
+    config.costBudgetScope === 'session' ? sessionUsageSummary : projectUsageSummary,
+    task ? modelFor(config, task, serverStatus) : null,
+    prices
+  );
+  // Why a new generation for `task` can't start, or null
+  const generationBlocker = (task) => providerSetupError(config, task, serverStatus) || budgetError(task);
+
+  const meterCall = ({ task, kind, usage, latencyMs, status }) => {
+    const entry = createUsageEntry({
+      task,
+      kind,
+      provider: providerFor(config, task),
+      model: modelFor(config, task, serverStatus),
+      usage,
+      latencyMs,
+      status
+    });
+    setUsageLog(prev => [...prev, entry]);
+    setSessionUsage(prev => [...prev, entry]);
+  };
+
+  // Generations triggered together take turns
+  const requestQueue = useMemo(() => createRequestQueue(DEFAULT_CONFIG.maxConcurrentRequests), []);
+  useEffect(() => {
+    requestQueue.setConcurrency(config.maxConcurrentRequests ?? DEFAULT_CONFIG.maxConcurrentRequests);
+  }, [requestQueue, config.maxConcurrentRequests]);
+
+  // Model call for a task, streamed through the provider chosen for it in
+  // Settings. Options:
+  //   inputs:  prompt builder inputs; the API server rebuilds the prompts from these
+  //   systemPrompt, userPrompt: the same prompts built here, for the mock provider
+  //   repair:  { errors, response } for a repair re-prompt
+  //   prefill: assistant text to continue from after a max_tokens cut-off
+  //   onText:  called with the text so far as it streams
+  //   onStatus: queue position and per-attempt progress (see withRetry)
+  //   signal:  AbortSignal for the Stop button
+  //   kind:    usage ledger kind (see USAGE_KINDS)
+  // Calls wait their turn in the request queue, and retryable failures are
+  // retried with backoff. Every failed attempt is metered here with whatever
+  // it used; the caller meters the attempt that succeeds or is stopped.
+  // Resolves to { text, stopReason, usage }; text excludes the prefill.
+  const callModel = (task, { inputs, systemPrompt, userPrompt, repair, prefill = '', kind, onText, onStatus, signal }) => requestQueue.run(
+    () => withRetry(async ({ signal: attemptSignal, heartbeat }) => {
+      const attemptStart = performance.now();
+      let received = '';
+      let lastUsage = null;
+      try {
+        return await callProvider({
+          task,
+          config,
+          serverStatus,
+          token: serverToken,
+          inputs,
+          systemPrompt,
+          userPrompt,
+          repair,
+          prefill,
+          onText: (text, usage) => {
+            heartbeat();
+            received = text;
+            lastUsage = usage || lastUsage;
+            onText?.(text, usage);
+          },
+          signal: attemptSignal
+        });
+      } catch (err) {
+        if (!signal?.aborted) {
+          const usage = lastUsage || (received ? { inputTokens: 0, outputTokens: estimateTokens(received), estimated: true } : null);
+          meterCall({ task, kind, usage, latencyMs: performance.now() - attemptStart, status: 'failed' });
+        }
+        throw err;
+      }
+    }, {
+      maxAttempts: (config.maxRetries ?? DEFAULT_CONFIG.maxRetries) + 1,
+      timeoutMs: (config.requestTimeout ?? DEFAULT_CONFIG.requestTimeout) * 1000,
+      signal,
+      onAttempt: onStatus
+    }),
+    { signal, onPosition: (position) => onStatus?.({ state: 'queued', position }) }
+  );
+
+  // ============ STREAMING ============
+  // Live state per task: { text, usage, status, pending, ... } where status is
+  // 'queued' (position), 'streaming' (attempt, maxAttempts), 'retrying'
+  // (retryAt, error), 'truncated' (pending) or 'failed' (error, retry).
+  // attempts lists every failed attempt of the current request.
+  const [streams, setStreams] = useState({});
+  const abortControllers = useRef({});
+
+  const updateStream = (task, patch) => setStreams(prev => ({ ...prev, [task]: { ...prev[task], ...patch } }));
+  const clearStream = (task) => setStreams(prev => {
+    const next = { ...prev };
+    delete next[task];
+    return next;
+  });
+  const stopStream = (task) => abortControllers.current[task]?.abort();
+  // A failed request keeps its panel but no longer hides earlier results
+  const streamActive = (task) => Boolean(streams[task]) && streams[task].status !== 'failed';
+
+  // Stream one request into streams[task], then hand the full text to
+  // onComplete({ text, stopReason, usage }). Stop resolves with what arrived so
+  // far (stopReason 'user_abort'); a max_tokens cut-off instead leaves the
+  // stream 'truncated' so the user can continue or accept the partial text.
+  // Once retries are exhausted the stream is left 'failed' with its attempt
+  // log and the arguments to try again. `display` is copied into the stream
+  // state for the views (e.g. which card a refinement belongs to).
+  const streamTask = async (request) => {
+    const { task, inputs, systemPrompt, userPrompt, prefill = '', usageSoFar = null, display = {}, onComplete } = request;
+    const blocked = budgetError(task);
+    if (blocked) throw new Error(blocked);
+    const kind = prefill ? 'continuation' : 'generation';
+    const controller = new AbortController();
+    abortControllers.current[task] = controller;
+    let received = '';
+    let started = false;
+    let attemptStart = 0;
+    const attempts = [];
+    setStreams(prev => ({
+      ...prev,
+      [task]: { ...display, text: prefill, usage: usageSoFar, status: 'queued', position: null, attempts, pending: null }
+    }));
+
+    const onStatus = ({ state, attempt, maxAttempts, error, delayMs, position }) => {
+      if (state === 'queued') {
+        updateStream(task, { status: 'queued', position });
+      } else if (state === 'running') {
+        // A retry starts over from the prefill
+        started = true;
+        attemptStart = performance.now();
+        received = '';
+        updateStream(task, { status: 'streaming', attempt, maxAttempts, text: prefill, usage: usageSoFar, retryAt: null });
+      } else {
+        attempts.push({ attempt, error, delayMs: delayMs ?? null, at: new Date().toISOString() });
+        updateStream(task, {
+          status: state === 'retrying' ? 'retrying' : 'streaming',
+          error,
+          attempts: [...attempts],
+          retryAt: state === 'retrying' ? Date.now() + delayMs : null
+        });
+      }
+    };
+
+    let result;
+    try {
+      result = await callModel(task, {
+        inputs,
+        systemPrompt,
+        userPrompt,
+        prefill,
+        kind,
+        signal: controller.signal,
+        onStatus,
+        onText: (text, usage) => {
+          received = text;
+          updateStream(task, { text: prefill + text, usage: addUsage(usageSoFar, usage) });
+        }
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setStreams(prev => ({
+          ...prev,
+          [task]: { ...display, text: prefill, usage: usageSoFar, status: 'failed', error: err.message, attempts: [...attempts], retry: request }
+        }));
+        return;
+      }
+      // Stopped while still waiting in the queue: nothing to record
+      if (!started) {
+        clearStream(task);
+        return;
+      }
+      result = {
+        text: received,
+        stopReason: 'user_abort',
+        usage: { inputTokens: 0, outputTokens: estimateTokens(received), estimated: true }
+      };
+    } finally {
+      delete abortControllers.current[task];
     }
+    meterCall({
+      task,
+      kind,
+      usage: result.usage,
+      latencyMs: performance.now() - attemptStart,
+      status: result.stopReason === 'user_abort' ? 'aborted' : 'ok'
+    });
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: config.model,
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
+    const text = prefill + result.text;
+    const usage = addUsage(usageSoFar, result.usage);
+    if (result.stopReason === 'max_tokens') {
+      updateStream(task, { text, usage, status: 'truncated', pending: { task, inputs, systemPrompt, userPrompt, display, text, usage, onComplete } });
+      return;
+    }
+    clearStream(task);
+    await onComplete({ text, stopReason: result.stopReason, usage });
+  };
+
+  // Hypotheses whose JSON objects have fully arrived, normalized for display
+  const streamingHypotheses = useMemo(
+    () => (streamActive('hypothesis') ? validate(extractCompleteObjects(streams.hypothesis.text), HYPOTHESIS_LIST_SCHEMA).value : null),
+    [streams.hypothesis]
+  );
+  const streamingPosteriors = useMemo(
+    () => computeRunPosteriors(streamingHypotheses, posteriorOptions),
+    [streamingHypotheses, posteriorOptions]
+  );
+
+  // A "generate more" stream is shown below the run it extends; a new run's
+  // stream replaces the cards
+  const moreStream = Boolean(streams.hypothesis?.runId) && streams.hypothesis.runId === viewedRun?.id;
+  const hypothesisStreamView = (
+    <>
+      {streams.hypothesis && (
+        <StreamingStatus
+          label={moreStream ? 'Generating more hypotheses' : 'Generating hypotheses'}
+          stream={streams.hypothesis}
+          maxTokens={config.maxTokens}
+          onStop={() => stopStream('hypothesis')}
+          onContinue={() => continueStream('hypothesis')}
+          onAcceptPartial={() => acceptPartialStream('hypothesis')}
+          onRetry={() => retryStream('hypothesis')}
+          onDismiss={() => clearStream('hypothesis')}
+        />
+      )}
+      {streamingHypotheses?.map((hyp, idx) => (
+        <div key={`streaming-${idx}`} className="bg-slate-800 rounded-xl border border-slate-700 p-6">
+          <div className="flex items-start justify-between">
+            <div className="flex items-center gap-4">
+              <span className="text-4xl font-bold text-blue-400">#{moreStream ? hypotheses.length + idx + 1 : hyp.rank}</span>
+              <div>
+                <h3 className="text-lg font-semibold text-white">{hyp.title}</h3>
+                <p className="text-slate-400 text-sm mt-1 line-clamp-2">{hyp.hypothesis}</p>
+              </div>
+            </div>
+            {streamingPosteriors[idx]?.computed && (
+              <ConfidenceBadge
+                probability={streamingPosteriors[idx].posterior}
+                ci={streamingPosteriors[idx].interval}
+                mismatch={streamingPosteriors[idx].mismatch}
+              />
+            )}
+          </div>
+        </div>
+      ))}
+    </>
+  );
+
+  // Ask the model to pick up where it was cut off; the API rejects a prefill
+  // ending in whitespace
+  const continueStream = async (task) => {
+    const pending = streams[task]?.pending;
+    if (!pending) return;
+    setLoading(prev => ({ ...prev, [LOADING_KEYS[task]]: true }));
+    try {
+      await streamTask({ ...pending, prefill: pending.text.replace(/\s+$/, ''), usageSoFar: pending.usage });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(prev => ({ ...prev, [LOADING_KEYS[task]]: false }));
+  };
+
+  // Re-send a request that failed after all its retries
+  const retryStream = async (task) => {
+    const failed = streams[task]?.retry;
+    if (!failed) return;
+    setLoading(prev => ({ ...prev, [LOADING_KEYS[task]]: true }));
+    try {
+      await streamTask(failed);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(prev => ({ ...prev, [LOADING_KEYS[task]]: false }));
+  };
+
+  const acceptPartialStream = async (task) => {
+    const pending = streams[task]?.pending;
+    if (!pending) return;
+    clearStream(task);
+    try {
+      await pending.onComplete({ text: pending.text, stopReason: 'max_tokens', usage: pending.usage });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Keep every model call in the project, including ones whose output failed to parse
+  const recordRun = (run) => {
+    const record = createRunRecord({
+      ...run,
+      config: { ...config, model: modelFor(config, run.task, serverStatus) },
+      meta: { provider: providerFor(config, run.task), ...run.meta }
+    });
+    setRuns(prev => [...prev, record]);
+    // The server's token budget has moved
+    if (record.provider !== 'mock') refreshServerStatus();
+    return record;
+  };
+
+  // Send the schema violations back to the model along with its previous
+  // answer. The repaired answer is only kept if it has fewer violations.
+  const requestRepair = async ({ task, inputs, systemPrompt, userPrompt, response, result }) => {
+    const { schema, isArray } = TASK_SCHEMAS[task];
+    const prompt = buildRepairPrompt(result.errors, isArray);
+    let attemptStart = performance.now();
+    const repaired = await callModel(task, {
+      inputs,
+      systemPrompt,
+      userPrompt,
+      repair: { errors: result.errors.map(({ path, message }) => ({ path, message })), response },
+      kind: 'repair',
+      onStatus: ({ state }) => {
+        if (state === 'running') attemptStart = performance.now();
+      }
     });
+    meterCall({ task, kind: 'repair', usage: repaired.usage, latencyMs: performance.now() - attemptStart, status: 'ok' });
+    const repairedResponse = repaired.text;
+    const retry = validate(parseJSONSafely(repairedResponse, isArray), schema);
+    const accepted = retry.value !== null && retry.errors.length < result.errors.length;
+    return {
+      attempt: {
+        createdAt: new Date().toISOString(),
+        prompt,
+        rawResponse: repairedResponse,
+        errorsBefore: result.errors.length,
+        errorsAfter: retry.errors.length,
+        accepted
+      },
+      result: accepted ? retry : result
+    };
+  };
+
+  // Parse and validate a response, with one automatic repair attempt if
+  // enabled. Incomplete (stopped or truncated) responses are never auto-repaired.
+  const parseAndValidate = async ({ task, inputs, systemPrompt, userPrompt, response, stopReason }) => {
+    const { schema, isArray } = TASK_SCHEMAS[task];
+    let result = validate(parseJSONSafely(response, isArray), schema);
+    const repairs = [];
+    if (result.errors.length > 0 && config.autoRepair && stopReason === 'end_turn') {
+      try {
+        const repair = await requestRepair({ task, inputs, systemPrompt, userPrompt, response, result });
+        repairs.push(repair.attempt);
+        result = repair.result;
+      } catch (err) {
+        // Keep the original answer; the violations stay visible
+      }
+    }
+    return { ...result, repairs };
+  };
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `API error: ${response.status}`);
+  // Manual repair of a stored run, from the latest accepted answer
+  const [repairingRunId, setRepairingRunId] = useState(null);
+  const repairRun = async (runId) => {
+    const run = runs.find(r => r.id === runId);
+    if (!run) return;
+    setRepairingRunId(runId);
+    setError(null);
+    try {
+      const latest = [...(run.repairs || [])].reverse().find(a => a.accepted)?.rawResponse || run.rawResponse;
+      const errors = (run.issues || []).filter(i => i.severity === 'error');
+      const repair = await requestRepair({
+        task: run.task,
+        inputs: run.inputs,
+        systemPrompt: run.systemPrompt,
+        userPrompt: run.userPrompt,
+        response: latest,
+        result: { value: run.parsed, issues: run.issues, errors }
+      });
+      const updated = {
+        ...run,
+        parsed: repair.result.value,
+        issues: repair.result.issues,
+        repairs: [...(run.repairs || []), repair.attempt]
+      };
+      setRuns(prev => prev.map(r => (r.id === runId ? updated : r)));
+      if (!repair.attempt.accepted) {
+        setError(`Repair did not reduce the violations (${repair.attempt.errorsAfter} remaining).`);
+      } else if (run.task === 'experimental') {
+        const protocol = { hypothesis: run.hypothesisTitle, runId, createdAt: run.createdAt, ...updated.parsed };
+        setProtocols(prev => prev.map(p => (p.runId === runId ? protocol : p)));
+        setExperimentalDesign(prev => (prev?.runId === runId ? protocol : prev));
+      } else if (run.task === 'literature' && run.id === latestLiteratureRun?.id) {
+        setLiteratureAnalysis(updated.parsed);
+      }
+    } catch (err) {
+      setError(`Repair failed: ${err.message}`);
     }
+    setRepairingRunId(null);
+  };
 
-    const responseData = await response.json();
-    return responseData.content[0].text;
+  // Every generator sends the study's organism and the active template from
+  // the prompt library along with its own inputs
+  const withPromptSettings = (task, inputs) => {
+    const { system, user } = activeTemplate(promptLibrary, task);
+    return { ...inputs, organism: organism.trim(), template: { system, user } };
+  };
+  const templateVersion = (task) => activeTemplate(promptLibrary, task).version;
+
+  // Inputs for the prompt library's preview, from the current data and
+  // selections, or null without data
+  const previewInputs = (task) => {
+    if (task === 'experimental') {
+      const hyp = hypotheses?.[0] || {
+        title: 'Example hypothesis',
+        hypothesis: 'Generate hypotheses first to preview with a real one.',
+        mechanism: 'Example mechanism',
+        predictions: ['Example prediction']
+      };
+      return withPromptSettings(task, { hypothesis: hyp });
+    }
+    if (!data) return null;
+    if (task === 'refine' || task === 'chat') {
+      const hyp = hypotheses?.[0] || { title: 'Example hypothesis', hypothesis: 'Generate hypotheses first to preview with a real one.' };
+      return withPromptSettings(task, task === 'refine'
+        ? { context: buildContext(), hypothesis: hyp, critique: 'Example critique: focus on mitochondria.' }
+        : { context: buildContext(), hypothesis: hyp, turns: [{ role: 'user', content: 'Example question: why is the prior this low?' }] });
+    }
+    const type = hypothesisTypes.find(t => t.id === selectedType);
+    const taskPrompt = selectedType === 'custom' ? customPrompt : type?.prompt || hypothesisTypes[0].prompt;
+    return withPromptSettings(task, { context: buildContext(), taskPrompt, nHypotheses });
   };
 
   // Generate Hypotheses
@@ -397,51 +1388,270 @@ ${data.filter(row => Math.abs(row[fcCol] || 0) > 0.5 && (row[pCol] || 1) < 0.05)
     
     setLoading(prev => ({ ...prev, hypotheses: true }));
     setError(null);
-    setHypotheses(null);
 
-    const typeConfig = HYPOTHESIS_TYPES.find(t => t.id === selectedType);
-    const taskPrompt = selectedType === 'custom' ? customPrompt : typeConfig.prompt;
+    const typeConfig = hypothesisTypes.find(t => t.id === selectedType);
 
     try {
-      const context = buildContext();
-      const userPrompt = `${context}
-
-TASK: ${taskPrompt}
-
-Generate exactly 3 ranked hypotheses. For each hypothesis, provide:
-1. rank (1-3)
-2. title (brief)
-3. hypothesis (full statement)
-4. evidence (array of supporting data points with exact values)
-5. mechanism (proposed biological mechanism with pathway names)
-6. bayesian_analysis:
-   - prior_probability (0-1, based on literature)
-   - prior_rationale (why this prior)
-   - likelihood (0-1, how well data supports)
-   - likelihood_rationale (why this likelihood)
-   - posterior_probability (0-1, updated belief)
-   - confidence_interval ([lower, upper] 95% CI)
-7. predictions (array of testable predictions)
-8. literature_support (relevant studies/PMIDs)
-9. alternative_explanations (what else could explain this)
-
-Return ONLY valid JSON array, no other text.`;
-
-      const response = await callClaudeAPI(SYSTEM_PROMPTS.hypothesis, userPrompt);
-
-      // Parse JSON from response using robust parser
-      const parsed = parseJSONSafely(response, true);
-      if (parsed && parsed.length > 0) {
-        setHypotheses(parsed);
-        setActiveTab('results');
-      } else {
-        throw new Error('Could not parse hypotheses from response. Try reducing Max Tokens in Settings.');
-      }
+      if (!typeConfig) throw new Error('The selected hypothesis type no longer exists in the prompt library.');
+      const taskPrompt = selectedType === 'custom' ? customPrompt : typeConfig.prompt;
+      const runContrast = generationContrast;
+      const inputs = withPromptSettings('hypothesis', { context: buildContext(runContrast), taskPrompt, nHypotheses });
+      const { systemPrompt, userPrompt } = buildPrompts('hypothesis', inputs);
+
+      // Cards render on the Results tab as they stream in
+      setActiveTab('results');
+      await streamTask({
+        task: 'hypothesis',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        onComplete: async ({ text, stopReason, usage }) => {
+          // Parse JSON from response using robust parser, then check it against the schema
+          const checked = await parseAndValidate({
+            task: 'hypothesis', inputs, systemPrompt, userPrompt, response: text, stopReason
+          });
+          const ok = Array.isArray(checked.value) && checked.value.length > 0;
+          const run = recordRun({
+            task: 'hypothesis',
+            systemPrompt,
+            userPrompt,
+            rawResponse: text,
+            parsed: ok ? checked.value : null,
+            error: ok ? null : 'Could not parse hypotheses',
+            stopReason,
+            usage,
+            issues: checked.issues,
+            repairs: checked.repairs,
+            meta: { hypothesisType: selectedType, inputs, templateVersion: templateVersion('hypothesis'), contrast: runContrast }
+          });
+          if (ok) {
+            setViewedRunId(run.id);
+            setExpandedHypothesis(null);
+          } else if (stopReason !== 'user_abort') {
+            throw new Error('Could not parse hypotheses from the response.');
+          }
+        }
+      });
     } catch (err) {
       setError(err.message);
     }
-    
-    setLoading(prev => ({ ...prev, hypotheses: false }));
+    
+    setLoading(prev => ({ ...prev, hypotheses: false }));
+  };
+
+  // ============ FOLLOW-UPS ============
+  // "Generate more" and refinements change a hypothesis run in place. Each
+  // call is kept in run.followUps: { id, kind: 'more' | 'refine' | 'restore',
+  // createdAt, ... } alongside the prompts, response and usage of the call.
+  // `change` maps the run to its new state; `details` adds fields that depend
+  // on the run as it was.
+  const addFollowUp = (runId, followUp, change = (run) => run, details = () => ({})) => {
+    const task = followUp.task || 'hypothesis';
+    const entry = {
+      id: createId('followup'),
+      createdAt: new Date().toISOString(),
+      provider: providerFor(config, task),
+      model: modelFor(config, task, serverStatus),
+      ...followUp
+    };
+    setRuns(prev => prev.map(run => (run.id === runId
+      ? { ...change(run), followUps: [...(run.followUps || []), { ...entry, ...details(run) }] }
+      : run)));
+    if (entry.provider !== 'mock' && entry.kind !== 'restore') refreshServerStatus();
+  };
+
+  // Item-level schema issues of a follow-up response, re-indexed into the run
+  const offsetIssues = (issues, offset) => issues
+    .filter(issue => typeof issue.path[0] === 'number')
+    .map(issue => ({ ...issue, path: [issue.path[0] + offset, ...issue.path.slice(1)] }));
+
+  // Ask for nHypotheses new hypotheses, excluding every one already in the run
+  const generateMoreHypotheses = async (run) => {
+    setLoading(prev => ({ ...prev, hypotheses: true }));
+    setError(null);
+    try {
+      const type = hypothesisTypes.find(t => t.id === run.hypothesisType);
+      const taskPrompt = run.inputs?.taskPrompt || type?.prompt || customPrompt;
+      const inputs = withPromptSettings('hypothesis', {
+        context: buildContext(run.contrast || POOLED),
+        taskPrompt,
+        nHypotheses,
+        exclusions: run.parsed.map(({ title, hypothesis }) => ({ title, hypothesis }))
+      });
+      const { systemPrompt, userPrompt } = buildPrompts('hypothesis', inputs);
+      await streamTask({
+        task: 'hypothesis',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        display: { runId: run.id },
+        onComplete: async ({ text, stopReason, usage }) => {
+          const checked = await parseAndValidate({
+            task: 'hypothesis', inputs, systemPrompt, userPrompt, response: text, stopReason
+          });
+          const ok = Array.isArray(checked.value) && checked.value.length > 0;
+          const record = {
+            kind: 'more', task: 'hypothesis', inputs, userPrompt, rawResponse: text, stopReason, usage,
+            issues: checked.issues, repairs: checked.repairs, added: ok ? checked.value.length : 0
+          };
+          if (!ok) {
+            addFollowUp(run.id, { ...record, error: 'Could not parse hypotheses' });
+            if (stopReason !== 'user_abort') throw new Error('Could not parse additional hypotheses from the response.');
+            return;
+          }
+          addFollowUp(run.id, record, (current) => {
+            const offset = current.parsed.length;
+            return {
+              ...current,
+              parsed: [...current.parsed, ...checked.value.map((h, i) => ({ ...h, rank: offset + i + 1 }))],
+              issues: [...(current.issues || []), ...offsetIssues(checked.issues, offset)]
+            };
+          });
+        }
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(prev => ({ ...prev, hypotheses: false }));
+  };
+
+  // Regenerate one hypothesis of a run from a free-text critique
+  const refineHypothesis = async (run, index, critique) => {
+    setLoading(prev => ({ ...prev, refine: true }));
+    setError(null);
+    try {
+      const before = run.parsed[index];
+      const inputs = withPromptSettings('refine', { context: buildContext(run.contrast || POOLED), hypothesis: before, critique });
+      const { systemPrompt, userPrompt } = buildPrompts('refine', inputs);
+      await streamTask({
+        task: 'refine',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        display: { runId: run.id, index },
+        onComplete: async ({ text, stopReason, usage }) => {
+          const checked = await parseAndValidate({
+            task: 'refine', inputs, systemPrompt, userPrompt, response: text, stopReason
+          });
+          const record = {
+            kind: 'refine', task: 'refine', index, critique, inputs, userPrompt, rawResponse: text, stopReason, usage,
+            repairs: checked.repairs, templateVersion: templateVersion('refine')
+          };
+          if (!checked.value) {
+            addFollowUp(run.id, { ...record, error: 'Could not parse the revised hypothesis' });
+            if (stopReason !== 'user_abort') throw new Error('Could not parse the revised hypothesis from the response.');
+            return;
+          }
+          const after = { ...checked.value, rank: before.rank };
+          replaceHypothesis(run.id, index, after, checked.issues.map(issue => ({ ...issue, path: [index, ...issue.path] })), record);
+        }
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(prev => ({ ...prev, refine: false }));
+  };
+
+  // Swap hypothesis `index` for `after`, recording what it replaced so the
+  // change can be undone
+  const replaceHypothesis = (runId, index, after, issues, record) => {
+    addFollowUp(runId, { ...record, after }, (current) => ({
+      ...current,
+      parsed: current.parsed.map((h, i) => (i === index ? after : h)),
+      issues: [...(current.issues || []).filter(issue => issue.path[0] !== index), ...issues]
+    }), (current) => ({
+      before: current.parsed[index],
+      issuesBefore: (current.issues || []).filter(issue => issue.path[0] === index)
+    }));
+  };
+
+  // Schema violations as a critique, to fix one hypothesis of a run that has
+  // follow-ups (a whole-run repair would drop them)
+  const repairCritique = (issues) => `Fix these schema violations:
+${issues.filter(i => i.severity === 'error').map(i => `- ${formatPath(i.path.slice(1))}: ${i.message}`).join('\n')}`;
+
+  // Put back the hypothesis a refinement (or restore) replaced
+  const restoreHypothesis = (run, followUpId) => {
+    const source = run.followUps.find(f => f.id === followUpId);
+    replaceHypothesis(run.id, source.index, source.before, source.issuesBefore || [], {
+      kind: 'restore', index: source.index, restoredFrom: followUpId
+    });
+  };
+
+  // ============ DISCUSSION ============
+  // Questions about one hypothesis, sent with the earlier exchanges about it
+  const askAboutHypothesis = async (run, index, question) => {
+    setLoading(prev => ({ ...prev, chat: true }));
+    setError(null);
+    try {
+      const hypothesis = run.parsed[index];
+      const exchanges = (run.followUps || []).filter(f => f.kind === 'chat' && f.index === index);
+      const inputs = withPromptSettings('chat', {
+        context: buildContext(run.contrast || POOLED),
+        hypothesis,
+        turns: chatTurns(exchanges, question)
+      });
+      const { systemPrompt, userPrompt } = buildPrompts('chat', inputs);
+      await streamTask({
+        task: 'chat',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        display: { runId: run.id, index, question },
+        onComplete: async ({ text, stopReason, usage }) => {
+          const record = {
+            kind: 'chat', task: 'chat', index, question, userPrompt, rawResponse: text, stopReason, usage,
+            templateVersion: templateVersion('chat')
+          };
+          if (!text.trim()) {
+            addFollowUp(run.id, { ...record, error: stopReason === 'user_abort' ? 'Stopped before an answer arrived' : 'Empty answer' });
+            return;
+          }
+          const { proposal } = parseChatReply(text);
+          if (proposal) {
+            const checked = checkProposal(hypothesis, proposal.changes);
+            record.proposal = {
+              ...proposal,
+              rows: describeChanges(hypothesis, checked.value || hypothesis),
+              problems: checked.problems,
+              status: checked.problems.length ? 'invalid' : 'pending'
+            };
+          }
+          addFollowUp(run.id, record);
+        }
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(prev => ({ ...prev, chat: false }));
+  };
+
+  const setProposalStatus = (runId, followUpId, status) => {
+    setRuns(prev => prev.map(run => (run.id === runId ? {
+      ...run,
+      followUps: run.followUps.map(f => (f.id === followUpId ? { ...f, proposal: { ...f.proposal, status } } : f))
+    } : run)));
+  };
+
+  // Apply a proposed update to the hypothesis as it is now; it joins the edit
+  // history like a refinement
+  const acceptProposal = (run, followUpId) => {
+    const exchange = run.followUps.find(f => f.id === followUpId);
+    const before = run.parsed[exchange.index];
+    const checked = checkProposal(before, exchange.proposal.changes);
+    if (checked.problems.length) {
+      setProposalStatus(run.id, followUpId, 'invalid');
+      setError(`The proposed update no longer applies: ${checked.problems.join('; ')}`);
+      return;
+    }
+    replaceHypothesis(
+      run.id,
+      exchange.index,
+      { ...checked.value, rank: before.rank },
+      checked.issues.map(issue => ({ ...issue, path: [exchange.index, ...issue.path] })),
+      { kind: 'update', index: exchange.index, fromChat: followUpId, reason: exchange.proposal.reason }
+    );
+    setProposalStatus(run.id, followUpId, 'accepted');
   };
 
   // Generate Experimental Design
@@ -450,58 +1660,49 @@ Return ONLY valid JSON array, no other text.`;
     setError(null);
 
     try {
-      const userPrompt = `HYPOTHESIS TO VALIDATE:
-Title: ${hypothesis.title}
-Statement: ${hypothesis.hypothesis}
-Proposed Mechanism: ${hypothesis.mechanism}
-Key Predictions: ${hypothesis.predictions?.join('; ')}
-
-Design a comprehensive experimental validation protocol including:
-1. primary_experiment:
-   - objective
-   - methodology (detailed steps)
-   - controls (positive, negative, vehicle)
-   - sample_groups (with n per group)
-   - measurements (what to measure, how)
-   - statistical_analysis (tests to use)
-   
-2. power_analysis:
-   - effect_size_expected
-   - alpha
-   - power
-   - sample_size_calculation
-   
-3. expected_outcomes:
-   - if_hypothesis_true (specific predictions)
-   - if_hypothesis_false (what would you see)
-   - decision_criteria (how to conclude)
-   
-4. timeline:
-   - phases (array with duration and activities)
-   - total_duration
-   
-5. resources:
-   - equipment
-   - reagents
-   - estimated_cost
-   
-6. potential_pitfalls:
-   - risks (array of potential issues)
-   - mitigations (how to address each)
-   
-7. alternative_approaches:
-   - backup_experiments (if primary fails)
-
-Return ONLY valid JSON object, no other text.`;
-
-      const response = await callClaudeAPI(SYSTEM_PROMPTS.experimental, userPrompt);
-
-      const parsed = parseJSONSafely(response, false);
-      if (parsed) {
-        setExperimentalDesign({ hypothesis: hypothesis.title, ...parsed });
-      } else {
-        throw new Error('Could not parse experimental design. Try reducing Max Tokens in Settings.');
-      }
+      const inputs = withPromptSettings('experimental', {
+        hypothesis: {
+          title: hypothesis.title,
+          hypothesis: hypothesis.hypothesis,
+          mechanism: hypothesis.mechanism,
+          predictions: hypothesis.predictions
+        }
+      });
+      const { systemPrompt, userPrompt } = buildPrompts('experimental', inputs);
+
+      setActiveTab('experimental');
+      await streamTask({
+        task: 'experimental',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        onComplete: async ({ text, stopReason, usage }) => {
+          const checked = await parseAndValidate({
+            task: 'experimental', inputs, systemPrompt, userPrompt, response: text, stopReason
+          });
+          const parsed = checked.value;
+          const run = recordRun({
+            task: 'experimental',
+            systemPrompt,
+            userPrompt,
+            rawResponse: text,
+            parsed,
+            error: parsed ? null : 'Could not parse experimental design',
+            stopReason,
+            usage,
+            issues: checked.issues,
+            repairs: checked.repairs,
+            meta: { hypothesisTitle: hypothesis.title, inputs, templateVersion: templateVersion('experimental') }
+          });
+          if (parsed) {
+            const protocol = { hypothesis: hypothesis.title, runId: run.id, createdAt: run.createdAt, ...parsed };
+            setProtocols(prev => [...prev, protocol]);
+            setExperimentalDesign(protocol);
+          } else if (stopReason !== 'user_abort') {
+            throw new Error('Could not parse experimental design from the response.');
+          }
+        }
+      });
     } catch (err) {
       setError(err.message);
     }
@@ -515,46 +1716,40 @@ Return ONLY valid JSON object, no other text.`;
     setError(null);
 
     try {
-      const context = buildContext();
-      const userPrompt = `${context}
-
-Provide a comprehensive literature analysis:
-
-1. key_metabolites_literature:
-   - For each top changed metabolite, provide:
-     - metabolite_name
-     - known_functions
-     - disease_associations
-     - relevant_pmids (if known)
-     
-2. pathway_context:
-   - affected_pathways
-   - pathway_interactions
-   - upstream_regulators
-   - downstream_effects
-   
-3. similar_studies:
-   - study_descriptions (array of relevant studies)
-   - how_current_data_compares
-   
-4. knowledge_gaps:
-   - what_is_unknown
-   - how_this_data_helps
-   
-5. suggested_searches:
-   - pubmed_queries (array of search strings)
-   - databases_to_check
-
-Return ONLY valid JSON object, no other text.`;
-
-      const response = await callClaudeAPI(SYSTEM_PROMPTS.literature, userPrompt);
-
-      const parsed = parseJSONSafely(response, false);
-      if (parsed) {
-        setLiteratureAnalysis(parsed);
-      } else {
-        throw new Error('Could not parse literature analysis. Try reducing Max Tokens in Settings.');
-      }
+      const runContrast = generationContrast;
+      const inputs = withPromptSettings('literature', { context: buildContext(runContrast) });
+      const { systemPrompt, userPrompt } = buildPrompts('literature', inputs);
+
+      await streamTask({
+        task: 'literature',
+        inputs,
+        systemPrompt,
+        userPrompt,
+        onComplete: async ({ text, stopReason, usage }) => {
+          const checked = await parseAndValidate({
+            task: 'literature', inputs, systemPrompt, userPrompt, response: text, stopReason
+          });
+          const parsed = checked.value;
+          recordRun({
+            task: 'literature',
+            systemPrompt,
+            userPrompt,
+            rawResponse: text,
+            parsed,
+            error: parsed ? null : 'Could not parse literature analysis',
+            stopReason,
+            usage,
+            issues: checked.issues,
+            repairs: checked.repairs,
+            meta: { inputs, templateVersion: templateVersion('literature'), contrast: runContrast }
+          });
+          if (parsed) {
+            setLiteratureAnalysis(parsed);
+          } else if (stopReason !== 'user_abort') {
+            throw new Error('Could not parse literature analysis from the response.');
+          }
+        }
+      });
     } catch (err) {
       setError(err.message);
     }
@@ -564,7 +1759,7 @@ Return ONLY valid JSON object, no other text.`;
 
   // ============ RENDER COMPONENTS ============
   
-  const ConfidenceBadge = ({ probability, ci }) => {
+  const ConfidenceBadge = ({ probability, ci, mismatch }) => {
     const level = probability >= 0.7 ? 'High' : probability >= 0.4 ? 'Medium' : 'Low';
     const colors = {
       High: 'bg-green-100 text-green-800 border-green-300',
@@ -578,55 +1773,91 @@ Return ONLY valid JSON object, no other text.`;
         </span>
         {ci && (
           <span className="text-xs text-slate-500">
-            95% CI: [{(ci[0] * 100).toFixed(0)}%, {(ci[1] * 100).toFixed(0)}%]
+            95% CrI: [{(ci[0] * 100).toFixed(0)}%, {(ci[1] * 100).toFixed(0)}%]
+          </span>
+        )}
+        {mismatch && (
+          <span title="The model's claimed posterior differs from the computed one">
+            <AlertCircle className="w-4 h-4 text-yellow-400" />
           </span>
         )}
       </div>
     );
   };
 
-  const BayesianVisualization = ({ analysis }) => {
+  const ProbabilityBar = ({ label, value, color, rationale, interval }) => (
+    <div>
+      <div className="text-xs text-slate-500 mb-1">{label}</div>
+      <div className="relative h-2 bg-slate-200 rounded-full overflow-hidden">
+        {interval && (
+          <div
+            className="absolute h-full bg-green-200"
+            style={{ left: `${interval[0] * 100}%`, width: `${(interval[1] - interval[0]) * 100}%` }}
+          />
+        )}
+        <div className={`relative h-full ${color} rounded-full`} style={{ width: `${value * 100}%` }} />
+      </div>
+      <div className="text-sm font-medium mt-1">
+        {(value * 100).toFixed(0)}%
+        {interval && (
+          <span className="text-xs font-normal text-slate-500">
+            {' '}[{(interval[0] * 100).toFixed(0)}–{(interval[1] * 100).toFixed(0)}%]
+          </span>
+        )}
+      </div>
+      {rationale && <div className="text-xs text-slate-400 mt-1">{rationale}</div>}
+    </div>
+  );
+
+  // Inputs as elicited from the model; the posterior is computed by computeRunPosteriors
+  const BayesianVisualization = ({ analysis, result }) => {
     if (!analysis) return null;
-    
-    const { prior_probability, likelihood, posterior_probability } = analysis;
-    
+
+    if (!result?.computed) {
+      return (
+        <div className="bg-slate-50 rounded-lg p-4 mt-4 text-sm text-slate-600">
+          <h5 className="font-semibold text-slate-700 mb-2">Bayesian Analysis</h5>
+          Posterior not computed: missing or invalid {result?.missing?.join(' and ') || 'inputs'}.
+          {result?.claimed !== null && result?.claimed !== undefined && ` The model claimed ${(result.claimed * 100).toFixed(0)}%.`}
+        </div>
+      );
+    }
+
     return (
       <div className="bg-slate-50 rounded-lg p-4 mt-4">
         <h5 className="font-semibold text-slate-700 mb-3">Bayesian Analysis</h5>
-        <div className="grid grid-cols-3 gap-4">
-          <div>
-            <div className="text-xs text-slate-500 mb-1">Prior P(H)</div>
-            <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
-              <div 
-                className="h-full bg-blue-500 rounded-full" 
-                style={{ width: `${prior_probability * 100}%` }}
-              />
-            </div>
-            <div className="text-sm font-medium mt-1">{(prior_probability * 100).toFixed(0)}%</div>
-            <div className="text-xs text-slate-400 mt-1">{analysis.prior_rationale}</div>
-          </div>
-          <div>
-            <div className="text-xs text-slate-500 mb-1">Likelihood P(D|H)</div>
-            <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
-              <div 
-                className="h-full bg-purple-500 rounded-full" 
-                style={{ width: `${likelihood * 100}%` }}
-              />
-            </div>
-            <div className="text-sm font-medium mt-1">{(likelihood * 100).toFixed(0)}%</div>
-            <div className="text-xs text-slate-400 mt-1">{analysis.likelihood_rationale}</div>
-          </div>
-          <div>
-            <div className="text-xs text-slate-500 mb-1">Posterior P(H|D)</div>
-            <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
-              <div 
-                className="h-full bg-green-500 rounded-full" 
-                style={{ width: `${posterior_probability * 100}%` }}
-              />
-            </div>
-            <div className="text-sm font-medium mt-1">{(posterior_probability * 100).toFixed(0)}%</div>
-          </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <ProbabilityBar label="Prior P(H)" value={result.prior} color="bg-blue-500" rationale={analysis.prior_rationale} />
+          <ProbabilityBar
+            label="Likelihood P(D|H)"
+            value={result.likelihood}
+            color="bg-purple-500"
+            rationale={analysis.likelihood_rationale}
+          />
+          <ProbabilityBar
+            label={result.mode === 'binary' ? 'P(D|¬H)' : 'P(D|other hypotheses)'}
+            value={result.likelihoodAlternative}
+            color="bg-slate-500"
+            rationale={result.mode === 'binary' ? analysis.likelihood_alternative_rationale : 'Prior-weighted likelihood of the other hypotheses in this run and a "none of these" remainder'}
+          />
+          <ProbabilityBar
+            label="Posterior P(H|D), computed"
+            value={result.posterior}
+            color="bg-green-500"
+            interval={result.interval}
+          />
+        </div>
+        <div className="mt-3 text-xs text-slate-500">
+          Bayes factor {result.bayesFactor.toFixed(2)} • posterior fitted as Beta({result.alpha.toFixed(1)}, {result.beta.toFixed(1)})
+          {result.mode === 'competing' && ' • normalized across competing hypotheses'}
         </div>
+        {result.mismatch && (
+          <div className="mt-2 flex items-center gap-2 text-xs text-yellow-800 bg-yellow-100 border border-yellow-300 rounded px-2 py-1">
+            <AlertCircle className="w-3 h-3 flex-shrink-0" />
+            The model claimed a posterior of {(result.claimed * 100).toFixed(0)}%, which does not follow from its prior and
+            likelihoods ({result.difference > 0 ? '+' : ''}{(result.difference * 100).toFixed(0)} points vs. computed).
+          </div>
+        )}
       </div>
     );
   };
@@ -641,17 +1872,28 @@ Return ONLY valid JSON object, no other text.`;
             <Beaker className="w-8 h-8 text-blue-400" />
             <div>
               <h1 className="text-xl font-bold text-white">Metabolomics Hypothesis Generator</h1>
-              <p className="text-sm text-slate-400">AI-powered scientific reasoning with Bayesian uncertainty</p>
+              <p className="text-sm text-slate-400">
+                {project
+                  ? `Project: ${project.name}${saveStatus === 'saving' ? ' • saving…' : saveStatus === 'error' ? ' • save failed' : ''}`
+                  : 'AI-powered scientific reasoning with Bayesian uncertainty'}
+              </p>
             </div>
           </div>
           <div className="flex items-center gap-4">
-            <input
-              type="password"
-              placeholder="Anthropic API Key"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              className="px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm w-64"
-            />
+            {PROVIDER_TASKS.some(task => providerFor(config, task.id) !== 'mock') && (
+              <button
+                onClick={() => setActiveTab('settings')}
+                className="flex items-center gap-2 text-xs text-slate-400 hover:text-white"
+                title="API server status"
+              >
+                <span className={`w-2 h-2 rounded-full ${!serverStatus ? 'bg-red-500' : serverStatus.authRequired && !serverStatus.user ? 'bg-yellow-500' : 'bg-green-500'}`} />
+                {!serverStatus
+                  ? 'Server offline'
+                  : serverStatus.budget
+                    ? `${serverStatus.budget.used.toLocaleString()} / ${serverStatus.budget.tokens.toLocaleString()} tokens`
+                    : 'Sign in required'}
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('settings')}
               className="p-2 text-slate-400 hover:text-white transition-colors"
@@ -666,11 +1908,14 @@ Return ONLY valid JSON object, no other text.`;
       <nav className="bg-slate-800/30 border-b border-slate-700">
         <div className="max-w-7xl mx-auto flex">
           {[
+            { id: 'projects', label: 'Projects', icon: FolderOpen },
             { id: 'upload', label: 'Upload Data', icon: Upload },
             { id: 'analyze', label: 'Analyze', icon: BarChart3 },
             { id: 'generate', label: 'Generate', icon: Brain },
             { id: 'results', label: 'Results', icon: FileText },
             { id: 'experimental', label: 'Experimental Design', icon: FlaskConical },
+            { id: 'report', label: 'Report', icon: FileDown },
+            { id: 'prompts', label: 'Prompts', icon: ScrollText },
             { id: 'settings', label: 'Settings', icon: Settings },
           ].map(tab => (
             <button
@@ -702,50 +1947,203 @@ Return ONLY valid JSON object, no other text.`;
           </div>
         )}
 
+        {/* Projects Tab */}
+        {activeTab === 'projects' && (
+          <ProjectsPanel
+            projects={projects}
+            currentProject={project}
+            saveStatus={saveStatus}
+            hasWorkspace={!!rawData || runs.length > 0}
+            onCreate={createProject}
+            onOpen={openProject}
+            onRename={renameProject}
+            onDelete={removeProject}
+            onExport={exportProject}
+            onImport={importProjectBundle}
+            onClose={closeProject}
+          />
+        )}
+
         {/* Upload Tab */}
         {activeTab === 'upload' && (
           <div className="max-w-2xl mx-auto">
             <div className="bg-slate-800 rounded-xl p-8 border border-slate-700">
               <h2 className="text-xl font-bold text-white mb-4">Upload Metabolomics Data</h2>
-              <p className="text-slate-400 mb-6">
-                Upload a CSV file with differential metabolomics results. The file should contain columns for:
-                metabolite names, fold changes, and p-values.
-              </p>
+              <div className="flex gap-2 mb-4">
+                {[['table', 'Results table'], ['matrix', 'Intensity matrix']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setUploadMode(mode)}
+                    className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                      uploadMode === mode ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {uploadMode === 'table' ? (
+                <p className="text-slate-400 mb-6">
+                  Upload a CSV, TSV or Excel file with differential metabolomics results. The file should contain columns for:
+                  metabolite names, fold changes, and p-values.
+                </p>
+              ) : (
+                <p className="text-slate-400 mb-6">
+                  Upload raw peak areas or intensities with a sample metadata sheet. Missing values are imputed, samples
+                  normalized and log-transformed, and each feature is tested between two groups in the browser.
+                </p>
+              )}
               
-              <label className="block">
-                <div
-                  onDragOver={handleDragOver}
-                  onDragLeave={handleDragLeave}
-                  onDrop={handleDrop}
-                  className={`border-2 border-dashed rounded-xl p-12 text-center transition-colors cursor-pointer ${
-                    isDragging
-                      ? 'border-blue-500 bg-blue-500/10'
-                      : 'border-slate-600 hover:border-blue-500'
-                  }`}
-                >
-                  <Upload className={`w-12 h-12 mx-auto mb-4 ${isDragging ? 'text-blue-400' : 'text-slate-500'}`} />
-                  <p className="text-slate-300 mb-2">
-                    {isDragging ? 'Drop your CSV file here' : 'Drag & drop your CSV file here or click to browse'}
-                  </p>
-                  <p className="text-sm text-slate-500">Supports .csv files</p>
-                  <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
-                </div>
-              </label>
+              {uploadMode === 'matrix' && (
+                <MatrixImport
+                  input={matrixInput}
+                  qcReport={matrixQc}
+                  onImportFile={importMatrixFile}
+                  onChange={updateMatrixInput}
+                  onExcludeSamples={(entries) => setExcludedSamples(prev => ({ ...prev, ...entries }))}
+                  onRestoreSample={(id) => setExcludedSamples(prev => {
+                    const next = { ...prev };
+                    delete next[id];
+                    return next;
+                  })}
+                  onRun={runMatrixAnalysis}
+                />
+              )}
+
+              {uploadMode === 'table' && (
+                <label className="block">
+                  <div
+                    onDragOver={handleDragOver}
+                    onDragLeave={handleDragLeave}
+                    onDrop={handleDrop}
+                    className={`border-2 border-dashed rounded-xl p-12 text-center transition-colors cursor-pointer ${
+                      isDragging
+                        ? 'border-blue-500 bg-blue-500/10'
+                        : 'border-slate-600 hover:border-blue-500'
+                    }`}
+                  >
+                    <Upload className={`w-12 h-12 mx-auto mb-4 ${isDragging ? 'text-blue-400' : 'text-slate-500'}`} />
+                    <p className="text-slate-300 mb-2">
+                      {isDragging ? 'Drop your file here' : 'Drag & drop your file here or click to browse'}
+                    </p>
+                    <p className="text-sm text-slate-500">Supports .csv, .tsv, .txt and .xlsx files</p>
+                    <input
+                      type="file"
+                      accept={SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+                      onChange={handleFileUpload}
+                      className="hidden"
+                    />
+                  </div>
+                </label>
+              )}
+
+              {/* Import Report */}
+              {importResult && (() => {
+                const sheet = importResult.sheets[activeSheet];
+                return (
+                  <div className="mt-6 p-4 bg-slate-700/50 rounded-lg space-y-3">
+                    <div className="flex items-center justify-between">
+                      <h3 className="font-medium text-white">{importResult.fileName}</h3>
+                      {sheet.errors.length === 0 ? (
+                        <span className="flex items-center gap-1 text-sm text-green-400">
+                          <CheckCircle className="w-4 h-4" /> Parsed cleanly
+                        </span>
+                      ) : (
+                        <span className="flex items-center gap-1 text-sm text-yellow-400">
+                          <AlertCircle className="w-4 h-4" /> {sheet.errors.length} row issue{sheet.errors.length === 1 ? '' : 's'}
+                        </span>
+                      )}
+                    </div>
+
+                    {importResult.sheets.length > 1 && (
+                      <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Sheet</label>
+                        <select
+                          value={activeSheet}
+                          onChange={(e) => selectSheet(parseInt(e.target.value))}
+                          className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                        >
+                          {importResult.sheets.map((s, i) => (
+                            <option key={i} value={i}>
+                              {s.name} ({s.data.length} rows{s.errors.length ? `, ${s.errors.length} issues` : ''})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <div className="text-sm text-slate-400">
+                      {sheet.data.length} rows × {sheet.headers.length} columns
+                      {sheet.delimiter && ` • ${describeDelimiter(sheet.delimiter)}-delimited`}
+                    </div>
 
-              <div className="mt-6 p-4 bg-slate-700/50 rounded-lg">
-                <h3 className="font-medium text-white mb-2">Expected Format:</h3>
-                <pre className="text-xs text-slate-400 overflow-x-auto">
+                    {sheet.differential && (
+                      <p className="text-sm text-slate-400">Computed from the intensity matrix: {describeDifferential(sheet.differential)}</p>
+                    )}
+
+                    {sheet.warnings.length > 0 && (
+                      <ul className="text-xs text-yellow-300 space-y-1">
+                        {sheet.warnings.map((w, i) => <li key={i}>⚠ {w}</li>)}
+                      </ul>
+                    )}
+
+                    {sheet.errors.length > 0 && (
+                      <div className="max-h-48 overflow-auto border border-red-800 rounded">
+                        <table className="w-full text-xs">
+                          <thead className="bg-red-900/40 text-red-200">
+                            <tr>
+                              <th className="text-left px-2 py-1 w-16">Line</th>
+                              <th className="text-left px-2 py-1">Problem</th>
+                            </tr>
+                          </thead>
+                          <tbody className="text-red-200">
+                            {sheet.errors.map((err, i) => (
+                              <tr key={i} className="border-t border-red-900/50">
+                                <td className="px-2 py-1">{err.line}</td>
+                                <td className="px-2 py-1">{err.message}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+
+                    {rawData && (
+                      <div className="pt-3 border-t border-slate-600">
+                        <DataQualityPanel
+                          checks={qualityChecks}
+                          exclusions={exclusions}
+                          totalRows={rawData.length}
+                          onExclude={(check) => setExclusions(prev => excludeCheck(prev, check))}
+                          onRestore={(check) => setExclusions(prev => restoreCheck(prev, check))}
+                          onRestoreAll={() => setExclusions({})}
+                        />
+                      </div>
+                    )}
+
+                    {data && (
+                      <button
+                        onClick={() => setActiveTab('analyze')}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Continue to Analyze
+                      </button>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {uploadMode === 'table' && (
+                <div className="mt-6 p-4 bg-slate-700/50 rounded-lg">
+                  <h3 className="font-medium text-white mb-2">Expected Format:</h3>
+                  <pre className="text-xs text-slate-400 overflow-x-auto">
 {`metabolite,log2FC,pvalue,pathway
 Glucose,-1.5,0.001,Carbohydrate metabolism
 Lactate,2.3,0.0001,Energy metabolism
 Glutamine,-0.8,0.05,Amino acid metabolism`}
-                </pre>
-              </div>
+                  </pre>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -753,41 +2151,164 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
         {/* Analyze Tab */}
         {activeTab === 'analyze' && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Column Mapping */}
+            {rawData && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                <ColumnMappingEditor
+                  headers={headers}
+                  rawData={rawData}
+                  columns={columns}
+                  onChange={setColumns}
+                  onReset={() => setColumns(detectColumns(headers, rawData))}
+                />
+              </div>
+            )}
+
+            {/* Metabolite Identifiers */}
+            {rawData && columns.metabolite && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                <IdentifierPanel
+                  matches={identifierMatches}
+                  synonymIndex={synonymIndex}
+                  synonymSource={synonymTable ? `Imported: ${synonymTable.fileName} + bundled` : 'Bundled table'}
+                  overrides={identifierOverrides}
+                  onOverride={(raw, id) => setIdentifierOverrides(prev => ({ ...prev, [raw]: id }))}
+                  onClearOverrides={() => setIdentifierOverrides({})}
+                  onImportTable={importSynonymTable}
+                  onResetTable={() => setSynonymTable(null)}
+                />
+              </div>
+            )}
+
+            {/* Significance Thresholds */}
+            {rawData && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                <SignificanceSettings
+                  thresholds={thresholds}
+                  onChange={setThresholds}
+                  hasAdjustedColumn={!!columns.adjPValue}
+                  fallbacks={pi0Fallbacks}
+                />
+              </div>
+            )}
+
+            {/* Contrasts */}
+            {groups.length > 1 && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+                <div>
+                  <h2 className="text-lg font-bold text-white">Contrasts</h2>
+                  <p className="text-sm text-slate-400 mt-1">
+                    The table holds {groups.length} groups in "{columns.group}", each corrected for multiple testing on its own.
+                    The summary and plots below show the selected group, or all rows pooled; enrichment needs a single group.
+                  </p>
+                </div>
+                <ContrastSelector
+                  groups={summary.byGroup}
+                  groupCol={columns.group}
+                  value={viewContrast}
+                  onChange={setAnalysisContrast}
+                />
+                {viewContrast.mode === 'compare' && (
+                  <ContrastComparison comparison={comparison} groupSummaries={summary.byGroup} />
+                )}
+              </div>
+            )}
+
+            {/* Time course */}
+            {groups.length > 1 && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                <TimeCoursePanel
+                  value={timeCourse}
+                  detected={timeCourseDetected}
+                  active={timeCourseActive}
+                  groupCol={columns.group}
+                  timepoints={timepoints}
+                  clusters={trajectoryClusters}
+                  selected={selectedMetabolite}
+                  onSelect={setSelectedMetabolite}
+                  onChange={(patch) => setTimeCourse(prev => ({ ...prev, ...patch }))}
+                  inPrompt={generationContrast.mode === 'timecourse'}
+                  onUseInPrompt={() => setContrast({ mode: 'timecourse' })}
+                />
+              </div>
+            )}
+
+            {/* Plots */}
+            {viewSummary && (() => {
+              const selectedRow = selectedMetabolite && viewData.find(row => row[columns.metabolite] === selectedMetabolite);
+              const chartName = baseName(importResult?.fileName);
+              return (
+                <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                  <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                    <VolcanoPlot
+                      data={viewData}
+                      columns={columns}
+                      thresholds={thresholds}
+                      selected={selectedMetabolite}
+                      onSelect={setSelectedMetabolite}
+                      fileName={`${chartName}_volcano`}
+                    />
+                    <WaterfallChart
+                      data={viewData}
+                      columns={columns}
+                      thresholds={thresholds}
+                      selected={selectedMetabolite}
+                      onSelect={setSelectedMetabolite}
+                      fileName={`${chartName}_waterfall`}
+                    />
+                  </div>
+                  {selectedRow && (
+                    <div className="mt-4 p-3 bg-slate-700/50 rounded-lg flex flex-wrap items-center gap-x-6 gap-y-1 text-sm">
+                      <span className="font-medium text-blue-400">{selectedRow[columns.metabolite]}</span>
+                      <span className="text-slate-300">log2FC {selectedRow[columns.foldChange]?.toFixed(3)}</span>
+                      <span className="text-slate-300">p {selectedRow[columns.pValue]?.toExponential(2)}</span>
+                      <span className="text-slate-300">{correctionLabel(thresholds, columns)} {selectedRow[ADJ_P]?.toExponential(2)}</span>
+                      {columns.pathway && <span className="text-slate-400">{selectedRow[columns.pathway]}</span>}
+                      <span className={selectedRow[IS_SIGNIFICANT] ? 'text-green-400' : 'text-slate-500'}>
+                        {selectedRow[IS_SIGNIFICANT] ? 'Significant' : 'Not significant'}
+                      </span>
+                      <button onClick={() => setSelectedMetabolite(null)} className="ml-auto text-xs text-slate-400 hover:text-white">
+                        Clear selection
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
             {/* Data Summary */}
             <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
-              <h2 className="text-lg font-bold text-white mb-4">Data Summary</h2>
-              {summary ? (
+              <h2 className="text-lg font-bold text-white mb-4">
+                Data Summary{viewContrast.mode === 'group' && <span className="text-slate-400 font-normal"> — {viewContrast.group}</span>}
+              </h2>
+              {viewSummary ? (
                 <div className="space-y-4">
                   <div className="grid grid-cols-2 gap-4">
                     <div className="bg-slate-700/50 rounded-lg p-4">
-                      <div className="text-3xl font-bold text-white">{summary.total}</div>
+                      <div className="text-3xl font-bold text-white">{viewSummary.total}</div>
                       <div className="text-sm text-slate-400">Total Metabolites</div>
                     </div>
                     <div className="bg-slate-700/50 rounded-lg p-4">
-                      <div className="text-3xl font-bold text-blue-400">{summary.significant}</div>
+                      <div className="text-3xl font-bold text-blue-400">{viewSummary.significant}</div>
                       <div className="text-sm text-slate-400">Significant Changes</div>
+                      <div className="text-xs text-slate-500 mt-1">{describeSignificanceRule(thresholds, columns, groups.length)}</div>
                     </div>
                     <div className="bg-green-900/30 rounded-lg p-4">
-                      <div className="text-3xl font-bold text-green-400">{summary.increased}</div>
+                      <div className="text-3xl font-bold text-green-400">{viewSummary.increased}</div>
                       <div className="text-sm text-slate-400">Increased</div>
                     </div>
                     <div className="bg-red-900/30 rounded-lg p-4">
-                      <div className="text-3xl font-bold text-red-400">{summary.decreased}</div>
+                      <div className="text-3xl font-bold text-red-400">{viewSummary.decreased}</div>
                       <div className="text-sm text-slate-400">Decreased</div>
                     </div>
                   </div>
 
-                  <div className="border-t border-slate-700 pt-4">
-                    <h3 className="font-medium text-white mb-2">Detected Columns:</h3>
-                    <div className="grid grid-cols-2 gap-2 text-sm">
-                      {Object.entries(columns).map(([key, value]) => (
-                        <div key={key} className="flex justify-between">
-                          <span className="text-slate-400">{key}:</span>
-                          <span className="text-white">{value || 'Not detected'}</span>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
+                  <button
+                    onClick={exportAnnotatedTable}
+                    className="w-full py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm transition-colors"
+                  >
+                    Export annotated table (CSV)
+                  </button>
                 </div>
               ) : (
                 <p className="text-slate-400">Upload data to see summary</p>
@@ -796,13 +2317,15 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
 
             {/* Top Changes */}
             <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
-              <h2 className="text-lg font-bold text-white mb-4">Top Changes</h2>
-              {summary ? (
+              <h2 className="text-lg font-bold text-white mb-4">
+                Top Changes{viewContrast.mode === 'group' && <span className="text-slate-400 font-normal"> — {viewContrast.group}</span>}
+              </h2>
+              {viewSummary ? (
                 <div className="space-y-4">
                   <div>
                     <h3 className="text-sm font-medium text-green-400 mb-2">↑ Top Increased</h3>
                     <div className="space-y-1">
-                      {summary.topIncreased.slice(0, 5).map((row, i) => (
+                      {viewSummary.topIncreased.slice(0, 5).map((row, i) => (
                         <div key={i} className="flex justify-between text-sm">
                           <span className="text-slate-300">{row[columns.metabolite]}</span>
                           <span className="text-green-400">+{row[columns.foldChange]?.toFixed(2)}</span>
@@ -813,7 +2336,7 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                   <div>
                     <h3 className="text-sm font-medium text-red-400 mb-2">↓ Top Decreased</h3>
                     <div className="space-y-1">
-                      {summary.topDecreased.slice(0, 5).map((row, i) => (
+                      {viewSummary.topDecreased.slice(0, 5).map((row, i) => (
                         <div key={i} className="flex justify-between text-sm">
                           <span className="text-slate-300">{row[columns.metabolite]}</span>
                           <span className="text-red-400">{row[columns.foldChange]?.toFixed(2)}</span>
@@ -827,11 +2350,28 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
               )}
             </div>
 
+            {/* Pathway Enrichment */}
+            {summary && (
+              <div className="lg:col-span-2 bg-slate-800 rounded-xl p-6 border border-slate-700">
+                <EnrichmentPanel
+                  enrichment={enrichment}
+                  running={enrichmentRunning}
+                  source={enrichmentSource}
+                  onSourceChange={setEnrichmentSource}
+                  hasPathwayColumn={!!columns.pathway}
+                  library={setLibrary}
+                  onImportLibrary={importSetLibrary}
+                  blocker={enrichmentBlocker}
+                  onRun={runEnrichment}
+                />
+              </div>
+            )}
+
             {/* Literature Analysis Button */}
             <div className="lg:col-span-2">
               <button
                 onClick={generateLiteratureAnalysis}
-                disabled={!data || !apiKey || loading.literature}
+                disabled={!data || !!generationBlocker('literature') || loading.literature}
                 className="w-full py-4 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 text-white rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
               >
                 {loading.literature ? (
@@ -841,9 +2381,34 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                 )}
               </button>
 
+              {streams.literature && (
+                <div className="mt-4">
+                  <StreamingStatus
+                    label="Analyzing literature"
+                    stream={streams.literature}
+                    maxTokens={config.maxTokens}
+                    onStop={() => stopStream('literature')}
+                    onContinue={() => continueStream('literature')}
+                    onAcceptPartial={() => acceptPartialStream('literature')}
+                    onRetry={() => retryStream('literature')}
+                    onDismiss={() => clearStream('literature')}
+                    showPreview
+                  />
+                </div>
+              )}
+
               {literatureAnalysis && (
                 <div className="mt-4 bg-slate-800 rounded-xl p-6 border border-slate-700">
                   <h3 className="font-bold text-white mb-4">Literature Analysis</h3>
+                  {latestLiteratureRun && (
+                    <div className="mb-4">
+                      <ValidationIssues
+                        issues={latestLiteratureRun.issues}
+                        onRepair={() => repairRun(latestLiteratureRun.id)}
+                        repairing={repairingRunId === latestLiteratureRun.id}
+                      />
+                    </div>
+                  )}
                   <pre className="text-xs text-slate-300 overflow-auto max-h-64">
                     {JSON.stringify(literatureAnalysis, null, 2)}
                   </pre>
@@ -857,9 +2422,14 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
         {activeTab === 'generate' && (
           <div className="max-w-4xl mx-auto">
             <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 mb-6">
-              <h2 className="text-lg font-bold text-white mb-4">Select Hypothesis Type</h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-bold text-white">Select Hypothesis Type</h2>
+                <button onClick={() => setActiveTab('prompts')} className="text-xs text-slate-400 hover:text-white">
+                  Edit types and prompts
+                </button>
+              </div>
               <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-                {HYPOTHESIS_TYPES.map(type => (
+                {hypothesisTypes.map(type => (
                   <button
                     key={type.id}
                     onClick={() => setSelectedType(type.id)}
@@ -891,11 +2461,52 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                   />
                 </div>
               )}
+
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Organism / study system <span className="text-slate-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  value={organism}
+                  onChange={(e) => setOrganism(e.target.value)}
+                  placeholder="e.g. Homo sapiens plasma, Mus musculus liver"
+                  className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400"
+                />
+              </div>
+
+              {groups.length > 1 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Contrast</label>
+                  <ContrastSelector
+                    groups={summary.byGroup}
+                    groupCol={columns.group}
+                    value={generationContrast}
+                    onChange={setContrast}
+                    allowTimeCourse={timeCourseActive}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">{CONTRAST_HINTS[generationContrast.mode]}</p>
+                </div>
+              )}
+
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-slate-300 mb-2">Number of hypotheses</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_HYPOTHESES}
+                  value={nHypotheses}
+                  onChange={(e) => setNHypotheses(Math.min(MAX_HYPOTHESES, Math.max(1, parseInt(e.target.value) || 1)))}
+                  className="w-32 px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  Also the batch size of "Generate more" on the Results tab. Larger batches need a higher max tokens setting.
+                </p>
+              </div>
             </div>
 
             <button
               onClick={generateHypotheses}
-              disabled={!data || !apiKey || !selectedType || loading.hypotheses}
+              disabled={!data || !!generationBlocker('hypothesis') || !selectedType || loading.hypotheses}
               className="w-full py-4 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
             >
               {loading.hypotheses ? (
@@ -904,138 +2515,334 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                 <><Brain className="w-5 h-5" /> Generate Hypotheses with Bayesian Analysis</>
               )}
             </button>
+            {data && generationBlocker('hypothesis') && (
+              <p className="text-sm text-yellow-300 text-center">{generationBlocker('hypothesis')}</p>
+            )}
           </div>
         )}
 
         {/* Results Tab */}
         {activeTab === 'results' && (
           <div className="space-y-6">
-            {hypotheses ? (
-              hypotheses.map((hyp, idx) => (
-                <div key={idx} className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
-                  {/* Header */}
-                  <div 
-                    className="p-6 cursor-pointer hover:bg-slate-700/50 transition-colors"
-                    onClick={() => setExpandedHypothesis(expandedHypothesis === idx ? null : idx)}
-                  >
-                    <div className="flex items-start justify-between">
-                      <div className="flex items-center gap-4">
-                        <span className="text-4xl font-bold text-blue-400">#{hyp.rank}</span>
-                        <div>
-                          <h3 className="text-lg font-semibold text-white">{hyp.title}</h3>
-                          <p className="text-slate-400 text-sm mt-1 line-clamp-2">{hyp.hypothesis}</p>
+            {streams.hypothesis && !moreStream && hypothesisStreamView}
+            {historyRuns.length > 0 && (
+              <RunHistory
+                runs={historyRuns}
+                viewedRunId={viewedRun?.id}
+                onView={(id) => {
+                  setViewedRunId(id);
+                  setExpandedHypothesis(null);
+                }}
+                onTogglePin={togglePinRun}
+                onClearUnpinned={clearUnpinnedRuns}
+                typeLabel={typeLabel}
+                posteriorOptions={posteriorOptions}
+                recurrence={recurrence}
+                matchMetabolites={matchMetabolites}
+              />
+            )}
+            {viewedIssues.has(-1) && (
+              <ValidationIssues
+                issues={viewedIssues.get(-1)}
+                onRepair={() => repairRun(viewedRun.id)}
+                repairing={repairingRunId === viewedRun.id}
+              />
+            )}
+            {streamActive('hypothesis') && !streams.hypothesis.runId ? null : hypotheses ? (
+              hypotheses.map((hyp, idx) => {
+                const cluster = recurrence.byHypothesis.get(`${viewedRun.id}:${idx}`);
+                const issues = viewedIssues.get(idx) || [];
+                const followUps = (viewedRun.followUps || []).filter(f => f.index === idx);
+                const edits = followUps.filter(f => EDIT_KINDS.includes(f.kind));
+                const refineStream = streams.refine?.runId === viewedRun.id && streams.refine.index === idx ? streams.refine : null;
+                const chatStream = streams.chat?.runId === viewedRun.id && streams.chat.index === idx ? streams.chat : null;
+                const violations = issues.filter(i => i.severity === 'error').length;
+                const posterior = viewedPosteriors[idx];
+                const grounding = viewedGrounding[idx];
+                // Worst grounding status per evidence item, for its icon
+                const evidenceStatus = (i) => {
+                  const statuses = (grounding?.claims || []).filter(c => c.field === 'evidence' && c.item === i).map(c => c.status);
+                  return ['mismatch', 'absent', 'verified'].find(status => statuses.includes(status)) || null;
+                };
+                return (
+                  <div key={idx} className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+                    {/* Header */}
+                    <div 
+                      className="p-6 cursor-pointer hover:bg-slate-700/50 transition-colors"
+                      onClick={() => setExpandedHypothesis(expandedHypothesis === idx ? null : idx)}
+                    >
+                      <div className="flex items-start justify-between">
+                        <div className="flex items-center gap-4">
+                          <span className="text-4xl font-bold text-blue-400">#{hyp.rank}</span>
+                          <div>
+                            <h3 className="text-lg font-semibold text-white">{hyp.title}</h3>
+                            <p className="text-slate-400 text-sm mt-1 line-clamp-2">{hyp.hypothesis}</p>
+                            {cluster?.runCount > 1 && (
+                              <span className="inline-block mt-2 px-2 py-0.5 text-xs rounded-full bg-green-500/10 text-green-300 border border-green-500/30">
+                                Recurs in {cluster.runCount}/{recurrence.runCount} runs
+                              </span>
+                            )}
+                            {violations > 0 && (
+                              <span className="inline-block mt-2 ml-2 px-2 py-0.5 text-xs rounded-full bg-red-500/10 text-red-300 border border-red-500/30">
+                                {violations} schema violation{violations === 1 ? '' : 's'}
+                              </span>
+                            )}
+                            <GroundingBadge grounding={grounding} />
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-4">
+                          {posterior?.computed && (
+                            <ConfidenceBadge
+                              probability={posterior.posterior}
+                              ci={posterior.interval}
+                              mismatch={posterior.mismatch}
+                            />
+                          )}
+                          {expandedHypothesis === idx ? (
+                            <ChevronDown className="w-5 h-5 text-slate-400" />
+                          ) : (
+                            <ChevronRight className="w-5 h-5 text-slate-400" />
+                          )}
                         </div>
-                      </div>
-                      <div className="flex items-center gap-4">
-                        {hyp.bayesian_analysis && (
-                          <ConfidenceBadge 
-                            probability={hyp.bayesian_analysis.posterior_probability}
-                            ci={hyp.bayesian_analysis.confidence_interval}
-                          />
-                        )}
-                        {expandedHypothesis === idx ? (
-                          <ChevronDown className="w-5 h-5 text-slate-400" />
-                        ) : (
-                          <ChevronRight className="w-5 h-5 text-slate-400" />
-                        )}
                       </div>
                     </div>
-                  </div>
 
-                  {/* Expanded Content */}
-                  {expandedHypothesis === idx && (
-                    <div className="px-6 pb-6 border-t border-slate-700">
-                      {/* Bayesian Analysis */}
-                      <BayesianVisualization analysis={hyp.bayesian_analysis} />
-
-                      {/* Evidence */}
-                      <div className="mt-6">
-                        <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
-                          Supporting Evidence
-                        </h4>
-                        <ul className="space-y-1">
-                          {hyp.evidence?.map((e, i) => (
-                            <li key={i} className="flex items-start gap-2 text-slate-300 text-sm">
-                              <CheckCircle className="w-4 h-4 text-green-400 mt-0.5 flex-shrink-0" />
-                              {e}
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
+                    {/* Expanded Content */}
+                    {expandedHypothesis === idx && (
+                      <div className="px-6 pb-6 border-t border-slate-700">
+                        {/* Schema Issues */}
+                        {issues.length > 0 && (
+                          <div className="mt-4">
+                            <ValidationIssues
+                              issues={issues}
+                              onRepair={viewedRun.followUps?.length
+                                ? () => refineHypothesis(viewedRun, idx, repairCritique(issues))
+                                : () => repairRun(viewedRun.id)}
+                              repairing={repairingRunId === viewedRun.id || Boolean(refineStream)}
+                            />
+                          </div>
+                        )}
 
-                      {/* Mechanism */}
-                      <div className="mt-6">
-                        <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
-                          Proposed Mechanism
-                        </h4>
-                        <p className="text-slate-300 text-sm bg-slate-700/50 p-4 rounded-lg">
-                          {hyp.mechanism}
-                        </p>
-                      </div>
+                        {/* Bayesian Analysis */}
+                        <BayesianVisualization analysis={hyp.bayesian_analysis} result={posterior} />
+
+                        {/* Sensitivity */}
+                        {posterior?.computed && (
+                          <SensitivityExplorer
+                            key={`${viewedRun.id}:${idx}:${edits.length}:${posterior.mode}`}
+                            result={posterior}
+                            others={hypotheses
+                              .map((other, i) => ({ title: other.title, posterior: viewedPosteriors[i] }))
+                              .filter((other, i) => i !== idx && other.posterior?.computed)
+                              .map(other => ({ title: other.title, posterior: other.posterior.posterior }))}
+                          />
+                        )}
 
-                      {/* Predictions */}
-                      <div className="mt-6">
-                        <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
-                          Testable Predictions
-                        </h4>
-                        <ul className="space-y-1">
-                          {hyp.predictions?.map((p, i) => (
-                            <li key={i} className="flex items-start gap-2 text-slate-300 text-sm">
-                              <span className="text-yellow-400">→</span>
-                              {p}
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
+                        {/* Evidence */}
+                        <div className="mt-6">
+                          <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
+                            Supporting Evidence
+                          </h4>
+                          <ul className="space-y-1">
+                            {hyp.evidence?.map((e, i) => {
+                              const status = evidenceStatus(i);
+                              return (
+                                <li key={i} className="flex items-start gap-2 text-slate-300 text-sm">
+                                  {status === 'mismatch' || status === 'absent' ? (
+                                    <AlertCircle className={`w-4 h-4 mt-0.5 flex-shrink-0 ${status === 'mismatch' ? 'text-red-400' : 'text-yellow-400'}`} />
+                                  ) : (
+                                    <CheckCircle className={`w-4 h-4 mt-0.5 flex-shrink-0 ${status === 'verified' || !grounding ? 'text-green-400' : 'text-slate-500'}`} />
+                                  )}
+                                  {e}
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        </div>
 
-                      {/* Alternative Explanations */}
-                      {hyp.alternative_explanations && (
+                        {/* Mechanism */}
                         <div className="mt-6">
                           <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
-                            Alternative Explanations
+                            Proposed Mechanism
                           </h4>
-                          <p className="text-slate-400 text-sm italic">{hyp.alternative_explanations}</p>
+                          <p className="text-slate-300 text-sm bg-slate-700/50 p-4 rounded-lg">
+                            {hyp.mechanism}
+                          </p>
                         </div>
-                      )}
 
-                      {/* Generate Experimental Design */}
-                      <div className="mt-6 pt-6 border-t border-slate-700">
-                        <button
-                          onClick={() => generateExperimentalDesign(hyp)}
-                          disabled={loading.experimental}
-                          className="px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 text-white rounded-lg font-medium transition-colors flex items-center gap-2"
-                        >
-                          {loading.experimental ? (
-                            <><Loader2 className="w-4 h-4 animate-spin" /> Designing...</>
-                          ) : (
-                            <><FlaskConical className="w-4 h-4" /> Generate Experimental Protocol</>
-                          )}
-                        </button>
+                        {/* Predictions */}
+                        <div className="mt-6">
+                          <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
+                            Testable Predictions
+                          </h4>
+                          <ul className="space-y-1">
+                            {hyp.predictions?.map((p, i) => (
+                              <li key={i} className="flex items-start gap-2 text-slate-300 text-sm">
+                                <span className="text-yellow-400">→</span>
+                                {p}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+
+                        {/* Grounding */}
+                        {grounding && <GroundingReport grounding={grounding} />}
+
+                        {/* Alternative Explanations */}
+                        {hyp.alternative_explanations && (
+                          <div className="mt-6">
+                            <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
+                              Alternative Explanations
+                            </h4>
+                            <p className="text-slate-400 text-sm italic">{hyp.alternative_explanations}</p>
+                          </div>
+                        )}
+
+                        {/* Discussion */}
+                        <HypothesisChat
+                          exchanges={followUps.filter(f => f.kind === 'chat')}
+                          pending={chatStream && chatStream.status !== 'failed' ? chatStream : null}
+                          onAsk={(question) => askAboutHypothesis(viewedRun, idx, question)}
+                          onAccept={(followUpId) => acceptProposal(viewedRun, followUpId)}
+                          onReject={(followUpId) => setProposalStatus(viewedRun.id, followUpId, 'rejected')}
+                          busy={loading.chat || loading.refine || loading.hypotheses}
+                          blocker={generationBlocker('chat')}
+                        />
+                        {chatStream && (
+                          <div className="mt-3">
+                            <StreamingStatus
+                              label="Answering"
+                              stream={chatStream}
+                              maxTokens={config.maxTokens}
+                              onStop={() => stopStream('chat')}
+                              onContinue={() => continueStream('chat')}
+                              onAcceptPartial={() => acceptPartialStream('chat')}
+                              onRetry={() => retryStream('chat')}
+                              onDismiss={() => clearStream('chat')}
+                            />
+                          </div>
+                        )}
+
+                        {/* Refinement */}
+                        {refineStream && (
+                          <div className="mt-6">
+                            <StreamingStatus
+                              label="Refining hypothesis"
+                              stream={refineStream}
+                              maxTokens={config.maxTokens}
+                              onStop={() => stopStream('refine')}
+                              onContinue={() => continueStream('refine')}
+                              onAcceptPartial={() => acceptPartialStream('refine')}
+                              onRetry={() => retryStream('refine')}
+                              onDismiss={() => clearStream('refine')}
+                            />
+                          </div>
+                        )}
+                        <RefinePanel
+                          history={edits}
+                          onRefine={(critique) => refineHypothesis(viewedRun, idx, critique)}
+                          onRestore={(followUpId) => restoreHypothesis(viewedRun, followUpId)}
+                          refining={Boolean(refineStream)}
+                          busy={loading.refine || loading.hypotheses || loading.chat}
+                          blocker={generationBlocker('refine')}
+                        />
+
+                        {/* Generate Experimental Design */}
+                        <div className="mt-6 pt-6 border-t border-slate-700">
+                          <button
+                            onClick={() => generateExperimentalDesign(hyp)}
+                            disabled={loading.experimental || !!generationBlocker('experimental')}
+                            title={generationBlocker('experimental') || undefined}
+                            className="px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 text-white rounded-lg font-medium transition-colors flex items-center gap-2"
+                          >
+                            {loading.experimental ? (
+                              <><Loader2 className="w-4 h-4 animate-spin" /> Designing...</>
+                            ) : (
+                              <><FlaskConical className="w-4 h-4" /> Generate Experimental Protocol</>
+                            )}
+                          </button>
+                        </div>
                       </div>
-                    </div>
-                  )}
-                </div>
-              ))
+                    )}
+                  </div>
+                );
+              })
             ) : (
               <div className="text-center py-12">
                 <Brain className="w-16 h-16 text-slate-600 mx-auto mb-4" />
                 <p className="text-slate-400">No hypotheses generated yet. Go to the Generate tab to start.</p>
               </div>
             )}
+            {moreStream && hypothesisStreamView}
+            {hypotheses && (
+              <div className="flex flex-col items-center gap-2">
+                <button
+                  onClick={() => generateMoreHypotheses(viewedRun)}
+                  disabled={!data || !!generationBlocker('hypothesis') || loading.hypotheses || loading.refine}
+                  title={!data ? 'Load the dataset to generate more' : generationBlocker('hypothesis') || undefined}
+                  className="px-6 py-3 bg-slate-700 hover:bg-slate-600 disabled:bg-slate-800 disabled:text-slate-500 text-white rounded-lg font-medium transition-colors flex items-center gap-2"
+                >
+                  {loading.hypotheses && moreStream ? (
+                    <><Loader2 className="w-4 h-4 animate-spin" /> Generating...</>
+                  ) : (
+                    <><Plus className="w-4 h-4" /> Generate {nHypotheses} more</>
+                  )}
+                </button>
+                <p className="text-xs text-slate-500">New hypotheses are added to this run; the ones above are excluded.</p>
+              </div>
+            )}
           </div>
         )}
 
         {/* Experimental Design Tab */}
         {activeTab === 'experimental' && (
           <div className="max-w-4xl mx-auto">
+            {streams.experimental && (
+              <div className="mb-6">
+                <StreamingStatus
+                  label="Designing experimental protocol"
+                  stream={streams.experimental}
+                  maxTokens={config.maxTokens}
+                  onStop={() => stopStream('experimental')}
+                  onContinue={() => continueStream('experimental')}
+                  onAcceptPartial={() => acceptPartialStream('experimental')}
+                  onRetry={() => retryStream('experimental')}
+                  onDismiss={() => clearStream('experimental')}
+                  showPreview
+                />
+              </div>
+            )}
             {experimentalDesign ? (
               <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
                 <h2 className="text-xl font-bold text-white mb-2">
                   Experimental Protocol
                 </h2>
-                <p className="text-slate-400 mb-6">For hypothesis: {experimentalDesign.hypothesis}</p>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                  <p className="text-slate-400">For hypothesis: {experimentalDesign.hypothesis}</p>
+                  {protocols.length > 1 && (
+                    <select
+                      value={experimentalDesign.runId || ''}
+                      onChange={(e) => setExperimentalDesign(protocols.find(p => p.runId === e.target.value))}
+                      className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                    >
+                      {protocols.map(p => (
+                        <option key={p.runId} value={p.runId}>
+                          {p.hypothesis} ({new Date(p.createdAt).toLocaleString()})
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
                 
                 <div className="space-y-6">
+                  {protocolRun && (
+                    <ValidationIssues
+                      issues={protocolRun.issues}
+                      onRepair={() => repairRun(protocolRun.id)}
+                      repairing={repairingRunId === protocolRun.id}
+                    />
+                  )}
+
                   {/* Primary Experiment */}
                   {experimentalDesign.primary_experiment && (
                     <div className="bg-slate-700/50 rounded-lg p-4">
@@ -1099,7 +2906,7 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                   </details>
                 </div>
               </div>
-            ) : (
+            ) : !streamActive('experimental') && (
               <div className="text-center py-12">
                 <FlaskConical className="w-16 h-16 text-slate-600 mx-auto mb-4" />
                 <p className="text-slate-400">
@@ -1111,6 +2918,80 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
           </div>
         )}
 
+        {/* Report Tab */}
+        {activeTab === 'report' && (() => {
+          const reportName = baseName(importResult?.fileName);
+          const reportRuns = [
+            viewedRun,
+            latestLiteratureRun,
+            ...runs.filter(run => protocols.some(p => p.runId === run.id))
+          ].filter(Boolean);
+          const pooledNote = groups.length > 1 ? `, all ${columns.group} groups pooled` : '';
+          const figures = data ? [
+            {
+              id: 'volcano',
+              caption: `Volcano plot of log2 fold change against significance${pooledNote}`,
+              element: <VolcanoPlot data={data} columns={columns} thresholds={thresholds} />
+            },
+            {
+              id: 'waterfall',
+              caption: `Significant changes ranked by log2 fold change${pooledNote}`,
+              element: <WaterfallChart data={data} columns={columns} thresholds={thresholds} />
+            },
+            ...trajectoryClusters.filter(cluster => cluster.id !== 'stable').map(cluster => ({
+              id: `trajectories_${cluster.id}`,
+              caption: `${cluster.label} trajectories across ${columns.group} (${cluster.description}); filled points are significant`,
+              element: (
+                <TrajectoryPlot
+                  title={cluster.label}
+                  trajectories={cluster.members}
+                  timepoints={timepoints}
+                  baseline={timeCourse.baseline}
+                />
+              )
+            }))
+          ] : [];
+          return (
+            <ReportBuilder
+              inputs={{
+                projectName: project?.name,
+                fileName: importResult?.fileName,
+                summary,
+                columns,
+                thresholds,
+                groups,
+                differential,
+                enrichment,
+                timeCourse: timeCourseActive
+                  ? { clusters: trajectoryClusters, timepoints, baseline: timeCourse.baseline, groupCol: columns.group }
+                  : null,
+                qualityChecks,
+                exclusions,
+                totalRows: rawData?.length || 0,
+                hypotheses,
+                posteriors: viewedPosteriors,
+                run: viewedRun,
+                typeLabel: viewedRun ? typeLabel(viewedRun.hypothesisType) : null,
+                literature: literatureAnalysis,
+                protocols,
+                runs: reportRuns
+              }}
+              figures={figures}
+              defaultTitle={project?.name ? `${project.name}: metabolomics hypothesis report` : 'Metabolomics hypothesis report'}
+              fileName={reportName}
+            />
+          );
+        })()}
+
+        {/* Prompts Tab */}
+        {activeTab === 'prompts' && (
+          <PromptLibrary
+            library={promptLibrary}
+            onChange={setPromptLibrary}
+            getPreviewInputs={previewInputs}
+          />
+        )}
+
         {/* Settings Tab */}
         {activeTab === 'settings' && (
           <div className="max-w-2xl mx-auto">
@@ -1118,9 +2999,87 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
               <h2 className="text-lg font-bold text-white mb-6">API Settings</h2>
               
               <div className="space-y-6">
+                <div className="p-4 bg-slate-700/30 rounded-lg border border-slate-700 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-slate-300">API Server</span>
+                    <button onClick={refreshServerStatus} className="text-xs text-slate-400 hover:text-white">Refresh</button>
+                  </div>
+                  {!serverStatus ? (
+                    <p className="text-sm text-red-300">
+                      Not reachable. Start it with <code className="text-slate-300">npm run server</code>; only the Mock provider works without it.
+                    </p>
+                  ) : (
+                    <ul className="text-sm text-slate-400 space-y-1">
+                      <li>
+                        Providers: {PROVIDERS.filter(p => serverStatus.providers?.[p.id]?.configured).map(p => p.label).join(', ') || 'none configured'}
+                      </li>
+                      {serverStatus.user && <li>Signed in as <span className="text-slate-300">{serverStatus.user}</span></li>}
+                      {serverStatus.budget && (
+                        <li>
+                          Token budget: {serverStatus.budget.used.toLocaleString()} of {serverStatus.budget.tokens.toLocaleString()} used
+                          (per {serverStatus.budget.periodHours}h)
+                        </li>
+                      )}
+                      <li>Rate limit: {serverStatus.rateLimit.requests} requests per {serverStatus.rateLimit.windowSeconds}s</li>
+                    </ul>
+                  )}
+                  {serverStatus?.authRequired && (
+                    <input
+                      type="password"
+                      placeholder="Server access token (never saved)"
+                      value={serverToken}
+                      onChange={(e) => setServerToken(e.target.value)}
+                      className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm"
+                    />
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Provider per Task
+                  </label>
+                  <div className="space-y-2">
+                    {PROVIDER_TASKS.map(task => (
+                      <div key={task.id} className="flex items-center gap-3">
+                        <span className="w-40 text-sm text-slate-400">{task.label}</span>
+                        <select
+                          value={providerFor(config, task.id)}
+                          onChange={(e) => setConfig({ ...config, providers: { ...config.providers, [task.id]: e.target.value } })}
+                          className="flex-1 px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+                        >
+                          {PROVIDERS.map(provider => (
+                            <option key={provider.id} value={provider.id}>{provider.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <ul className="text-xs text-slate-500 mt-2 space-y-0.5">
+                    {PROVIDERS.map(provider => (
+                      <li key={provider.id}><span className="text-slate-400">{provider.label}:</span> {provider.description}</li>
+                    ))}
+                  </ul>
+                </div>
+
+                {PROVIDER_TASKS.some(task => providerFor(config, task.id) === 'openai') && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">OpenAI-compatible Model</label>
+                    <input
+                      type="text"
+                      value={config.openaiModel}
+                      onChange={(e) => setConfig({ ...config, openaiModel: e.target.value })}
+                      placeholder={serverStatus?.providers?.openai?.model || 'e.g. meta-llama/Llama-3.1-70B-Instruct'}
+                      className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 text-sm"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">
+                      The endpoint URL is set on the API server (OPENAI_BASE_URL). Leave empty to use the server's default model.
+                    </p>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-slate-300 mb-2">
-                    Model
+                    Anthropic Model
                   </label>
                   <select
                     value={config.model}
@@ -1165,9 +3124,100 @@ Glutamine,-0.8,0.05,Amino acid metabolism`}
                     Lower = more focused, Higher = more creative
                   </p>
                 </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Retries</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="8"
+                      value={config.maxRetries}
+                      onChange={(e) => setConfig({ ...config, maxRetries: Math.max(0, parseInt(e.target.value) || 0) })}
+                      className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Timeout (s)</label>
+                    <input
+                      type="number"
+                      min="5"
+                      max="600"
+                      value={config.requestTimeout}
+                      onChange={(e) => setConfig({ ...config, requestTimeout: Math.max(5, parseInt(e.target.value) || 5) })}
+                      className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Parallel requests</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="4"
+                      value={config.maxConcurrentRequests}
+                      onChange={(e) => setConfig({ ...config, maxConcurrentRequests: Math.max(1, parseInt(e.target.value) || 1) })}
+                      className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                    />
+                  </div>
+                  <p className="col-span-3 text-xs text-slate-500">
+                    Rate limits, overloads, timeouts and network errors are retried with exponential backoff, waiting as
+                    long as the server's Retry-After asks. The timeout counts seconds without any data from the model.
+                    Further generations wait in a queue.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">
+                    Posterior Computation
+                  </label>
+                  <select
+                    value={config.posteriorMode}
+                    onChange={(e) => setConfig({ ...config, posteriorMode: e.target.value })}
+                    className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+                  >
+                    {POSTERIOR_MODES.map(mode => (
+                      <option key={mode.id} value={mode.id}>{mode.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {POSTERIOR_MODES.find(mode => mode.id === config.posteriorMode)?.description}.
+                    Posteriors are computed with Bayes' theorem; the model's own posterior is only used to flag inconsistencies.
+                  </p>
+                </div>
+
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={config.autoRepair}
+                    onChange={(e) => setConfig({ ...config, autoRepair: e.target.checked })}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block text-sm font-medium text-slate-300">Repair invalid responses automatically</span>
+                    <span className="block text-xs text-slate-500">
+                      When a response violates its schema, send the violations back to the model once and keep the
+                      corrected answer if it is better
+                    </span>
+                  </span>
+                </label>
               </div>
             </div>
 
+            <UsagePanel
+              projectEntries={usageLog}
+              sessionEntries={sessionUsage}
+              projectSummary={projectUsageSummary}
+              sessionSummary={sessionUsageSummary}
+              hasProject={Boolean(project)}
+              prices={prices}
+              onPricesChange={setPrices}
+              budget={config.costBudget}
+              tokenBudget={config.tokenBudget}
+              budgetScope={config.costBudgetScope}
+              onBudgetChange={(patch) => setConfig(prev => ({ ...prev, ...patch }))}
+              budgetError={budgetError()}
+            />
+
             <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 mt-6">
               <h2 className="text-lg font-bold text-white mb-4">About This Tool</h2>
               <div className="text-sm text-slate-400 space-y-2">
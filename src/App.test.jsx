@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import React, { act } from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderToString } from 'react-dom/server';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import sampleCsv from '../sample_data.csv?raw';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+// No API server in tests
+vi.stubGlobal('fetch', () => Promise.reject(new TypeError('Failed to fetch')));
+
+const TABS = ['Projects', 'Upload Data', 'Analyze', 'Generate', 'Results', 'Experimental Design', 'Report', 'Prompts', 'Settings'];
+
+const tabButton = (container, label) => [...container.querySelectorAll('nav button')].find(b => b.textContent === label);
+
+describe('App', () => {
+  let root = null;
+  let container = null;
+  afterEach(() => {
+    act(() => root?.unmount());
+    container?.remove();
+    root = null;
+  });
+
+  // Waits for the mount effects (status check, last project) to settle
+  const mount = async () => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    await act(async () => {
+      root = createRoot(container);
+      root.render(<App />);
+      await new Promise(resolve => setTimeout(resolve, 50));
+    });
+  };
+
+  // Some tabs load asynchronously (the Projects list), so let them settle too
+  const openTab = async (label) => {
+    await act(async () => {
+      tabButton(container, label).click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    });
+    expect(tabButton(container, label).className).toContain('text-blue-400');
+  };
+
+  it('renders to a string', () => {
+    expect(renderToString(<App />)).toContain('Upload Data');
+  });
+
+  it('mounts and opens every tab', async () => {
+    await mount();
+    for (const label of TABS) await openTab(label);
+  });
+
+  it('loads the sample data and opens every tab with it', async () => {
+    await mount();
+    const file = new File([sampleCsv], 'sample_data.csv', { type: 'text/csv' });
+    const input = container.querySelector('input[type="file"]');
+    Object.defineProperty(input, 'files', { value: [file] });
+    await act(async () => {
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+    });
+    expect(tabButton(container, 'Analyze').className).toContain('text-blue-400');
+    expect(container.textContent).toContain('Data Summary');
+    for (const label of TABS) await openTab(label);
+  });
+});
@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { exportSvg, exportPng } from '../lib/charts';
+
+export default function ChartExportButtons({ svgRef, fileName }) {
+  const [error, setError] = useState(null);
+
+  const exportChart = async (format) => {
+    setError(null);
+    try {
+      if (format === 'svg') {
+        exportSvg(svgRef.current, `${fileName}.svg`);
+      } else {
+        await exportPng(svgRef.current, `${fileName}.png`);
+      }
+    } catch (err) {
+      setError(`Chart export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-400">{error}</span>}
+      {['svg', 'png'].map(format => (
+        <button
+          key={format}
+          onClick={() => exportChart(format)}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-slate-400 hover:text-white bg-slate-700/50 rounded transition-colors"
+        >
+          <Download className="w-3 h-3" /> {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
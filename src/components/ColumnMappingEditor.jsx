@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { AlertCircle, CheckCircle, RotateCcw } from 'lucide-react';
+import { COLUMN_ROLES, FOLD_CHANGE_SCALES, validateColumnMapping, isNumericColumn, toLog2FoldChange } from '../lib/columns';
+
+const PREVIEW_ROWS = 5;
+
+export default function ColumnMappingEditor({ headers, rawData, columns, onChange, onReset }) {
+  const issues = useMemo(() => validateColumnMapping(rawData, columns), [rawData, columns]);
+  const numericHeaders = useMemo(
+    () => new Set(headers.filter(h => isNumericColumn(rawData, h))),
+    [headers, rawData]
+  );
+  const roleByHeader = useMemo(() => {
+    const lookup = {};
+    COLUMN_ROLES.forEach(role => {
+      if (columns[role.key]) lookup[columns[role.key]] = role.label;
+    });
+    return lookup;
+  }, [columns]);
+
+  const setRole = (key, header) => {
+    const next = { ...columns, [key]: header || undefined };
+    // Free the header from any role that previously held it
+    COLUMN_ROLES.forEach(role => {
+      if (role.key !== key && header && next[role.key] === header) next[role.key] = undefined;
+    });
+    onChange(next);
+  };
+
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return <span className="text-slate-600">—</span>;
+    if (typeof value === 'number') return Math.abs(value) < 0.001 && value !== 0 ? value.toExponential(2) : +value.toFixed(4);
+    return String(value);
+  };
+
+  const preview = (rawData || []).slice(0, PREVIEW_ROWS);
+  const fcCol = columns.foldChange;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-white">Column Mapping</h3>
+        <button
+          onClick={onReset}
+          className="flex items-center gap-1 text-xs text-slate-400 hover:text-white transition-colors"
+        >
+          <RotateCcw className="w-3 h-3" /> Auto-detect
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {COLUMN_ROLES.map(role => {
+          const roleIssues = issues[role.key] || [];
+          return (
+            <div key={role.key}>
+              <div className="flex items-center gap-3">
+                <label className="w-36 text-sm text-slate-400">
+                  {role.label}{role.required && <span className="text-red-400">*</span>}
+                </label>
+                <select
+                  value={columns[role.key] || ''}
+                  onChange={(e) => setRole(role.key, e.target.value)}
+                  className="flex-1 px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+                >
+                  <option value="">— Not mapped —</option>
+                  {headers.map(h => (
+                    <option key={h} value={h}>
+                      {h}{role.numeric && !numericHeaders.has(h) ? ' (non-numeric)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {roleIssues.length === 0 ? (
+                  <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+                ) : (
+                  <AlertCircle className="w-4 h-4 text-yellow-400 flex-shrink-0" />
+                )}
+              </div>
+              {roleIssues.map((msg, i) => (
+                <p key={i} className="ml-36 pl-3 text-xs text-yellow-300 mt-1">{msg}</p>
+              ))}
+            </div>
+          );
+        })}
+
+        <div className="flex items-center gap-3">
+          <label className="w-36 text-sm text-slate-400">Fold change scale</label>
+          <select
+            value={columns.foldChangeScale || 'log2'}
+            onChange={(e) => onChange({ ...columns, foldChangeScale: e.target.value })}
+            disabled={!fcCol}
+            className="flex-1 px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            {FOLD_CHANGE_SCALES.map(scale => (
+              <option key={scale.id} value={scale.id}>{scale.label}</option>
+            ))}
+          </select>
+          <span className="w-4" />
+        </div>
+        {fcCol && columns.foldChangeScale && columns.foldChangeScale !== 'log2' && (
+          <p className="ml-36 pl-3 text-xs text-slate-400">
+            Values are converted to log2 before summarizing.
+          </p>
+        )}
+      </div>
+
+      {/* Preview */}
+      <div className="overflow-x-auto border border-slate-700 rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-slate-700/50">
+            <tr>
+              {headers.map(h => (
+                <th key={h} className="text-left px-2 py-1.5 whitespace-nowrap">
+                  <div className="text-slate-200">{h}</div>
+                  <div className="text-[10px] font-normal text-blue-400">{roleByHeader[h] || ''}</div>
+                </th>
+              ))}
+              {fcCol && columns.foldChangeScale !== 'log2' && (
+                <th className="text-left px-2 py-1.5 whitespace-nowrap text-green-400">→ log2FC</th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.map((row, i) => (
+              <tr key={i} className="border-t border-slate-700 text-slate-300">
+                {headers.map(h => (
+                  <td key={h} className="px-2 py-1 whitespace-nowrap max-w-[12rem] truncate">{formatCell(row[h])}</td>
+                ))}
+                {fcCol && columns.foldChangeScale !== 'log2' && (
+                  <td className="px-2 py-1 whitespace-nowrap text-green-300">
+                    {formatCell(toLog2FoldChange(row[fcCol], columns.foldChangeScale))}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-slate-500">
+        Showing {preview.length} of {(rawData || []).length} rows
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from 'react';
+
+const LIST_LIMIT = 12;
+
+const formatFC = (hit) => {
+  if (!hit) return <span className="text-slate-600">—</span>;
+  const color = !hit.significant ? 'text-slate-500' : hit.fc > 0 ? 'text-green-400' : 'text-red-400';
+  return <span className={color}>{hit.fc > 0 ? '+' : ''}{hit.fc?.toFixed(2)}</span>;
+};
+
+const EntryTable = ({ title, description, entries, groups }) => (
+  <div>
+    <h3 className="text-sm font-medium text-slate-300">
+      {title} <span className="text-slate-500 font-normal">({entries.length})</span>
+    </h3>
+    <p className="text-xs text-slate-500 mb-2">{description}</p>
+    {entries.length === 0 ? (
+      <p className="text-xs text-slate-500">None</p>
+    ) : (
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-slate-500 text-left">
+            <th className="py-1 font-medium">Metabolite</th>
+            {groups.map(group => <th key={group} className="py-1 font-medium text-right">{group}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {entries.slice(0, LIST_LIMIT).map(entry => (
+            <tr key={entry.key} className="border-t border-slate-700">
+              <td className="py-1 text-slate-300">{entry.name}</td>
+              {groups.map(group => <td key={group} className="py-1 text-right font-mono">{formatFC(entry.byGroup[group])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {entries.length > LIST_LIMIT && <p className="text-xs text-slate-500 mt-1">…and {entries.length - LIST_LIMIT} more</p>}
+  </div>
+);
+
+// Per-group counts and the shared / discordant / group-specific changes
+// (log2FC per group; grey values are not significant)
+export default function ContrastComparison({ comparison, groupSummaries }) {
+  const { groups, shared, discordant, specific } = comparison;
+  return (
+    <div className="space-y-6">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-slate-500 text-left text-xs">
+            <th className="py-1 font-medium">Group</th>
+            <th className="py-1 font-medium text-right">Metabolites</th>
+            <th className="py-1 font-medium text-right">Significant</th>
+            <th className="py-1 font-medium text-right">Increased</th>
+            <th className="py-1 font-medium text-right">Decreased</th>
+            <th className="py-1 font-medium text-right">Specific</th>
+          </tr>
+        </thead>
+        <tbody>
+          {groupSummaries.map(g => (
+            <tr key={g.value} className="border-t border-slate-700 text-slate-300">
+              <td className="py-1">{g.value}</td>
+              <td className="py-1 text-right">{g.total}</td>
+              <td className="py-1 text-right text-blue-400">{g.significant}</td>
+              <td className="py-1 text-right text-green-400">{g.increased}</td>
+              <td className="py-1 text-right text-red-400">{g.decreased}</td>
+              <td className="py-1 text-right">{specific[g.value]?.length || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <EntryTable
+          title="Shared changes"
+          description="Significant in two or more groups, in the same direction"
+          entries={shared}
+          groups={groups}
+        />
+        <EntryTable
+          title="Discordant changes"
+          description="Significant in two or more groups, in opposite directions"
+          entries={discordant}
+          groups={groups}
+        />
+        {groups.map(group => (
+          <EntryTable
+            key={group}
+            title={`Specific to ${group}`}
+            description="Significant in this group only"
+            entries={specific[group]}
+            groups={groups}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
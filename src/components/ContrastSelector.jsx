@@ -0,0 +1,42 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { POOLED } from '../lib/contrasts';
+
+// Pick all rows pooled, one group, (with allowCompare) the groups set
+// against each other or (with allowTimeCourse) their trajectories over time.
+// groups: [{ value, total, significant }]
+export default function ContrastSelector({ groups, groupCol, value, onChange, allowCompare = true, allowTimeCourse = false }) {
+  const options = [
+    { id: 'pooled', label: 'All pooled', contrast: POOLED },
+    ...groups.map(g => ({
+      id: `group:${g.value}`,
+      label: g.value,
+      detail: `${g.significant}/${g.total}`,
+      contrast: { mode: 'group', group: g.value }
+    })),
+    ...(allowCompare ? [{ id: 'compare', label: 'Compare groups', contrast: { mode: 'compare' } }] : []),
+    ...(allowTimeCourse ? [{ id: 'timecourse', label: 'Time course', contrast: { mode: 'timecourse' } }] : [])
+  ];
+  const selected = value.mode === 'group' ? `group:${value.group}` : value.mode;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="flex items-center gap-1 text-sm text-slate-400 mr-1">
+        <Layers className="w-4 h-4" /> {groupCol}:
+      </span>
+      {options.map(option => (
+        <button
+          key={option.id}
+          onClick={() => onChange(option.contrast)}
+          title={option.detail ? `${option.detail} significant` : undefined}
+          className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+            selected === option.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+          }`}
+        >
+          {option.label}
+          {option.detail && <span className="ml-1 text-xs opacity-70">{option.detail}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, EyeOff, RotateCcw, ShieldAlert } from 'lucide-react';
+import { examplesOf, describeExclusions } from '../lib/qc';
+
+const SEVERITY_STYLES = {
+  error: 'border-red-800 bg-red-900/20 text-red-200',
+  warning: 'border-yellow-800 bg-yellow-900/10 text-yellow-200'
+};
+
+const Check = ({ check, exclusions, onExclude, onRestore }) => {
+  const [open, setOpen] = useState(false);
+  const excluded = check.rows.filter(row => row.index in exclusions).length;
+  const examples = examplesOf(check);
+
+  return (
+    <div className={`rounded-lg border p-3 text-xs ${SEVERITY_STYLES[check.severity]}`}>
+      <div className="flex items-center justify-between gap-3">
+        <button onClick={() => setOpen(!open)} className="flex items-center gap-1 text-left font-medium">
+          <AlertCircle className="w-3 h-3 flex-shrink-0" />
+          {check.label}: {check.rows.length} row{check.rows.length === 1 ? '' : 's'}
+          {excluded > 0 && <span className="font-normal text-slate-400">({excluded} excluded)</span>}
+        </button>
+        <div className="flex gap-2 flex-shrink-0">
+          {excluded < check.rows.length && (
+            <button
+              onClick={() => onExclude(check)}
+              className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-100 rounded"
+            >
+              <EyeOff className="w-3 h-3" /> Exclude {check.rows.length - excluded}
+            </button>
+          )}
+          {excluded > 0 && (
+            <button
+              onClick={() => onRestore(check)}
+              className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-100 rounded"
+            >
+              <RotateCcw className="w-3 h-3" /> Restore
+            </button>
+          )}
+        </div>
+      </div>
+      {open && (
+        <div className="mt-2 space-y-1">
+          <p className="text-slate-400">{check.description}</p>
+          <table className="w-full">
+            <tbody>
+              {examples.map(row => (
+                <tr key={row.index} className={`border-t border-slate-700/60 ${row.index in exclusions ? 'text-slate-500 line-through' : ''}`}>
+                  <td className="py-0.5 pr-2 w-16 text-slate-400">row {row.index + 1}</td>
+                  <td className="py-0.5 pr-2">{row.name}</td>
+                  <td className="py-0.5 font-mono text-right">{row.value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {check.rows.length > examples.length && <p className="text-slate-500">…and {check.rows.length - examples.length} more</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Row-level checks on the loaded table, each excludable in one click;
+// exclusions are kept with the project and left out of every summary and prompt
+export default function DataQualityPanel({ checks, exclusions, totalRows, onExclude, onRestore, onRestoreAll }) {
+  const excludedCount = Object.keys(exclusions).length;
+
+  return (
+    <div className="space-y-3">
+      <h3 className="flex items-center gap-2 font-medium text-white">
+        <ShieldAlert className="w-4 h-4 text-slate-400" /> Data quality
+      </h3>
+      {checks.length === 0 ? (
+        <p className="flex items-center gap-1 text-sm text-green-400">
+          <CheckCircle className="w-4 h-4" /> No duplicate names, invalid fold changes or p-values found
+        </p>
+      ) : (
+        checks.map(check => (
+          <Check key={check.id} check={check} exclusions={exclusions} onExclude={onExclude} onRestore={onRestore} />
+        ))
+      )}
+      {excludedCount > 0 && (
+        <div className="flex items-center justify-between gap-3 text-xs text-slate-400">
+          <span>
+            {excludedCount} of {totalRows} rows excluded: {describeExclusions(exclusions).join(', ')}
+          </span>
+          <button onClick={onRestoreAll} className="text-slate-400 hover:text-white">Restore all</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Loader2, Upload, AlertCircle } from 'lucide-react';
+
+const MAX_ROWS = 15;
+
+const formatP = (p) => (p < 0.001 ? p.toExponential(1) : p.toFixed(3));
+
+export default function EnrichmentPanel({
+  enrichment, running, source, onSourceChange, hasPathwayColumn, library, onImportLibrary, blocker, onRun
+}) {
+  const [method, setMethod] = useState('ora');
+  const table = enrichment?.[method];
+  const canRun = source === 'library' ? !!library?.sets.length : hasPathwayColumn;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-bold text-white">Pathway Enrichment</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={source}
+            onChange={(e) => onSourceChange(e.target.value)}
+            className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          >
+            <option value="pathway" disabled={!hasPathwayColumn}>Uploaded pathway column</option>
+            <option value="library" disabled={!library}>
+              {library ? `Library: ${library.fileName} (${library.sets.length} sets)` : 'Imported library'}
+            </option>
+          </select>
+          <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-slate-200 cursor-pointer transition-colors">
+            <Upload className="w-4 h-4" /> Import GMT
+            <input
+              type="file"
+              accept=".gmt,.txt,.tsv"
+              className="hidden"
+              onChange={(e) => {
+                onImportLibrary(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button
+            onClick={onRun}
+            disabled={!canRun || !!blocker || running}
+            title={blocker || undefined}
+            className="flex items-center gap-1 px-4 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            {running && <Loader2 className="w-4 h-4 animate-spin" />} Run enrichment
+          </button>
+        </div>
+      </div>
+
+      {library?.errors.length > 0 && (
+        <p className="flex items-center gap-1 text-xs text-yellow-300">
+          <AlertCircle className="w-3 h-3" /> {library.errors.length} malformed line(s) in {library.fileName} were skipped
+          (first: line {library.errors[0].line})
+        </p>
+      )}
+      {blocker && (hasPathwayColumn || library) && (
+        <p className="flex items-center gap-1 text-sm text-slate-400">
+          <AlertCircle className="w-4 h-4" /> {blocker}.
+        </p>
+      )}
+      {!hasPathwayColumn && !library && (
+        <p className="text-sm text-slate-400">
+          Map a pathway column or import a GMT metabolite-set library
+          (one set per line: name, description, then member metabolites, tab-separated).
+        </p>
+      )}
+
+      {enrichment && (
+        <>
+          <div className="flex items-center gap-2 text-sm">
+            {[
+              { id: 'ora', label: 'Over-representation' },
+              { id: 'msea', label: 'Rank-based (MSEA)' }
+            ].map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setMethod(tab.id)}
+                className={`px-3 py-1 rounded-lg transition-colors ${
+                  method === tab.id ? 'bg-blue-500/20 text-blue-300' : 'text-slate-400 hover:text-white'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+            <span className="ml-auto text-xs text-slate-500">
+              {method === 'ora'
+                ? `${enrichment.ora.significantCount} significant of ${enrichment.ora.universeSize} annotated metabolites`
+                : `${enrichment.msea.permutations} permutations, ${enrichment.msea.rankedCount} ranked metabolites`}
+            </span>
+          </div>
+
+          {table.results.length === 0 ? (
+            <p className="text-sm text-slate-400">No sets matched at least two measured metabolites.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-slate-400 text-xs uppercase">
+                  <tr className="border-b border-slate-700">
+                    <th className="text-left py-2 pr-3">Set</th>
+                    {method === 'ora' ? (
+                      <>
+                        <th className="text-right px-2">Hits</th>
+                        <th className="text-right px-2">Fold</th>
+                      </>
+                    ) : (
+                      <th className="text-right px-2">NES</th>
+                    )}
+                    <th className="text-right px-2">p</th>
+                    <th className="text-right px-2">FDR</th>
+                    <th className="text-left pl-3">{method === 'ora' ? 'Significant members' : 'Leading edge'}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.results.slice(0, MAX_ROWS).map(r => (
+                    <tr key={r.name} className={`border-b border-slate-700/50 ${r.fdr < 0.05 ? 'text-white' : 'text-slate-400'}`}>
+                      <td className="py-1.5 pr-3">{r.name}</td>
+                      {method === 'ora' ? (
+                        <>
+                          <td className="text-right px-2">{r.overlap}/{r.size}</td>
+                          <td className="text-right px-2">{r.foldEnrichment.toFixed(1)}×</td>
+                        </>
+                      ) : (
+                        <td className={`text-right px-2 ${r.nes > 0 ? 'text-green-400' : 'text-red-400'}`}>{r.nes.toFixed(2)}</td>
+                      )}
+                      <td className="text-right px-2">{formatP(r.pValue)}</td>
+                      <td className="text-right px-2">{formatP(r.fdr)}</td>
+                      <td className="pl-3 text-xs">{r.members.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {table.results.length > MAX_ROWS && (
+                <p className="text-xs text-slate-500 mt-1">Showing top {MAX_ROWS} of {table.results.length} sets.</p>
+              )}
+            </div>
+          )}
+          <p className="text-xs text-slate-500">
+            Sets with FDR &lt; 0.25 are included in the hypothesis prompt.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
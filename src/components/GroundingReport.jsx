@@ -0,0 +1,75 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { GROUNDING_STATUS, GROUNDED_FIELDS } from '../lib/grounding';
+
+export const groundingColor = (score) => (score >= 0.8 ? 'text-green-300' : score >= 0.5 ? 'text-yellow-300' : 'text-red-300');
+
+// Compact header badge: share of cited metabolites/values that check out
+export const GroundingBadge = ({ grounding }) => {
+  if (!grounding || grounding.score === null) return null;
+  const { counts, score } = grounding;
+  const total = counts.verified + counts.mismatch + counts.absent;
+  return (
+    <span
+      className={`inline-block mt-2 ml-2 px-2 py-0.5 text-xs rounded-full bg-slate-700/60 border border-slate-600 ${groundingColor(score)}`}
+      title={`${counts.verified} verified, ${counts.mismatch} mismatched, ${counts.absent} not in data`}
+    >
+      Grounded {counts.verified}/{total}
+    </span>
+  );
+};
+
+const CheckDetail = ({ check }) => (
+  <span className={check.ok ? 'text-slate-400' : 'text-red-300'}>
+    {check.cited}
+    {check.actual && <> → data: {check.actual}</>}
+    {check.note && <span className="text-slate-500"> ({check.note})</span>}
+  </span>
+);
+
+export default function GroundingReport({ grounding }) {
+  const { claims, counts, score } = grounding;
+
+  return (
+    <div className="mt-6">
+      <h4 className="flex items-center gap-2 text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
+        <ShieldCheck className="w-4 h-4" /> Evidence Grounding
+        {score !== null && (
+          <span className={`normal-case font-normal ${groundingColor(score)}`}>{(score * 100).toFixed(0)}%</span>
+        )}
+      </h4>
+      {claims.length === 0 ? (
+        <p className="text-sm text-slate-500">No metabolites or values from the table are cited.</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500 mb-2">
+            {counts.verified} verified • {counts.mismatch} mismatched • {counts.absent} not in data
+          </p>
+          <ul className="space-y-1.5">
+            {claims.map((claim, i) => {
+              const status = GROUNDING_STATUS[claim.status];
+              return (
+                <li key={i} className="flex items-start gap-2 text-sm" title={claim.clause}>
+                  <span className={`px-1.5 py-0.5 text-xs rounded border flex-shrink-0 ${status.className}`}>{status.label}</span>
+                  <span className="text-slate-500 text-xs mt-0.5 w-20 flex-shrink-0">
+                    {GROUNDED_FIELDS.find(f => f.key === claim.field)?.label}
+                  </span>
+                  <span className="text-slate-300">
+                    <span className="text-white">{claim.mention || 'Unrecognized compound'}</span>
+                    {claim.checks.length > 0 && ': '}
+                    {claim.checks.map((check, j) => (
+                      <React.Fragment key={j}>
+                        {j > 0 && '; '}
+                        <CheckDetail check={check} />
+                      </React.Fragment>
+                    ))}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
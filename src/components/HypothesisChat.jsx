@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Check, Loader2, MessageSquare, Send, X } from 'lucide-react';
+import { CHAT_STARTERS, parseChatReply } from '../lib/chat';
+
+const STATUS_STYLES = {
+  accepted: 'bg-green-500/10 text-green-300 border-green-500/30',
+  rejected: 'bg-slate-600/30 text-slate-400 border-slate-600',
+  invalid: 'bg-red-500/10 text-red-300 border-red-500/30'
+};
+
+const Proposal = ({ proposal, onAccept, onReject, busy }) => (
+  <div className="mt-2 p-3 rounded-lg border border-blue-500/30 bg-blue-500/5 text-xs space-y-2">
+    <div className="flex items-center justify-between gap-3">
+      <span className="font-medium text-blue-200">Proposed update{proposal.reason ? `: ${proposal.reason}` : ''}</span>
+      {proposal.status !== 'pending' && (
+        <span className={`px-2 py-0.5 rounded-full border ${STATUS_STYLES[proposal.status]}`}>{proposal.status}</span>
+      )}
+    </div>
+    {proposal.rows.length > 0 && (
+      <table className="w-full">
+        <tbody>
+          {proposal.rows.map(row => (
+            <tr key={row.field} className="border-t border-slate-700 align-top">
+              <td className="py-1 pr-2 font-mono text-slate-400">{row.field}</td>
+              <td className="py-1 pr-2 text-red-300/80 line-through">{row.before}</td>
+              <td className="py-1 text-green-300">{row.after}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {proposal.problems?.length > 0 && (
+      <ul className="text-red-300">
+        {proposal.problems.map((problem, i) => <li key={i}>{problem}</li>)}
+      </ul>
+    )}
+    {proposal.status === 'pending' && (
+      <div className="flex gap-2">
+        <button
+          onClick={onAccept}
+          disabled={busy}
+          className="flex items-center gap-1 px-2 py-1 bg-green-700 hover:bg-green-600 disabled:bg-slate-600 text-white rounded"
+        >
+          <Check className="w-3 h-3" /> Accept
+        </button>
+        <button
+          onClick={onReject}
+          disabled={busy}
+          className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:bg-slate-600 text-slate-200 rounded"
+        >
+          <X className="w-3 h-3" /> Reject
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+const Question = ({ children }) => (
+  <div className="flex justify-end">
+    <div className="max-w-[80%] px-3 py-2 rounded-lg bg-blue-600/30 text-slate-100 text-sm whitespace-pre-wrap">{children}</div>
+  </div>
+);
+
+// Threaded questions about one hypothesis; answers may carry a proposed
+// update to accept or reject
+export default function HypothesisChat({ exchanges, pending, onAsk, onAccept, onReject, busy, blocker }) {
+  const [question, setQuestion] = useState('');
+
+  const ask = (text) => {
+    if (!text.trim() || busy || blocker) return;
+    onAsk(text.trim());
+    setQuestion('');
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-slate-700 space-y-3">
+      <h4 className="flex items-center gap-2 text-sm font-semibold text-slate-400 uppercase tracking-wide">
+        <MessageSquare className="w-4 h-4" /> Discussion
+      </h4>
+
+      {exchanges.map(exchange => (
+        <div key={exchange.id} className="space-y-2">
+          <Question>{exchange.question}</Question>
+          <div className="max-w-[90%]">
+            {exchange.error ? (
+              <p className="text-sm text-red-300">{exchange.error}</p>
+            ) : (
+              <p className="px-3 py-2 rounded-lg bg-slate-700/50 text-slate-300 text-sm whitespace-pre-wrap">
+                {parseChatReply(exchange.rawResponse).answer || '(no answer)'}
+              </p>
+            )}
+            {exchange.proposal && (
+              <Proposal
+                proposal={exchange.proposal}
+                onAccept={() => onAccept(exchange.id)}
+                onReject={() => onReject(exchange.id)}
+                busy={busy}
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      {pending && (
+        <div className="space-y-2">
+          <Question>{pending.question}</Question>
+          <p className="max-w-[90%] px-3 py-2 rounded-lg bg-slate-700/50 text-slate-300 text-sm whitespace-pre-wrap">
+            {/* The update block is shown once the answer is complete */}
+            {pending.text.split('```')[0] || <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+          </p>
+        </div>
+      )}
+
+      {exchanges.length === 0 && !pending && (
+        <div className="flex flex-wrap gap-2">
+          {CHAT_STARTERS.map(starter => (
+            <button
+              key={starter}
+              onClick={() => setQuestion(starter)}
+              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded text-xs"
+            >
+              {starter}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <textarea
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              ask(question);
+            }
+          }}
+          rows={2}
+          placeholder="Ask about this hypothesis... (Enter to send, Shift+Enter for a new line)"
+          className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm"
+        />
+        <button
+          onClick={() => ask(question)}
+          disabled={!question.trim() || busy || !!blocker}
+          title={blocker || undefined}
+          className="px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg"
+        >
+          {pending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+        </button>
+      </div>
+    </div>
+  );
+}
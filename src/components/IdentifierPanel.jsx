@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { Upload, RotateCcw, AlertCircle, CheckCircle } from 'lucide-react';
+
+const MATCH_LABELS = {
+  accession: 'database ID',
+  exact: 'synonym',
+  loose: 'loose match',
+  stereo: 'stereo ignored',
+  manual: 'curated',
+  unmatched: 'unmatched'
+};
+
+export default function IdentifierPanel({
+  matches, synonymIndex, synonymSource, overrides, onOverride, onClearOverrides, onImportTable, onResetTable
+}) {
+  const [showMatched, setShowMatched] = useState(false);
+  const [drafts, setDrafts] = useState({});
+
+  const { matched, unmatched, stereo } = useMemo(() => {
+    const all = [...matches.entries()].map(([raw, match]) => ({ raw, ...match }));
+    return { matched: all.filter(m => m.id), unmatched: all.filter(m => !m.id), stereo: all.filter(m => m.matchType === 'stereo') };
+  }, [matches]);
+
+  const commit = (raw) => {
+    const value = (drafts[raw] ?? '').trim();
+    // Accept "Name — ID" from the datalist or a bare ID
+    const id = value.includes(' — ') ? value.split(' — ').pop() : value;
+    onOverride(raw, id);
+    setDrafts(prev => ({ ...prev, [raw]: undefined }));
+  };
+
+  const renderEditor = (raw) => (
+    <div className="flex items-center gap-2">
+      <input
+        list="metabolite-synonym-options"
+        value={drafts[raw] ?? ''}
+        onChange={(e) => setDrafts(prev => ({ ...prev, [raw]: e.target.value }))}
+        onKeyDown={(e) => e.key === 'Enter' && commit(raw)}
+        placeholder="Search name or enter HMDB/KEGG ID"
+        className="flex-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+      />
+      <button
+        onClick={() => commit(raw)}
+        disabled={!drafts[raw]}
+        className="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded"
+      >
+        Map
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-bold text-white">Metabolite Identifiers</h2>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-slate-500">
+            {synonymSource} ({synonymIndex.entries.length} compounds)
+          </span>
+          <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-slate-200 cursor-pointer transition-colors">
+            <Upload className="w-4 h-4" /> Import table
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt"
+              className="hidden"
+              onChange={(e) => {
+                onImportTable(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {synonymSource !== 'Bundled table' && (
+            <button onClick={onResetTable} className="text-xs text-slate-400 hover:text-white">Use bundled</button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-6 text-sm">
+        <span className="flex items-center gap-1 text-green-400">
+          <CheckCircle className="w-4 h-4" /> {matched.length} mapped
+        </span>
+        <span className={`flex items-center gap-1 ${unmatched.length ? 'text-yellow-400' : 'text-slate-500'}`}>
+          <AlertCircle className="w-4 h-4" /> {unmatched.length} unmatched
+        </span>
+        {stereo.length > 0 && (
+          <span className="flex items-center gap-1 text-orange-300" title={stereo.map(m => `${m.raw} → ${m.name}`).join('\n')}>
+            <AlertCircle className="w-4 h-4" /> {stereo.length} matched ignoring stereochemistry
+          </span>
+        )}
+        {Object.keys(overrides).length > 0 && (
+          <button onClick={onClearOverrides} className="flex items-center gap-1 text-xs text-slate-400 hover:text-white">
+            <RotateCcw className="w-3 h-3" /> Clear {Object.keys(overrides).length} curated mapping(s)
+          </button>
+        )}
+      </div>
+
+      <datalist id="metabolite-synonym-options">
+        {synonymIndex.entries.map(entry => (
+          <option key={entry.id} value={`${entry.name} — ${entry.id}`} />
+        ))}
+      </datalist>
+
+      {unmatched.length > 0 && (
+        <div className="max-h-64 overflow-auto border border-slate-700 rounded-lg">
+          <table className="w-full text-sm">
+            <tbody>
+              {unmatched.map(m => (
+                <tr key={m.raw} className="border-b border-slate-700/50">
+                  <td className="px-3 py-1.5 text-slate-300 w-1/3">{m.raw}</td>
+                  <td className="px-3 py-1.5">{renderEditor(m.raw)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button onClick={() => setShowMatched(!showMatched)} className="text-xs text-slate-400 hover:text-white">
+        {showMatched ? 'Hide' : 'Show'} mapped metabolites
+      </button>
+      {showMatched && (
+        <div className="max-h-64 overflow-auto border border-slate-700 rounded-lg">
+          <table className="w-full text-xs">
+            <thead className="text-slate-400 uppercase">
+              <tr className="border-b border-slate-700">
+                <th className="text-left px-3 py-1.5">In data</th>
+                <th className="text-left px-3 py-1.5">Canonical</th>
+                <th className="text-left px-3 py-1.5">ID</th>
+                <th className="text-left px-3 py-1.5">KEGG</th>
+                <th className="text-left px-3 py-1.5">Match</th>
+                <th className="px-3 py-1.5" />
+              </tr>
+            </thead>
+            <tbody>
+              {matched.map(m => (
+                <tr key={m.raw} className="border-b border-slate-700/50 text-slate-300">
+                  <td className="px-3 py-1">{m.raw}</td>
+                  <td className="px-3 py-1">{m.name}</td>
+                  <td className="px-3 py-1 font-mono">{m.id}</td>
+                  <td className="px-3 py-1 font-mono">{m.entry?.kegg || ''}</td>
+                  <td
+                    className={`px-3 py-1 ${m.matchType === 'stereo' ? 'text-orange-300' : m.matchType === 'loose' ? 'text-yellow-300' : 'text-slate-400'}`}
+                    title={m.matchType === 'stereo' ? 'Matched without its D-/L- or R-/S- prefix; check the stereoisomer' : undefined}
+                  >
+                    {MATCH_LABELS[m.matchType]}
+                  </td>
+                  <td className="px-3 py-1 text-right">
+                    <button onClick={() => onOverride(m.raw, '')} className="text-slate-500 hover:text-red-400">
+                      Unmap
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React from 'react';
+import { Upload, Play } from 'lucide-react';
+import { SUPPORTED_EXTENSIONS } from '../lib/importer';
+import {
+  IMPUTATION_METHODS, NORMALIZATION_METHODS, TRANSFORMS, TESTS, DEFAULT_DIFFERENTIAL_OPTIONS, groupValues, chooseGroups
+} from '../lib/differential';
+import SampleQCPanel from './SampleQCPanel';
+
+const selectClass = 'w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm';
+
+const Select = ({ label, value, options, onChange }) => (
+  <div>
+    <label className="block text-sm text-slate-400 mb-1">{label}</label>
+    <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+      {options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+    </select>
+  </div>
+);
+
+// One file input with its sheet picker
+const FileSlot = ({ title, hint, result, sheetIndex, onFile, onSheet }) => (
+  <div className="p-4 bg-slate-700/50 rounded-lg space-y-2">
+    <div className="flex items-center justify-between gap-2">
+      <h3 className="font-medium text-white">{title}</h3>
+      <label className="flex items-center gap-1 px-3 py-1 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs cursor-pointer">
+        <Upload className="w-3 h-3" /> {result ? 'Replace' : 'Choose file'}
+        <input
+          type="file"
+          accept={SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+          className="hidden"
+          onChange={(e) => {
+            onFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </label>
+    </div>
+    {result ? (
+      <>
+        <p className="text-sm text-slate-300 truncate">{result.fileName}</p>
+        {result.sheets.length > 1 && (
+          <select value={sheetIndex} onChange={(e) => onSheet(parseInt(e.target.value))} className={selectClass}>
+            {result.sheets.map((s, i) => <option key={i} value={i}>{s.name} ({s.data.length} rows)</option>)}
+          </select>
+        )}
+        <p className="text-xs text-slate-500">
+          {result.sheets[sheetIndex].data.length} rows × {result.sheets[sheetIndex].headers.length} columns
+        </p>
+      </>
+    ) : (
+      <p className="text-xs text-slate-500">{hint}</p>
+    )}
+  </div>
+);
+
+// Sample-level import: an intensity matrix and a metadata sheet, the two
+// groups to compare, the preprocessing / test settings and the sample QC.
+// input: { matrix, matrixSheet, metadata, metadataSheet, design, options }
+export default function MatrixImport({ input, qcReport, onImportFile, onChange, onExcludeSamples, onRestoreSample, onRun }) {
+  const { matrix, matrixSheet, metadata, metadataSheet, design, options } = input;
+  const metaSheet = metadata?.sheets[metadataSheet];
+  const updateDesign = (patch) => onChange({ design: { ...design, ...patch } });
+  const updateOptions = (patch) => onChange({ options: { ...options, ...patch } });
+  const levels = design?.groupCol ? groupValues(metaSheet, design.groupCol) : [];
+  const levelOptions = levels.map(level => ({ id: level, label: level }));
+  const groupColumns = metaSheet ? metaSheet.headers.filter(h => h !== design?.sampleCol) : [];
+  const ready = design?.groupCol && design.reference && design.comparison && design.reference !== design.comparison;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FileSlot
+          title="Intensity matrix"
+          hint="Samples × features peak areas or intensities (features × samples also works)"
+          result={matrix}
+          sheetIndex={matrixSheet}
+          onFile={(file) => onImportFile('matrix', file)}
+          onSheet={(index) => onChange({ matrixSheet: index })}
+        />
+        <FileSlot
+          title="Sample metadata"
+          hint="One row per sample: a sample ID column and a group column"
+          result={metadata}
+          sheetIndex={metadataSheet}
+          onFile={(file) => onImportFile('metadata', file)}
+          onSheet={(index) => onChange({ metadataSheet: index })}
+        />
+      </div>
+
+      {matrix && metadata && !design && (
+        <p className="text-sm text-yellow-300">
+          None of the metadata's sample IDs appear in the matrix, as row values or as column headers.
+        </p>
+      )}
+
+      {design && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-400">
+            {design.matched} samples matched on "{design.sampleCol}", laid out
+            {design.orientation === 'samples-as-rows' ? ` as rows (IDs in "${design.matrixIdCol}")` : ' as columns'}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Select
+              label="Group column"
+              value={design.groupCol}
+              options={[{ id: '', label: '— choose —' }, ...groupColumns.map(h => ({ id: h, label: h }))]}
+              onChange={(groupCol) => updateDesign(chooseGroups(metaSheet, groupCol || null))}
+            />
+            <Select
+              label="Reference group"
+              value={design.reference}
+              options={levelOptions}
+              onChange={(reference) => updateDesign({ reference })}
+            />
+            <Select
+              label="Compared group"
+              value={design.comparison}
+              options={levelOptions}
+              onChange={(comparison) => updateDesign({ comparison })}
+            />
+          </div>
+          <p className="text-xs text-slate-500">log2FC = compared − reference, on the log2 scale. Samples in other groups are left out.</p>
+
+          <div className="flex items-center justify-between">
+            <h3 className="font-medium text-white">Preprocessing & test</h3>
+            <button
+              onClick={() => onChange({ options: DEFAULT_DIFFERENTIAL_OPTIONS })}
+              className="text-xs text-slate-400 hover:text-white transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">Drop features missing in &gt; {Math.round(options.maxMissing * 100)}%</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="5"
+                value={Math.round(options.maxMissing * 100)}
+                onChange={(e) => updateOptions({ maxMissing: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                className={selectClass}
+              />
+            </div>
+            <Select
+              label="Imputation"
+              value={options.imputation}
+              options={IMPUTATION_METHODS}
+              onChange={(imputation) => updateOptions({ imputation })}
+            />
+            <Select
+              label="Normalization"
+              value={options.normalization}
+              options={NORMALIZATION_METHODS}
+              onChange={(normalization) => updateOptions({ normalization })}
+            />
+            <Select
+              label="Transform"
+              value={options.transform}
+              options={TRANSFORMS}
+              onChange={(transform) => updateOptions({ transform })}
+            />
+            <Select
+              label="Test"
+              value={options.test}
+              options={TESTS}
+              onChange={(test) => updateOptions({ test })}
+            />
+          </div>
+
+          {qcReport && <SampleQCPanel report={qcReport} onExclude={onExcludeSamples} onRestore={onRestoreSample} />}
+
+          <button
+            onClick={onRun}
+            disabled={!ready}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            <Play className="w-4 h-4" /> Run differential analysis
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { FolderOpen, Plus, Upload, Download, Trash2, Pencil, X } from 'lucide-react';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+export default function ProjectsPanel({
+  projects, currentProject, saveStatus, hasWorkspace, onCreate, onOpen, onRename, onDelete, onExport, onImport, onClose
+}) {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+
+  const create = () => {
+    if (!newName.trim()) return;
+    onCreate(newName.trim());
+    setNewName('');
+  };
+
+  const commitRename = () => {
+    if (renaming?.name.trim()) onRename(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-lg font-bold text-white">Projects</h2>
+          <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-slate-200 cursor-pointer transition-colors">
+            <Upload className="w-4 h-4" /> Import bundle
+            <input
+              type="file"
+              accept=".json"
+              className="hidden"
+              onChange={(e) => {
+                onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+
+        {currentProject ? (
+          <div className="flex items-center justify-between p-3 bg-blue-500/10 border border-blue-500/30 rounded-lg text-sm">
+            <span className="text-blue-200">
+              Working in <strong>{currentProject.name}</strong>
+              <span className="text-slate-400"> • {saveStatus === 'saving' ? 'saving…' : saveStatus === 'error' ? 'save failed' : 'all changes saved'}</span>
+            </span>
+            <button onClick={onClose} className="flex items-center gap-1 text-slate-400 hover:text-white">
+              <X className="w-4 h-4" /> Close project
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-slate-400">
+            {hasWorkspace
+              ? 'The current session is not saved. Name it to keep the dataset, settings and generation runs.'
+              : 'Create a project to save your work, or open an existing one.'}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && create()}
+            placeholder={hasWorkspace && !currentProject ? 'Name for the current session' : 'New project name'}
+            className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400"
+          />
+          <button
+            onClick={create}
+            disabled={!newName.trim()}
+            className="flex items-center gap-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            <Plus className="w-4 h-4" /> {hasWorkspace && !currentProject ? 'Save as project' : 'New project'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+        {projects.length === 0 ? (
+          <div className="text-center py-12">
+            <FolderOpen className="w-12 h-12 text-slate-600 mx-auto mb-3" />
+            <p className="text-slate-400 text-sm">No saved projects yet.</p>
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-slate-400 text-xs uppercase">
+              <tr className="border-b border-slate-700">
+                <th className="text-left px-4 py-2">Name</th>
+                <th className="text-left px-4 py-2">Dataset</th>
+                <th className="text-right px-4 py-2">Runs</th>
+                <th className="text-left px-4 py-2">Last saved</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map(p => (
+                <tr
+                  key={p.id}
+                  className={`border-b border-slate-700/50 ${p.id === currentProject?.id ? 'bg-blue-500/10' : 'hover:bg-slate-700/30'}`}
+                >
+                  <td className="px-4 py-2 text-white">
+                    {renaming?.id === p.id ? (
+                      <input
+                        autoFocus
+                        value={renaming.name}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Enter' && commitRename()}
+                        onBlur={commitRename}
+                        className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+                      />
+                    ) : (
+                      <button onClick={() => onOpen(p.id)} className="hover:text-blue-300 text-left">{p.name}</button>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-slate-400">
+                    {p.fileName ? `${p.fileName} (${p.rows} rows)` : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-right text-slate-400">{p.runs}</td>
+                  <td className="px-4 py-2 text-slate-400 text-xs">{formatDate(p.updatedAt)}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center justify-end gap-3 text-slate-400">
+                      <button onClick={() => setRenaming({ id: p.id, name: p.name })} title="Rename" className="hover:text-white">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => onExport(p.id)} title="Export bundle" className="hover:text-white">
+                        <Download className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => window.confirm(`Delete project "${p.name}"? This cannot be undone.`) && onDelete(p.id)}
+                        title="Delete"
+                        className="hover:text-red-400"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-500">
+        Projects are stored in this browser (IndexedDB). Export a bundle to share a project or move it to another machine.
+        API keys are never saved or exported.
+      </p>
+    </div>
+  );
+}
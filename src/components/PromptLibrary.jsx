@@ -0,0 +1,342 @@
+import React, { useState, useMemo } from 'react';
+import { AlertCircle, Copy, Download, Eye, Plus, RotateCcw, Trash2, Upload } from 'lucide-react';
+import { TEMPLATE_VARIABLES, buildPrompts, checkTemplate } from '../lib/prompts';
+import {
+  templateHistory, activeTemplate, isShippedTemplate, saveTemplateVersion, resetTemplate, restoreTemplateVersion,
+  isModifiedType, saveHypothesisType, createHypothesisType, cloneHypothesisType, deleteHypothesisType,
+  resetHypothesisType, resetHypothesisTypes, exportHypothesisTypes, importHypothesisTypes
+} from '../lib/promptLibrary';
+import { downloadText } from '../lib/exporters';
+
+const TEMPLATE_TASKS = [
+  { id: 'hypothesis', label: 'Hypotheses' },
+  { id: 'refine', label: 'Refinement' },
+  { id: 'chat', label: 'Discussion' },
+  { id: 'experimental', label: 'Experimental design' },
+  { id: 'literature', label: 'Literature analysis' }
+];
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'shipped');
+
+// ============ TEMPLATE EDITOR ============
+const TemplateEditor = ({ task, library, onChange, getPreviewInputs }) => {
+  const active = activeTemplate(library, task);
+  const history = templateHistory(library, task);
+  const [draft, setDraft] = useState({ system: active.system, user: active.user });
+  const [note, setNote] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const dirty = draft.system !== active.system || draft.user !== active.user;
+  const problems = useMemo(() => checkTemplate(task, draft), [task, draft]);
+
+  // Keep the draft in step when the active version changes underneath it
+  const apply = (next) => {
+    const latest = activeTemplate(next, task);
+    setDraft({ system: latest.system, user: latest.user });
+    setNote('');
+    setPreview(null);
+    onChange(next);
+  };
+
+  const showPreview = () => {
+    try {
+      const inputs = getPreviewInputs(task);
+      setPreview(inputs ? buildPrompts(task, { ...inputs, template: draft }) : { error: 'Load a dataset to preview' });
+    } catch (err) {
+      setPreview({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2 text-xs">
+        {TEMPLATE_VARIABLES[task].map(v => (
+          <span key={v.name} className="px-2 py-1 bg-slate-700 rounded text-slate-300" title={v.description}>
+            <code>{`{{${v.name}}}`}</code>
+          </span>
+        ))}
+        <span className="px-2 py-1 text-slate-500">
+          <code>{'{{#name}}…{{/name}}'}</code> is only kept when the variable is set
+        </span>
+      </div>
+
+      {['system', 'user'].map(part => (
+        <div key={part}>
+          <label className="block text-sm font-medium text-slate-300 mb-1">
+            {part === 'system' ? 'System prompt' : 'User prompt'}
+          </label>
+          <textarea
+            value={draft[part]}
+            onChange={(e) => setDraft({ ...draft, [part]: e.target.value })}
+            spellCheck={false}
+            className={`w-full ${part === 'system' ? 'h-40' : 'h-72'} px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-slate-200 font-mono text-xs`}
+          />
+        </div>
+      ))}
+
+      {problems.length > 0 && (
+        <ul className="text-xs text-yellow-300 space-y-1">
+          {problems.map(p => (
+            <li key={p} className="flex items-center gap-2"><AlertCircle className="w-3 h-3 flex-shrink-0" /> {p}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="What changed (optional)"
+          className="flex-1 min-w-[12rem] px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 text-sm"
+        />
+        <button
+          onClick={() => apply(saveTemplateVersion(library, task, { ...draft, note }))}
+          disabled={!dirty || !draft.user.trim()}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          Save as version {history[history.length - 1].version + 1}
+        </button>
+        <button
+          onClick={() => setDraft({ system: active.system, user: active.user })}
+          disabled={!dirty}
+          className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 rounded-lg text-sm transition-colors"
+        >
+          Discard changes
+        </button>
+        <button
+          onClick={showPreview}
+          className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm transition-colors"
+        >
+          <Eye className="w-4 h-4" /> Preview
+        </button>
+        <button
+          onClick={() => apply(resetTemplate(library, task))}
+          disabled={isShippedTemplate(active, task)}
+          className="ml-auto flex items-center gap-1 px-3 py-1.5 text-slate-400 hover:text-white disabled:opacity-40 text-sm"
+        >
+          <RotateCcw className="w-4 h-4" /> Reset to shipped version
+        </button>
+      </div>
+
+      {preview && (
+        preview.error ? (
+          <p className="text-sm text-yellow-300">{preview.error}</p>
+        ) : (
+          <div className="space-y-2">
+            <p className="text-xs text-slate-500">Rendered with the current data{dirty ? ' and the unsaved draft' : ''}.</p>
+            {preview.systemPrompt && (
+              <pre className="p-3 bg-slate-900 rounded-lg text-xs text-slate-400 whitespace-pre-wrap max-h-48 overflow-y-auto">
+                {preview.systemPrompt}
+              </pre>
+            )}
+            <pre className="p-3 bg-slate-900 rounded-lg text-xs text-slate-300 whitespace-pre-wrap max-h-96 overflow-y-auto">
+              {preview.userPrompt}
+            </pre>
+          </div>
+        )
+      )}
+
+      <div>
+        <h4 className="text-sm font-medium text-slate-300 mb-2">Versions</h4>
+        <ul className="space-y-1">
+          {[...history].reverse().map((v, i) => (
+            <li key={v.id} className="flex items-center gap-3 text-xs text-slate-400">
+              <span className="font-mono text-slate-300">v{v.version}</span>
+              <span>{formatDate(v.savedAt)}</span>
+              {v.note && <span className="text-slate-500 truncate">{v.note}</span>}
+              {isShippedTemplate(v, task) && <span className="px-1.5 bg-slate-700 rounded text-slate-400">shipped</span>}
+              {i === 0 ? (
+                <span className="ml-auto text-green-400">active</span>
+              ) : (
+                <button
+                  onClick={() => apply(restoreTemplateVersion(library, task, v.id))}
+                  className="ml-auto text-blue-400 hover:text-blue-300"
+                >
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// ============ HYPOTHESIS TYPES ============
+const TypeEditor = ({ library, onChange }) => {
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const update = (id, patch) => onChange(saveHypothesisType(library, { id, ...patch }));
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const result = importHypothesisTypes(library, await file.text());
+      onChange(result.library);
+      setMessage(`Imported ${result.added} type(s)${result.skipped ? `, skipped ${result.skipped} already present or invalid` : ''}.`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const custom = library.types.filter(t => !t.builtIn);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => {
+            const { library: next, type } = createHypothesisType(library);
+            onChange(next);
+            setEditing(type.id);
+          }}
+          className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm transition-colors"
+        >
+          <Plus className="w-4 h-4" /> New type
+        </button>
+        <button
+          onClick={() => downloadText(exportHypothesisTypes(custom), 'hypothesis_types.json', 'application/json')}
+          disabled={custom.length === 0}
+          className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 rounded-lg text-sm transition-colors"
+          title="Download your custom types to share them"
+        >
+          <Download className="w-4 h-4" /> Export custom types
+        </button>
+        <label className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm cursor-pointer transition-colors">
+          <Upload className="w-4 h-4" /> Import
+          <input
+            type="file"
+            accept=".json"
+            className="hidden"
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          onClick={() => onChange(resetHypothesisTypes(library))}
+          className="ml-auto flex items-center gap-1 px-3 py-1.5 text-slate-400 hover:text-white text-sm"
+        >
+          <RotateCcw className="w-4 h-4" /> Reset shipped types
+        </button>
+      </div>
+      {message && <p className="text-xs text-slate-400">{message}</p>}
+
+      {library.types.map(type => (
+        <div key={type.id} className="p-3 bg-slate-700/30 rounded-lg border border-slate-700">
+          {editing === type.id ? (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  value={type.icon}
+                  onChange={(e) => update(type.id, { icon: e.target.value })}
+                  className="w-14 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-center"
+                  aria-label="Icon"
+                />
+                <input
+                  value={type.label}
+                  onChange={(e) => update(type.id, { label: e.target.value })}
+                  className="flex-1 px-3 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+                  aria-label="Label"
+                />
+              </div>
+              <textarea
+                value={type.prompt}
+                onChange={(e) => update(type.id, { prompt: e.target.value })}
+                placeholder="Task given to the model, e.g. Generate hypotheses about host-microbiome co-metabolism…"
+                className="w-full h-24 px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-500 text-sm"
+              />
+              <button onClick={() => setEditing(null)} className="text-xs text-blue-400 hover:text-blue-300">Done</button>
+            </div>
+          ) : (
+            <div className="flex items-start gap-3">
+              <span className="text-xl">{type.icon}</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-white">
+                  {type.label}
+                  {!type.builtIn && <span className="ml-2 text-xs text-purple-300">custom</span>}
+                  {isModifiedType(type) && <span className="ml-2 text-xs text-yellow-300">modified</span>}
+                </div>
+                <div className="text-xs text-slate-400 line-clamp-2">{type.prompt || 'No prompt yet'}</div>
+              </div>
+              <div className="flex items-center gap-2 text-xs">
+                <button onClick={() => setEditing(type.id)} className="text-blue-400 hover:text-blue-300">Edit</button>
+                <button
+                  onClick={() => {
+                    const { library: next, type: copy } = cloneHypothesisType(library, type.id);
+                    onChange(next);
+                    setEditing(copy.id);
+                  }}
+                  className="text-slate-400 hover:text-white"
+                  title="Clone"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+                {type.builtIn ? (
+                  isModifiedType(type) && (
+                    <button
+                      onClick={() => onChange(resetHypothesisType(library, type.id))}
+                      className="text-slate-400 hover:text-white"
+                      title="Reset to shipped version"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                  )
+                ) : (
+                  <button
+                    onClick={() => onChange(deleteHypothesisType(library, type.id))}
+                    className="text-slate-500 hover:text-red-300"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Prompt templates per task (versioned, with a rendered preview) and the
+// hypothesis types offered on the Generate tab
+export default function PromptLibrary({ library, onChange, getPreviewInputs }) {
+  const [section, setSection] = useState('hypothesis');
+
+  return (
+    <div className="max-w-5xl mx-auto bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-6">
+      <div>
+        <h2 className="text-lg font-bold text-white">Prompt Library</h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Templates and hypothesis types are kept in this browser. Every run records the exact prompts it sent.
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {[...TEMPLATE_TASKS, { id: 'types', label: 'Hypothesis types' }].map(s => (
+          <button
+            key={s.id}
+            onClick={() => setSection(s.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              section === s.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            {s.label}
+            {s.id !== 'types' && !isShippedTemplate(activeTemplate(library, s.id), s.id) && (
+              <span className="ml-1 text-yellow-300">•</span>
+            )}
+          </button>
+        ))}
+      </div>
+      {section === 'types' ? (
+        <TypeEditor library={library} onChange={onChange} />
+      ) : (
+        <TemplateEditor key={section} task={section} library={library} onChange={onChange} getPreviewInputs={getPreviewInputs} />
+      )}
+    </div>
+  );
+}
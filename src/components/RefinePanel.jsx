@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { History, Loader2, RotateCcw, Wand2 } from 'lucide-react';
+
+const EXAMPLE_CRITIQUES = [
+  'Too speculative - tie it closer to the measured metabolites',
+  'Focus on mitochondrial mechanisms',
+  'Make the predictions testable in cell culture'
+];
+
+// Critique box for one hypothesis and the history of its changes
+// (refinements, accepted discussion updates, restores); every earlier version
+// can be put back
+export default function RefinePanel({ history, onRefine, onRestore, refining, busy, blocker }) {
+  const [critique, setCritique] = useState('');
+
+  const submit = () => {
+    onRefine(critique.trim());
+    setCritique('');
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-slate-700 space-y-3">
+      <h4 className="text-sm font-semibold text-slate-400 uppercase tracking-wide">Refine</h4>
+      <textarea
+        value={critique}
+        onChange={(e) => setCritique(e.target.value)}
+        placeholder="What should change? e.g. too speculative, focus on mitochondria..."
+        className="w-full h-20 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={submit}
+          disabled={!critique.trim() || busy || !!blocker}
+          title={blocker || undefined}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm"
+        >
+          {refining ? (
+            <><Loader2 className="w-4 h-4 animate-spin" /> Refining...</>
+          ) : (
+            <><Wand2 className="w-4 h-4" /> Refine hypothesis</>
+          )}
+        </button>
+        {EXAMPLE_CRITIQUES.map(example => (
+          <button
+            key={example}
+            onClick={() => setCritique(example)}
+            className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded text-xs"
+          >
+            {example}
+          </button>
+        ))}
+      </div>
+
+      {history.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-xs text-slate-400">
+            <History className="w-3 h-3" /> Edit history
+          </div>
+          {[...history].reverse().map(entry => (
+            <div key={entry.id} className="p-3 bg-slate-700/30 rounded-lg border border-slate-700 text-xs">
+              <div className="flex items-start justify-between gap-3">
+                <div className="text-slate-300">
+                  <span className="text-slate-500">{new Date(entry.createdAt).toLocaleString()} • </span>
+                  {entry.kind === 'restore' && 'Restored an earlier version'}
+                  {entry.kind === 'update' && (
+                    <>Accepted from the discussion{entry.reason ? <>: <span className="italic">{entry.reason}</span></> : ''}</>
+                  )}
+                  {entry.kind === 'refine' && <>Critique: <span className="italic">{entry.critique}</span></>}
+                </div>
+                {entry.before && (
+                  <button
+                    onClick={() => onRestore(entry.id)}
+                    disabled={busy}
+                    className="flex items-center gap-1 text-slate-400 hover:text-white disabled:opacity-50 flex-shrink-0"
+                    title="Put back the version this change replaced"
+                  >
+                    <RotateCcw className="w-3 h-3" /> Restore previous
+                  </button>
+                )}
+              </div>
+              {entry.error ? (
+                <div className="mt-1 text-red-300">{entry.error}</div>
+              ) : entry.before && (
+                <div className="mt-1 text-slate-400">
+                  <span className="line-through">{entry.before.title}</span> → {entry.after.title}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import { REPORT_FORMATS, REPORT_SECTIONS, buildReport, reportToMarkdown, reportToDocx, reportToPdf } from '../lib/report';
+import { svgToPng } from '../lib/charts';
+import { downloadBlob, downloadText } from '../lib/exporters';
+
+const FIGURE_SCALE = 2;
+
+const readDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read the rendered chart'));
+  reader.readAsDataURL(blob);
+});
+
+// PNGs of the off-screen charts, keyed by figure id
+const renderFigures = async (containers) => {
+  const images = {};
+  for (const [id, container] of Object.entries(containers)) {
+    const svg = container?.querySelector('svg');
+    if (!svg) continue;
+    const blob = await svgToPng(svg, FIGURE_SCALE);
+    const { width, height } = svg.viewBox.baseVal;
+    images[id] = { bytes: new Uint8Array(await blob.arrayBuffer()), dataUrl: await readDataUrl(blob), width, height };
+  }
+  return images;
+};
+
+// Pick the sections, protocols and format, then write the report in the
+// browser. inputs: everything buildReport reads (see lib/report);
+// figures: [{ id, caption, element }] charts rendered off-screen for capture
+export default function ReportBuilder({ inputs, figures, defaultTitle, fileName }) {
+  const [title, setTitle] = useState(defaultTitle);
+  const [sections, setSections] = useState(REPORT_SECTIONS.map(section => section.id));
+  const [protocolIds, setProtocolIds] = useState(() => inputs.protocols.map(p => p.runId));
+  const [includePrompts, setIncludePrompts] = useState(false);
+  const [format, setFormat] = useState('pdf');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const figureRefs = useRef({});
+
+  // Only the chosen protocols, and only the runs behind what is reported
+  const chosen = useMemo(() => ({
+    ...inputs,
+    figures: figures.map(({ id, caption }) => ({ id, caption })),
+    protocols: inputs.protocols.filter(p => protocolIds.includes(p.runId)),
+    runs: inputs.runs.filter(run => (run.task === 'experimental'
+      ? sections.includes('protocols') && protocolIds.includes(run.id)
+      : (run.task === 'literature' ? sections.includes('literature') : sections.includes('hypotheses'))))
+  }), [inputs, figures, protocolIds, sections]);
+  const report = useMemo(
+    () => buildReport(chosen, { title, sections, includePrompts }),
+    [chosen, title, sections, includePrompts]
+  );
+  const outline = report.blocks.filter(block => block.type === 'heading' && block.level <= 2);
+
+  const toggle = (list, setList, id) => setList(list.includes(id) ? list.filter(x => x !== id) : [...list, id]);
+
+  const exportReport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const images = sections.includes('figures') ? await renderFigures(figureRefs.current) : {};
+      const { extension } = REPORT_FORMATS.find(f => f.id === format);
+      const name = `${fileName}_report.${extension}`;
+      if (format === 'markdown') {
+        downloadText(reportToMarkdown(report, images), name, 'text/markdown');
+      } else {
+        downloadBlob(await (format === 'docx' ? reportToDocx(report, images) : reportToPdf(report, images)), name);
+      }
+    } catch (err) {
+      setError(`Report export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-5">
+        <div>
+          <h2 className="text-xl font-bold text-white">Report</h2>
+          <p className="text-sm text-slate-400 mt-1">
+            Written in your browser; nothing is sent to a server. Plots are embedded as images.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Title</label>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">Sections</h3>
+            <div className="space-y-1">
+              {REPORT_SECTIONS.map(section => {
+                const available = section.available(chosen);
+                return (
+                  <label key={section.id} className={`flex items-center gap-2 text-sm ${available ? 'text-slate-300' : 'text-slate-600'}`}>
+                    <input
+                      type="checkbox"
+                      checked={available && sections.includes(section.id)}
+                      disabled={!available}
+                      onChange={() => toggle(sections, setSections, section.id)}
+                    />
+                    {section.label}
+                    {!available && <span className="text-xs">(nothing yet)</span>}
+                  </label>
+                );
+              })}
+              <label className="flex items-center gap-2 text-sm text-slate-300 pl-5">
+                <input
+                  type="checkbox"
+                  checked={includePrompts}
+                  disabled={!sections.includes('provenance')}
+                  onChange={(e) => setIncludePrompts(e.target.checked)}
+                />
+                Include the full prompts in the appendix
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">Protocols</h3>
+            {inputs.protocols.length ? (
+              <div className="space-y-1">
+                {inputs.protocols.map(protocol => (
+                  <label key={protocol.runId} className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={protocolIds.includes(protocol.runId)}
+                      onChange={() => toggle(protocolIds, setProtocolIds, protocol.runId)}
+                    />
+                    <span className="truncate">{protocol.hypothesis}</span>
+                    <span className="text-xs text-slate-500 flex-shrink-0">{new Date(protocol.createdAt).toLocaleDateString()}</span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-slate-500">No experimental protocols generated yet.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          {REPORT_FORMATS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFormat(option.id)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                format === option.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={exportReport}
+            disabled={busy || report.blocks.length === 0}
+            className="ml-auto flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+            Export report
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-400">{error}</p>}
+      </div>
+
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700">
+        <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">Contents</h3>
+        {outline.length ? (
+          <ol className="space-y-0.5 text-sm">
+            {outline.map((block, i) => (
+              <li key={i} className={block.level === 1 ? 'text-white font-medium mt-2' : 'text-slate-400 pl-4'}>{block.text}</li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-slate-500">Load a dataset or generate hypotheses to have something to report.</p>
+        )}
+      </div>
+
+      {/* Charts rendered off-screen so they can be captured whatever tab they live on */}
+      {sections.includes('figures') && (
+        <div aria-hidden="true" style={{ position: 'absolute', left: -10000, top: 0, width: 800 }}>
+          {figures.map(figure => (
+            <div key={figure.id} ref={(node) => { figureRefs.current[figure.id] = node; }}>{figure.element}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
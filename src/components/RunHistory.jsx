@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { History, Pin, PinOff, Repeat, GitCompare, X } from 'lucide-react';
+import { alignRuns } from '../lib/runHistory';
+import { computeRunPosteriors } from '../lib/bayes';
+import { describeContrast } from '../lib/contrasts';
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const HypothesisCell = ({ hyp, posterior }) => (hyp ? (
+  <div>
+    <div className="text-white text-sm">#{hyp.rank} {hyp.title}</div>
+    {posterior?.computed && (
+      <div className="text-xs text-slate-400">
+        posterior {(posterior.posterior * 100).toFixed(0)}%
+        {posterior.interval && ` [${(posterior.interval[0] * 100).toFixed(0)}–${(posterior.interval[1] * 100).toFixed(0)}%]`}
+      </div>
+    )}
+  </div>
+) : (
+  <span className="text-xs text-slate-600">—</span>
+));
+
+export default function RunHistory({
+  runs, viewedRunId, onView, onTogglePin, onClearUnpinned, typeLabel, recurrence, matchMetabolites, posteriorOptions
+}) {
+  const [compareIds, setCompareIds] = useState([]);
+
+  const versions = useMemo(() => new Map(runs.map((run, i) => [run.id, i + 1])), [runs]);
+  const describe = (run) => [
+    `v${versions.get(run.id)}`,
+    typeLabel(run.hypothesisType),
+    run.contrast && run.contrast.mode !== 'pooled' && describeContrast(run.contrast),
+    `T=${run.temperature}`
+  ].filter(Boolean).join(' • ');
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+  };
+
+  const compared = compareIds.map(id => runs.find(run => run.id === id)).filter(Boolean);
+  const rows = useMemo(
+    () => (compared.length === 2 ? alignRuns(compared[0], compared[1], matchMetabolites) : []),
+    [compared[0], compared[1], matchMetabolites]
+  );
+  // Computed posteriors keyed by hypothesis object
+  const posteriors = useMemo(() => {
+    const byHypothesis = new Map();
+    compared.forEach(run => {
+      const results = computeRunPosteriors(run.parsed, posteriorOptions);
+      run.parsed.forEach((hyp, i) => byHypothesis.set(hyp, results[i]));
+    });
+    return byHypothesis;
+  }, [compared[0], compared[1], posteriorOptions]);
+  const recurring = recurrence.clusters.filter(cluster => cluster.runCount > 1);
+  const unpinned = runs.filter(run => !run.pinned).length;
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-white">
+          <History className="w-5 h-5" /> Run History
+          <span className="text-sm font-normal text-slate-400">({runs.length} run{runs.length === 1 ? '' : 's'})</span>
+        </h2>
+        {unpinned > 0 && runs.length > 1 && (
+          <button
+            onClick={() => window.confirm(`Delete ${unpinned} unpinned run(s)?`) && onClearUnpinned()}
+            className="text-xs text-slate-400 hover:text-red-400"
+          >
+            Clear unpinned
+          </button>
+        )}
+      </div>
+
+      <div className="max-h-64 overflow-auto">
+        <table className="w-full text-sm">
+          <tbody>
+            {[...runs].reverse().map(run => (
+              <tr
+                key={run.id}
+                className={`border-b border-slate-700/50 ${run.id === viewedRunId ? 'bg-blue-500/10' : 'hover:bg-slate-700/30'}`}
+              >
+                <td className="py-1.5 pl-2 w-8">
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(run.id)}
+                    onChange={() => toggleCompare(run.id)}
+                    title="Select for comparison"
+                  />
+                </td>
+                <td className="py-1.5">
+                  <button onClick={() => onView(run.id)} className="text-left text-white hover:text-blue-300">
+                    {describe(run)}
+                  </button>
+                </td>
+                <td className="py-1.5 text-slate-400 text-xs">{run.model}</td>
+                <td className="py-1.5 text-slate-400 text-xs text-right">{run.parsed.length} hypotheses</td>
+                <td className="py-1.5 text-slate-500 text-xs text-right px-3">{formatDate(run.createdAt)}</td>
+                <td className="py-1.5 pr-2 w-8">
+                  <button
+                    onClick={() => onTogglePin(run.id)}
+                    title={run.pinned ? 'Unpin' : 'Pin'}
+                    className={run.pinned ? 'text-yellow-400' : 'text-slate-500 hover:text-white'}
+                  >
+                    {run.pinned ? <Pin className="w-4 h-4" /> : <PinOff className="w-4 h-4" />}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {compared.length === 1 && (
+        <p className="text-xs text-slate-500">Select one more run to compare side by side.</p>
+      )}
+
+      {compared.length === 2 && (
+        <div className="border border-slate-700 rounded-lg overflow-hidden">
+          <div className="flex items-center justify-between px-3 py-2 bg-slate-700/50">
+            <span className="flex items-center gap-2 text-sm font-medium text-white">
+              <GitCompare className="w-4 h-4" /> Comparison
+            </span>
+            <button onClick={() => setCompareIds([])} className="text-slate-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <table className="w-full">
+            <thead className="text-xs text-slate-400">
+              <tr className="border-b border-slate-700">
+                <th className="text-left px-3 py-2 w-[45%]">{describe(compared[0])}</th>
+                <th className="px-2 py-2">Match</th>
+                <th className="text-left px-3 py-2 w-[45%]">{describe(compared[1])}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={i} className="border-b border-slate-700/50 align-top">
+                  <td className="px-3 py-2"><HypothesisCell hyp={row.left} posterior={posteriors.get(row.left)} /></td>
+                  <td className="px-2 py-2 text-center text-xs text-slate-400">
+                    {row.score !== null ? `${(row.score * 100).toFixed(0)}%` : ''}
+                  </td>
+                  <td className="px-3 py-2"><HypothesisCell hyp={row.right} posterior={posteriors.get(row.right)} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {recurrence.runCount > 1 && (
+        <div>
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-400 uppercase tracking-wide mb-2">
+            <Repeat className="w-4 h-4" /> Recurring hypotheses
+          </h3>
+          {recurring.length === 0 ? (
+            <p className="text-sm text-slate-500">No hypothesis has appeared in more than one run yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {recurring.map(cluster => (
+                <li key={cluster.id} className="flex items-center gap-3 text-sm">
+                  <div className="w-24 h-2 bg-slate-700 rounded-full overflow-hidden flex-shrink-0">
+                    <div
+                      className="h-full bg-green-500"
+                      style={{ width: `${(cluster.runCount / recurrence.runCount) * 100}%` }}
+                    />
+                  </div>
+                  <span className="text-slate-400 text-xs w-20 flex-shrink-0">
+                    {cluster.runCount}/{recurrence.runCount} runs
+                  </span>
+                  <span className="text-slate-300">{cluster.title}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
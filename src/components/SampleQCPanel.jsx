@@ -0,0 +1,132 @@
+import React from 'react';
+import { EyeOff, RotateCcw } from 'lucide-react';
+import { CHART_COLORS, linearScale } from '../lib/charts';
+
+const PLOT = { width: 260, height: 180, pad: 12 };
+const percent = (x) => `${Math.round(x * 100)}%`;
+
+// PC1 vs PC2 scores; flagged samples in red, pooled QCs in blue
+const ScorePlot = ({ samples }) => {
+  const points = samples.filter(s => s.pc);
+  const extent = (values) => [Math.min(...values), Math.max(...values)];
+  const xScale = linearScale(extent(points.map(s => s.pc[0])), [PLOT.pad, PLOT.width - PLOT.pad]);
+  const yScale = linearScale(extent(points.map(s => s.pc[1] ?? 0)), [PLOT.height - PLOT.pad, PLOT.pad]);
+  const colorOf = (s) => (s.flags.length ? CHART_COLORS.decreased : s.qc ? CHART_COLORS.selected : CHART_COLORS.text);
+  return (
+    <svg width={PLOT.width} height={PLOT.height}>
+      <rect width={PLOT.width} height={PLOT.height} fill={CHART_COLORS.background} />
+      {points.map(s => (
+        <circle key={s.id} cx={xScale(s.pc[0])} cy={yScale(s.pc[1] ?? 0)} r={4} fill={colorOf(s)} fillOpacity={0.8}>
+          <title>{`${s.id} (${s.qc ? 'QC' : s.group})${s.flags.length ? `: ${s.flags.join('; ')}` : ''}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Sample-level diagnostics ahead of the differential analysis: pooled-QC
+// reproducibility, missingness per sample and feature, and PCA outliers,
+// with flagged samples excludable from the analysis
+export default function SampleQCPanel({ report, onExclude, onRestore }) {
+  const { samples, features, qc, pca } = report;
+  const flagged = samples.filter(s => !s.excluded && s.flags.length);
+  const excluded = samples.filter(s => s.excluded);
+
+  return (
+    <div className="space-y-4 p-4 bg-slate-700/50 rounded-lg">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="font-medium text-white">Sample QC</h3>
+        {flagged.length > 0 && (
+          <button
+            onClick={() => onExclude(Object.fromEntries(flagged.map(s => [s.id, s.flags.join('; ')])))}
+            className="flex items-center gap-1 px-2 py-1 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs"
+          >
+            <EyeOff className="w-3 h-3" /> Exclude {flagged.length} flagged sample{flagged.length === 1 ? '' : 's'}
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-2">
+          <div>
+            <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-1">Pooled QC</h4>
+            {qc ? (
+              <p className="text-slate-300">
+                {qc.n} QC injections • median CV {percent(qc.medianCv)} • {percent(qc.below20)} of features ≤ 20%,
+                {' '}{percent(qc.below30)} ≤ 30%
+              </p>
+            ) : (
+              <p className="text-slate-500">No pooled QC samples found (label them "QC" or "pooled QC" in the metadata)</p>
+            )}
+          </div>
+          <div>
+            <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-1">Feature missingness</h4>
+            <p className="text-slate-300">
+              {features.bins.map(bin => `${bin.label}: ${bin.count}`).join(' • ')}
+            </p>
+            {features.worst.length > 0 && (
+              <p className="text-xs text-slate-500 mt-1">
+                Most missing: {features.worst.map(f => `${f.name} (${percent(f.missing)})`).join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+        {pca ? (
+          <div>
+            <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wide mb-1">
+              PCA scores (PC1 {percent(pca.explained[0])}, PC2 {percent(pca.explained[1] || 0)})
+            </h4>
+            <ScorePlot samples={samples} />
+          </div>
+        ) : (
+          <p className="text-slate-500">PCA needs at least 4 samples</p>
+        )}
+      </div>
+
+      <div className="max-h-56 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="text-slate-500 text-left">
+            <tr>
+              <th className="py-1 font-medium">Sample</th>
+              <th className="py-1 font-medium">Group</th>
+              <th className="py-1 font-medium text-right">Missing</th>
+              <th className="py-1 font-medium text-right">
+                T²{pca ? ` (limit ${pca.limit.toFixed(1)})` : ''}
+              </th>
+              <th className="py-1 font-medium pl-3">Flags</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {[...flagged, ...samples.filter(s => !s.excluded && !s.flags.length), ...excluded].map(s => (
+              <tr key={s.id} className={`border-t border-slate-700 ${s.excluded ? 'text-slate-500' : 'text-slate-300'}`}>
+                <td className="py-1">{s.id}</td>
+                <td className="py-1">{s.qc ? 'QC' : s.group || '—'}</td>
+                <td className="py-1 text-right">{s.missing === null ? '—' : percent(s.missing)}</td>
+                <td className="py-1 text-right font-mono">{s.t2 === null ? '—' : s.t2.toFixed(1)}</td>
+                <td className={`py-1 pl-3 ${s.excluded ? '' : 'text-red-300'}`}>
+                  {s.excluded ? `Excluded: ${s.excluded}` : s.flags.join('; ')}
+                </td>
+                <td className="py-1 text-right">
+                  {s.excluded ? (
+                    <button onClick={() => onRestore(s.id)} className="text-slate-400 hover:text-white" title="Restore">
+                      <RotateCcw className="w-3 h-3" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => onExclude({ [s.id]: s.flags.join('; ') || 'Excluded by hand' })}
+                      className="text-slate-400 hover:text-white"
+                      title="Exclude from the analysis"
+                    >
+                      <EyeOff className="w-3 h-3" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
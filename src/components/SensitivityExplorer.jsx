@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { RotateCcw, SlidersHorizontal } from 'lucide-react';
+import {
+  computePosterior, sensitivityTornado, requiredBayesFactor, priorForPosterior, DEFAULT_CONCENTRATION
+} from '../lib/bayes';
+
+const pct = (x) => `${(x * 100).toFixed(0)}%`;
+
+// Likelihood ratios read better as "3:1 for" / "1:3 against"
+const formatRatio = (bf) => (bf >= 1 ? `${bf.toFixed(bf < 10 ? 1 : 0)}:1 in favour` : `1:${(1 / bf).toFixed(1 / bf < 10 ? 1 : 0)} against`);
+
+const SLIDERS = [
+  { key: 'prior', label: 'Prior P(H)', color: 'accent-blue-500' },
+  { key: 'likelihood', label: 'P(D|H)', color: 'accent-purple-500' },
+  { key: 'likelihoodAlternative', label: 'P(D|¬H)', color: 'accent-slate-400' }
+];
+
+const TORNADO = { width: 440, labelWidth: 90, rowHeight: 26, top: 8, bottom: 22 };
+
+const TornadoChart = ({ rows, base }) => {
+  const plotWidth = TORNADO.width - TORNADO.labelWidth - 10;
+  const x = (v) => TORNADO.labelWidth + v * plotWidth;
+  const height = TORNADO.top + rows.length * TORNADO.rowHeight + TORNADO.bottom;
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${TORNADO.width} ${height}`} className="max-w-md">
+      {[0, 0.25, 0.5, 0.75, 1].map(t => (
+        <g key={t}>
+          <line x1={x(t)} x2={x(t)} y1={TORNADO.top} y2={height - TORNADO.bottom} stroke="#334155" />
+          <text x={x(t)} y={height - 6} fill="#64748b" fontSize="10" textAnchor="middle">{pct(t)}</text>
+        </g>
+      ))}
+      {rows.map((row, i) => {
+        const y = TORNADO.top + i * TORNADO.rowHeight + 4;
+        const lo = Math.min(row.posteriorLow, row.posteriorHigh);
+        const hi = Math.max(row.posteriorLow, row.posteriorHigh);
+        return (
+          <g key={row.key}>
+            <text x={TORNADO.labelWidth - 6} y={y + 12} fill="#cbd5e1" fontSize="11" textAnchor="end">{row.label}</text>
+            <rect x={x(lo)} y={y} width={Math.max(0, x(base) - x(lo))} height={16} fill="#f87171" opacity="0.8" />
+            <rect x={x(base)} y={y} width={Math.max(0, x(hi) - x(base))} height={16} fill="#4ade80" opacity="0.8" />
+            <title>
+              {`${row.label} ${pct(row.low)}–${pct(row.high)} → posterior ${pct(row.posteriorLow)}–${pct(row.posteriorHigh)}`}
+            </title>
+          </g>
+        );
+      })}
+      <line x1={x(base)} x2={x(base)} y1={TORNADO.top - 4} y2={height - TORNADO.bottom} stroke="#f8fafc" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+// Live what-if analysis for one hypothesis. `others` holds the computed
+// posteriors of the other hypotheses in the run ({ title, posterior }).
+export default function SensitivityExplorer({ result, others = [], concentration = DEFAULT_CONCENTRATION }) {
+  const initial = {
+    prior: result.prior,
+    likelihood: result.likelihood,
+    likelihoodAlternative: result.likelihoodAlternative
+  };
+  const [inputs, setInputs] = useState(initial);
+  const changed = SLIDERS.some(({ key }) => Math.abs(inputs[key] - initial[key]) > 1e-9);
+
+  const live = useMemo(() => computePosterior(inputs, { concentration }), [inputs, concentration]);
+  const tornado = useMemo(() => sensitivityTornado(inputs, { concentration }), [inputs, concentration]);
+
+  // Neighbours in the ranking by computed posterior
+  const ranked = [...others, { title: null, posterior: live.posterior }].sort((a, b) => b.posterior - a.posterior);
+  const rank = ranked.findIndex(item => item.title === null);
+  const above = rank > 0 ? ranked[rank - 1] : null;
+  const below = rank < ranked.length - 1 ? ranked[rank + 1] : null;
+
+  const threshold = (target) => ({
+    bayesFactor: requiredBayesFactor(live.posterior, target),
+    prior: priorForPosterior(target, inputs.likelihood, inputs.likelihoodAlternative)
+  });
+  const half = threshold(0.5);
+
+  return (
+    <div className="mt-6 bg-slate-700/50 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="flex items-center gap-2 text-sm font-semibold text-slate-400 uppercase tracking-wide">
+          <SlidersHorizontal className="w-4 h-4" /> Sensitivity
+        </h4>
+        {changed && (
+          <button onClick={() => setInputs(initial)} className="flex items-center gap-1 text-xs text-slate-400 hover:text-white">
+            <RotateCcw className="w-3 h-3" /> Reset to model values
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          {SLIDERS.map(({ key, label, color }) => (
+            <div key={key}>
+              <div className="flex justify-between text-xs text-slate-400">
+                <span>{label}{result.mode === 'competing' && key === 'likelihoodAlternative' ? ' (other hypotheses)' : ''}</span>
+                <span className="text-white">
+                  {pct(inputs[key])}
+                  {Math.abs(inputs[key] - initial[key]) > 1e-9 && <span className="text-slate-500"> (model {pct(initial[key])})</span>}
+                </span>
+              </div>
+              <input
+                type="range"
+                min="0.01"
+                max="0.99"
+                step="0.01"
+                value={inputs[key]}
+                onChange={(e) => setInputs(prev => ({ ...prev, [key]: parseFloat(e.target.value) }))}
+                className={`w-full ${color}`}
+              />
+            </div>
+          ))}
+
+          <div className="pt-2 border-t border-slate-600">
+            <div className="text-xs text-slate-400">Posterior P(H|D)</div>
+            <div className="text-2xl font-bold text-white">
+              {pct(live.posterior)}
+              {live.interval && (
+                <span className="ml-2 text-sm font-normal text-slate-400">
+                  95% CrI [{pct(live.interval[0])}–{pct(live.interval[1])}]
+                </span>
+              )}
+            </div>
+            {changed && (
+              <div className="text-xs text-slate-500">
+                {live.posterior >= result.posterior ? '+' : ''}{((live.posterior - result.posterior) * 100).toFixed(0)} points vs. model inputs
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-slate-400 mb-1">
+            Posterior as each input sweeps its own 95% interval (others held fixed)
+          </div>
+          <TornadoChart rows={tornado} base={live.posterior} />
+        </div>
+      </div>
+
+      <div className="text-sm text-slate-300 space-y-1">
+        <p>
+          <strong className="text-white">To flip this conclusion</strong>{' '}
+          {live.posterior >= 0.5 ? '(below 50%)' : '(above 50%)'}, new evidence would need a likelihood ratio of{' '}
+          <strong>{formatRatio(half.bayesFactor)}</strong>, or the prior would have to be{' '}
+          {live.posterior >= 0.5 ? 'below' : 'above'} <strong>{pct(half.prior)}</strong>.
+        </p>
+        {ranked.length > 1 && (
+          <p>
+            <strong className="text-white">Rank {rank + 1} of {ranked.length}</strong> by computed posterior.
+            {below && (
+              <> Stays ahead of “{below.title}” ({pct(below.posterior)}) unless new evidence is{' '}
+                {formatRatio(threshold(below.posterior).bayesFactor)} or the prior falls below {pct(threshold(below.posterior).prior)}.</>
+            )}
+            {above && (
+              <> Would overtake “{above.title}” ({pct(above.posterior)}) with evidence of{' '}
+                {formatRatio(threshold(above.posterior).bayesFactor)} or a prior above {pct(threshold(above.posterior).prior)}.</>
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from 'react';
+import { CORRECTION_METHODS, DEFAULT_THRESHOLDS, MIN_ABOVE_LAMBDA } from '../lib/statistics';
+
+// fallbacks: families where Storey q-values fell back to BH ('' for the
+// whole table, else group values; see storeyFallbacks)
+export default function SignificanceSettings({ thresholds, onChange, hasAdjustedColumn, fallbacks = [] }) {
+  const update = (patch) => onChange({ ...thresholds, ...patch });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-white">Significance Thresholds</h3>
+        <button
+          onClick={() => onChange(DEFAULT_THRESHOLDS)}
+          className="text-xs text-slate-400 hover:text-white transition-colors"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">
+            |log2FC| &gt; {thresholds.foldChange}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={thresholds.foldChange}
+            onChange={(e) => update({ foldChange: Math.max(0, parseFloat(e.target.value) || 0) })}
+            className="w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          />
+          <p className="text-xs text-slate-500 mt-1">
+            {(2 ** thresholds.foldChange).toFixed(2)}× change
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">
+            Significance level &lt; {thresholds.pValue}
+          </label>
+          <select
+            value={thresholds.pValue}
+            onChange={(e) => update({ pValue: parseFloat(e.target.value) })}
+            className="w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          >
+            {[0.001, 0.01, 0.05, 0.1, 0.2].map(alpha => (
+              <option key={alpha} value={alpha}>{alpha}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Multiple-testing correction</label>
+          <select
+            value={thresholds.correction}
+            onChange={(e) => update({ correction: e.target.value })}
+            className="w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          >
+            {CORRECTION_METHODS.map(method => (
+              <option
+                key={method.id}
+                value={method.id}
+                disabled={method.id === 'provided' && !hasAdjustedColumn}
+              >
+                {method.label}
+              </option>
+            ))}
+          </select>
+          {thresholds.correction === 'provided' && !hasAdjustedColumn && (
+            <p className="text-xs text-yellow-300 mt-1">No adjusted p-value column mapped; using raw p-values.</p>
+          )}
+          {fallbacks.length > 0 && (
+            <p className="text-xs text-yellow-300 mt-1">
+              Fewer than {MIN_ABOVE_LAMBDA} p-values above 0.5{fallbacks.some(Boolean) ? ` in ${fallbacks.filter(Boolean).join(', ')}` : ''},
+              {' '}too few to estimate the share of true nulls; using Benjamini-Hochberg instead.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2, Square, Play, AlertCircle, Clock, RotateCcw, X } from 'lucide-react';
+
+const PREVIEW_CHARS = 600;
+
+// Seconds left until `until` (ms timestamp), ticking once a second
+const useCountdown = (until) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!until) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+};
+
+const AttemptLog = ({ attempts }) => (
+  <ol className="space-y-1">
+    {attempts.map(a => (
+      <li key={a.attempt} className="flex gap-2 text-xs">
+        <span className="text-slate-500 font-mono flex-shrink-0">#{a.attempt}</span>
+        <span className="text-slate-400 break-words">{a.error}</span>
+        {a.delayMs !== null && (
+          <span className="ml-auto text-slate-500 flex-shrink-0">retried after {(a.delayMs / 1000).toFixed(1)}s</span>
+        )}
+      </li>
+    ))}
+  </ol>
+);
+
+const StopButton = ({ onStop }) => (
+  <button
+    onClick={onStop}
+    className="ml-auto flex items-center gap-1 px-3 py-1 bg-red-700/60 hover:bg-red-700 text-red-100 rounded-lg text-xs transition-colors"
+  >
+    <Square className="w-3 h-3" /> Stop
+  </button>
+);
+
+export default function StreamingStatus({
+  label, stream, maxTokens, onStop, onContinue, onAcceptPartial, onRetry, onDismiss, showPreview = false
+}) {
+  const tokens = stream.usage?.outputTokens || 0;
+  const approx = stream.usage?.estimated ? '~' : '';
+  const secondsLeft = useCountdown(stream.status === 'retrying' ? stream.retryAt : null);
+  const attempts = stream.attempts || [];
+
+  if (stream.status === 'failed') {
+    return (
+      <div className="p-4 bg-red-900/20 border border-red-800 rounded-lg space-y-3">
+        <p className="flex items-center gap-2 text-sm text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {label} failed{attempts.length > 1 ? ` after ${attempts.length} attempts` : ''}: {stream.error}
+        </p>
+        {attempts.length > 1 && <AttemptLog attempts={attempts} />}
+        <div className="flex gap-2">
+          <button
+            onClick={onRetry}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" /> Try again
+          </button>
+          <button
+            onClick={onDismiss}
+            className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm transition-colors"
+          >
+            <X className="w-4 h-4" /> Dismiss
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (stream.status === 'queued') {
+    return (
+      <div className="p-4 bg-slate-800 border border-slate-700 rounded-lg flex items-center gap-3">
+        <Clock className="w-4 h-4 text-slate-400 flex-shrink-0" />
+        <span className="text-sm text-slate-300">
+          {label}: waiting for another request to finish{stream.position ? ` (position ${stream.position} in queue)` : ''}
+        </span>
+        <StopButton onStop={onStop} />
+      </div>
+    );
+  }
+
+  if (stream.status === 'retrying') {
+    return (
+      <div className="p-4 bg-yellow-900/20 border border-yellow-700 rounded-lg space-y-2">
+        <div className="flex items-center gap-3">
+          <Clock className="w-4 h-4 text-yellow-300 flex-shrink-0" />
+          <span className="text-sm text-yellow-200">
+            {label}: attempt {stream.attempt} of {stream.maxAttempts} failed, retrying in {secondsLeft}s
+          </span>
+          <StopButton onStop={onStop} />
+        </div>
+        <AttemptLog attempts={attempts} />
+      </div>
+    );
+  }
+
+  if (stream.status === 'truncated') {
+    return (
+      <div className="p-4 bg-yellow-900/20 border border-yellow-700 rounded-lg space-y-3">
+        <p className="flex items-center gap-2 text-sm text-yellow-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {label} stopped at the Max Tokens limit ({approx}{tokens} output tokens). The response is incomplete.
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={onContinue}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            <Play className="w-4 h-4" /> Continue generating
+          </button>
+          <button
+            onClick={onAcceptPartial}
+            className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-sm transition-colors"
+          >
+            Use partial result
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 bg-slate-800 border border-slate-700 rounded-lg space-y-2">
+      <div className="flex items-center gap-3">
+        <Loader2 className="w-4 h-4 text-blue-400 animate-spin flex-shrink-0" />
+        <span className="text-sm text-slate-300">{label}…</span>
+        <span className="text-xs text-slate-500 font-mono">
+          {approx}{tokens} / {maxTokens} output tokens
+        </span>
+        {stream.attempt > 1 && (
+          <span className="text-xs text-yellow-300">attempt {stream.attempt} of {stream.maxAttempts}</span>
+        )}
+        <StopButton onStop={onStop} />
+      </div>
+      <div className="h-1 bg-slate-700 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-500 transition-all"
+          style={{ width: `${Math.min(100, (tokens / maxTokens) * 100)}%` }}
+        />
+      </div>
+      {showPreview && stream.text && (
+        <pre className="text-xs text-slate-500 whitespace-pre-wrap max-h-40 overflow-hidden">
+          {stream.text.length > PREVIEW_CHARS ? `…${stream.text.slice(-PREVIEW_CHARS)}` : stream.text}
+        </pre>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Clock, ArrowUp, ArrowDown, Send, CheckCircle } from 'lucide-react';
+import { formatTrajectory } from '../lib/timecourse';
+import TrajectoryPlot from './TrajectoryPlot';
+
+const MODES = [
+  { id: null, label: 'Auto' },
+  { id: true, label: 'On' },
+  { id: false, label: 'Off' }
+];
+
+const buttonClass = (active) => `px-3 py-1 rounded-lg text-sm transition-colors ${
+  active ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+}`;
+
+// Longitudinal view of a table whose groups are timepoints: their order,
+// the implicit baseline, and metabolites clustered by trajectory shape.
+// value: { enabled, order, baseline } (see lib/timecourse)
+export default function TimeCoursePanel({
+  value, detected, active, groupCol, timepoints, clusters, selected, onSelect, onChange, inPrompt, onUseInPrompt
+}) {
+  const [openCluster, setOpenCluster] = useState(null);
+  const shown = clusters.find(c => c.id === openCluster) || clusters.find(c => c.id !== 'stable') || clusters[0];
+
+  const move = (index, step) => {
+    const order = [...timepoints];
+    [order[index], order[index + step]] = [order[index + step], order[index]];
+    onChange({ order });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-white">
+          <Clock className="w-5 h-5 text-slate-400" /> Time course
+        </h2>
+        <div className="flex items-center gap-2">
+          {MODES.map(mode => (
+            <button key={String(mode.id)} onClick={() => onChange({ enabled: mode.id })} className={buttonClass(value.enabled === mode.id)}>
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-sm text-slate-400">
+        {value.enabled === null && `Auto: "${groupCol}" ${detected ? 'looks like' : 'does not look like'} timepoints. `}
+        {active
+          ? 'Each metabolite\'s log2FC across the timepoints is a trajectory, grouped below by its shape.'
+          : 'Switch on to read the groups as timepoints and cluster metabolites by trajectory.'}
+      </p>
+
+      {active && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm text-slate-400">Timepoint order</label>
+                {value.order && (
+                  <button onClick={() => onChange({ order: null })} className="text-xs text-slate-400 hover:text-white transition-colors">
+                    Reset
+                  </button>
+                )}
+              </div>
+              <ol className="space-y-1">
+                {timepoints.map((label, i) => (
+                  <li key={label} className="flex items-center gap-2 px-3 py-1 bg-slate-700/50 rounded text-sm text-slate-200">
+                    <span className="w-5 text-slate-500">{i + 1}.</span>
+                    <span className="flex-1 truncate">{label}</span>
+                    <button onClick={() => move(i, -1)} disabled={i === 0} className="text-slate-400 hover:text-white disabled:opacity-30" title="Earlier">
+                      <ArrowUp className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => move(i, 1)}
+                      disabled={i === timepoints.length - 1}
+                      className="text-slate-400 hover:text-white disabled:opacity-30"
+                      title="Later"
+                    >
+                      <ArrowDown className="w-3 h-3" />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-1">Baseline the fold changes are relative to</label>
+              <input
+                type="text"
+                value={value.baseline}
+                onChange={(e) => onChange({ baseline: e.target.value })}
+                placeholder="None (first timepoint is the reference)"
+                className="w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+              />
+              <p className="text-xs text-slate-500 mt-1">Plotted and sent at log2FC 0 before the first timepoint. Leave empty if it is one of the groups.</p>
+              <div className="mt-4">
+                {inPrompt ? (
+                  <p className="flex items-center gap-1 text-sm text-green-400">
+                    <CheckCircle className="w-4 h-4" /> Trajectory clusters are sent with generations
+                  </p>
+                ) : (
+                  <button
+                    onClick={onUseInPrompt}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-sm transition-colors"
+                  >
+                    <Send className="w-4 h-4" /> Send trajectory clusters with generations
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {clusters.length === 0 ? (
+            <p className="text-sm text-slate-500">No metabolite is measured at two or more timepoints.</p>
+          ) : (
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {clusters.map(cluster => (
+                  <button
+                    key={cluster.id}
+                    onClick={() => setOpenCluster(cluster.id)}
+                    title={cluster.description}
+                    className={buttonClass(cluster.id === shown.id)}
+                  >
+                    {cluster.label}
+                    <span className="ml-1 text-xs opacity-70">{cluster.members.length}</span>
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500">{shown.label}: {shown.description}. Filled points are significant.</p>
+              <TrajectoryPlot
+                title={`${shown.label} trajectories`}
+                trajectories={shown.members}
+                timepoints={timepoints}
+                baseline={value.baseline}
+                selected={selected}
+                onSelect={onSelect}
+                fileName={`trajectories_${shown.id}`}
+              />
+              <div className="max-h-48 overflow-auto">
+                <table className="w-full text-xs">
+                  <tbody>
+                    {shown.members.map(member => (
+                      <tr
+                        key={member.key}
+                        onClick={() => onSelect(member.name === selected ? null : member.name)}
+                        className={`border-t border-slate-700 cursor-pointer ${member.name === selected ? 'text-blue-300' : 'text-slate-300 hover:text-white'}`}
+                      >
+                        <td className="py-1 pr-2">{member.name}</td>
+                        <td className="py-1 pr-2 text-slate-500">{member.pathway || ''}</td>
+                        <td className="py-1 font-mono text-right">{formatTrajectory(member, value.baseline)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useRef } from 'react';
+import { CHART_COLORS, PATHWAY_PALETTE, linearScale, niceTicks } from '../lib/charts';
+import ChartExportButtons from './ChartExportButtons';
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const MARGIN = { top: 20, right: 24, bottom: 48, left: 52 };
+const MAX_LINES = 40;
+
+// log2FC across the ordered timepoints, one line per metabolite; filled
+// points are significant. The baseline, when named, is drawn at 0.
+export default function TrajectoryPlot({ title, trajectories, timepoints, baseline, selected, onSelect, fileName = 'trajectories' }) {
+  const svgRef = useRef(null);
+  const lines = trajectories.slice(0, MAX_LINES);
+  const axis = baseline ? [baseline, ...timepoints] : timepoints;
+  const offset = baseline ? 1 : 0;
+
+  const values = lines.flatMap(t => t.points.filter(Boolean).map(p => p.fc)).filter(Number.isFinite);
+  const extent = Math.max(0.5, ...values.map(Math.abs)) * 1.1;
+  const xScale = linearScale([0, Math.max(1, axis.length - 1)], [MARGIN.left + 16, WIDTH - MARGIN.right - 16]);
+  const yScale = linearScale([-extent, extent], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  // Gaps (timepoints without a row) break the line
+  const pathOf = (trajectory) => {
+    const points = [
+      ...(baseline ? [{ fc: 0 }] : []),
+      ...trajectory.points
+    ];
+    let command = 'M';
+    return points.map((p, i) => {
+      if (!p || !Number.isFinite(p.fc)) {
+        command = 'M';
+        return '';
+      }
+      const segment = `${command}${xScale(i)},${yScale(p.fc)}`;
+      command = 'L';
+      return segment;
+    }).join(' ');
+  };
+  const colorOf = (trajectory, i) =>
+    (trajectory.name === selected ? CHART_COLORS.selected : PATHWAY_PALETTE[i % PATHWAY_PALETTE.length]);
+  // The selected line is drawn last so it sits on top
+  const ordered = lines.map((t, i) => ({ t, i })).sort((a, b) => (a.t.name === selected) - (b.t.name === selected));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-white">{title}</h3>
+        <ChartExportButtons svgRef={svgRef} fileName={fileName} />
+      </div>
+
+      <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif">
+        <rect width={WIDTH} height={HEIGHT} fill={CHART_COLORS.background} />
+
+        {niceTicks(-extent, extent, 6).map(t => (
+          <g key={t}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yScale(t)} y2={yScale(t)} stroke={CHART_COLORS.grid} strokeWidth="0.5" />
+            <text x={MARGIN.left - 8} y={yScale(t) + 4} fill={CHART_COLORS.text} fontSize="11" textAnchor="end">{t}</text>
+          </g>
+        ))}
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yScale(0)} y2={yScale(0)} stroke={CHART_COLORS.axis} />
+        <text
+          transform={`translate(14 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`}
+          fill={CHART_COLORS.text}
+          fontSize="12"
+          textAnchor="middle"
+        >
+          log2 fold change
+        </text>
+        {axis.map((label, i) => (
+          <text
+            key={label}
+            x={xScale(i)}
+            y={HEIGHT - MARGIN.bottom + 20}
+            fill={i < offset ? CHART_COLORS.muted : CHART_COLORS.text}
+            fontSize="11"
+            textAnchor="middle"
+          >
+            {String(label).slice(0, 18)}
+          </text>
+        ))}
+
+        {ordered.map(({ t, i }) => {
+          const isSelected = t.name === selected;
+          const color = colorOf(t, i);
+          return (
+            <g
+              key={t.key}
+              style={{ cursor: 'pointer' }}
+              opacity={selected && !isSelected ? 0.35 : 0.9}
+              onClick={() => onSelect?.(isSelected ? null : t.name)}
+            >
+              <title>{t.name}</title>
+              <path d={pathOf(t)} fill="none" stroke={color} strokeWidth={isSelected ? 3 : 1.5} />
+              {t.points.map((p, j) => p && Number.isFinite(p.fc) && (
+                <circle
+                  key={j}
+                  cx={xScale(j + offset)}
+                  cy={yScale(p.fc)}
+                  r={isSelected ? 4.5 : 3}
+                  fill={p.significant ? color : CHART_COLORS.background}
+                  stroke={color}
+                  strokeWidth="1.5"
+                />
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      {trajectories.length > MAX_LINES && (
+        <p className="text-xs text-slate-500 mt-1">
+          Showing the {MAX_LINES} largest of {trajectories.length} trajectories.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { AlertCircle, Plus, Trash2 } from 'lucide-react';
+import { PROVIDER_TASKS } from '../lib/providers';
+import {
+  DEFAULT_PRICES, USAGE_KINDS, BUDGET_SCOPES, costOf, priceFor, formatCost, formatLatency
+} from '../lib/usage';
+
+const RECENT_CALLS = 15;
+
+const taskLabel = (id) => PROVIDER_TASKS.find(t => t.id === id)?.label || id;
+
+const StatCard = ({ title, totals }) => (
+  <div className="p-4 bg-slate-700/30 rounded-lg border border-slate-700">
+    <div className="text-xs text-slate-400 mb-1">{title}</div>
+    <div className="text-2xl font-bold text-white">{formatCost(totals.cost)}</div>
+    <div className="text-xs text-slate-400 mt-1">
+      {totals.calls} call{totals.calls === 1 ? '' : 's'}
+      {totals.failed > 0 && ` (${totals.failed} failed)`} • {totals.inputTokens.toLocaleString()} in /{' '}
+      {totals.outputTokens.toLocaleString()} out
+    </div>
+    {totals.calls > 0 && (
+      <div className="text-xs text-slate-500">avg latency {formatLatency(totals.avgLatencyMs)}</div>
+    )}
+    {(totals.estimated > 0 || totals.unpriced > 0) && (
+      <div className="text-xs text-yellow-300/80 mt-1">
+        {[
+          totals.estimated > 0 && `${totals.estimated} with estimated tokens`,
+          totals.unpriced > 0 && `${totals.unpriced} without a price`
+        ].filter(Boolean).join(' • ')}
+      </div>
+    )}
+  </div>
+);
+
+const BreakdownTable = ({ title, groups, label }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr className="text-slate-500 text-left">
+        <th className="py-1 font-medium">{title}</th>
+        <th className="py-1 font-medium text-right">Calls</th>
+        <th className="py-1 font-medium text-right">Input</th>
+        <th className="py-1 font-medium text-right">Output</th>
+        <th className="py-1 font-medium text-right">Avg latency</th>
+        <th className="py-1 font-medium text-right">Cost</th>
+      </tr>
+    </thead>
+    <tbody>
+      {Object.entries(groups).map(([key, t]) => (
+        <tr key={key} className="border-t border-slate-700 text-slate-300">
+          <td className="py-1">{label(key)}</td>
+          <td className="py-1 text-right">{t.calls}</td>
+          <td className="py-1 text-right font-mono">{t.inputTokens.toLocaleString()}</td>
+          <td className="py-1 text-right font-mono">{t.outputTokens.toLocaleString()}</td>
+          <td className="py-1 text-right">{formatLatency(t.avgLatencyMs)}</td>
+          <td className="py-1 text-right">{formatCost(t.cost)}{t.unpriced > 0 ? '*' : ''}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Token and cost totals per project and session, the hard budget and the
+// price table used to estimate costs
+export default function UsagePanel({
+  projectEntries, sessionEntries, projectSummary, sessionSummary, hasProject,
+  prices, onPricesChange, budget, tokenBudget, budgetScope, onBudgetChange, budgetError
+}) {
+  const [scope, setScope] = useState('project');
+  const summary = scope === 'project' ? projectSummary : sessionSummary;
+  const entries = scope === 'project' ? projectEntries : sessionEntries;
+  const recent = entries.slice(-RECENT_CALLS).reverse();
+  const budgetTotals = (budgetScope === 'session' ? sessionSummary : projectSummary).total;
+  const spent = budgetTotals.cost;
+  const used = budgetTotals.inputTokens + budgetTotals.outputTokens;
+
+  // Models that were called but have no price yet
+  const unpricedModels = [...new Set([...projectEntries, ...sessionEntries].map(e => e.model))]
+    .filter(model => model && !priceFor(prices, model));
+
+  const updatePrice = (index, patch) => onPricesChange(prices.map((p, i) => (i === index ? { ...p, ...patch } : p)));
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 mt-6 space-y-6">
+      <h2 className="text-lg font-bold text-white">Usage &amp; Costs</h2>
+
+      <div className="grid grid-cols-2 gap-3">
+        <StatCard title={hasProject ? 'This project' : 'Unsaved workspace'} totals={projectSummary.total} />
+        <StatCard title="This session" totals={sessionSummary.total} />
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex gap-1">
+          {[['project', hasProject ? 'Project' : 'Workspace'], ['session', 'Session']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setScope(id)}
+              className={`px-3 py-1 rounded-lg text-xs transition-colors ${
+                scope === id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {summary.total.calls === 0 ? (
+          <p className="text-sm text-slate-500">No model calls yet.</p>
+        ) : (
+          <>
+            <BreakdownTable title="Task" groups={summary.byTask} label={taskLabel} />
+            <BreakdownTable title="Model" groups={summary.byModel} label={(model) => model} />
+            <details>
+              <summary className="text-xs text-slate-400 cursor-pointer">Recent calls</summary>
+              <table className="w-full text-xs mt-2">
+                <tbody>
+                  {recent.map(entry => (
+                    <tr key={entry.id} className="border-t border-slate-700 text-slate-400">
+                      <td className="py-1">{new Date(entry.at).toLocaleTimeString()}</td>
+                      <td className="py-1">{taskLabel(entry.task)}</td>
+                      <td className="py-1">{USAGE_KINDS[entry.kind] || entry.kind}</td>
+                      <td className="py-1 truncate max-w-[10rem]" title={entry.model}>{entry.model}</td>
+                      <td className="py-1 text-right font-mono">
+                        {entry.estimated ? '~' : ''}{entry.inputTokens.toLocaleString()} / {entry.outputTokens.toLocaleString()}
+                      </td>
+                      <td className="py-1 text-right">{formatLatency(entry.latencyMs)}</td>
+                      <td className="py-1 text-right">
+                        {entry.status === 'ok' ? formatCost(costOf(entry, prices)) : (
+                          <span className={entry.status === 'failed' ? 'text-red-300' : 'text-yellow-300'}>{entry.status}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          </>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-slate-300">Hard budget</label>
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <span className="absolute left-3 top-2 text-slate-400 text-sm">$</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={budget || ''}
+              placeholder="No budget"
+              onChange={(e) => onBudgetChange({ costBudget: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className="w-full pl-7 pr-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 text-sm"
+            />
+          </div>
+          <div className="relative flex-1">
+            <input
+              type="number"
+              min="0"
+              step="10000"
+              value={tokenBudget || ''}
+              placeholder="No token budget"
+              onChange={(e) => onBudgetChange({ tokenBudget: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="w-full pl-3 pr-14 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 text-sm"
+            />
+            <span className="absolute right-3 top-2 text-slate-400 text-sm">tokens</span>
+          </div>
+          <select
+            value={budgetScope}
+            onChange={(e) => onBudgetChange({ costBudgetScope: e.target.value })}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+          >
+            {BUDGET_SCOPES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+        </div>
+        {[[budget, spent], [tokenBudget, used]].filter(([limit]) => limit > 0).map(([limit, value], i) => (
+          <div key={i} className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${value >= limit ? 'bg-red-500' : value / limit > 0.8 ? 'bg-yellow-500' : 'bg-green-500'}`}
+              style={{ width: `${Math.min(100, (value / limit) * 100)}%` }}
+            />
+          </div>
+        ))}
+        {budgetError ? (
+          <p className="flex items-center gap-2 text-xs text-red-300">
+            <AlertCircle className="w-3 h-3 flex-shrink-0" /> {budgetError}
+          </p>
+        ) : (
+          <p className="text-xs text-slate-500">
+            {budget > 0 ? `${formatCost(spent)} of ${formatCost(budget)} spent. ` : ''}
+            {tokenBudget > 0 ? `${used.toLocaleString()} of ${tokenBudget.toLocaleString()} tokens used. ` : ''}
+            New generations are blocked once the estimated cost or the tokens reach a budget; a call already running finishes.
+            The cost budget also blocks models without a price, which a token budget counts like any other.
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium text-slate-300">Prices (USD per million tokens)</label>
+          <button onClick={() => onPricesChange(DEFAULT_PRICES)} className="text-xs text-slate-400 hover:text-white">
+            Reset to defaults
+          </button>
+        </div>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-slate-500 text-left">
+              <th className="py-1 font-medium">Model</th>
+              <th className="py-1 font-medium w-24">Input</th>
+              <th className="py-1 font-medium w-24">Output</th>
+              <th className="w-8" />
+            </tr>
+          </thead>
+          <tbody>
+            {prices.map((price, i) => (
+              <tr key={i}>
+                <td className="py-1 pr-2">
+                  <input
+                    value={price.model}
+                    onChange={(e) => updatePrice(i, { model: e.target.value.trim() })}
+                    className="w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white font-mono"
+                  />
+                </td>
+                {['input', 'output'].map(field => (
+                  <td key={field} className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={price[field]}
+                      onChange={(e) => updatePrice(i, { [field]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white"
+                    />
+                  </td>
+                ))}
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => onPricesChange(prices.filter((_, j) => j !== i))}
+                    className="text-slate-500 hover:text-red-300"
+                    title="Remove"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => onPricesChange([...prices, { model: '', input: 0, output: 0 }])}
+            className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded text-xs"
+          >
+            <Plus className="w-3 h-3" /> Add model
+          </button>
+          {unpricedModels.map(model => (
+            <button
+              key={model}
+              onClick={() => onPricesChange([...prices, { model, input: 0, output: 0 }])}
+              className="flex items-center gap-1 px-2 py-1 bg-yellow-900/30 hover:bg-yellow-900/50 text-yellow-200 rounded text-xs"
+              title="This model was called but has no price"
+            >
+              <Plus className="w-3 h-3" /> {model}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">
+          Costs are estimates from this table and are recalculated when it changes. The table is kept in this browser.
+        </p>
+      </div>
+    </div>
+  );
+}
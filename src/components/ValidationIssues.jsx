@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { AlertCircle, Wrench } from 'lucide-react';
+import { formatPath } from '../lib/schemas';
+
+// Schema problems for one hypothesis/protocol: errors always shown, automatic
+// fixes behind a toggle
+export default function ValidationIssues({ issues, onRepair, repairing }) {
+  const [showFixed, setShowFixed] = useState(false);
+  if (!issues || issues.length === 0) return null;
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const fixed = issues.filter(i => i.severity === 'fixed');
+
+  return (
+    <div className={`rounded-lg p-3 text-xs border ${errors.length ? 'bg-red-900/20 border-red-800' : 'bg-slate-700/30 border-slate-700'}`}>
+      <div className="flex items-center justify-between gap-3">
+        <span className={`flex items-center gap-1 font-medium ${errors.length ? 'text-red-300' : 'text-slate-400'}`}>
+          <AlertCircle className="w-3 h-3" />
+          {errors.length ? `${errors.length} schema violation(s)` : 'Matches schema'}
+          {fixed.length > 0 && (
+            <button onClick={() => setShowFixed(!showFixed)} className="ml-2 font-normal text-slate-400 hover:text-white">
+              {showFixed ? 'hide' : 'show'} {fixed.length} automatic fix(es)
+            </button>
+          )}
+        </span>
+        {errors.length > 0 && onRepair && (
+          <button
+            onClick={onRepair}
+            disabled={repairing}
+            className="flex items-center gap-1 px-2 py-1 bg-red-800/60 hover:bg-red-700 disabled:bg-slate-600 text-red-100 rounded"
+          >
+            <Wrench className="w-3 h-3" /> {repairing ? 'Repairing…' : 'Ask model to repair'}
+          </button>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-2 space-y-0.5 text-red-200">
+          {errors.map((e, i) => <li key={i}><span className="font-mono">{formatPath(e.path)}</span>: {e.message}</li>)}
+        </ul>
+      )}
+      {showFixed && (
+        <ul className="mt-2 space-y-0.5 text-slate-400">
+          {fixed.map((e, i) => <li key={i}><span className="font-mono">{formatPath(e.path)}</span>: {e.message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
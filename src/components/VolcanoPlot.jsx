@@ -0,0 +1,168 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { ADJ_P, IS_SIGNIFICANT, correctionLabel } from '../lib/statistics';
+import { CHART_COLORS, linearScale, niceTicks, pathwayColors } from '../lib/charts';
+import ChartExportButtons from './ChartExportButtons';
+
+const WIDTH = 640;
+const HEIGHT = 440;
+const MARGIN = { top: 20, right: 20, bottom: 48, left: 56 };
+
+// log2FC vs −log10 of the p-value the significance rule uses, so the
+// horizontal threshold line sits exactly where points change colour.
+export default function VolcanoPlot({ data, columns, thresholds, selected, onSelect, fileName = 'volcano' }) {
+  const svgRef = useRef(null);
+  const [colorBy, setColorBy] = useState('significance');
+  const [hovered, setHovered] = useState(null);
+  const { metabolite: nameCol, foldChange: fcCol, pathway: pathCol } = columns;
+  const pLabel = correctionLabel(thresholds, columns);
+
+  const points = useMemo(() => {
+    const rows = (data || []).filter(r => typeof r[fcCol] === 'number' && typeof r[ADJ_P] === 'number');
+    // p = 0 would be infinite on a log axis; pin it just above the smallest positive p
+    const minPositive = Math.min(...rows.map(r => r[ADJ_P]).filter(p => p > 0), 1);
+    return rows.map(row => ({
+      row,
+      x: row[fcCol],
+      y: -Math.log10(Math.max(row[ADJ_P], minPositive / 10)),
+      name: row[nameCol]
+    }));
+  }, [data, fcCol, nameCol]);
+
+  const colors = useMemo(
+    () => (pathCol ? pathwayColors(points.map(p => p.row), pathCol) : new Map()),
+    [points, pathCol]
+  );
+
+  if (points.length === 0) {
+    return <p className="text-slate-400 text-sm">No rows with numeric fold change and p-value to plot.</p>;
+  }
+
+  const xExtent = Math.max(...points.map(p => Math.abs(p.x)), thresholds.foldChange) * 1.1;
+  const yMax = Math.max(...points.map(p => p.y), -Math.log10(thresholds.pValue)) * 1.08;
+  const xScale = linearScale([-xExtent, xExtent], [MARGIN.left, WIDTH - MARGIN.right]);
+  const yScale = linearScale([0, yMax], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+  const pLine = yScale(-Math.log10(thresholds.pValue));
+
+  const pointColor = ({ row, x }) => {
+    if (colorBy === 'pathway' && pathCol) {
+      return row[IS_SIGNIFICANT] ? colors.get(row[pathCol] ?? 'Unknown') : CHART_COLORS.grid;
+    }
+    if (!row[IS_SIGNIFICANT]) return CHART_COLORS.muted;
+    return x > 0 ? CHART_COLORS.increased : CHART_COLORS.decreased;
+  };
+
+  // Draw selected last so it sits on top
+  const ordered = [...points].sort((a, b) => (a.name === selected) - (b.name === selected));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-white">Volcano Plot</h3>
+        <div className="flex items-center gap-3">
+          {pathCol && (
+            <select
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value)}
+              className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+            >
+              <option value="significance">Colour by direction</option>
+              <option value="pathway">Colour by pathway</option>
+            </select>
+          )}
+          <ChartExportButtons svgRef={svgRef} fileName={fileName} />
+        </div>
+      </div>
+
+      <div className="relative">
+        <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif">
+          <rect width={WIDTH} height={HEIGHT} fill={CHART_COLORS.background} />
+
+          {/* Grid & axes */}
+          {niceTicks(-xExtent, xExtent, 8).map(t => (
+            <g key={`x${t}`}>
+              <line x1={xScale(t)} x2={xScale(t)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke={CHART_COLORS.grid} strokeWidth="0.5" />
+              <text x={xScale(t)} y={HEIGHT - MARGIN.bottom + 16} fill={CHART_COLORS.text} fontSize="11" textAnchor="middle">{t}</text>
+            </g>
+          ))}
+          {niceTicks(0, yMax, 6).map(t => (
+            <g key={`y${t}`}>
+              <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yScale(t)} y2={yScale(t)} stroke={CHART_COLORS.grid} strokeWidth="0.5" />
+              <text x={MARGIN.left - 8} y={yScale(t) + 4} fill={CHART_COLORS.text} fontSize="11" textAnchor="end">{t}</text>
+            </g>
+          ))}
+          <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={HEIGHT - 10} fill={CHART_COLORS.text} fontSize="12" textAnchor="middle">
+            log2 fold change
+          </text>
+          <text
+            transform={`translate(16 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`}
+            fill={CHART_COLORS.text}
+            fontSize="12"
+            textAnchor="middle"
+          >
+            −log10({pLabel})
+          </text>
+
+          {/* Threshold lines */}
+          <g stroke={CHART_COLORS.threshold} strokeDasharray="4 4" strokeWidth="1">
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={pLine} y2={pLine} />
+            <line x1={xScale(-thresholds.foldChange)} x2={xScale(-thresholds.foldChange)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} />
+            <line x1={xScale(thresholds.foldChange)} x2={xScale(thresholds.foldChange)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} />
+          </g>
+
+          {/* Points */}
+          {ordered.map((point, i) => {
+            const isSelected = point.name === selected;
+            return (
+              <circle
+                key={i}
+                cx={xScale(point.x)}
+                cy={yScale(point.y)}
+                r={isSelected ? 7 : 4}
+                fill={pointColor(point)}
+                fillOpacity={point.row[IS_SIGNIFICANT] || isSelected ? 0.9 : 0.5}
+                stroke={isSelected ? CHART_COLORS.selected : 'none'}
+                strokeWidth="2"
+                style={{ cursor: 'pointer' }}
+                onMouseEnter={() => setHovered(point)}
+                onMouseLeave={() => setHovered(null)}
+                onClick={() => onSelect?.(isSelected ? null : point.name)}
+              />
+            );
+          })}
+          {selected && ordered.filter(p => p.name === selected).map((point, i) => (
+            <text key={i} x={xScale(point.x) + 9} y={yScale(point.y) - 6} fill={CHART_COLORS.text} fontSize="11">
+              {point.name}
+            </text>
+          ))}
+        </svg>
+
+        {hovered && (
+          <div
+            className="absolute pointer-events-none bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 shadow-lg"
+            style={{
+              left: `${(xScale(hovered.x) / WIDTH) * 100}%`,
+              top: `${(yScale(hovered.y) / HEIGHT) * 100}%`,
+              transform: `translate(${hovered.x > 0 ? '-105%' : '8px'}, -110%)`
+            }}
+          >
+            <div className="font-medium text-white">{hovered.name}</div>
+            <div>log2FC: {hovered.x.toFixed(3)}</div>
+            <div>{pLabel}: {hovered.row[ADJ_P].toExponential(2)}</div>
+            {pathCol && hovered.row[pathCol] && <div>{hovered.row[pathCol]}</div>}
+          </div>
+        )}
+      </div>
+
+      {colorBy === 'pathway' && pathCol && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-slate-400">
+          {[...colors.entries()].filter(([, c]) => c !== CHART_COLORS.muted).map(([name, color]) => (
+            <span key={name} className="flex items-center gap-1">
+              <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }} />
+              {name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
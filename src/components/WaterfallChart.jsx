@@ -0,0 +1,127 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { ADJ_P, IS_SIGNIFICANT, correctionLabel } from '../lib/statistics';
+import { CHART_COLORS, linearScale, niceTicks } from '../lib/charts';
+import ChartExportButtons from './ChartExportButtons';
+
+const WIDTH = 640;
+const HEIGHT = 440;
+const MARGIN = { top: 20, right: 16, bottom: 120, left: 52 };
+const MAX_BARS = 60;
+
+// Significant features ranked by log2FC, largest increase on the left
+export default function WaterfallChart({ data, columns, thresholds, selected, onSelect, fileName = 'waterfall' }) {
+  const svgRef = useRef(null);
+  const [hovered, setHovered] = useState(null);
+  const { metabolite: nameCol, foldChange: fcCol } = columns;
+
+  const { bars, omitted } = useMemo(() => {
+    const significant = (data || []).filter(r => r[IS_SIGNIFICANT]);
+    // Keep the strongest changes when there are too many bars to label
+    const kept = [...significant]
+      .sort((a, b) => Math.abs(b[fcCol]) - Math.abs(a[fcCol]))
+      .slice(0, MAX_BARS)
+      .sort((a, b) => b[fcCol] - a[fcCol]);
+    return { bars: kept, omitted: significant.length - kept.length };
+  }, [data, fcCol]);
+
+  if (bars.length === 0) {
+    return (
+      <div>
+        <h3 className="font-medium text-white mb-2">Ranked Fold Changes</h3>
+        <p className="text-slate-400 text-sm">No significant features under the current thresholds.</p>
+      </div>
+    );
+  }
+
+  const extent = Math.max(...bars.map(r => Math.abs(r[fcCol]))) * 1.1;
+  const yScale = linearScale([-extent, extent], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+  const band = (WIDTH - MARGIN.left - MARGIN.right) / bars.length;
+  const barWidth = Math.max(1, band * 0.8);
+  const zero = yScale(0);
+  const showLabels = band >= 8;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-white">Ranked Fold Changes</h3>
+        <ChartExportButtons svgRef={svgRef} fileName={fileName} />
+      </div>
+
+      <div className="relative">
+        <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="sans-serif">
+          <rect width={WIDTH} height={HEIGHT} fill={CHART_COLORS.background} />
+
+          {niceTicks(-extent, extent, 8).map(t => (
+            <g key={t}>
+              <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yScale(t)} y2={yScale(t)} stroke={CHART_COLORS.grid} strokeWidth="0.5" />
+              <text x={MARGIN.left - 8} y={yScale(t) + 4} fill={CHART_COLORS.text} fontSize="11" textAnchor="end">{t}</text>
+            </g>
+          ))}
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={zero} y2={zero} stroke={CHART_COLORS.axis} />
+          <text
+            transform={`translate(14 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`}
+            fill={CHART_COLORS.text}
+            fontSize="12"
+            textAnchor="middle"
+          >
+            log2 fold change
+          </text>
+
+          {bars.map((row, i) => {
+            const value = row[fcCol];
+            const x = MARGIN.left + i * band + (band - barWidth) / 2;
+            const isSelected = row[nameCol] === selected;
+            return (
+              <g key={i}>
+                <rect
+                  x={x}
+                  y={Math.min(zero, yScale(value))}
+                  width={barWidth}
+                  height={Math.abs(yScale(value) - zero)}
+                  fill={value > 0 ? CHART_COLORS.increased : CHART_COLORS.decreased}
+                  fillOpacity={selected && !isSelected ? 0.4 : 0.9}
+                  stroke={isSelected ? CHART_COLORS.selected : 'none'}
+                  strokeWidth="2"
+                  style={{ cursor: 'pointer' }}
+                  onMouseEnter={() => setHovered({ row, x: x + barWidth / 2, y: yScale(value) })}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => onSelect?.(isSelected ? null : row[nameCol])}
+                />
+                {showLabels && (
+                  <text
+                    transform={`translate(${x + barWidth / 2} ${HEIGHT - MARGIN.bottom + 8}) rotate(-60)`}
+                    fill={isSelected ? CHART_COLORS.selected : CHART_COLORS.text}
+                    fontSize="9"
+                    textAnchor="end"
+                  >
+                    {String(row[nameCol]).slice(0, 22)}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+
+        {hovered && (
+          <div
+            className="absolute pointer-events-none bg-slate-900 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 shadow-lg"
+            style={{
+              left: `${(hovered.x / WIDTH) * 100}%`,
+              top: `${(hovered.y / HEIGHT) * 100}%`,
+              transform: 'translate(-50%, -110%)'
+            }}
+          >
+            <div className="font-medium text-white">{hovered.row[nameCol]}</div>
+            <div>log2FC: {hovered.row[fcCol].toFixed(3)}</div>
+            <div>{correctionLabel(thresholds, columns)}: {hovered.row[ADJ_P]?.toExponential(2)}</div>
+          </div>
+        )}
+      </div>
+      {omitted > 0 && (
+        <p className="text-xs text-slate-500 mt-1">
+          Showing the {MAX_BARS} largest of {bars.length + omitted} significant changes.
+        </p>
+      )}
+    </div>
+  );
+}
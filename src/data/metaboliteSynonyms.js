@@ -0,0 +1,137 @@
+// ============ BUNDLED METABOLITE SYNONYM TABLE ============
+// Starter cross-reference table for common metabolites. The canonical ID is the
+// HMDB accession; KEGG, ChEBI and PubChem are kept as cross-references. Labs can
+// import a larger table from the Analyze tab (same columns, CSV or TSV).
+export const METABOLITE_SYNONYMS = [
+  // Energy metabolism
+  { id: 'HMDB0000122', name: 'D-Glucose', kegg: 'C00031', chebi: 'CHEBI:4167', pubchem: '5793', synonyms: ['Glucose', 'Dextrose', 'Blood sugar'] },
+  { id: 'HMDB0000660', name: 'D-Fructose', kegg: 'C00095', chebi: 'CHEBI:15824', synonyms: ['Fructose', 'Levulose'] },
+  { id: 'HMDB0001401', name: 'Glucose 6-phosphate', kegg: 'C00092', chebi: 'CHEBI:4170', pubchem: '5958', synonyms: ['G6P', 'Glucose-6-phosphate'] },
+  { id: 'HMDB0000190', name: 'L-Lactic acid', kegg: 'C00186', chebi: 'CHEBI:422', pubchem: '107689', synonyms: ['Lactate', 'L-Lactate', 'Lactic acid'] },
+  { id: 'HMDB0000243', name: 'Pyruvic acid', kegg: 'C00022', chebi: 'CHEBI:15361', pubchem: '1060', synonyms: ['Pyruvate'] },
+  { id: 'HMDB0000094', name: 'Citric acid', kegg: 'C00158', chebi: 'CHEBI:30769', pubchem: '311', synonyms: ['Citrate'] },
+  { id: 'HMDB0000208', name: 'Oxoglutaric acid', kegg: 'C00026', chebi: 'CHEBI:30915', pubchem: '51', synonyms: ['alpha-Ketoglutarate', 'alpha-Ketoglutaric acid', '2-Oxoglutarate', '2-Ketoglutarate', 'AKG'] },
+  { id: 'HMDB0000254', name: 'Succinic acid', kegg: 'C00042', chebi: 'CHEBI:15741', pubchem: '1110', synonyms: ['Succinate'] },
+  { id: 'HMDB0000134', name: 'Fumaric acid', kegg: 'C00122', chebi: 'CHEBI:18012', pubchem: '444972', synonyms: ['Fumarate'] },
+  { id: 'HMDB0000156', name: 'L-Malic acid', kegg: 'C00149', chebi: 'CHEBI:30797', pubchem: '222656', synonyms: ['Malate', 'L-Malate', 'Malic acid'] },
+  { id: 'HMDB0000131', name: 'Glycerol', kegg: 'C00116', chebi: 'CHEBI:17754', pubchem: '753', synonyms: ['Glycerin'] },
+  { id: 'HMDB0000357', name: '3-Hydroxybutyric acid', kegg: 'C01089', chebi: 'CHEBI:20067', pubchem: '441', synonyms: ['3-Hydroxybutyrate', 'beta-Hydroxybutyrate', 'BHB', '3-HB'] },
+  { id: 'HMDB0000060', name: 'Acetoacetic acid', kegg: 'C00164', chebi: 'CHEBI:15344', pubchem: '96', synonyms: ['Acetoacetate'] },
+  { id: 'HMDB0000538', name: 'Adenosine triphosphate', kegg: 'C00002', chebi: 'CHEBI:15422', pubchem: '5957', synonyms: ['ATP'] },
+  { id: 'HMDB0001341', name: 'ADP', kegg: 'C00008', chebi: 'CHEBI:16761', pubchem: '6022', synonyms: ['Adenosine diphosphate'] },
+  { id: 'HMDB0000045', name: 'Adenosine monophosphate', kegg: 'C00020', chebi: 'CHEBI:16027', pubchem: '6083', synonyms: ['AMP', "Adenosine 5'-monophosphate"] },
+  { id: 'HMDB0000064', name: 'Creatine', kegg: 'C00300', chebi: 'CHEBI:16919', pubchem: '586' },
+  { id: 'HMDB0001511', name: 'Phosphocreatine', kegg: 'C02305', chebi: 'CHEBI:17287', pubchem: '587', synonyms: ['Creatine phosphate', 'PCr'] },
+  { id: 'HMDB0001206', name: 'Acetyl-CoA', kegg: 'C00024', chebi: 'CHEBI:15351', synonyms: ['Acetyl coenzyme A'] },
+  { id: 'HMDB0000186', name: 'Lactose', kegg: 'C00243', chebi: 'CHEBI:17716' },
+  { id: 'HMDB0000258', name: 'Sucrose', kegg: 'C00089', chebi: 'CHEBI:17992', pubchem: '5988', synonyms: ['Saccharose'] },
+  { id: 'HMDB0000562', name: 'Creatinine', kegg: 'C00791', chebi: 'CHEBI:16737', pubchem: '588' },
+
+  // NAD metabolism
+  { id: 'HMDB0000902', name: 'NAD', kegg: 'C00003', chebi: 'CHEBI:15846', pubchem: '5892', synonyms: ['NAD+', 'Nicotinamide adenine dinucleotide', 'Nadide', 'Oxidized NAD'] },
+  { id: 'HMDB0001487', name: 'NADH', kegg: 'C00004', chebi: 'CHEBI:16908', pubchem: '439153', synonyms: ['Reduced NAD', 'Nicotinamide adenine dinucleotide (reduced)'] },
+  { id: 'HMDB0000229', name: 'Nicotinamide ribotide', kegg: 'C00455', chebi: 'CHEBI:16171', pubchem: '14180', synonyms: ['NMN', 'Nicotinamide mononucleotide', 'beta-Nicotinamide mononucleotide'] },
+  { id: 'HMDB0001406', name: 'Niacinamide', kegg: 'C00153', chebi: 'CHEBI:17154', pubchem: '936', synonyms: ['Nicotinamide', 'NAM'] },
+  { id: 'HMDB0000699', name: '1-Methylnicotinamide', kegg: 'C02918', chebi: 'CHEBI:16797', pubchem: '457', synonyms: ['MNAM', 'N1-Methylnicotinamide'] },
+  { id: 'HMDB0000875', name: 'Trigonelline', kegg: 'C01004', chebi: 'CHEBI:18123', pubchem: '5570', synonyms: ['N-Methylnicotinate'] },
+  { id: 'HMDB0000232', name: 'Quinolinic acid', kegg: 'C03722', chebi: 'CHEBI:16675', pubchem: '1066', synonyms: ['Quinolinate'] },
+
+  // Amino acids and derivatives
+  { id: 'HMDB0000161', name: 'L-Alanine', kegg: 'C00041', chebi: 'CHEBI:16977', pubchem: '5950', synonyms: ['Alanine', 'Ala'] },
+  { id: 'HMDB0000517', name: 'L-Arginine', kegg: 'C00062', chebi: 'CHEBI:16467', pubchem: '6322', synonyms: ['Arginine', 'Arg'] },
+  { id: 'HMDB0000191', name: 'L-Aspartic acid', kegg: 'C00049', chebi: 'CHEBI:17053', pubchem: '5960', synonyms: ['Aspartate', 'L-Aspartate', 'Aspartic acid', 'Asp'] },
+  { id: 'HMDB0000574', name: 'L-Cysteine', kegg: 'C00097', chebi: 'CHEBI:17561', pubchem: '5862', synonyms: ['Cysteine', 'Cys'] },
+  { id: 'HMDB0000148', name: 'L-Glutamic acid', kegg: 'C00025', chebi: 'CHEBI:16015', pubchem: '33032', synonyms: ['Glutamate', 'L-Glutamate', 'Glutamic acid', 'Glu'] },
+  { id: 'HMDB0000641', name: 'L-Glutamine', kegg: 'C00064', chebi: 'CHEBI:18050', pubchem: '5961', synonyms: ['Glutamine', 'Gln'] },
+  { id: 'HMDB0000123', name: 'Glycine', kegg: 'C00037', chebi: 'CHEBI:15428', pubchem: '750', synonyms: ['Gly'] },
+  { id: 'HMDB0000177', name: 'L-Histidine', kegg: 'C00135', chebi: 'CHEBI:15971', pubchem: '6274', synonyms: ['Histidine', 'His'] },
+  { id: 'HMDB0000172', name: 'L-Isoleucine', kegg: 'C00407', chebi: 'CHEBI:17191', pubchem: '6306', synonyms: ['Isoleucine', 'Ile'] },
+  { id: 'HMDB0000687', name: 'L-Leucine', kegg: 'C00123', chebi: 'CHEBI:15603', pubchem: '6106', synonyms: ['Leucine', 'Leu'] },
+  { id: 'HMDB0000182', name: 'L-Lysine', kegg: 'C00047', chebi: 'CHEBI:18019', pubchem: '5962', synonyms: ['Lysine', 'Lys'] },
+  { id: 'HMDB0000696', name: 'L-Methionine', kegg: 'C00073', chebi: 'CHEBI:16643', pubchem: '6137', synonyms: ['Methionine', 'Met'] },
+  { id: 'HMDB0000159', name: 'L-Phenylalanine', kegg: 'C00079', chebi: 'CHEBI:17295', pubchem: '6140', synonyms: ['Phenylalanine', 'Phe'] },
+  { id: 'HMDB0000162', name: 'L-Proline', kegg: 'C00148', chebi: 'CHEBI:17203', pubchem: '145742', synonyms: ['Proline', 'Pro'] },
+  { id: 'HMDB0000187', name: 'L-Serine', kegg: 'C00065', chebi: 'CHEBI:17115', pubchem: '5951', synonyms: ['Serine', 'Ser'] },
+  { id: 'HMDB0000167', name: 'L-Threonine', kegg: 'C00188', chebi: 'CHEBI:16857', pubchem: '6288', synonyms: ['Threonine', 'Thr'] },
+  { id: 'HMDB0000929', name: 'L-Tryptophan', kegg: 'C00078', chebi: 'CHEBI:16828', pubchem: '6305', synonyms: ['Tryptophan', 'Trp'] },
+  { id: 'HMDB0000158', name: 'L-Tyrosine', kegg: 'C00082', chebi: 'CHEBI:17895', pubchem: '6057', synonyms: ['Tyrosine', 'Tyr'] },
+  { id: 'HMDB0000883', name: 'L-Valine', kegg: 'C00183', chebi: 'CHEBI:16414', pubchem: '6287', synonyms: ['Valine', 'Val'] },
+  { id: 'HMDB0000214', name: 'Ornithine', kegg: 'C00077', chebi: 'CHEBI:15729', pubchem: '6262', synonyms: ['L-Ornithine', 'Orn'] },
+  { id: 'HMDB0000904', name: 'Citrulline', kegg: 'C00327', chebi: 'CHEBI:16349', pubchem: '9750', synonyms: ['L-Citrulline'] },
+  { id: 'HMDB0000725', name: 'Hydroxyproline', kegg: 'C01157', synonyms: ['4-Hydroxyproline', '4-Hydroxy-Proline', 'trans-4-Hydroxy-L-proline', 'Hyp'] },
+  { id: 'HMDB0000742', name: 'Homocysteine', kegg: 'C00155', chebi: 'CHEBI:17230', pubchem: '778', synonyms: ['L-Homocysteine', 'Hcy'] },
+  { id: 'HMDB0001185', name: 'S-Adenosylmethionine', kegg: 'C00019', chebi: 'CHEBI:15414', pubchem: '34755', synonyms: ['SAM', 'SAMe', 'AdoMet'] },
+  { id: 'HMDB0000684', name: 'L-Kynurenine', kegg: 'C00328', chebi: 'CHEBI:16946', pubchem: '161166', synonyms: ['Kynurenine'] },
+  { id: 'HMDB0000715', name: 'Kynurenic acid', kegg: 'C01717', chebi: 'CHEBI:18344', pubchem: '3845', synonyms: ['Kynurenate'] },
+  { id: 'HMDB0000812', name: 'N-Acetyl-L-aspartic acid', kegg: 'C01042', chebi: 'CHEBI:16953', pubchem: '65065', synonyms: ['N-Acetylaspartate', 'NAA', 'N-Acetylaspartic acid'] },
+  { id: 'HMDB0000112', name: 'gamma-Aminobutyric acid', kegg: 'C00334', chebi: 'CHEBI:16865', pubchem: '119', synonyms: ['GABA', '4-Aminobutanoate', '4-Aminobutyric acid'] },
+  { id: 'HMDB0000251', name: 'Taurine', kegg: 'C00245', chebi: 'CHEBI:15891', pubchem: '1123' },
+  { id: 'HMDB0000033', name: 'Carnosine', kegg: 'C00386', chebi: 'CHEBI:15727', pubchem: '439224', synonyms: ['beta-Alanyl-L-histidine'] },
+  { id: 'HMDB0000194', name: 'Anserine', kegg: 'C01262', chebi: 'CHEBI:18323', pubchem: '112072' },
+
+  // Redox
+  { id: 'HMDB0000125', name: 'Glutathione', kegg: 'C00051', chebi: 'CHEBI:16856', pubchem: '124886', synonyms: ['GSH', 'Reduced glutathione', 'Glutathione reduced'] },
+  { id: 'HMDB0003337', name: 'Oxidized glutathione', kegg: 'C00127', chebi: 'CHEBI:17858', pubchem: '65359', synonyms: ['GSSG', 'Glutathione disulfide', 'Glutathione oxidized'] },
+  { id: 'HMDB0000078', name: 'Cysteinylglycine', kegg: 'C01419', chebi: 'CHEBI:4047', synonyms: ['Cys-Gly', 'L-Cysteinylglycine'] },
+  { id: 'HMDB0000656', name: 'Cysteineglutathione disulfide', synonyms: ['Cysteine-glutathione disulfide', 'CySSG'] },
+  { id: 'HMDB0000257', name: 'Thiosulfate', kegg: 'C00320', chebi: 'CHEBI:16094', synonyms: ['Thiosulfuric acid'] },
+  { id: 'HMDB0000044', name: 'Ascorbic acid', kegg: 'C00072', chebi: 'CHEBI:29073', pubchem: '54670067', synonyms: ['Ascorbate', 'Vitamin C', 'L-Ascorbic acid'] },
+  { id: 'HMDB0002711', name: 'Dehydroascorbic acid', kegg: 'C05422', chebi: 'CHEBI:17242', synonyms: ['Dehydroascorbate', 'DHA (ascorbate)'] },
+
+  // Purines, pyrimidines
+  { id: 'HMDB0000050', name: 'Adenosine', kegg: 'C00212', chebi: 'CHEBI:16335', pubchem: '60961' },
+  { id: 'HMDB0000195', name: 'Inosine', kegg: 'C00294', chebi: 'CHEBI:17596' },
+  { id: 'HMDB0000133', name: 'Guanosine', kegg: 'C00387', chebi: 'CHEBI:16750' },
+  { id: 'HMDB0000296', name: 'Uridine', kegg: 'C00299', chebi: 'CHEBI:16704', pubchem: '6029' },
+  { id: 'HMDB0000157', name: 'Hypoxanthine', kegg: 'C00262', chebi: 'CHEBI:17368', pubchem: '790' },
+  { id: 'HMDB0000292', name: 'Xanthine', kegg: 'C00385', chebi: 'CHEBI:17712', pubchem: '1188' },
+  { id: 'HMDB0000054', name: 'Bilirubin', kegg: 'C00486', chebi: 'CHEBI:16990' },
+  { id: 'HMDB0000289', name: 'Uric acid', kegg: 'C00366', chebi: 'CHEBI:27226', pubchem: '1175', synonyms: ['Urate'] },
+
+  // Nitrogen, polyamines, one-carbon
+  { id: 'HMDB0000294', name: 'Urea', kegg: 'C00086', chebi: 'CHEBI:16199', pubchem: '1176', synonyms: ['Carbamide'] },
+  { id: 'HMDB0000051', name: 'Ammonia', kegg: 'C00014', chebi: 'CHEBI:16134', pubchem: '222', synonyms: ['NH3', 'Ammonium'] },
+  { id: 'HMDB0001414', name: 'Putrescine', kegg: 'C00134', chebi: 'CHEBI:17148', pubchem: '1045', synonyms: ['1,4-Diaminobutane'] },
+  { id: 'HMDB0001257', name: 'Spermidine', kegg: 'C00315', chebi: 'CHEBI:16610', pubchem: '1102' },
+  { id: 'HMDB0001256', name: 'Spermine', kegg: 'C00750', chebi: 'CHEBI:15746', pubchem: '1103' },
+  { id: 'HMDB0000043', name: 'Betaine', kegg: 'C00719', chebi: 'CHEBI:17750', pubchem: '247', synonyms: ['Glycine betaine', 'Trimethylglycine', 'TMG'] },
+  { id: 'HMDB0000097', name: 'Choline', kegg: 'C00114', chebi: 'CHEBI:15354', pubchem: '305' },
+  { id: 'HMDB0001565', name: 'Phosphocholine', kegg: 'C00588', chebi: 'CHEBI:18132', synonyms: ['Phosphorylcholine'] },
+  { id: 'HMDB0000086', name: 'Glycerophosphocholine', kegg: 'C00670', chebi: 'CHEBI:16870', synonyms: ['GPC', 'Glycerylphosphorylcholine', 'Alpha-GPC'] },
+  { id: 'HMDB0000925', name: 'Trimethylamine N-oxide', kegg: 'C01104', chebi: 'CHEBI:15724', pubchem: '1145', synonyms: ['TMAO'] },
+
+  // Carnitines and lipids
+  { id: 'HMDB0000062', name: 'L-Carnitine', kegg: 'C00318', chebi: 'CHEBI:16347', pubchem: '10917', synonyms: ['Carnitine'] },
+  { id: 'HMDB0000201', name: 'L-Acetylcarnitine', kegg: 'C02571', synonyms: ['Acetylcarnitine', 'Acetyl-carnitine', 'ALCAR', 'C2-carnitine'] },
+  { id: 'HMDB0000067', name: 'Cholesterol', kegg: 'C00187', chebi: 'CHEBI:16113', pubchem: '5997' },
+  { id: 'HMDB0000220', name: 'Palmitic acid', kegg: 'C00249', chebi: 'CHEBI:15756', pubchem: '985', synonyms: ['Palmitate', 'Hexadecanoic acid', 'FA(16:0)'] },
+  { id: 'HMDB0000827', name: 'Stearic acid', kegg: 'C01530', chebi: 'CHEBI:28842', pubchem: '5281', synonyms: ['Stearate', 'Octadecanoic acid', 'FA(18:0)'] },
+  { id: 'HMDB0000207', name: 'Oleic acid', kegg: 'C00712', chebi: 'CHEBI:16196', pubchem: '445639', synonyms: ['Oleate', 'FA(18:1)'] },
+  { id: 'HMDB0000673', name: 'Linoleic acid', kegg: 'C01595', chebi: 'CHEBI:17351', pubchem: '5280450', synonyms: ['Linoleate', 'FA(18:2)'] },
+  { id: 'HMDB0001043', name: 'Arachidonic acid', kegg: 'C00219', chebi: 'CHEBI:15843', pubchem: '444899', synonyms: ['Arachidonate', 'FA(20:4)'] },
+  { id: 'HMDB0000277', name: 'Sphingosine 1-phosphate', kegg: 'C06124', chebi: 'CHEBI:37550', synonyms: ['Sphingosine-1-phosphate', 'S1P'] },
+  { id: 'HMDB0000211', name: 'myo-Inositol', kegg: 'C00137', chebi: 'CHEBI:17268', pubchem: '892', synonyms: ['Inositol', 'Myo-inositol'] },
+
+  // Neurotransmitters and hormones
+  { id: 'HMDB0000073', name: 'Dopamine', kegg: 'C03758', chebi: 'CHEBI:18243', pubchem: '681' },
+  { id: 'HMDB0000216', name: 'Norepinephrine', kegg: 'C00547', chebi: 'CHEBI:18357', synonyms: ['Noradrenaline'] },
+  { id: 'HMDB0000068', name: 'Epinephrine', kegg: 'C00788', chebi: 'CHEBI:28918', synonyms: ['Adrenaline'] },
+  { id: 'HMDB0000259', name: 'Serotonin', kegg: 'C00780', chebi: 'CHEBI:28790', pubchem: '5202', synonyms: ['5-Hydroxytryptamine', '5-HT'] },
+  { id: 'HMDB0001389', name: 'Melatonin', kegg: 'C01598', chebi: 'CHEBI:16796', pubchem: '896' },
+  { id: 'HMDB0000895', name: 'Acetylcholine', kegg: 'C01996', chebi: 'CHEBI:15355', pubchem: '187', synonyms: ['ACh'] },
+  { id: 'HMDB0000063', name: 'Cortisol', kegg: 'C00735', chebi: 'CHEBI:17650', pubchem: '5754', synonyms: ['Hydrocortisone'] },
+  { id: 'HMDB0001547', name: 'Corticosterone', kegg: 'C02140', chebi: 'CHEBI:16827', pubchem: '5753' },
+  { id: 'HMDB0000077', name: 'Dehydroepiandrosterone', kegg: 'C01227', chebi: 'CHEBI:28689', pubchem: '5881', synonyms: ['DHEA'] },
+
+  // Microbial and dietary
+  { id: 'HMDB0000714', name: 'Hippuric acid', kegg: 'C01586', chebi: 'CHEBI:18089', pubchem: '464', synonyms: ['Hippurate', 'Benzoylglycine'] },
+  { id: 'HMDB0002302', name: 'Indole-3-propionic acid', chebi: 'CHEBI:43580', synonyms: ['Indole-3-propionate', 'IPA'] },
+  { id: 'HMDB0003072', name: 'Quinic acid', kegg: 'C00296', chebi: 'CHEBI:17521', pubchem: '6508', synonyms: ['Quinate'] },
+  { id: 'HMDB0004827', name: 'Proline betaine', kegg: 'C10172', synonyms: ['Stachydrine', 'L-Proline betaine'] },
+  { id: 'HMDB0002434', name: 'Hydroquinone', kegg: 'C00530', chebi: 'CHEBI:17594', pubchem: '785', synonyms: ['1,4-Benzenediol'] },
+  { id: 'HMDB0000532', name: 'N-Acetylglycine', synonyms: ['Acetylglycine', 'Aceturic acid'] },
+  { id: 'HMDB0002825', name: 'Theobromine', kegg: 'C07480', chebi: 'CHEBI:28946', pubchem: '5429' },
+  { id: 'HMDB0000202', name: 'Methylmalonic acid', kegg: 'C02170', chebi: 'CHEBI:30860', pubchem: '487', synonyms: ['Methylmalonate', 'MMA'] },
+  { id: 'HMDB0000008', name: '2-Hydroxybutyric acid', kegg: 'C05984', synonyms: ['2-Hydroxybutyrate', 'alpha-Hydroxybutyrate', 'alpha-Hydroxybutyric acid', '2-HB'] },
+  { id: 'HMDB0000606', name: 'D-2-Hydroxyglutaric acid', kegg: 'C01087', synonyms: ['2-Hydroxyglutarate', '2-HG', 'D-2-Hydroxyglutarate'] }
+];
@@ -0,0 +1,231 @@
+// ============ BAYESIAN POSTERIORS ============
+// Posteriors are computed from the model's elicited prior P(H) and likelihoods
+// P(D|H) and P(D|¬H) rather than trusting the posterior it asserts. Each
+// elicited probability is treated as the mean of a Beta distribution; the
+// uncertainty is propagated (delta method) and a Beta is fitted to the
+// posterior to give a credible interval.
+import { logGamma } from './enrichment';
+
+// Pseudo-observations behind each elicited probability (Beta α + β)
+export const DEFAULT_CONCENTRATION = 20;
+// Flag a model-claimed posterior further than this from the computed one
+export const MISMATCH_TOLERANCE = 0.1;
+
+export const POSTERIOR_MODES = [
+  { id: 'binary', label: 'H vs. not-H', description: 'Uses each hypothesis\'s P(D|H) and P(D|¬H)' },
+  { id: 'competing', label: 'Competing hypotheses', description: 'Normalizes P(H)·P(D|H) across the hypotheses of a run' }
+];
+
+const EPSILON = 1e-9;
+const clamp01 = (x) => Math.min(1 - EPSILON, Math.max(EPSILON, x));
+const isProbability = (x) => typeof x === 'number' && Number.isFinite(x) && x >= 0 && x <= 1;
+
+// ============ BETA DISTRIBUTION ============
+export const betaVariance = (mean, concentration) => (mean * (1 - mean)) / (concentration + 1);
+
+export const betaFromMoments = (mean, variance) => {
+  const m = clamp01(mean);
+  // A Beta can't be wider than a two-point distribution on {0, 1}
+  const v = Math.min(variance, m * (1 - m) * 0.999);
+  if (v <= 0) return { alpha: Infinity, beta: Infinity };
+  const nu = (m * (1 - m)) / v - 1;
+  return { alpha: m * nu, beta: (1 - m) * nu };
+};
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+const betaContinuedFraction = (x, a, b) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b), i.e. the Beta(a, b) CDF at x
+export const betaCdf = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+export const betaQuantile = (p, a, b) => {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (betaCdf(mid, a, b) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Equal-tailed credible interval
+export const betaInterval = (alpha, beta, level = 0.95) => {
+  if (!Number.isFinite(alpha) || !Number.isFinite(beta)) {
+    const mean = Number.isFinite(alpha) ? 0 : Number.isFinite(beta) ? 1 : null;
+    return mean === null ? null : [mean, mean];
+  }
+  const tail = (1 - level) / 2;
+  return [betaQuantile(tail, alpha, beta), betaQuantile(1 - tail, alpha, beta)];
+};
+
+// ============ POSTERIOR ============
+// P(H|D) = P(D|H)P(H) / (P(D|H)P(H) + P(D|¬H)(1 − P(H)))
+export const bayesPosterior = (prior, likelihood, likelihoodAlternative) => {
+  const evidence = likelihood * prior + likelihoodAlternative * (1 - prior);
+  return evidence > 0 ? (likelihood * prior) / evidence : prior;
+};
+
+// Posterior mean, fitted Beta and credible interval. Each input is a Beta
+// with the given mean and concentration; the posterior variance follows
+// from the first-order (delta method) expansion of Bayes' rule.
+export const computePosterior = ({ prior, likelihood, likelihoodAlternative }, { concentration = DEFAULT_CONCENTRATION, level = 0.95 } = {}) => {
+  const p = clamp01(prior);
+  const l1 = clamp01(likelihood);
+  const l0 = clamp01(likelihoodAlternative);
+  const evidence = l1 * p + l0 * (1 - p);
+  const posterior = (l1 * p) / evidence;
+
+  const d2 = evidence * evidence;
+  const gradient = [(l1 * l0) / d2, (p * (1 - p) * l0) / d2, -(p * (1 - p) * l1) / d2];
+  const variance = [p, l1, l0].reduce((sum, m, i) => sum + gradient[i] ** 2 * betaVariance(m, concentration), 0);
+
+  const { alpha, beta } = betaFromMoments(posterior, variance);
+  return {
+    posterior,
+    alpha,
+    beta,
+    interval: betaInterval(alpha, beta, level),
+    bayesFactor: l1 / l0
+  };
+};
+
+// Compute posteriors for every hypothesis of a run. In 'competing' mode the
+// alternative likelihood for each hypothesis is the prior-weighted likelihood
+// of the others plus a "none of these" remainder, so posteriors sum to ≤ 1.
+// 'binary' mode falls back to 'competing' for hypotheses missing P(D|¬H).
+export const computeRunPosteriors = (hypotheses, { mode = 'binary', concentration = DEFAULT_CONCENTRATION, tolerance = MISMATCH_TOLERANCE } = {}) => {
+  const inputs = (hypotheses || []).map(hyp => {
+    const ba = hyp?.bayesian_analysis || {};
+    return {
+      prior: ba.prior_probability,
+      likelihood: ba.likelihood,
+      likelihoodAlternative: ba.likelihood_alternative,
+      claimed: isProbability(ba.posterior_probability) ? ba.posterior_probability : null
+    };
+  });
+
+  const usable = inputs.filter(i => isProbability(i.prior) && isProbability(i.likelihood));
+  const priorSum = usable.reduce((sum, i) => sum + i.prior, 0);
+  const scale = priorSum > 1 ? 1 / priorSum : 1;
+  const remainder = Math.max(0, 1 - priorSum);
+  const alternatives = usable.map(i => i.likelihoodAlternative).filter(isProbability);
+  const remainderLikelihood = alternatives.length
+    ? alternatives.reduce((a, b) => a + b, 0) / alternatives.length
+    : 0.5;
+  const totalWeight = usable.reduce((sum, i) => sum + i.prior * scale * i.likelihood, 0) + remainder * remainderLikelihood;
+
+  return inputs.map(input => {
+    const missing = ['prior', 'likelihood'].filter(k => !isProbability(input[k]));
+    if (missing.length) return { computed: false, missing, claimed: input.claimed };
+
+    const useBinary = mode === 'binary' && isProbability(input.likelihoodAlternative);
+    let prior = input.prior;
+    let likelihoodAlternative = input.likelihoodAlternative;
+    if (!useBinary) {
+      prior = input.prior * scale;
+      const others = totalWeight - prior * input.likelihood;
+      likelihoodAlternative = prior < 1 ? others / (1 - prior) : input.likelihood;
+    }
+
+    const result = computePosterior(
+      { prior, likelihood: input.likelihood, likelihoodAlternative },
+      { concentration }
+    );
+    const difference = input.claimed === null ? null : input.claimed - result.posterior;
+    return {
+      computed: true,
+      mode: useBinary ? 'binary' : 'competing',
+      ...result,
+      prior,
+      likelihood: input.likelihood,
+      likelihoodAlternative,
+      claimed: input.claimed,
+      difference,
+      mismatch: difference !== null && Math.abs(difference) > tolerance
+    };
+  });
+};
+
+// ============ SENSITIVITY ============
+const odds = (p) => clamp01(p) / (1 - clamp01(p));
+
+// Likelihood ratio P(E|H)/P(E|¬H) that new evidence E would need to carry to
+// move the posterior from `posterior` to `target` (< 1 means evidence against H)
+export const requiredBayesFactor = (posterior, target) => odds(target) / odds(posterior);
+
+// Prior at which the posterior would equal `target`, holding the likelihoods fixed
+export const priorForPosterior = (target, likelihood, likelihoodAlternative) => {
+  const t = clamp01(target);
+  const l1 = clamp01(likelihood);
+  const l0 = clamp01(likelihoodAlternative);
+  return (t * l0) / (l1 * (1 - t) + t * l0);
+};
+
+const SENSITIVITY_INPUTS = [
+  { key: 'prior', label: 'Prior P(H)' },
+  { key: 'likelihood', label: 'P(D|H)' },
+  { key: 'likelihoodAlternative', label: 'P(D|¬H)' }
+];
+
+// One-at-a-time swing of each input across its own credible interval,
+// sorted widest first for a tornado chart
+export const sensitivityTornado = (inputs, { concentration = DEFAULT_CONCENTRATION } = {}) => {
+  const base = bayesPosterior(inputs.prior, inputs.likelihood, inputs.likelihoodAlternative);
+  return SENSITIVITY_INPUTS.map(({ key, label }) => {
+    const mean = clamp01(inputs[key]);
+    const [low, high] = betaInterval(mean * concentration, (1 - mean) * concentration);
+    const at = (value) => {
+      const varied = { ...inputs, [key]: value };
+      return bayesPosterior(varied.prior, varied.likelihood, varied.likelihoodAlternative);
+    };
+    const posteriorLow = at(low);
+    const posteriorHigh = at(high);
+    return {
+      key,
+      label,
+      low,
+      high,
+      posteriorLow,
+      posteriorHigh,
+      swing: Math.abs(posteriorHigh - posteriorLow),
+      base
+    };
+  }).sort((a, b) => b.swing - a.swing);
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  betaCdf, betaQuantile, betaInterval, bayesPosterior, computePosterior, computeRunPosteriors,
+  requiredBayesFactor, priorForPosterior
+} from './bayes';
+
+const hypothesis = (prior, likelihood, likelihoodAlternative, claimed) => ({
+  bayesian_analysis: {
+    prior_probability: prior,
+    likelihood,
+    likelihood_alternative: likelihoodAlternative,
+    posterior_probability: claimed
+  }
+});
+
+describe('Beta distribution', () => {
+  it('matches closed forms', () => {
+    expect(betaCdf(0.5, 2, 2)).toBeCloseTo(0.5, 10);
+    // Beta(1, 1) is uniform; Beta(2, 1) has CDF x²
+    expect(betaCdf(0.3, 1, 1)).toBeCloseTo(0.3, 10);
+    expect(betaCdf(0.3, 2, 1)).toBeCloseTo(0.09, 10);
+  });
+
+  it('inverts the CDF', () => {
+    expect(betaCdf(betaQuantile(0.975, 3, 5), 3, 5)).toBeCloseTo(0.975, 8);
+  });
+
+  it('collapses to a point for an infinitely concentrated Beta', () => {
+    expect(betaInterval(Infinity, 1)).toEqual([1, 1]);
+    expect(betaInterval(1, Infinity)).toEqual([0, 0]);
+  });
+});
+
+describe('posteriors', () => {
+  it('applies Bayes rule', () => {
+    expect(bayesPosterior(0.5, 0.8, 0.2)).toBeCloseTo(0.8, 10);
+    expect(bayesPosterior(0.1, 0.9, 0.3)).toBeCloseTo(0.09 / 0.36, 10);
+  });
+
+  it('puts the posterior inside its credible interval', () => {
+    const { posterior, interval, bayesFactor } = computePosterior({ prior: 0.3, likelihood: 0.7, likelihoodAlternative: 0.2 });
+    expect(posterior).toBeCloseTo(0.21 / 0.35, 10);
+    expect(bayesFactor).toBeCloseTo(3.5, 10);
+    expect(interval[0]).toBeLessThan(posterior);
+    expect(interval[1]).toBeGreaterThan(posterior);
+  });
+
+  it('flags a claimed posterior far from the computed one', () => {
+    const [result] = computeRunPosteriors([hypothesis(0.5, 0.8, 0.2, 0.5)]);
+    expect(result).toMatchObject({ computed: true, mode: 'binary', claimed: 0.5, mismatch: true });
+  });
+
+  it('reports missing inputs instead of computing', () => {
+    const [result] = computeRunPosteriors([hypothesis(0.5, 'high', 0.2)]);
+    expect(result).toEqual({ computed: false, missing: ['likelihood'], claimed: null });
+  });
+
+  it('keeps competing posteriors summing to at most 1', () => {
+    const results = computeRunPosteriors(
+      [hypothesis(0.5, 0.9, 0.1), hypothesis(0.4, 0.6, 0.2), hypothesis(0.3, 0.5, 0.3)],
+      { mode: 'competing' }
+    );
+    expect(results.every(r => r.mode === 'competing')).toBe(true);
+    expect(results.reduce((sum, r) => sum + r.posterior, 0)).toBeLessThanOrEqual(1 + 1e-9);
+  });
+});
+
+describe('sensitivity', () => {
+  it('inverts the posterior for the prior and Bayes factor', () => {
+    const prior = priorForPosterior(0.8, 0.6, 0.3);
+    expect(bayesPosterior(prior, 0.6, 0.3)).toBeCloseTo(0.8, 10);
+    expect(requiredBayesFactor(0.5, 0.8)).toBeCloseTo(4, 10);
+  });
+});
@@ -0,0 +1,94 @@
+// ============ CHART HELPERS ============
+// Tiny SVG plotting helpers; the plots are simple enough that a charting
+// library would be more weight than it is worth.
+import { downloadBlob } from './exporters';
+
+export const CHART_COLORS = {
+  background: '#1e293b',
+  axis: '#64748b',
+  grid: '#334155',
+  text: '#cbd5e1',
+  muted: '#64748b',
+  increased: '#4ade80',
+  decreased: '#f87171',
+  threshold: '#facc15',
+  selected: '#60a5fa'
+};
+
+export const PATHWAY_PALETTE = [
+  '#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa',
+  '#fb923c', '#22d3ee', '#e879f9', '#a3e635', '#f87171'
+];
+
+export const linearScale = ([d0, d1], [r0, r1]) => {
+  const span = d1 - d0 || 1;
+  return (value) => r0 + ((value - d0) / span) * (r1 - r0);
+};
+
+// Roughly `count` evenly spaced ticks on 1/2/5 × 10^k steps
+export const niceTicks = (min, max, count = 5) => {
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) return [min];
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep) || magnitude * 10;
+  const ticks = [];
+  for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+    ticks.push(+t.toFixed(10));
+  }
+  return ticks;
+};
+
+// Assign a colour to the most frequent pathways; the rest share "Other"
+export const pathwayColors = (rows, pathCol, maxGroups = PATHWAY_PALETTE.length) => {
+  const counts = {};
+  rows.forEach(row => {
+    const key = row[pathCol] ?? 'Unknown';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const colors = new Map();
+  Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key], i) => colors.set(key, i < maxGroups ? PATHWAY_PALETTE[i] : CHART_COLORS.muted));
+  return colors;
+};
+
+const serializeSvg = (svgElement) => {
+  const clone = svgElement.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const { width, height } = svgElement.viewBox.baseVal;
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const exportSvg = (svgElement, fileName) => {
+  if (!svgElement) return;
+  downloadBlob(new Blob([serializeSvg(svgElement)], { type: 'image/svg+xml;charset=utf-8' }), fileName);
+};
+
+// Rasterize through an <img> so the PNG matches the SVG exactly
+export const svgToPng = (svgElement, scale = 3) => new Promise((resolve, reject) => {
+  const { width, height } = svgElement.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([serializeSvg(svgElement)], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render chart to PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render chart to PNG'));
+  };
+  image.src = url;
+});
+
+export const exportPng = async (svgElement, fileName, scale = 3) => {
+  if (!svgElement) return;
+  downloadBlob(await svgToPng(svgElement, scale), fileName);
+};
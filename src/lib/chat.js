@@ -0,0 +1,102 @@
+// ============ HYPOTHESIS DISCUSSION ============
+// Multi-turn questions about one hypothesis. Each exchange is kept on the run
+// as a follow-up { kind: 'chat', index, question, rawResponse, proposal? }.
+// A reply may end with a fenced JSON block proposing changes to the
+// hypothesis, which the user accepts or rejects:
+//   proposal: { reason, changes, status: 'pending' | 'accepted' | 'rejected' | 'invalid', problems }
+import { HYPOTHESIS_SCHEMA, validate, formatPath } from './schemas';
+
+const FENCED_JSON = /```(?:json)?\s*(\{[\s\S]*?\})\s*```\s*$/;
+const EDITABLE_FIELDS = Object.keys(HYPOTHESIS_SCHEMA.fields).filter(field => field !== 'rank');
+
+export const CHAT_STARTERS = [
+  'Why is the prior probability set where it is?',
+  'What if the strongest change is a sample-handling artifact?',
+  'Which alternative explanation is most likely, and how would we rule it out?'
+];
+
+// The reply without its update block, and the proposal if it had one
+export const parseChatReply = (text) => {
+  const match = text.match(FENCED_JSON);
+  if (!match) return { answer: text.trim(), proposal: null };
+  let update;
+  try {
+    update = JSON.parse(match[1]).proposed_update;
+  } catch (e) {
+    return { answer: text.trim(), proposal: null };
+  }
+  if (!update || typeof update.changes !== 'object' || Array.isArray(update.changes)) {
+    return { answer: text.trim(), proposal: null };
+  }
+  return {
+    answer: text.slice(0, match.index).trim(),
+    proposal: { reason: typeof update.reason === 'string' ? update.reason : '', changes: update.changes }
+  };
+};
+
+// The hypothesis with the changes applied; bayesian_analysis is merged field by field
+export const applyChanges = (hypothesis, changes) => {
+  const next = { ...hypothesis };
+  EDITABLE_FIELDS.forEach(field => {
+    if (!(field in changes)) return;
+    next[field] = field === 'bayesian_analysis'
+      ? { ...hypothesis.bayesian_analysis, ...changes.bayesian_analysis }
+      : changes[field];
+  });
+  return next;
+};
+
+// { value, issues, problems } for the hypothesis after the changes, where
+// problems are reasons not to offer the proposal
+export const checkProposal = (hypothesis, changes) => {
+  const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+  const { value, issues, errors } = validate(applyChanges(hypothesis, changes), HYPOTHESIS_SCHEMA);
+  const problems = [
+    ...unknown.map(field => `"${field}" is not a hypothesis field`),
+    ...errors.map(e => `${formatPath(e.path)}: ${e.message}`)
+  ];
+  if (unknown.length === Object.keys(changes).length) problems.push('nothing to change');
+  return { value, issues, problems };
+};
+
+const show = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.join('; ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// [{ field, before, after }] for display, one row per changed (sub-)field
+export const describeChanges = (before, after) => {
+  const rows = [];
+  EDITABLE_FIELDS.forEach(field => {
+    if (field === 'bayesian_analysis') {
+      const a = before.bayesian_analysis || {};
+      const b = after.bayesian_analysis || {};
+      Object.keys(b).forEach(key => {
+        if (show(a[key]) !== show(b[key])) rows.push({ field: key, before: show(a[key]), after: show(b[key]) });
+      });
+    } else if (show(before[field]) !== show(after[field])) {
+      rows.push({ field, before: show(before[field]), after: show(after[field]) });
+    }
+  });
+  return rows;
+};
+
+const OUTCOME_NOTES = {
+  accepted: '(I accepted your proposed update; the hypothesis above includes it.)\n\n',
+  rejected: '(I rejected your proposed update.)\n\n',
+  invalid: '(Your proposed update could not be applied: it did not match the hypothesis fields.)\n\n'
+};
+
+// Turns to send for a new question: earlier exchanges that got an answer,
+// telling the model what became of its proposals
+export const chatTurns = (exchanges, question) => {
+  const turns = [];
+  let note = '';
+  exchanges.filter(e => !e.error && e.rawResponse.trim()).forEach(e => {
+    turns.push({ role: 'user', content: note + e.question }, { role: 'assistant', content: e.rawResponse });
+    note = OUTCOME_NOTES[e.proposal?.status] || '';
+  });
+  turns.push({ role: 'user', content: note + question });
+  return turns;
+};
@@ -0,0 +1,141 @@
+// ============ COLUMN MAPPING ============
+// Roles the rest of the app reads from each row. Patterns are listed from most
+// to least specific; a header is scored by the first pattern it matches, so
+// "metabolite_name" beats "id" and "pvalue" beats "adj_pvalue" for the raw p.
+export const COLUMN_ROLES = [
+  { key: 'metabolite', label: 'Metabolite', required: true, numeric: false, patterns: [
+    /^metabolite/i, /^compound/i, /^(biochemical|analyte)/i, /^name$/i, /name/i, /^feature/i, /^id$/i, /id$/i
+  ] },
+  { key: 'foldChange', label: 'Fold change', required: true, numeric: true, patterns: [
+    /^log2.?f(old.?)?c(hange)?$/i, /^log.?f(old.?)?c(hange)?/i, /^lfc$/i, /^fold.?change/i, /^fc$/i, /^fc/i, /ratio/i
+  ] },
+  { key: 'pValue', label: 'P-value', required: true, numeric: true, patterns: [
+    /^p.?val(ue)?$/i, /^p$/i, /^(raw|nominal).?p/i, /^p.?val(?!.*(adj|fdr|bh))/i, /^pr?\(>/i
+  ] },
+  { key: 'adjPValue', label: 'Adjusted p-value', required: false, numeric: true, patterns: [
+    /^(adj|padj|p.?adj)/i, /^fdr/i, /^q.?val/i, /^q$/i, /adj|fdr/i, /bh|bonferroni|holm/i
+  ] },
+  { key: 'pathway', label: 'Pathway', required: false, numeric: false, patterns: [
+    /^pathway/i, /^(sub|super).?pathway/i, /^kegg.?pathway/i, /^class/i, /^category/i, /^super/i, /^(kegg|hmdb)/i
+  ] },
+  // Splits a table that stacks several comparisons (see lib/contrasts)
+  { key: 'group', label: 'Group / contrast', required: false, numeric: false, patterns: [
+    /^(comparison|contrast)/i, /^(tissue|sample.?type|brain.?region|region|organ|matrix|compartment)$/i,
+    /^(time.?point|time|visit)$/i, /^(group|condition|cohort)$/i
+  ] }
+];
+
+export const FOLD_CHANGE_SCALES = [
+  { id: 'log2', label: 'log2 fold change' },
+  { id: 'log10', label: 'log10 fold change' },
+  { id: 'ln', label: 'Natural log fold change' },
+  { id: 'ratio', label: 'Raw ratio (e.g. 2.0 = doubled)' }
+];
+
+const isNumber = (v) => typeof v === 'number' && !Number.isNaN(v);
+
+// Pick the best-scoring header for each role without reusing a header
+export const detectColumns = (headers, data = []) => {
+  const candidates = [];
+  COLUMN_ROLES.forEach(role => {
+    headers.forEach(h => {
+      const rank = role.patterns.findIndex(p => p.test(h));
+      if (rank !== -1) candidates.push({ role: role.key, header: h, rank });
+    });
+  });
+  candidates.sort((a, b) => a.rank - b.rank);
+
+  const detected = {};
+  const used = new Set();
+  candidates.forEach(({ role, header }) => {
+    if (detected[role] || used.has(header)) return;
+    detected[role] = header;
+    used.add(header);
+  });
+
+  if (detected.foldChange) {
+    detected.foldChangeScale = guessFoldChangeScale(detected.foldChange, data.map(r => r[detected.foldChange]));
+  }
+  return detected;
+};
+
+export const guessFoldChangeScale = (header = '', values = []) => {
+  if (/log.?10/i.test(header)) return 'log10';
+  if (/(^|[^a-z])ln([^a-z]|$)|natural/i.test(header)) return 'ln';
+  if (/log|lfc/i.test(header)) return 'log2';
+  const numeric = values.filter(isNumber);
+  // Ratios are never negative; a column of positive values centred near 1 is almost certainly one
+  if (numeric.length > 0 && numeric.every(v => v > 0)) {
+    const sorted = [...numeric].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    if (median > 0.5 && median < 2) return 'ratio';
+  }
+  return 'log2';
+};
+
+export const toLog2FoldChange = (value, scale) => {
+  if (!isNumber(value)) return null;
+  switch (scale) {
+    case 'log10': return value * Math.log2(10);
+    case 'ln': return value / Math.LN2;
+    case 'ratio': return value > 0 ? Math.log2(value) : null;
+    default: return value;
+  }
+};
+
+// Return rows with the fold-change column converted to log2 so every
+// downstream consumer can assume one scale.
+export const applyColumnMapping = (data, columns) => {
+  if (!data) return null;
+  const fcCol = columns.foldChange;
+  const scale = columns.foldChangeScale || 'log2';
+  if (!fcCol || scale === 'log2') return data;
+  return data.map(row => ({ ...row, [fcCol]: toLog2FoldChange(row[fcCol], scale) }));
+};
+
+// Per-role problems shown next to each dropdown
+export const validateColumnMapping = (data, columns) => {
+  const issues = {};
+  const rows = data || [];
+  COLUMN_ROLES.forEach(role => {
+    const col = columns[role.key];
+    const messages = [];
+    if (!col) {
+      if (role.required) messages.push('Required column not mapped');
+      issues[role.key] = messages;
+      return;
+    }
+    const values = rows.map(r => r[col]).filter(v => v !== null && v !== undefined);
+    if (values.length === 0) messages.push('Column is empty');
+
+    if (role.numeric) {
+      const nonNumeric = values.filter(v => !isNumber(v));
+      if (nonNumeric.length > 0) {
+        messages.push(`${nonNumeric.length} non-numeric value${nonNumeric.length === 1 ? '' : 's'} (e.g. "${nonNumeric[0]}")`);
+      }
+    }
+    if (role.key === 'pValue' || role.key === 'adjPValue') {
+      const outOfRange = values.filter(v => isNumber(v) && (v < 0 || v > 1));
+      if (outOfRange.length > 0) messages.push(`${outOfRange.length} value(s) outside [0, 1]`);
+    }
+    if (role.key === 'foldChange' && columns.foldChangeScale === 'ratio') {
+      const invalid = values.filter(v => isNumber(v) && v <= 0);
+      if (invalid.length > 0) messages.push(`${invalid.length} ratio(s) ≤ 0 cannot be log-transformed`);
+    }
+    if (role.key === 'group') {
+      const distinct = [...new Set(values.map(String))];
+      if (distinct.length === 1) messages.push(`Only one group ("${distinct[0]}"); rows are not split`);
+    }
+    if (role.key === 'metabolite') {
+      const numeric = values.filter(isNumber);
+      if (numeric.length === values.length && values.length > 0) messages.push('All values are numeric; is this an ID column?');
+    }
+    issues[role.key] = messages;
+  });
+  return issues;
+};
+
+export const isNumericColumn = (data, col) => {
+  const values = (data || []).map(r => r[col]).filter(v => v !== null && v !== undefined);
+  return values.length > 0 && values.every(isNumber);
+};
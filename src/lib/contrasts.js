@@ -0,0 +1,118 @@
+// ============ CONTRASTS ============
+// A table can stack several comparisons (Hippocampus and Cortex, Pre- and
+// Post-exercise...) told apart by the column mapped to the 'group' role.
+// Summaries, views and prompts can then cover one group, all groups pooled,
+// the groups set against each other, or (when the groups are timepoints)
+// each metabolite's trajectory across them (see lib/timecourse).
+//   contrast: { mode: 'pooled' } | { mode: 'group', group } | { mode: 'compare' } | { mode: 'timecourse' }
+import { ADJ_P, IS_SIGNIFICANT } from './statistics';
+
+export const POOLED = { mode: 'pooled' };
+export const NO_GROUP = '(no group)';
+const PROMPT_LIMIT = 15;
+
+export const groupOf = (row, groupCol) => {
+  const value = row[groupCol];
+  return value === null || value === undefined || value === '' ? NO_GROUP : String(value);
+};
+
+// [{ value, rows }] in order of first appearance; [] without a grouping column
+export const splitByGroup = (data, groupCol) => {
+  if (!data || !groupCol) return [];
+  const groups = new Map();
+  data.forEach(row => {
+    const value = groupOf(row, groupCol);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  return [...groups].map(([value, rows]) => ({ value, rows }));
+};
+
+// The contrast as it applies to these groups: a group that no longer exists,
+// a comparison with fewer than two groups, or a time course with time-course
+// mode off, falls back to pooled
+export const effectiveContrast = (contrast, groups, { timeCourse = false } = {}) => {
+  if (!contrast || groups.length < 2) return POOLED;
+  if (contrast.mode === 'group' && !groups.includes(contrast.group)) return POOLED;
+  if (contrast.mode === 'timecourse' && !timeCourse) return POOLED;
+  return contrast;
+};
+
+export const describeContrast = (contrast) => {
+  switch (contrast?.mode) {
+    case 'group': return contrast.group;
+    case 'compare': return 'Groups compared';
+    case 'timecourse': return 'Time course';
+    default: return 'All groups pooled';
+  }
+};
+
+// Significant changes matched across groups by metabolite key:
+//   shared:     significant in two or more groups, same direction
+//   discordant: significant in two or more groups, opposite directions
+//   specific:   { [group]: [...] } significant in that group only
+// Each entry is { key, name, maxAbsFC, byGroup: { [group]: { fc, padj, significant } } }.
+export const compareGroups = (data, columns, keyOf) => {
+  const groups = splitByGroup(data, columns.group);
+  const entries = new Map();
+  groups.forEach(({ value, rows }) => {
+    rows.forEach(row => {
+      const name = row[columns.metabolite];
+      const key = keyOf(name);
+      if (!entries.has(key)) entries.set(key, { key, name, maxAbsFC: 0, byGroup: {} });
+      const entry = entries.get(key);
+      // The first row wins if a group lists a metabolite twice
+      if (entry.byGroup[value]) return;
+      const fc = row[columns.foldChange];
+      entry.byGroup[value] = { fc, padj: row[ADJ_P], significant: Boolean(row[IS_SIGNIFICANT]) };
+      if (row[IS_SIGNIFICANT] && Math.abs(fc) > entry.maxAbsFC) entry.maxAbsFC = Math.abs(fc);
+    });
+  });
+
+  const shared = [];
+  const discordant = [];
+  const specific = Object.fromEntries(groups.map(g => [g.value, []]));
+  entries.forEach(entry => {
+    const hits = Object.entries(entry.byGroup).filter(([, v]) => v.significant);
+    if (hits.length === 0) return;
+    if (hits.length === 1) {
+      specific[hits[0][0]].push(entry);
+    } else if (hits.every(([, v]) => v.fc > 0) || hits.every(([, v]) => v.fc < 0)) {
+      shared.push(entry);
+    } else {
+      discordant.push(entry);
+    }
+  });
+  const byEffect = (a, b) => b.maxAbsFC - a.maxAbsFC;
+  shared.sort(byEffect);
+  discordant.sort(byEffect);
+  Object.values(specific).forEach(list => list.sort(byEffect));
+  return { groups: groups.map(g => g.value), shared, discordant, specific };
+};
+
+const formatEntry = (entry, groups) => `- ${entry.name}: ${groups
+  .map(group => {
+    const hit = entry.byGroup[group];
+    if (!hit) return `${group} not measured`;
+    return `${group} log2FC=${hit.fc?.toFixed(2)}${hit.significant ? '' : ' (n.s.)'}`;
+  })
+  .join(', ')}`;
+
+// Prompt section for the 'compare' contrast
+export const formatComparisonForPrompt = (comparison, groupCol) => {
+  const { groups, shared, discordant, specific } = comparison;
+  const list = (entries) => (entries.length
+    ? entries.slice(0, PROMPT_LIMIT).map(entry => formatEntry(entry, groups)).join('\n')
+    : '- none');
+  return `CROSS-GROUP COMPARISON (${groupCol}: ${groups.join(', ')})
+SHARED CHANGES (significant in 2+ groups, same direction):
+${list(shared)}
+
+DISCORDANT CHANGES (significant in 2+ groups, opposite directions):
+${list(discordant)}
+
+${groups.map(group => `SPECIFIC TO ${group.toUpperCase()} (significant in this group only):
+${list(specific[group])}`).join('\n\n')}
+
+Contrast the groups explicitly: say whether each conclusion concerns a group-specific or a shared change, and which groups it applies to.`;
+};
@@ -0,0 +1,447 @@
+// ============ DIFFERENTIAL ANALYSIS ============
+// Turns a sample-level intensity matrix plus a sample metadata sheet into the
+// same results table a precomputed upload provides (metabolite, log2FC,
+// pvalue), with per-group mean, SD and n kept alongside so the prompt can
+// cite them. Pipeline: missing-value filter → imputation → per-sample
+// normalization → log transform → per-feature test.
+//   design:  { sampleCol, orientation, matrixIdCol, groupCol, reference, comparison }
+//   options: { imputation, maxMissing, normalization, transform, test }
+import { logGamma } from './enrichment';
+
+export const IMPUTATION_METHODS = [
+  { id: 'half-min', label: 'Half of the feature minimum' },
+  { id: 'min', label: 'Feature minimum' },
+  { id: 'median', label: 'Feature median' },
+  { id: 'none', label: 'None (test observed values only)' }
+];
+
+export const NORMALIZATION_METHODS = [
+  { id: 'none', label: 'None' },
+  { id: 'tic', label: 'Total ion current (TIC)' },
+  { id: 'median', label: 'Sample median' },
+  { id: 'pqn', label: 'Probabilistic quotient (PQN)' }
+];
+
+export const TRANSFORMS = [
+  { id: 'log2', label: 'log2' },
+  { id: 'none', label: 'None (values are already log-scale)' }
+];
+
+export const TESTS = [
+  { id: 'welch', label: 'Welch t-test' },
+  { id: 'mann-whitney', label: 'Mann-Whitney U' }
+];
+
+export const DEFAULT_DIFFERENTIAL_OPTIONS = {
+  imputation: 'half-min',
+  maxMissing: 0.5,    // Drop features missing in more than this fraction of samples
+  normalization: 'pqn',
+  transform: 'log2',
+  test: 'welch'
+};
+
+const labelOf = (list, id) => list.find(item => item.id === id)?.label || id;
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// ============ MATH ============
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+const betaContinuedFraction = (a, b, x) => {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b)
+export const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+};
+
+// Two-sided P(|T| >= |t|) for Student's t with df degrees of freedom
+export const studentTTwoSided = (t, df) => regularizedBeta(df / (df + t * t), df / 2, 0.5);
+
+// Complementary error function with fractional error below 1.2e-7 (Numerical Recipes erfcc)
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+};
+
+// Two-sided P(|Z| >= |z|) for a standard normal
+export const normalTwoSided = (z) => erfc(Math.abs(z) / Math.SQRT2);
+
+export const welchTTest = (a, b) => {
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const diff = mean(b) - mean(a);
+  if (va + vb === 0) return { statistic: diff === 0 ? 0 : null, p: diff === 0 ? 1 : null };
+  const t = diff / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { statistic: t, df, p: studentTTwoSided(t, df) };
+};
+
+// Null distribution of U for sizes m and n: coefficients of the Gaussian
+// binomial [m+n choose m]_q, cumulated and divided by C(m+n, m)
+const exactUCache = new Map();
+const exactUDistribution = (m, n) => {
+  const key = `${m},${n}`;
+  if (exactUCache.has(key)) return exactUCache.get(key);
+  const size = m * n + 1;
+  let poly = new Float64Array(size);
+  poly[0] = 1;
+  for (let i = 1; i <= m; i++) {
+    // Multiply by (1 - q^(n+i)), then divide by (1 - q^i)
+    const next = Float64Array.from(poly);
+    for (let k = size - 1; k >= n + i; k--) next[k] -= poly[k - n - i];
+    for (let k = i; k < size; k++) next[k] += next[k - i];
+    poly = next;
+  }
+  const total = poly.reduce((sum, c) => sum + c, 0);
+  const cumulative = new Float64Array(size);
+  let running = 0;
+  poly.forEach((c, k) => { running += c; cumulative[k] = running / total; });
+  exactUCache.set(key, cumulative);
+  return cumulative;
+};
+
+// Two-sided Wilcoxon rank-sum / Mann-Whitney U test. Exact without ties when
+// both groups have fewer than 50 values, otherwise the normal approximation
+// with tie and continuity corrections (as R's wilcox.test does).
+export const mannWhitneyTest = (a, b) => {
+  const pooled = [...a.map(v => ({ v, inA: true })), ...b.map(v => ({ v, inA: false }))].sort((x, y) => x.v - y.v);
+  const N = pooled.length;
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < N;) {
+    let j = i;
+    while (j + 1 < N && pooled[j + 1].v === pooled[i].v) j++;
+    const midRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (pooled[k].inA) rankSumA += midRank;
+    const t = j - i + 1;
+    tieTerm += t ** 3 - t;
+    i = j + 1;
+  }
+  const m = a.length;
+  const n = b.length;
+  const u = rankSumA - m * (m + 1) / 2;
+  if (tieTerm === 0 && m < 50 && n < 50) {
+    const lower = Math.min(u, m * n - u);
+    return { statistic: u, p: Math.min(1, 2 * exactUDistribution(m, n)[lower]), exact: true };
+  }
+  const sigma = Math.sqrt(m * n / 12 * ((N + 1) - tieTerm / (N * (N - 1))));
+  if (sigma === 0) return { statistic: u, p: 1, exact: false };
+  const z = Math.max(0, Math.abs(u - m * n / 2) - 0.5) / sigma;
+  return { statistic: u, p: normalTwoSided(z), exact: false };
+};
+
+// ============ DESIGN ============
+const idOf = (value) => (value === null || value === undefined ? '' : String(value).trim());
+const idSet = (values) => new Set(values.map(idOf).filter(Boolean));
+
+// Find the metadata column holding sample IDs and how the matrix is laid out,
+// by which arrangement matches the most IDs:
+//   'samples-as-rows':   one row per sample, IDs in matrixIdCol
+//   'features-as-rows':  one column per sample, headed by its ID
+export const matchSamples = (matrix, metadata) => {
+  let best = null;
+  metadata.headers.forEach(sampleCol => {
+    const ids = idSet(metadata.data.map(row => row[sampleCol]));
+    const asColumns = matrix.headers.filter(h => ids.has(idOf(h))).length;
+    if (asColumns > (best?.matched || 0)) best = { sampleCol, orientation: 'features-as-rows', matched: asColumns };
+    matrix.headers.forEach(matrixIdCol => {
+      const asRows = matrix.data.filter(row => ids.has(idOf(row[matrixIdCol]))).length;
+      if (asRows > (best?.matched || 0)) best = { sampleCol, orientation: 'samples-as-rows', matrixIdCol, matched: asRows };
+    });
+  });
+  return best;
+};
+
+const GROUP_COLUMN = /^(group|class|condition|treatment|phenotype|genotype|status|diagnosis|disease|arm)/i;
+const REFERENCE_GROUP = /control|ctrl|baseline|healthy|placebo|vehicle|sham|untreated|normal|^wt$|wild/i;
+const QC_LABEL = /^(pooled?[\s_-]*)?qc([\s_-]*\d+)?$|^pool(ed)?([\s_-]*\d+)?$/i;
+
+// Pooled QC samples are labelled "QC", "pooled QC", "Pool 3"...
+export const isQcLabel = (value) => QC_LABEL.test(idOf(value));
+
+// Distinct values of a metadata column, in order of first appearance
+export const groupValues = (metadata, groupCol) => [...idSet(metadata.data.map(row => row[groupCol]))];
+
+// A starting design: the best sample-ID match, a grouping column with a few
+// levels, and a control-like level as the reference. null when nothing matches.
+export const guessDesign = (matrix, metadata) => {
+  const match = matchSamples(matrix, metadata);
+  if (!match) return null;
+  const candidates = metadata.headers.filter(h => {
+    if (h === match.sampleCol) return false;
+    const levels = groupValues(metadata, h).length;
+    return levels >= 2 && levels <= Math.max(2, metadata.data.length / 2);
+  });
+  const groupCol = candidates.find(h => GROUP_COLUMN.test(h)) || candidates[0] || null;
+  return { ...match, ...chooseGroups(metadata, groupCol) };
+};
+
+// { groupCol, reference, comparison } with a control-like reference level
+export const chooseGroups = (metadata, groupCol) => {
+  const levels = groupCol ? groupValues(metadata, groupCol).filter(level => !isQcLabel(level)) : [];
+  const reference = levels.find(level => REFERENCE_GROUP.test(level)) || levels[0] || null;
+  const comparison = levels.find(level => level !== reference) || null;
+  return { groupCol, reference, comparison };
+};
+
+// ============ MATRIX ============
+// { samples: [{ id, group, metadata }], features: [{ name, annotations }], values[sample][feature], warnings }
+// for the metadata samples passing include(id, group), by default those in the
+// reference and comparison groups and not in design.excludedSamples. Cells
+// that are not numbers (and non-positive ones, when log-transforming) count
+// as missing.
+export const readMatrix = (matrix, metadata, design, options, include = null) => {
+  const warnings = [];
+  const groupById = new Map();
+  const rowById = new Map();
+  metadata.data.forEach(row => {
+    const id = idOf(row[design.sampleCol]);
+    if (id && !groupById.has(id)) {
+      groupById.set(id, idOf(row[design.groupCol]));
+      rowById.set(id, row);
+    }
+  });
+  const excluded = design.excludedSamples || {};
+  const inDesign = include
+    ? (id) => groupById.has(id) && include(id, groupById.get(id))
+    : (id) => [design.reference, design.comparison].includes(groupById.get(id)) && !(id in excluded);
+  let nonPositive = 0;
+  const readCell = (value) => {
+    if (!isNumber(value)) return null;
+    if (options.transform === 'log2' && value <= 0) {
+      nonPositive++;
+      return null;
+    }
+    return value;
+  };
+
+  let samples;
+  let features;
+  let values;
+  let unmatched;
+  if (design.orientation === 'samples-as-rows') {
+    const rows = matrix.data.filter(row => inDesign(idOf(row[design.matrixIdCol])));
+    unmatched = matrix.data.filter(row => !groupById.has(idOf(row[design.matrixIdCol]))).length;
+    const featureCols = matrix.headers.filter(h => h !== design.matrixIdCol && matrix.data.some(row => isNumber(row[h])));
+    const skipped = matrix.headers.filter(h => h !== design.matrixIdCol && !featureCols.includes(h));
+    if (skipped.length) warnings.push(`Non-numeric columns skipped: ${skipped.join(', ')}`);
+    samples = rows.map(row => idOf(row[design.matrixIdCol])).map(id => ({ id, group: groupById.get(id), metadata: rowById.get(id) }));
+    features = featureCols.map(name => ({ name, annotations: {} }));
+    values = rows.map(row => featureCols.map(h => readCell(row[h])));
+  } else {
+    const sampleCols = matrix.headers.filter(h => inDesign(idOf(h)));
+    unmatched = 0;
+    const otherCols = matrix.headers.filter(h => !groupById.has(idOf(h)));
+    // Feature names come from the first non-sample column; the rest ride along as annotations
+    const [nameCol, ...annotationCols] = otherCols;
+    if (!nameCol) throw new Error('No feature-name column found next to the sample columns');
+    if (annotationCols.length) warnings.push(`Columns kept as feature annotations: ${annotationCols.join(', ')}`);
+    samples = sampleCols.map(idOf).map(id => ({ id, group: groupById.get(id), metadata: rowById.get(id) }));
+    features = matrix.data.map(row => ({
+      name: idOf(row[nameCol]),
+      annotations: Object.fromEntries(annotationCols.map(h => [h, row[h]]))
+    }));
+    values = sampleCols.map(h => matrix.data.map(row => readCell(row[h])));
+  }
+  if (unmatched) warnings.push(`${unmatched} sample${unmatched === 1 ? '' : 's'} in the matrix not found in the metadata`);
+  const found = new Set(samples.map(s => s.id));
+  const absent = [...groupById.keys()].filter(id => inDesign(id) && !found.has(id));
+  if (absent.length) warnings.push(`Metadata samples missing from the matrix: ${absent.join(', ')}`);
+  if (nonPositive) warnings.push(`${nonPositive} zero or negative intensities treated as missing before the log transform`);
+  return { samples, features, values, warnings };
+};
+
+// ============ PREPROCESSING ============
+export const column = (values, f) => values.map(sample => sample[f]).filter(v => v !== null);
+
+const imputeFeature = (values, f, method) => {
+  if (method === 'none') return;
+  const observed = column(values, f);
+  const min = Math.min(...observed);
+  const fill = { 'half-min': min / 2, min, median: median(observed) }[method];
+  values.forEach(sample => { if (sample[f] === null) sample[f] = fill; });
+};
+
+// Per-sample dilution factors scaled to 1 on average:
+//   tic:    total signal
+//   median: median signal
+//   pqn:    median quotient against the feature-wise median reference sample
+//           (Dieterle et al. 2006)
+const normalizationFactors = (values, method) => {
+  const observed = values.map(sample => sample.filter(v => v !== null));
+  let raw;
+  if (method === 'tic') {
+    raw = observed.map(sample => sample.reduce((sum, v) => sum + v, 0));
+  } else if (method === 'median') {
+    raw = observed.map(median);
+  } else if (method === 'pqn') {
+    const reference = values[0].map((_, f) => {
+      const col = column(values, f);
+      return col.length ? median(col) : null;
+    });
+    raw = values.map(sample => median(sample
+      .map((v, f) => (v !== null && reference[f] > 0 ? v / reference[f] : null))
+      .filter(q => q !== null)));
+  } else {
+    return values.map(() => 1);
+  }
+  const centre = median(raw);
+  return raw.map(factor => factor / centre);
+};
+
+// Missing-value filter and imputation on the raw scale, then normalization and
+// the transform: { kept: [feature index], processed[sample][k], dropped }
+export const preprocess = (values, options) => {
+  const kept = [];
+  values[0]?.forEach((_, f) => {
+    const present = column(values, f).length;
+    if (present > 0 && 1 - present / values.length <= options.maxMissing) kept.push(f);
+  });
+  const matrixKept = values.map(sample => kept.map(f => sample[f]));
+  kept.forEach((_, k) => imputeFeature(matrixKept, k, options.imputation));
+
+  const factors = kept.length ? normalizationFactors(matrixKept, options.normalization) : values.map(() => 1);
+  const processed = matrixKept.map((sample, s) => sample.map(v => {
+    if (v === null) return null;
+    const scaled = v / factors[s];
+    return options.transform === 'log2' ? Math.log2(scaled) : scaled;
+  }));
+  return { kept, processed, dropped: (values[0]?.length || 0) - kept.length };
+};
+
+// ============ PIPELINE ============
+export const groupStatColumns = (group) => ({ group, mean: `mean_${group}`, sd: `sd_${group}`, n: `n_${group}` });
+
+// A results sheet ({ name, headers, data, errors, warnings, differential })
+// ready for the same import path as an uploaded table
+export const runDifferentialAnalysis = (matrix, metadata, design, options = DEFAULT_DIFFERENTIAL_OPTIONS) => {
+  if (!design?.groupCol || !design.reference || !design.comparison) throw new Error('Choose a grouping column and two groups');
+  if (design.reference === design.comparison) throw new Error('The two groups must differ');
+  const { samples, features, values, warnings } = readMatrix(matrix, metadata, design, options);
+  const groupSize = (group) => samples.filter(s => s.group === group).length;
+  [design.reference, design.comparison].forEach(group => {
+    if (groupSize(group) < 2) throw new Error(`Group "${group}" has ${groupSize(group)} matched sample(s); at least 2 are needed`);
+    if (groupSize(group) < 3) warnings.push(`Group "${group}" has only ${groupSize(group)} samples; p-values will be unstable`);
+  });
+
+  const { kept, processed, dropped } = preprocess(values, options);
+  if (dropped) warnings.push(`${dropped} feature${dropped === 1 ? '' : 's'} dropped for missing in more than ${Math.round(options.maxMissing * 100)}% of samples`);
+  if (kept.length === 0) throw new Error('No features left after the missing-value filter');
+
+  const ref = groupStatColumns(design.reference);
+  const comp = groupStatColumns(design.comparison);
+  const statisticCol = options.test === 'welch' ? 't_statistic' : 'U_statistic';
+  const annotationCols = Object.keys(features[0]?.annotations || {});
+  const data = [];
+  let untestable = 0;
+  kept.forEach((f, k) => {
+    const inGroup = (group) => samples
+      .map((sample, s) => (sample.group === group ? processed[s][k] : null))
+      .filter(v => v !== null);
+    const a = inGroup(design.reference);
+    const b = inGroup(design.comparison);
+    if (a.length < 2 || b.length < 2) {
+      untestable++;
+      return;
+    }
+    const result = options.test === 'welch' ? welchTTest(a, b) : mannWhitneyTest(a, b);
+    data.push({
+      metabolite: features[f].name,
+      log2FC: mean(b) - mean(a),
+      pvalue: result.p,
+      [statisticCol]: result.statistic,
+      [comp.mean]: mean(b),
+      [comp.sd]: Math.sqrt(variance(b)),
+      [comp.n]: b.length,
+      [ref.mean]: mean(a),
+      [ref.sd]: Math.sqrt(variance(a)),
+      [ref.n]: a.length,
+      ...features[f].annotations
+    });
+  });
+  if (untestable) warnings.push(`${untestable} feature${untestable === 1 ? '' : 's'} skipped with fewer than 2 observed values in a group`);
+
+  return {
+    name: `${design.comparison} vs ${design.reference}`,
+    headers: ['metabolite', 'log2FC', 'pvalue', statisticCol, comp.mean, comp.sd, comp.n, ref.mean, ref.sd, ref.n, ...annotationCols],
+    data,
+    errors: [],
+    warnings,
+    differential: {
+      groupCol: design.groupCol,
+      reference: ref,
+      comparison: comp,
+      samples: { [design.reference]: groupSize(design.reference), [design.comparison]: groupSize(design.comparison) },
+      featuresIn: features.length,
+      excludedSamples: design.excludedSamples || {},
+      options
+    }
+  };
+};
+
+// One line describing how the table was computed
+export const describeDifferential = (differential) => {
+  const { groupCol, reference, comparison, samples, options, excludedSamples = {} } = differential;
+  const excluded = Object.keys(excludedSamples).length;
+  const steps = [
+    options.imputation === 'none' ? 'no imputation' : `${labelOf(IMPUTATION_METHODS, options.imputation).toLowerCase()} imputation`,
+    options.normalization === 'none' ? 'no normalization' : `${labelOf(NORMALIZATION_METHODS, options.normalization)} normalization`,
+    options.transform === 'log2' ? 'log2 transform' : 'no transform',
+    labelOf(TESTS, options.test)
+  ];
+  const exclusions = excluded ? ` (${excluded} sample${excluded === 1 ? '' : 's'} excluded by QC)` : '';
+  if (differential.qc) steps.push(`pooled-QC median CV ${Math.round(differential.qc.medianCv * 100)}% (n=${differential.qc.n})`);
+  return `${comparison.group} (n=${samples[comparison.group]}) vs ${reference.group} (n=${samples[reference.group]}) by ${groupCol}${exclusions}; ${steps.join(', ')}`;
+};
+
+// Group mean ± SD (n) for one row, for the prompt
+export const formatGroupStats = (row, differential) => [differential.comparison, differential.reference]
+  .map(cols => `${cols.group} ${row[cols.mean]?.toFixed(2)}±${row[cols.sd]?.toFixed(2)} (n=${row[cols.n]})`)
+  .join(' vs ');
@@ -0,0 +1,265 @@
+// ============ PATHWAY ENRICHMENT ============
+// Offline over-representation (hypergeometric) and rank-based set enrichment
+// (MSEA, a GSEA-style weighted running sum) over metabolite sets that come
+// either from the uploaded pathway column or from an imported GMT library.
+import { ADJ_P, IS_SIGNIFICANT, benjaminiHochberg } from './statistics';
+
+export const DEFAULT_ENRICHMENT_OPTIONS = {
+  minSetSize: 2,
+  maxSetSize: 500,
+  permutations: 1000,
+  seed: 42
+};
+
+// Names are matched case- and whitespace-insensitively
+export const normalizeMemberName = (name) => String(name ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// ============ SET LIBRARIES ============
+// GMT: one set per line, "name<TAB>description<TAB>member1<TAB>member2..."
+export const parseGMT = (text) => {
+  const sets = [];
+  const errors = [];
+  (text || '').replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).forEach((line, i) => {
+    if (line.trim() === '' || line.startsWith('#')) return;
+    const [name, description, ...members] = line.split('\t').map(f => f.trim());
+    const cleanMembers = [...new Set(members.filter(Boolean))];
+    if (!name || cleanMembers.length === 0) {
+      errors.push({ line: i + 1, message: 'Expected a set name, a description and at least one member' });
+      return;
+    }
+    sets.push({ name, description: description || '', members: cleanMembers });
+  });
+  return { sets, errors };
+};
+
+// Build sets from the pathway column; a cell may list several pathways separated by ; or |
+export const setsFromPathwayColumn = (data, nameCol, pathCol) => {
+  const byPathway = new Map();
+  (data || []).forEach(row => {
+    const name = row[nameCol];
+    if (name === null || name === undefined || row[pathCol] === null || row[pathCol] === undefined) return;
+    String(row[pathCol]).split(/[;|]/).map(p => p.trim()).filter(Boolean).forEach(pathway => {
+      if (!byPathway.has(pathway)) byPathway.set(pathway, new Set());
+      byPathway.get(pathway).add(String(name));
+    });
+  });
+  return [...byPathway.entries()].map(([name, members]) => ({ name, description: 'From uploaded pathway column', members: [...members] }));
+};
+
+// ============ MATH ============
+// Lanczos approximation of ln Γ(x)
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+export const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  const t = z + LANCZOS.length - 0.5;
+  LANCZOS.forEach((c, i) => { a += c / (z + i + 1); });
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+const logChoose = (n, k) => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+
+// P(X >= k) for X ~ Hypergeometric(population N, successes K, draws n)
+export const hypergeometricUpperTail = (k, N, K, n) => {
+  if (k <= 0) return 1;
+  const maxI = Math.min(K, n);
+  if (k > maxI) return 0;
+  const logDenominator = logChoose(N, n);
+  let total = 0;
+  for (let i = k; i <= maxI; i++) {
+    total += Math.exp(logChoose(K, i) + logChoose(N - K, n - i) - logDenominator);
+  }
+  return Math.min(1, total);
+};
+
+// Small seeded PRNG so permutation p-values are reproducible between runs
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6D2B79F5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// ============ MATCHING ============
+// Set members and measured rows are lined up through options.keyOf, which
+// defaults to the normalized name; callers pass a synonym-aware resolver so
+// "NAD+" in the data matches "Nicotinamide adenine dinucleotide" in a library.
+const indexSets = (sets, measured, { minSetSize, maxSetSize, keyOf = normalizeMemberName }) => sets
+  .map(set => {
+    const inData = [...new Set(set.members.map(keyOf))].filter(m => measured.has(m));
+    return { ...set, librarySize: set.members.length, matched: inData };
+  })
+  .filter(set => set.matched.length >= minSetSize && set.matched.length <= maxSetSize);
+
+const measuredIndex = (data, nameCol, keyOf = normalizeMemberName) => {
+  const index = new Map();
+  (data || []).forEach(row => {
+    const key = keyOf(row[nameCol]);
+    if (key && !index.has(key)) index.set(key, row);
+  });
+  return index;
+};
+
+// ============ OVER-REPRESENTATION ============
+export const runORA = (data, columns, sets, options = {}) => {
+  const opts = { ...DEFAULT_ENRICHMENT_OPTIONS, ...options };
+  const nameCol = columns.metabolite;
+  const measured = measuredIndex(data, nameCol, opts.keyOf);
+  const indexed = indexSets(sets, measured, opts);
+
+  // Background: measured metabolites that belong to at least one tested set
+  const universe = new Set(indexed.flatMap(set => set.matched));
+  const significant = new Set([...universe].filter(key => measured.get(key)[IS_SIGNIFICANT]));
+  const N = universe.size;
+  const n = significant.size;
+
+  const results = indexed.map(set => {
+    const hits = set.matched.filter(key => significant.has(key));
+    const K = set.matched.length;
+    const expected = N > 0 ? (K * n) / N : 0;
+    return {
+      name: set.name,
+      description: set.description,
+      size: K,
+      overlap: hits.length,
+      expected,
+      foldEnrichment: expected > 0 ? hits.length / expected : 0,
+      pValue: hypergeometricUpperTail(hits.length, N, K, n),
+      members: hits.map(key => String(measured.get(key)[nameCol]))
+    };
+  });
+
+  const fdr = benjaminiHochberg(results.map(r => r.pValue));
+  return {
+    method: 'ora',
+    universeSize: N,
+    significantCount: n,
+    results: results.map((r, i) => ({ ...r, fdr: fdr[i] })).sort((a, b) => a.pValue - b.pValue)
+  };
+};
+
+// ============ RANK-BASED (MSEA) ============
+// Signed rank statistic: direction of change times evidence strength
+export const rankStatistic = (row, columns) => {
+  const fc = row[columns.foldChange];
+  const p = typeof row[ADJ_P] === 'number' ? row[ADJ_P] : row[columns.pValue];
+  if (typeof fc !== 'number' || typeof p !== 'number') return null;
+  return Math.sign(fc) * -Math.log10(Math.max(p, 1e-300));
+};
+
+// Weighted Kolmogorov-Smirnov running sum (Subramanian et al. 2005, weight p = 1)
+const enrichmentScore = (ranked, memberPositions) => {
+  const N = ranked.length;
+  const NH = memberPositions.size;
+  if (NH === 0 || NH === N) return { es: 0, leadingEdge: [] };
+  let weightSum = 0;
+  memberPositions.forEach(i => { weightSum += Math.abs(ranked[i].stat); });
+  const missStep = 1 / (N - NH);
+
+  let running = 0;
+  let best = 0;
+  let bestIndex = 0;
+  for (let i = 0; i < N; i++) {
+    if (memberPositions.has(i)) {
+      running += weightSum > 0 ? Math.abs(ranked[i].stat) / weightSum : 1 / NH;
+    } else {
+      running -= missStep;
+    }
+    if (Math.abs(running) > Math.abs(best)) {
+      best = running;
+      bestIndex = i;
+    }
+  }
+  const leadingEdge = [...memberPositions]
+    .filter(i => (best >= 0 ? i <= bestIndex : i >= bestIndex))
+    .sort((a, b) => a - b);
+  return { es: best, leadingEdge };
+};
+
+export const runMSEA = (data, columns, sets, options = {}) => {
+  const opts = { ...DEFAULT_ENRICHMENT_OPTIONS, ...options };
+  const nameCol = columns.metabolite;
+  const measured = measuredIndex(data, nameCol, opts.keyOf);
+
+  const ranked = [...measured.entries()]
+    .map(([key, row]) => ({ key, row, stat: rankStatistic(row, columns) }))
+    .filter(r => r.stat !== null)
+    .sort((a, b) => b.stat - a.stat);
+  const position = new Map(ranked.map((r, i) => [r.key, i]));
+  const rankedKeys = new Set(position.keys());
+  const indexed = indexSets(sets, rankedKeys, opts);
+  const random = mulberry32(opts.seed);
+
+  // Null distribution: random sets of the same size drawn from the ranked list
+  const nullCache = new Map();
+  const nullScores = (size) => {
+    if (nullCache.has(size)) return nullCache.get(size);
+    const positions = ranked.map((_, i) => i);
+    const scores = [];
+    for (let p = 0; p < opts.permutations; p++) {
+      for (let i = 0; i < size; i++) {
+        const j = i + Math.floor(random() * (positions.length - i));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+      }
+      scores.push(enrichmentScore(ranked, new Set(positions.slice(0, size))).es);
+    }
+    nullCache.set(size, scores);
+    return scores;
+  };
+
+  const results = indexed.map(set => {
+    const members = new Set(set.matched.map(key => position.get(key)));
+    const { es, leadingEdge } = enrichmentScore(ranked, members);
+    const nulls = nullScores(members.size);
+    const sameSign = nulls.filter(s => (es >= 0 ? s >= 0 : s < 0));
+    const meanSameSign = sameSign.length
+      ? sameSign.reduce((sum, s) => sum + Math.abs(s), 0) / sameSign.length
+      : 0;
+    const extreme = sameSign.filter(s => Math.abs(s) >= Math.abs(es)).length;
+    return {
+      name: set.name,
+      description: set.description,
+      size: members.size,
+      es,
+      nes: meanSameSign > 0 ? es / meanSameSign : 0,
+      direction: es >= 0 ? 'up' : 'down',
+      pValue: (extreme + 1) / (sameSign.length + 1),
+      members: leadingEdge.map(i => String(ranked[i].row[nameCol]))
+    };
+  });
+
+  const fdr = benjaminiHochberg(results.map(r => r.pValue));
+  return {
+    method: 'msea',
+    rankedCount: ranked.length,
+    permutations: opts.permutations,
+    results: results.map((r, i) => ({ ...r, fdr: fdr[i] })).sort((a, b) => a.pValue - b.pValue || Math.abs(b.nes) - Math.abs(a.nes))
+  };
+};
+
+// Compact text block for the hypothesis prompt
+export const formatEnrichmentForPrompt = (enrichment, { maxRows = 10, fdrCutoff = 0.25 } = {}) => {
+  if (!enrichment) return '';
+  const { ora, msea, sourceLabel } = enrichment;
+  const lines = [`PATHWAY ENRICHMENT (computed locally from ${sourceLabel}):`];
+
+  if (ora) {
+    const top = ora.results.filter(r => r.fdr < fdrCutoff && r.overlap > 0).slice(0, maxRows);
+    lines.push(`Over-representation (hypergeometric; ${ora.significantCount} significant of ${ora.universeSize} annotated metabolites):`);
+    lines.push(top.length
+      ? top.map(r => `- ${r.name}: ${r.overlap}/${r.size} hits, ${r.foldEnrichment.toFixed(1)}x enriched, p=${r.pValue.toExponential(2)}, FDR=${r.fdr.toExponential(2)} [${r.members.join(', ')}]`).join('\n')
+      : `- No sets with FDR < ${fdrCutoff}`);
+  }
+  if (msea) {
+    const top = msea.results.filter(r => r.fdr < fdrCutoff).slice(0, maxRows);
+    lines.push(`Rank-based set enrichment (MSEA, ${msea.permutations} permutations over ${msea.rankedCount} ranked metabolites):`);
+    lines.push(top.length
+      ? top.map(r => `- ${r.name}: ${r.direction === 'up' ? 'enriched among increased' : 'enriched among decreased'}, NES=${r.nes.toFixed(2)}, p=${r.pValue.toExponential(2)}, FDR=${r.fdr.toExponential(2)}; leading edge [${r.members.join(', ')}]`).join('\n')
+      : `- No sets with FDR < ${fdrCutoff}`);
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseGMT, setsFromPathwayColumn, logGamma, hypergeometricUpperTail, runORA, runMSEA } from './enrichment';
+import { ADJ_P, IS_SIGNIFICANT } from './statistics';
+
+const columns = { metabolite: 'name', foldChange: 'fc', pValue: 'p', pathway: 'pathway' };
+
+describe('logGamma', () => {
+  it('matches log factorials', () => {
+    expect(logGamma(1)).toBeCloseTo(0, 10);
+    expect(logGamma(6)).toBeCloseTo(Math.log(120), 10);
+    expect(logGamma(0.5)).toBeCloseTo(Math.log(Math.sqrt(Math.PI)), 10);
+  });
+});
+
+describe('hypergeometricUpperTail', () => {
+  it('matches the exact tail', () => {
+    // P(X >= 1) drawing 2 of 10 with 3 successes = 1 - C(7,2)/C(10,2)
+    expect(hypergeometricUpperTail(1, 10, 3, 2)).toBeCloseTo(1 - 21 / 45, 10);
+    // P(X >= 3) drawing 3 of 10 with 3 successes = 1/C(10,3)
+    expect(hypergeometricUpperTail(3, 10, 3, 3)).toBeCloseTo(1 / 120, 10);
+  });
+
+  it('handles the edges', () => {
+    expect(hypergeometricUpperTail(0, 10, 3, 2)).toBe(1);
+    expect(hypergeometricUpperTail(3, 10, 3, 2)).toBe(0);
+  });
+});
+
+describe('set libraries', () => {
+  it('parses GMT lines and reports malformed ones', () => {
+    const { sets, errors } = parseGMT('TCA\tcycle\tCitrate\tMalate\tCitrate\n# comment\nEmpty\tnothing\n');
+    expect(sets).toEqual([{ name: 'TCA', description: 'cycle', members: ['Citrate', 'Malate'] }]);
+    expect(errors).toEqual([{ line: 3, message: 'Expected a set name, a description and at least one member' }]);
+  });
+
+  it('splits multi-pathway cells', () => {
+    const sets = setsFromPathwayColumn([
+      { name: 'Citrate', pathway: 'TCA; Glyoxylate' },
+      { name: 'Malate', pathway: 'TCA' }
+    ], 'name', 'pathway');
+    expect(sets.map(s => [s.name, s.members])).toEqual([['TCA', ['Citrate', 'Malate']], ['Glyoxylate', ['Citrate']]]);
+  });
+});
+
+// Ten metabolites; the three in "Up" are the only significant ones
+const row = (name, fc, p, significant) => ({ name, fc, p, [ADJ_P]: p, [IS_SIGNIFICANT]: significant });
+const data = [
+  row('A', 3, 1e-6, true), row('B', 2.5, 1e-5, true), row('C', 2, 1e-4, true),
+  ...['D', 'E', 'F', 'G', 'H', 'I', 'J'].map((name, i) => row(name, i % 2 ? 0.1 : -0.1, 0.3 + i * 0.1, false))
+];
+const sets = [
+  { name: 'Up', description: '', members: ['a', 'B', 'C'] },
+  { name: 'Background', description: '', members: ['D', 'E', 'F', 'G', 'H', 'I', 'J'] }
+];
+
+describe('runORA', () => {
+  it('tests overlap with the significant metabolites', () => {
+    const { universeSize, significantCount, results } = runORA(data, columns, sets);
+    expect(universeSize).toBe(10);
+    expect(significantCount).toBe(3);
+    const up = results.find(r => r.name === 'Up');
+    expect(up.overlap).toBe(3);
+    expect(up.pValue).toBeCloseTo(1 / 120, 10);
+    expect(up.foldEnrichment).toBeCloseTo(10 / 3, 10);
+    expect(results[0].name).toBe('Up');
+  });
+});
+
+describe('runMSEA', () => {
+  it('scores a set concentrated at the top of the ranking as enriched upward', () => {
+    const { results, rankedCount } = runMSEA(data, columns, sets, { permutations: 200 });
+    expect(rankedCount).toBe(10);
+    const up = results.find(r => r.name === 'Up');
+    expect(up.es).toBeCloseTo(1, 10);
+    expect(up.direction).toBe('up');
+    expect(up.members).toEqual(['A', 'B', 'C']);
+    expect(up.pValue).toBeLessThan(0.05);
+  });
+
+  it('is reproducible for a given seed', () => {
+    const first = runMSEA(data, columns, sets, { permutations: 100, seed: 7 });
+    const second = runMSEA(data, columns, sets, { permutations: 100, seed: 7 });
+    expect(second.results).toEqual(first.results);
+  });
+});
@@ -0,0 +1,28 @@
+// ============ FILE EXPORT HELPERS ============
+const escapeCSVField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const rowsToCSV = (headers, rows) => [
+  headers.map(escapeCSVField).join(','),
+  ...rows.map(row => headers.map(h => escapeCSVField(row[h])).join(','))
+].join('\r\n');
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (text, fileName, type = 'text/plain') =>
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), fileName);
+
+// Strip the extension so derived exports read "cohort_significant.csv"
+export const baseName = (fileName = 'metabolomics') => fileName.replace(/\.[^.]+$/, '') || 'metabolomics';
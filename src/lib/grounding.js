@@ -0,0 +1,299 @@
+// ============ EVIDENCE GROUNDING ============
+// Checks the metabolites and values a hypothesis cites against the uploaded
+// table. Mentions are found by dataset name or any synonym of the resolved
+// compound; fold changes, p-values and directions stated next to a mention
+// are compared with that metabolite's row.
+import { CANONICAL_ID } from './identifiers';
+import { ADJ_P } from './statistics';
+
+export const GROUNDING_STATUS = {
+  verified: { label: 'Verified', className: 'bg-green-500/10 text-green-300 border-green-500/30' },
+  mismatch: { label: 'Mismatched', className: 'bg-red-500/10 text-red-300 border-red-500/30' },
+  absent: { label: 'Not in data', className: 'bg-yellow-500/10 text-yellow-300 border-yellow-500/30' }
+};
+
+// Fields of a hypothesis that make claims about the data. Evidence counts a
+// bare mention as a claim; the mechanism may name unmeasured intermediates,
+// and predictions describe future results, so their directions aren't checked.
+export const GROUNDED_FIELDS = [
+  { key: 'evidence', label: 'Evidence', bareMentions: true, directions: true },
+  { key: 'mechanism', label: 'Mechanism', bareMentions: false, directions: true },
+  { key: 'predictions', label: 'Predictions', bareMentions: false, directions: false }
+];
+
+// log2 fold changes within this much (plus the rounding of the cited value) match
+const LOG2FC_TOLERANCE = 0.05;
+// p-values within this many orders of magnitude match
+const LOG10P_TOLERANCE = 0.15;
+// Names this short are abbreviations (ATP, PCr) and are matched case-sensitively
+const ABBREVIATION_LENGTH = 4;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// ============ INDEX ============
+// Mention patterns for every name in the data (plus its synonyms) and for
+// every other compound in the synonym table, which is known but not measured.
+export const createGroundingIndex = (data, columns, synonymIndex) => {
+  const nameCol = columns.metabolite;
+  const rowsByKey = new Map();
+  const names = new Map();  // surface name -> key
+
+  const addName = (name, key) => {
+    const trimmed = String(name ?? '').trim();
+    if (trimmed.length > 1 && !names.has(trimmed.toLowerCase())) names.set(trimmed.toLowerCase(), { name: trimmed, key });
+  };
+
+  (data || []).forEach(row => {
+    const raw = String(row[nameCol] ?? '').trim();
+    if (!raw) return;
+    const key = row[CANONICAL_ID] || `name:${raw.toLowerCase()}`;
+    if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+    rowsByKey.get(key).push(row);
+  });
+  // Dataset names first so they win over synonyms of another compound
+  (data || []).forEach(row => {
+    const raw = String(row[nameCol] ?? '').trim();
+    if (raw) addName(raw, row[CANONICAL_ID] || `name:${raw.toLowerCase()}`);
+  });
+  (synonymIndex?.entries || []).forEach(entry => {
+    [entry.name, ...(entry.synonyms || [])].forEach(name => addName(name, entry.id));
+  });
+
+  const patterns = [...names.values()]
+    .sort((a, b) => b.name.length - a.name.length)
+    .map(({ name, key }) => ({
+      name,
+      key,
+      pattern: new RegExp(
+        `(^|[^A-Za-z0-9])(${escapeRegExp(name)})(?![A-Za-z0-9])`,
+        name.length <= ABBREVIATION_LENGTH ? 'g' : 'gi'
+      )
+    }));
+
+  return { patterns, rowsByKey, columns };
+};
+
+// Non-overlapping mentions in text order; longer names claim their span first
+const findMentions = (text, index) => {
+  const mentions = [];
+  const taken = [];
+  index.patterns.forEach(({ key, pattern }) => {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      const start = m.index + m[1].length;
+      const end = start + m[2].length;
+      if (!taken.some(([s, e]) => start < e && end > s)) {
+        taken.push([start, end]);
+        mentions.push({ start, end, text: m[2], key });
+      }
+    }
+  });
+  return mentions.sort((a, b) => a.start - b.start);
+};
+
+// ============ CITED VALUES ============
+const NUMBER = '([-+−]?\\d*\\.?\\d+(?:\\s*[eE×x]\\s*(?:10\\^?)?[-−]?\\d+)?)';
+// group is the capture holding the number. Only a log2 label is compared
+// with the log2 column directly; a bare "FC" or "fold change" is a ratio.
+const VALUE_PATTERNS = [
+  { kind: 'p', group: 2, pattern: new RegExp(`\\b(?:adj(?:usted)?\\.?\\s*p|p\\.?adj|padj|q|fdr|p)(?:[-\\s]?val(?:ue)?)?\\s*([=<≤]|of)\\s*${NUMBER}`, 'gi') },
+  { kind: 'log2fc', group: 2, pattern: new RegExp(`\\b(?:log2\\s*\\(?\\s*f(?:old)?\\.?\\s*c(?:hange)?\\)?|log2FC|lfc|log2)\\s*(=|:|of)?\\s*${NUMBER}`, 'gi') },
+  { kind: 'fold', group: 2, pattern: new RegExp(`\\b(?:fold[-\\s]?change|fc)\\s*(=|:|of)?\\s*${NUMBER}`, 'gi') },
+  { kind: 'fold', group: 1, pattern: new RegExp(`${NUMBER}\\s*-?\\s*(fold|×|x)(?![A-Za-z0-9])`, 'gi') }
+];
+
+const parseNumber = (s) => {
+  const cleaned = s.replace(/\s+/g, '').replace(/−/g, '-');
+  const sci = cleaned.match(/^([-+]?\d*\.?\d+)[eE×x](?:10\^?)?([-]?\d+)$/);
+  if (sci) return parseFloat(sci[1]) * 10 ** parseInt(sci[2], 10);
+  return parseFloat(cleaned);
+};
+
+// Half a unit in the last cited decimal place (of the mantissa, scaled)
+const roundingOf = (s) => {
+  const [mantissa, exponent] = s.replace(/\s+/g, '').replace(/−/g, '-').split(/[eE×x](?:10\^?)?/);
+  const decimals = (mantissa.split('.')[1] || '').length;
+  return 0.5 * 10 ** (-decimals + (exponent ? parseInt(exponent, 10) : 0));
+};
+
+const INCREASE = /\b(increas|elevat|higher|raised|up-?regulat|accumulat|enrich|rose|rise)/i;
+const DECREASE = /\b(decreas|reduc|lower|deplet|down-?regulat|declin|diminish|fell|drop)/i;
+
+const directionOf = (text) => {
+  const up = INCREASE.exec(text);
+  const down = DECREASE.exec(text);
+  if (up && (!down || up.index < down.index)) return 1;
+  if (down) return -1;
+  return 0;
+};
+
+// Values stated in a stretch of text following a mention
+const extractValues = (segment) => {
+  const values = [];
+  const taken = [];
+  VALUE_PATTERNS.forEach(({ kind, group, pattern }) => {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(segment)) !== null) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      taken.push([start, end]);
+      const raw = m[group];
+      const value = parseNumber(raw);
+      if (!isNumber(value)) continue;
+      values.push({
+        kind,
+        value,
+        raw,
+        text: m[0].trim(),
+        operator: kind === 'p' ? (m[1] === '=' || m[1].toLowerCase() === 'of' ? '=' : '<') : '=',
+        signed: /^[-+−]/.test(raw.trim()),
+        precision: roundingOf(raw)
+      });
+    }
+  });
+  return values;
+};
+
+// ============ CHECKS ============
+const formatFc = (x) => (isNumber(x) ? x.toFixed(2) : 'n/a');
+const formatP = (x) => (isNumber(x) ? x.toExponential(1) : 'n/a');
+
+const checkValue = (claim, row, columns, direction) => {
+  const fc = row[columns.foldChange];
+  const p = row[columns.pValue];
+  const adj = row[ADJ_P];
+
+  if (claim.kind === 'p') {
+    const candidates = [p, adj, columns.adjPValue ? row[columns.adjPValue] : null].filter(isNumber);
+    if (candidates.length === 0) return { ok: false, actual: 'n/a' };
+    const ok = claim.operator === '<'
+      ? candidates.some(x => x <= claim.value)
+      : candidates.some(x => x > 0 && claim.value > 0 &&
+        Math.abs(Math.log10(x) - Math.log10(claim.value)) <= LOG10P_TOLERANCE + Math.log10(1 + claim.precision / claim.value));
+    return { ok, actual: `p=${formatP(p)}${isNumber(adj) && adj !== p ? `, adj=${formatP(adj)}` : ''}` };
+  }
+
+  if (!isNumber(fc)) return { ok: false, actual: 'n/a' };
+  const tolerance = LOG2FC_TOLERANCE + claim.precision;
+
+  if (claim.kind === 'fold') {
+    if (claim.value === 0) return { ok: false, actual: `log2FC=${formatFc(fc)}` };
+    // "2.5-fold decrease" and "FC = -2.5" both mean a ratio of 1/2.5
+    const ratio = Math.abs(claim.value);
+    const log2 = Math.log2(ratio) * (claim.value < 0 || (ratio >= 1 && direction < 0) ? -1 : 1);
+    const ok = Math.abs(log2 - fc) <= tolerance * 2;
+    const note = !ok && Math.abs(Math.abs(claim.value) - Math.abs(fc)) <= tolerance
+      ? 'cites the log2 fold change as a fold change'
+      : null;
+    return { ok, actual: `log2FC=${formatFc(fc)} (${(2 ** fc).toFixed(2)}-fold)`, note };
+  }
+
+  // log2 fold change; an unsigned value is read with the stated direction
+  let ok = Math.abs(claim.value - fc) <= tolerance;
+  if (!ok && !claim.signed && direction !== 0) {
+    ok = Math.abs(direction * claim.value - fc) <= tolerance;
+  }
+  return { ok, actual: `log2FC=${formatFc(fc)}` };
+};
+
+// Compare the values near a mention with every row for that compound; a
+// claim is verified if any row (e.g. a duplicate feature) supports it
+const checkMention = (mention, segment, index, field) => {
+  const rows = index.rowsByKey.get(mention.key) || [];
+  const values = extractValues(segment);
+  // Only the wording right after the name describes its direction
+  const direction = directionOf(segment.slice(0, 80));
+  const checkDirection = field.directions && direction !== 0;
+  if (!field.bareMentions && values.length === 0 && !checkDirection) return null;
+
+  if (rows.length === 0) {
+    return { status: 'absent', checks: values.map(v => ({ kind: v.kind, cited: v.text, actual: null, ok: false })), row: null };
+  }
+
+  const { columns } = index;
+  const scored = rows.map(row => {
+    const checks = values.map(v => {
+      const result = checkValue(v, row, columns, direction);
+      return { kind: v.kind, cited: v.text, actual: result.actual, ok: result.ok, note: result.note || null };
+    });
+    const fc = row[columns.foldChange];
+    if (checkDirection && isNumber(fc) && fc !== 0 && !values.some(v => v.kind !== 'p')) {
+      checks.push({
+        kind: 'direction',
+        cited: direction > 0 ? 'increased' : 'decreased',
+        actual: fc > 0 ? `increased (log2FC=${formatFc(fc)})` : `decreased (log2FC=${formatFc(fc)})`,
+        ok: Math.sign(fc) === direction
+      });
+    }
+    return { row, checks, failures: checks.filter(c => !c.ok).length };
+  }).sort((a, b) => a.failures - b.failures);
+
+  const best = scored[0];
+  return { status: best.failures === 0 ? 'verified' : 'mismatch', checks: best.checks, row: best.row };
+};
+
+// Clauses are checked separately so a value is never credited to a
+// metabolite named in an earlier sentence
+const splitClauses = (text) => String(text ?? '')
+  .split(/(?<=[.;!?])\s+(?=[A-Z0-9(])|\n+/)
+  .map(s => s.trim())
+  .filter(Boolean);
+
+// Last few words before a cited value, as a label for a compound we can't name
+const guessName = (text) => text
+  .replace(/[\s(\[,:=-]+$/, '')
+  .split(/[.;,:(]\s*/)
+  .pop()
+  .split(/\s+/)
+  .slice(-3)
+  .join(' ');
+
+const groundStatement = (statement, index, field) => {
+  const claims = [];
+  splitClauses(statement).forEach(clause => {
+    const mentions = findMentions(clause, index);
+    mentions.forEach((mention, i) => {
+      const segment = clause.slice(mention.end, mentions[i + 1]?.start ?? clause.length);
+      const result = checkMention(mention, segment, index, field);
+      if (result) claims.push({ mention: mention.text, key: mention.key, clause, ...result });
+    });
+    if (mentions.length > 0) return;
+    // A fold change in a clause naming no known compound belongs to one that
+    // isn't in the table (or the synonym library)
+    const values = extractValues(clause).filter(v => v.kind !== 'p');
+    if (values.length > 0) {
+      claims.push({
+        mention: guessName(clause.slice(0, clause.indexOf(values[0].text))) || null,
+        key: null,
+        clause,
+        status: 'absent',
+        checks: values.map(v => ({ kind: v.kind, cited: v.text, actual: null, ok: false })),
+        row: null
+      });
+    }
+  });
+  return claims;
+};
+
+// Ground every factual field of one hypothesis. Returns the claims with
+// their source field, status counts and a score (verified share, or null
+// when nothing checkable was cited).
+export const checkGrounding = (hypothesis, index) => {
+  const claims = [];
+  GROUNDED_FIELDS.forEach(field => {
+    const value = hypothesis?.[field.key];
+    const statements = Array.isArray(value) ? value : value ? [value] : [];
+    statements.forEach((statement, i) => {
+      groundStatement(statement, index, field).forEach(claim => claims.push({ field: field.key, item: i, ...claim }));
+    });
+  });
+
+  const counts = { verified: 0, mismatch: 0, absent: 0 };
+  claims.forEach(claim => { counts[claim.status]++; });
+  const total = claims.length;
+  return { claims, counts, score: total ? counts.verified / total : null };
+};
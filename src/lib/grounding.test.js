@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createGroundingIndex, checkGrounding } from './grounding';
+import { BUNDLED_INDEX, resolveIdentifiers, annotateIdentifiers } from './identifiers';
+import { annotateSignificance, DEFAULT_THRESHOLDS } from './statistics';
+
+const columns = { metabolite: 'name', foldChange: 'fc', pValue: 'p' };
+const raw = [
+  { name: 'Lactate', fc: 1.5, p: 0.001 },
+  { name: 'Citrate', fc: -0.8, p: 0.02 }
+];
+const data = annotateIdentifiers(
+  annotateSignificance(raw, columns, DEFAULT_THRESHOLDS),
+  'name',
+  resolveIdentifiers(raw, 'name', BUNDLED_INDEX)
+);
+const index = createGroundingIndex(data, columns, BUNDLED_INDEX);
+const ground = (evidence) => checkGrounding({ evidence: [evidence] }, index);
+
+describe('checkGrounding', () => {
+  it('verifies a cited log2 fold change, p-value and direction', () => {
+    const { claims, score } = ground('Lactate increased (log2FC = 1.5, p = 0.001).');
+    expect(claims).toHaveLength(1);
+    expect(claims[0].status).toBe('verified');
+    expect(claims[0].checks.map(c => c.kind)).toEqual(['p', 'log2fc']);
+    expect(score).toBe(1);
+  });
+
+  it('matches a synonym of a measured compound', () => {
+    expect(ground('Lactic acid was elevated.').claims[0]).toMatchObject({ status: 'verified', mention: 'Lactic acid' });
+  });
+
+  it('converts an n-fold change to log2', () => {
+    // 2^1.5 ≈ 2.83
+    expect(ground('Lactate rose 2.8-fold.').claims[0].status).toBe('verified');
+    expect(ground('Citrate showed a 1.7-fold decrease.').claims[0].status).toBe('verified');
+  });
+
+  it('flags a wrong direction', () => {
+    const [claim] = ground('Citrate increased in tumours.').claims;
+    expect(claim.status).toBe('mismatch');
+    expect(claim.checks[0]).toMatchObject({ kind: 'direction', ok: false });
+  });
+
+  it('notes a log2 value cited as a fold change', () => {
+    const [claim] = ground('Lactate rose 1.5-fold.').claims;
+    expect(claim.status).toBe('mismatch');
+    expect(claim.checks[0].note).toBe('cites the log2 fold change as a fold change');
+  });
+
+  it('reads a bare FC as a ratio and only compares log2 labels with the log2 column', () => {
+    // 2^1.5 ≈ 2.83
+    const [asLog2] = ground('Lactate increased (FC = 1.5).').claims;
+    expect(asLog2.status).toBe('mismatch');
+    expect(asLog2.checks[0]).toMatchObject({ kind: 'fold', note: 'cites the log2 fold change as a fold change' });
+    expect(ground('Lactate increased (FC = 2.83).').claims[0].status).toBe('verified');
+    expect(ground('Lactate increased (fold change of 2.8).').claims[0].status).toBe('verified');
+    expect(ground('Lactate increased (log2 FC = 1.5).').claims[0].status).toBe('verified');
+    expect(ground('Citrate fell (FC = -1.74).').claims[0].status).toBe('verified');
+  });
+
+  it('marks known but unmeasured compounds as absent', () => {
+    expect(ground('Glucose was depleted.').claims[0]).toMatchObject({ status: 'absent', row: null });
+  });
+
+  it('has no score without checkable claims', () => {
+    expect(checkGrounding({ evidence: ['Nothing measurable here'] }, index)).toMatchObject({ claims: [], score: null });
+  });
+});
@@ -0,0 +1,197 @@
+// ============ METABOLITE IDENTIFIERS ============
+// Resolves free-text names and database accessions to a canonical ID using a
+// synonym table (bundled or imported), plus curator overrides.
+import { METABOLITE_SYNONYMS } from '../data/metaboliteSynonyms';
+import { parseDelimited } from './importer';
+
+export const CANONICAL_ID = '__canonicalId';
+export const CANONICAL_NAME = '__canonicalName';
+
+export const BUNDLED_SYNONYMS = METABOLITE_SYNONYMS;
+
+// ============ KEYS ============
+const GREEK = { 'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ω': 'omega' };
+
+// Exact key: case, spacing, dashes and Greek letters don't matter
+export const nameKey = (name) => String(name ?? '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[αβγδω]/g, c => GREEK[c])
+  .replace(/[\s_\-–,'′]+/g, '')
+  .trim();
+
+// Loose key: also treats "-ic acid" and "-ate" as the same compound. The
+// stereo prefix stays, so D- and L-lactate keep apart.
+export const looseKey = (name) => nameKey(
+  String(name ?? '')
+    .replace(/ic acid\s*$/i, 'ate')
+    .replace(/\s+acid\s*$/i, 'ate')
+);
+
+const STEREO_PREFIX = /^\s*(dl|l|d|\(s\)|\(r\))-/i;
+// D/L and R/S are separate conventions, so only prefixes of one can conflict
+const STEREO_SYSTEM = { d: 'dl', l: 'dl', dl: 'dl', '(s)': 'rs', '(r)': 'rs' };
+
+// Lower-cased stereo prefix of a name ('d', 'l', 'dl', '(s)', '(r)'), or null
+export const stereoPrefix = (name) => String(name ?? '').match(STEREO_PREFIX)?.[1].toLowerCase() || null;
+
+// Stereo-free key: the loose key without a D-/L-/DL-/(S)-/(R)- prefix
+export const stereoFreeKey = (name) => looseKey(String(name ?? '').replace(STEREO_PREFIX, ''));
+
+// Whether any of the entry's names carries a different prefix of the same convention
+const conflictsWith = (prefix, entry) => [entry.name, ...(entry.synonyms || [])]
+  .map(stereoPrefix)
+  .some(other => other && other !== prefix && STEREO_SYSTEM[other] === STEREO_SYSTEM[prefix]);
+
+// Recognize database accessions and normalize their formatting
+export const parseAccession = (value) => {
+  const text = String(value ?? '').trim();
+  let m = text.match(/^HMDB:?\s*0*(\d+)$/i);
+  if (m) return { type: 'hmdb', id: `HMDB${m[1].padStart(7, '0')}` };
+  m = text.match(/^(?:KEGG:?\s*)?(C\d{5})$/i);
+  if (m) return { type: 'kegg', id: m[1].toUpperCase() };
+  m = text.match(/^CHEBI:?\s*(\d+)$/i);
+  if (m) return { type: 'chebi', id: `CHEBI:${m[1]}` };
+  m = text.match(/^(?:PubChem|CID)[:\s]*(\d+)$/i);
+  if (m) return { type: 'pubchem', id: m[1] };
+  return null;
+};
+
+// ============ INDEX ============
+export const buildSynonymIndex = (entries) => {
+  const byId = new Map();
+  const byAccession = new Map();
+  const byName = new Map();
+  const byLooseName = new Map();
+  // Stereo-free key -> every entry with a name under it
+  const byStereoFreeName = new Map();
+
+  const addName = (map, key, entry) => {
+    if (key && !map.has(key)) map.set(key, entry);
+  };
+
+  entries.forEach(entry => {
+    byId.set(entry.id, entry);
+    ['id', 'hmdb', 'kegg', 'chebi', 'pubchem'].forEach(field => {
+      const accession = entry[field] && (parseAccession(entry[field]) || (field === 'pubchem' ? { id: String(entry[field]) } : null));
+      if (accession) byAccession.set(accession.id, entry);
+    });
+    [entry.name, ...(entry.synonyms || [])].forEach(name => {
+      addName(byName, nameKey(name), entry);
+      addName(byLooseName, looseKey(name), entry);
+      const key = stereoFreeKey(name);
+      if (!key) return;
+      if (!byStereoFreeName.has(key)) byStereoFreeName.set(key, []);
+      if (!byStereoFreeName.get(key).includes(entry)) byStereoFreeName.get(key).push(entry);
+    });
+  });
+
+  return { entries, byId, byAccession, byName, byLooseName, byStereoFreeName };
+};
+
+export const BUNDLED_INDEX = buildSynonymIndex(BUNDLED_SYNONYMS);
+
+// Returns { entry, matchType } or null. matchType: accession | exact | loose |
+// stereo (only one compound shares the rest of the name and none of its names
+// contradicts the stereo prefix asked for; lower confidence)
+export const resolveName = (name, index) => {
+  if (name === null || name === undefined || String(name).trim() === '') return null;
+  const accession = parseAccession(name);
+  if (accession && index.byAccession.has(accession.id)) {
+    return { entry: index.byAccession.get(accession.id), matchType: 'accession' };
+  }
+  const exact = index.byName.get(nameKey(name));
+  if (exact) return { entry: exact, matchType: 'exact' };
+  const loose = index.byLooseName.get(looseKey(name));
+  if (loose) return { entry: loose, matchType: 'loose' };
+  const candidates = index.byStereoFreeName?.get(stereoFreeKey(name)) || [];
+  const prefix = stereoPrefix(name);
+  if (candidates.length === 1 && !(prefix && conflictsWith(prefix, candidates[0]))) {
+    return { entry: candidates[0], matchType: 'stereo' };
+  }
+  return null;
+};
+
+// Resolve every distinct name in the data. Overrides map a raw name to a
+// canonical ID chosen by a curator, or to '' to force it unmatched.
+export const resolveIdentifiers = (data, nameCol, index, overrides = {}) => {
+  const resolved = new Map();
+  (data || []).forEach(row => {
+    const raw = row[nameCol];
+    const key = String(raw ?? '');
+    if (resolved.has(key)) return;
+
+    if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+      const id = overrides[key];
+      const entry = id ? index.byId.get(id) || index.byAccession.get(parseAccession(id)?.id) : null;
+      resolved.set(key, id
+        ? { id: entry?.id || id, name: entry?.name || key, entry, matchType: 'manual' }
+        : { id: null, name: key, entry: null, matchType: 'manual' });
+      return;
+    }
+
+    const match = resolveName(raw, index);
+    resolved.set(key, match
+      ? { id: match.entry.id, name: match.entry.name, entry: match.entry, matchType: match.matchType }
+      : { id: null, name: key, entry: null, matchType: 'unmatched' });
+  });
+  return resolved;
+};
+
+export const annotateIdentifiers = (data, nameCol, resolved) => {
+  if (!data || !nameCol) return data;
+  return data.map(row => {
+    const match = resolved.get(String(row[nameCol] ?? ''));
+    return { ...row, [CANONICAL_ID]: match?.id || null, [CANONICAL_NAME]: match?.entry ? match.name : null };
+  });
+};
+
+// Key used to line metabolites up across datasets, enrichment libraries and
+// hypotheses: the canonical ID when known, else the normalized name.
+export const metaboliteKey = (name, index) => {
+  const match = resolveName(name, index);
+  return match ? match.entry.id : `name:${nameKey(name)}`;
+};
+
+// ============ IMPORT ============
+// Columns: id (or hmdb), name, kegg, chebi, pubchem, synonyms (separated by | or ;)
+export const parseSynonymTable = (text) => {
+  const { headers, data, errors } = parseDelimited(text);
+  const find = (pattern) => headers.find(h => pattern.test(h));
+  const cols = {
+    id: find(/^(id|canonical.?id)$/i),
+    hmdb: find(/hmdb/i),
+    name: find(/^(name|canonical.?name|metabolite)/i),
+    kegg: find(/kegg/i),
+    chebi: find(/chebi/i),
+    pubchem: find(/pubchem|cid/i),
+    synonyms: find(/synonym|alias/i)
+  };
+  if (!cols.name || !(cols.id || cols.hmdb || cols.kegg)) {
+    throw new Error('Synonym table needs a name column and an id, hmdb or kegg column');
+  }
+
+  const entries = [];
+  data.forEach(row => {
+    const str = (col) => (col && row[col] !== null && row[col] !== undefined ? String(row[col]).trim() : '');
+    const hmdb = parseAccession(str(cols.hmdb))?.id || '';
+    const kegg = parseAccession(str(cols.kegg))?.id || '';
+    const id = str(cols.id) || hmdb || kegg;
+    if (!id || !str(cols.name)) return;
+    entries.push({
+      id,
+      name: str(cols.name),
+      kegg: kegg || undefined,
+      chebi: parseAccession(str(cols.chebi))?.id || undefined,
+      pubchem: str(cols.pubchem) || undefined,
+      synonyms: str(cols.synonyms).split(/[|;]/).map(s => s.trim()).filter(Boolean)
+    });
+  });
+  return { entries, errors };
+};
+
+// Imported entries take precedence; bundled entries fill the gaps
+export const mergeSynonymTables = (imported, bundled = BUNDLED_SYNONYMS) => {
+  const ids = new Set(imported.map(e => e.id));
+  return [...imported, ...bundled.filter(e => !ids.has(e.id))];
+};
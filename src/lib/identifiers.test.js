@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CANONICAL_ID, BUNDLED_INDEX, nameKey, parseAccession, buildSynonymIndex, resolveName, resolveIdentifiers,
+  annotateIdentifiers, metaboliteKey, parseSynonymTable
+} from './identifiers';
+
+describe('keys and accessions', () => {
+  it('ignores case, spacing, dashes and Greek letters', () => {
+    expect(nameKey('α-Ketoglutarate')).toBe(nameKey('alpha ketoglutarate'));
+  });
+
+  it('normalizes accession formats', () => {
+    expect(parseAccession('HMDB190')).toEqual({ type: 'hmdb', id: 'HMDB0000190' });
+    expect(parseAccession('kegg:c00186')).toEqual({ type: 'kegg', id: 'C00186' });
+    expect(parseAccession('ChEBI 422')).toEqual({ type: 'chebi', id: 'CHEBI:422' });
+    expect(parseAccession('Lactate')).toBeNull();
+  });
+});
+
+describe('resolveName', () => {
+  it('resolves accessions, synonyms and -ic acid / -ate variants', () => {
+    expect(resolveName('HMDB0000190', BUNDLED_INDEX)).toMatchObject({ matchType: 'accession' });
+    expect(resolveName('lactate', BUNDLED_INDEX).entry.id).toBe('HMDB0000190');
+    const index = buildSynonymIndex([{ id: 'X1', name: 'Pyruvic acid' }]);
+    expect(resolveName('Pyruvate', index)).toMatchObject({ entry: { id: 'X1' }, matchType: 'loose' });
+  });
+
+  it('returns null for unknown names', () => {
+    expect(resolveName('Unobtainium', BUNDLED_INDEX)).toBeNull();
+    expect(resolveName('  ', BUNDLED_INDEX)).toBeNull();
+  });
+});
+
+describe('resolveIdentifiers', () => {
+  it('applies curator overrides before automatic matches', () => {
+    const data = [{ name: 'Lactate' }, { name: 'Mystery' }, { name: 'Lactate' }];
+    const resolved = resolveIdentifiers(data, 'name', BUNDLED_INDEX, { Mystery: 'HMDB0000122', Lactate: '' });
+    expect(resolved.get('Mystery')).toMatchObject({ id: 'HMDB0000122', matchType: 'manual' });
+    expect(resolved.get('Lactate')).toMatchObject({ id: null, matchType: 'manual' });
+    expect(annotateIdentifiers(data, 'name', resolved).map(r => r[CANONICAL_ID])).toEqual([null, 'HMDB0000122', null]);
+  });
+});
+
+describe('parseSynonymTable', () => {
+  it('reads ids, accessions and synonym lists', () => {
+    const { entries } = parseSynonymTable('hmdb,name,kegg,synonyms\nHMDB 42,Foo acid,C01234,Foate|Fooic');
+    expect(entries).toEqual([{
+      id: 'HMDB0000042', name: 'Foo acid', kegg: 'C01234', chebi: undefined, pubchem: undefined, synonyms: ['Foate', 'Fooic']
+    }]);
+  });
+
+  it('needs a name and an id column', () => {
+    expect(() => parseSynonymTable('name,note\nFoo,bar')).toThrow(/name column/);
+  });
+});
+
+describe('stereoisomers', () => {
+  const index = buildSynonymIndex([
+    { id: 'L-LAC', name: 'L-Lactic acid', synonyms: ['L-Lactate'] },
+    { id: 'D-LAC', name: 'D-Lactic acid', synonyms: ['D-Lactate'] },
+    { id: 'CAR', name: 'Carnitine' }
+  ]);
+
+  it('keeps D- and L-lactate apart', () => {
+    expect(resolveName('D-Lactate', index).entry.id).toBe('D-LAC');
+    expect(resolveName('L-lactate', index).entry.id).toBe('L-LAC');
+    expect(metaboliteKey('D-Lactate', index)).not.toBe(metaboliteKey('L-Lactate', index));
+  });
+
+  it('does not guess between stereoisomers for a bare or racemic name', () => {
+    expect(resolveName('Lactate', index)).toBeNull();
+    expect(resolveName('DL-Lactate', index)).toBeNull();
+  });
+
+  it('never maps a name onto its enantiomer in the bundled table', () => {
+    ['D-Lactate', 'D-Lactic acid', 'DL-Lactate', 'D-Alanine', 'L-Glucose', 'D-Malate'].forEach(name => {
+      expect(resolveName(name, BUNDLED_INDEX)).toBeNull();
+    });
+    expect(metaboliteKey('D-Lactate', BUNDLED_INDEX)).not.toBe(metaboliteKey('L-Lactate', BUNDLED_INDEX));
+  });
+
+  it('falls back to the stripped name when nothing contradicts the prefix', () => {
+    expect(resolveName('L-Carnitine', index)).toMatchObject({ entry: { id: 'CAR' }, matchType: 'stereo' });
+    expect(resolveName('(S)-Lactate', buildSynonymIndex([{ id: 'L-LAC', name: 'L-Lactic acid' }])))
+      .toMatchObject({ entry: { id: 'L-LAC' }, matchType: 'stereo' });
+  });
+});
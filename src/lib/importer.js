@@ -0,0 +1,270 @@
+// ============ DATA IMPORT ============
+// RFC 4180 delimited-text parser plus an Excel workbook reader. Every importer
+// returns the same shape so the rest of the app never cares where rows came from:
+//   { fileName, sheets: [{ name, headers, data, errors, warnings, delimiter }] }
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+const SPREADSHEET_EXTENSIONS = ['xlsx', 'xlsm', 'xls', 'ods'];
+const TEXT_EXTENSIONS = ['csv', 'tsv', 'tab', 'txt'];
+
+export const SUPPORTED_EXTENSIONS = [...TEXT_EXTENSIONS, ...SPREADSHEET_EXTENSIONS];
+
+const getExtension = (fileName = '') => fileName.split('.').pop().toLowerCase();
+
+export const isSupportedFile = (fileName) => SUPPORTED_EXTENSIONS.includes(getExtension(fileName));
+
+const stripBOM = (text) => (text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text);
+
+// Convert a raw cell to a number when it is unambiguously numeric, null when empty
+export const coerceValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value;
+  const trimmed = String(value).trim();
+  if (trimmed === '') return null;
+  if (/^(na|nan|n\/a|null|-)$/i.test(trimmed)) return null;
+  if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+  if (/^[+-]?inf(inity)?$/i.test(trimmed)) return trimmed.startsWith('-') ? -Infinity : Infinity;
+  return trimmed;
+};
+
+// Count delimiter occurrences outside quotes on the first few non-blank lines
+// and pick the candidate that appears most consistently.
+export const sniffDelimiter = (text) => {
+  const lines = text
+    .split(/\r\n|\n|\r/)
+    .filter(line => line.trim() !== '' && !line.trimStart().startsWith('#'))
+    .slice(0, 20);
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => {
+      let count = 0;
+      let inQuotes = false;
+      for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+      }
+      return count;
+    });
+    const header = counts[0];
+    if (header === 0) return;
+    const consistent = counts.filter(c => c === header).length / counts.length;
+    const score = consistent * 1000 + header;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+};
+
+// State-machine tokenizer: handles quoted fields, "" escapes, embedded
+// delimiters/newlines and CR, LF or CRLF record terminators. A record with a
+// stray quote keeps its first problem in `problem` for buildTable to report.
+export const tokenizeDelimited = (text, delimiter) => {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let wasQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let problem = null;
+
+  const endField = () => {
+    fields.push(wasQuoted ? field : field.trim());
+    field = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push(problem ? { fields, line: recordLine, problem } : { fields, line: recordLine });
+    fields = [];
+    problem = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field.trim() === '' && !wasQuoted) {
+        field = '';
+        inQuotes = true;
+        wasQuoted = true;
+      } else {
+        problem = problem || 'Unexpected quote inside an unquoted field';
+        field += char;
+      }
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (wasQuoted) {
+      // Only whitespace may follow a closing quote
+      if (char.trim() !== '') {
+        problem = problem || 'Unexpected characters after a closing quote';
+        field += char;
+      }
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0 || wasQuoted) endRecord();
+  // An unterminated quote swallows the rest of the file into one record;
+  // it is reported here and left out of the table
+  if (inQuotes) {
+    errors.push({ line: records[records.length - 1].line, message: 'Unterminated quoted field (missing closing "); row skipped' });
+    records[records.length - 1].unterminated = true;
+  }
+
+  return { records, errors };
+};
+
+const isBlankRecord = (fields) => fields.every(f => f === null || f === undefined || String(f).trim() === '');
+
+const isCommentRecord = (fields, commentChar) =>
+  commentChar && typeof fields[0] === 'string' && fields[0].trimStart().startsWith(commentChar);
+
+// Turn tokenized records into { headers, data }, reporting rows whose width
+// does not match the header or whose quoting is broken instead of letting
+// columns shift or stray quotes through silently.
+export const buildTable = (records, { commentChar = '#' } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const content = records.filter(r => !r.unterminated && !isBlankRecord(r.fields) && !isCommentRecord(r.fields, commentChar));
+
+  if (content.length === 0) {
+    return { headers: [], data: [], errors: [{ line: 1, message: 'No data found' }], warnings };
+  }
+
+  const [headerRecord, ...rowRecords] = content;
+  if (headerRecord.problem) errors.push({ line: headerRecord.line, message: headerRecord.problem });
+  const seen = {};
+  const headers = headerRecord.fields.map((raw, i) => {
+    let name = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (name === '') {
+      name = `column_${i + 1}`;
+      warnings.push(`Column ${i + 1} has no header; named it "${name}"`);
+    }
+    if (seen[name]) {
+      const renamed = `${name}_${seen[name] + 1}`;
+      warnings.push(`Duplicate header "${name}" renamed to "${renamed}"`);
+      seen[name]++;
+      return renamed;
+    }
+    seen[name] = 1;
+    return name;
+  });
+
+  // Trailing empty cells are common in spreadsheet exports; ignore them
+  const trimTrailing = (fields) => {
+    const copy = [...fields];
+    while (copy.length > headers.length && isBlankRecord([copy[copy.length - 1]])) copy.pop();
+    return copy;
+  };
+
+  const data = [];
+  rowRecords.forEach(({ fields, line, problem }) => {
+    if (problem) {
+      errors.push({ line, message: `${problem}; row skipped` });
+      return;
+    }
+    const values = trimTrailing(fields);
+    if (values.length !== headers.length) {
+      errors.push({
+        line,
+        message: `Expected ${headers.length} fields but found ${values.length}; row skipped`
+      });
+      return;
+    }
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = coerceValue(values[i]);
+    });
+    data.push(row);
+  });
+
+  return { headers, data, errors, warnings };
+};
+
+export const parseDelimited = (text, { delimiter, commentChar = '#' } = {}) => {
+  const clean = stripBOM(text || '');
+  const chosen = delimiter || sniffDelimiter(clean);
+  const { records, errors: tokenErrors } = tokenizeDelimited(clean, chosen);
+  const table = buildTable(records, { commentChar });
+  return {
+    ...table,
+    errors: [...tokenErrors, ...table.errors].sort((a, b) => a.line - b.line),
+    delimiter: chosen
+  };
+};
+
+// ============ SPREADSHEETS ============
+// SheetJS is loaded on demand so CSV-only users don't pay for it.
+export const parseWorkbook = async (arrayBuffer) => {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+
+  return workbook.SheetNames.map(name => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+      header: 1,
+      raw: true,
+      defval: null,
+      blankrows: true
+    });
+    const records = rows.map((fields, i) => ({
+      fields: fields.map(v => (typeof v === 'string' ? stripBOM(v) : v)),
+      line: i + 1
+    }));
+    return { name, ...buildTable(records), delimiter: null };
+  });
+};
+
+const readAs = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+  reader[method](file);
+});
+
+export const importFile = async (file) => {
+  const extension = getExtension(file.name);
+
+  if (SPREADSHEET_EXTENSIONS.includes(extension)) {
+    const buffer = await readAs(file, 'readAsArrayBuffer');
+    const sheets = await parseWorkbook(buffer);
+    if (sheets.length === 0) throw new Error('Workbook contains no sheets');
+    return { fileName: file.name, sheets };
+  }
+
+  const text = await readAs(file, 'readAsText');
+  const delimiter = ['tsv', 'tab'].includes(extension) ? '\t' : undefined;
+  const table = parseDelimited(text, { delimiter });
+  return { fileName: file.name, sheets: [{ name: file.name, ...table }] };
+};
+
+export const describeDelimiter = (delimiter) => ({
+  ',': 'comma',
+  '\t': 'tab',
+  ';': 'semicolon',
+  '|': 'pipe'
+}[delimiter] || 'spreadsheet');
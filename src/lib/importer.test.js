@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { coerceValue, sniffDelimiter, tokenizeDelimited, parseDelimited } from './importer';
+
+describe('coerceValue', () => {
+  it('parses numbers and scientific notation', () => {
+    expect(coerceValue('1.5')).toBe(1.5);
+    expect(coerceValue(' -2e-3 ')).toBe(-0.002);
+    expect(coerceValue('.5')).toBe(0.5);
+  });
+
+  it('reads missing-value markers as null', () => {
+    ['', 'NA', 'nan', 'N/A', 'null', '-'].forEach(value => expect(coerceValue(value)).toBeNull());
+  });
+
+  it('keeps text and infinities', () => {
+    expect(coerceValue('Glucose')).toBe('Glucose');
+    expect(coerceValue('-Inf')).toBe(-Infinity);
+  });
+});
+
+describe('sniffDelimiter', () => {
+  it('picks the delimiter used consistently', () => {
+    expect(sniffDelimiter('a\tb\tc\n1\t2\t3')).toBe('\t');
+    expect(sniffDelimiter('a;b\n1,5;2,5')).toBe(';');
+  });
+
+  it('ignores delimiters inside quotes', () => {
+    expect(sniffDelimiter('"a,b";c\n"1,2";3')).toBe(';');
+  });
+});
+
+describe('tokenizeDelimited', () => {
+  it('handles quoted fields, escaped quotes and embedded newlines', () => {
+    const { records, errors } = tokenizeDelimited('name,note\r\n"Lactate, L-","said ""hi""\nthere"\n', ',');
+    expect(errors).toEqual([]);
+    expect(records.map(r => r.fields)).toEqual([
+      ['name', 'note'],
+      ['Lactate, L-', 'said "hi"\nthere']
+    ]);
+  });
+
+  it('reports an unterminated quote', () => {
+    const { errors } = tokenizeDelimited('a,b\n"open,1', ',');
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/Unterminated/);
+  });
+});
+
+describe('parseDelimited', () => {
+  it('builds typed rows and skips comment lines', () => {
+    const { headers, data, errors, delimiter } = parseDelimited('﻿# exported\nMetabolite,log2FC,p\nGlucose,1.2,0.01\n');
+    expect(delimiter).toBe(',');
+    expect(headers).toEqual(['Metabolite', 'log2FC', 'p']);
+    expect(data).toEqual([{ Metabolite: 'Glucose', log2FC: 1.2, p: 0.01 }]);
+    expect(errors).toEqual([]);
+  });
+
+  it('skips rows of the wrong width with an error', () => {
+    const { data, errors } = parseDelimited('a,b\n1,2\n3\n4,5');
+    expect(data).toHaveLength(2);
+    expect(errors).toEqual([{ line: 3, message: 'Expected 2 fields but found 1; row skipped' }]);
+  });
+
+  it('skips rows with a stray quote with an error', () => {
+    const { data, errors } = parseDelimited('a,b\n1,2\n3 "x",4\n"5"y,6\n# a "comment"\n7,8');
+    expect(data).toEqual([{ a: 1, b: 2 }, { a: 7, b: 8 }]);
+    expect(errors).toEqual([
+      { line: 3, message: 'Unexpected quote inside an unquoted field; row skipped' },
+      { line: 4, message: 'Unexpected characters after a closing quote; row skipped' }
+    ]);
+  });
+
+  it('leaves out the record an unterminated quote swallows', () => {
+    const { data, errors } = parseDelimited('a,b\n1,2\n3,"open\n4,5');
+    expect(data).toEqual([{ a: 1, b: 2 }]);
+    expect(errors).toEqual([{ line: 3, message: 'Unterminated quoted field (missing closing "); row skipped' }]);
+  });
+
+  it('names blank headers and renames duplicates', () => {
+    const { headers, warnings } = parseDelimited('a,,a\n1,2,3');
+    expect(headers).toEqual(['a', 'column_2', 'a_2']);
+    expect(warnings).toHaveLength(2);
+  });
+});
@@ -0,0 +1,273 @@
+// ============ MOCK MODEL ============
+// Deterministic stand-in for a language model, for offline demos and for
+// exercising the UI without a key. Responses are assembled from the
+// metabolites listed in the prompt, so validation, grounding and the Bayesian
+// views all have real values to work with. Output streams in small chunks
+// and honours Max Tokens, Stop and continuation like a real provider.
+import { estimateTokens } from './streaming';
+import { bayesPosterior } from './bayes';
+
+export const MOCK_MODEL = 'mock-1';
+
+const CHUNK_CHARS = 24;
+const CHUNK_DELAY_MS = 12;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "- Lactate [HMDB0000190]: log2FC=2.31, p=1.00e-4, Pathway: Glycolysis"
+const METABOLITE_LINE = /^-?\s*([^:\n[]+?)(?:\s\[[^\]]+\])?:\s*log2FC=(-?\d*\.?\d+), p=([\d.eE+-]+)[^\n]*?(?:Pathway: ([^\n]+))?$/gm;
+
+const parseMetabolites = (prompt) => {
+  const seen = new Map();
+  let m;
+  METABOLITE_LINE.lastIndex = 0;
+  while ((m = METABOLITE_LINE.exec(prompt)) !== null) {
+    const name = m[1].trim();
+    if (!seen.has(name)) {
+      seen.set(name, { name, fc: parseFloat(m[2]), p: m[3], pathway: m[4]?.trim() || null });
+    }
+  }
+  return [...seen.values()];
+};
+
+const cite = (m) => `${m.name} ${m.fc > 0 ? 'increased' : 'decreased'} (log2FC=${m.fc.toFixed(2)}, p=${m.p})`;
+const pathwayOf = (m) => m?.pathway || 'central carbon';
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+const bayesian = (prior, likelihood, likelihoodAlternative) => {
+  const posterior = round2(bayesPosterior(prior, likelihood, likelihoodAlternative));
+  return {
+    prior_probability: prior,
+    prior_rationale: 'Mock prior: moderately supported in the literature.',
+    likelihood,
+    likelihood_rationale: 'Mock likelihood: the cited changes are expected under this hypothesis.',
+    likelihood_alternative: likelihoodAlternative,
+    likelihood_alternative_rationale: 'Mock alternative likelihood: other processes could produce part of this pattern.',
+    posterior_probability: posterior,
+    confidence_interval: [round2(Math.max(0, posterior - 0.15)), round2(Math.min(1, posterior + 0.15))]
+  };
+};
+
+// The three hypothesis shapes, built around the offset-th increased and
+// decreased metabolites
+const hypothesesAt = (metabolites, offset) => {
+  const up = metabolites.filter(m => m.fc > 0);
+  const down = metabolites.filter(m => m.fc < 0);
+  const pick = (list, i) => list[(offset + i) % list.length];
+  const [a, b] = up.length ? [pick(up, 0), up.length > 1 ? pick(up, 1) : undefined] : [{ name: 'Metabolite A', fc: 1, p: '0.01' }];
+  const [c, d] = down.length ? [pick(down, 0), down.length > 1 ? pick(down, 1) : undefined] : [{ name: 'Metabolite B', fc: -1, p: '0.01' }];
+
+  return [
+    {
+      rank: 1,
+      title: `Increased ${pathwayOf(a)} flux drives ${a.name} accumulation`,
+      hypothesis: `The rise in ${a.name} reflects upregulated ${pathwayOf(a)} activity in the treated group.`,
+      evidence: [cite(a), ...(b ? [cite(b)] : [])],
+      mechanism: `Enhanced ${pathwayOf(a)} enzyme activity increases production of ${a.name}.`,
+      bayesian_analysis: bayesian(0.35, 0.8, 0.3),
+      predictions: [`Isotope tracing will show increased labeling of ${a.name}`, `Inhibiting the ${pathwayOf(a)} pathway will lower ${a.name}`],
+      literature_support: ['Mock reference: pathway flux studies'],
+      alternative_explanations: `Reduced clearance rather than increased production of ${a.name}.`
+    },
+    {
+      rank: 2,
+      title: `Depletion of ${c.name} indicates increased consumption`,
+      hypothesis: `${c.name} is consumed faster than it is produced, lowering its steady-state level.`,
+      evidence: [cite(c), ...(d ? [cite(d)] : [])],
+      mechanism: `Increased demand in ${pathwayOf(c)} metabolism draws down the ${c.name} pool.`,
+      bayesian_analysis: bayesian(0.25, 0.7, 0.35),
+      predictions: [`Supplementing ${c.name} will partially reverse the phenotype`],
+      literature_support: ['Mock reference: metabolite depletion studies'],
+      alternative_explanations: `Lower uptake of ${c.name} from the medium or diet.`
+    },
+    {
+      rank: 3,
+      title: `Coordinated shift between ${a.name} and ${c.name}`,
+      hypothesis: `A single regulatory change links the rise in ${a.name} to the fall in ${c.name}.`,
+      evidence: [cite(a), cite(c)],
+      mechanism: `A shared upstream regulator redirects flux from ${pathwayOf(c)} towards ${pathwayOf(a)}.`,
+      bayesian_analysis: bayesian(0.15, 0.6, 0.4),
+      predictions: [`The ${a.name}/${c.name} ratio will track regulator activity across samples`],
+      literature_support: ['Mock reference: metabolic rewiring reviews'],
+      alternative_explanations: 'The two changes are independent responses to the same stimulus.'
+    }
+  ];
+};
+
+// n hypotheses whose titles are not excluded, cycling through the metabolites
+// for fresh ones
+const mockHypotheses = (metabolites, n = 3, excluded = []) => {
+  const seen = new Set(excluded.map(t => t.toLowerCase()));
+  const picked = [];
+  const rounds = Math.max(1, metabolites.length);
+  for (let offset = 0; offset < rounds && picked.length < n; offset++) {
+    hypothesesAt(metabolites, offset).forEach(h => {
+      if (picked.length < n && !seen.has(h.title.toLowerCase())) {
+        seen.add(h.title.toLowerCase());
+        picked.push(h);
+      }
+    });
+  }
+  return picked.map((h, i) => ({ ...h, rank: i + 1 }));
+};
+
+// "HYPOTHESIS TO REVISE:\n{...}\n\nREVIEWER CRITIQUE:\n..." -> the original
+// with the critique acknowledged
+const mockRefinement = (prompt) => {
+  const original = prompt.match(/HYPOTHESIS TO REVISE:\n([\s\S]*?)\n\nREVIEWER CRITIQUE:/);
+  const critique = prompt.match(/REVIEWER CRITIQUE:\n([\s\S]*?)\n\nRevise/)?.[1]?.trim() || 'the critique';
+  let hypothesis;
+  try {
+    hypothesis = JSON.parse(original?.[1] || '');
+  } catch (err) {
+    hypothesis = hypothesesAt(parseMetabolites(prompt), 0)[0];
+  }
+  return {
+    ...hypothesis,
+    title: `${String(hypothesis.title || 'Hypothesis').replace(/ \(revised\)$/, '')} (revised)`,
+    hypothesis: `${hypothesis.hypothesis || ''} Revised to address: ${critique}`.trim(),
+    alternative_explanations: `${hypothesis.alternative_explanations || ''} Mock revision: ${critique}`.trim()
+  };
+};
+
+// Prose answer about "HYPOTHESIS UNDER DISCUSSION"; questions about
+// artifacts or confounders come with a proposed update lowering the prior
+const mockDiscussion = (prompt, question) => {
+  let hypothesis;
+  try {
+    hypothesis = JSON.parse(prompt.match(/HYPOTHESIS UNDER DISCUSSION:\n([\s\S]*?)\n\nQUESTION:/)?.[1] || '');
+  } catch (err) {
+    hypothesis = hypothesesAt(parseMetabolites(prompt), 0)[0];
+  }
+  const bayes = hypothesis.bayesian_analysis || {};
+  const prior = typeof bayes.prior_probability === 'number' ? bayes.prior_probability : 0.3;
+  if (/artifact|artefact|handling|confound|batch/i.test(question)) {
+    const lowered = Math.max(0.05, Math.round((prior - 0.1) * 100) / 100);
+    return `Mock answer: a sample-handling artifact is a fair concern for "${hypothesis.title}". Delayed processing or haemolysis can shift several of the cited metabolites in the same direction, which the current evidence cannot rule out.
+
+\`\`\`json
+${JSON.stringify({
+    proposed_update: {
+      reason: 'Account for a possible pre-analytical artifact',
+      changes: {
+        bayesian_analysis: { prior_probability: lowered, prior_rationale: `${bayes.prior_rationale || ''} Lowered for a possible sample-handling artifact.`.trim() },
+        alternative_explanations: `${hypothesis.alternative_explanations || ''} Pre-analytical sample-handling artifact.`.trim()
+      }
+    }
+  }, null, 2)}
+\`\`\``;
+  }
+  if (/prior/i.test(question)) {
+    return `Mock answer: the prior of ${prior} reflects ${(bayes.prior_rationale || 'how often similar mechanisms are reported').replace(/\.$/, '')}. The observed data enter through the likelihoods (${bayes.likelihood ?? '—'} vs ${bayes.likelihood_alternative ?? '—'}), not the prior.`;
+  }
+  return `Mock answer to "${question.trim()}": the hypothesis rests on ${(hypothesis.evidence || []).slice(0, 2).join('; ') || 'the cited evidence'}. ${hypothesis.mechanism || ''}`.trim();
+};
+
+const mockProtocol = (prompt) => {
+  const title = prompt.match(/^Title: (.+)$/m)?.[1] || 'the hypothesis';
+  return {
+    primary_experiment: {
+      objective: `Test whether ${title.toLowerCase()}.`,
+      methodology: 'Treat cells with vehicle or intervention, quench metabolism, extract and analyse by LC-MS.',
+      controls: { positive: 'Known pathway activator', negative: 'Pathway inhibitor', vehicle: 'DMSO' },
+      sample_groups: [{ group: 'Vehicle', n: 6 }, { group: 'Intervention', n: 6 }],
+      measurements: 'Targeted LC-MS of the cited metabolites plus isotope tracing',
+      statistical_analysis: 'Welch t-test with Benjamini-Hochberg correction'
+    },
+    power_analysis: {
+      effect_size_expected: 'Cohen\'s d = 1.5 based on the observed fold changes',
+      alpha: 0.05,
+      power: 0.8,
+      sample_size_calculation: 'n = 6 per group for d = 1.5, α = 0.05, power = 0.8 (two-sided)'
+    },
+    expected_outcomes: {
+      if_hypothesis_true: 'The intervention reverses the cited metabolite changes.',
+      if_hypothesis_false: 'Metabolite levels are unchanged by the intervention.',
+      decision_criteria: 'Adjusted p < 0.05 and a change in the predicted direction.'
+    },
+    timeline: {
+      phases: [
+        { duration: '2 weeks', activities: 'Assay optimisation' },
+        { duration: '4 weeks', activities: 'Main experiment and LC-MS runs' },
+        { duration: '2 weeks', activities: 'Analysis' }
+      ],
+      total_duration: '8 weeks'
+    },
+    resources: { equipment: ['LC-MS'], reagents: ['Isotope tracers'], estimated_cost: 'Mock estimate' },
+    potential_pitfalls: { risks: ['Incomplete quenching'], mitigations: ['Cold methanol quench validated with spike-ins'] },
+    alternative_approaches: { backup_experiments: ['Genetic knockdown of the pathway enzyme'] }
+  };
+};
+
+const mockLiterature = (metabolites) => {
+  const top = metabolites.length ? metabolites.slice(0, 5) : [{ name: 'Metabolite A', fc: 1, p: '0.01' }];
+  return {
+    key_metabolites_literature: top.map(m => ({
+      metabolite_name: m.name,
+      known_functions: `Mock summary of ${m.name} biology.`,
+      disease_associations: ['Mock association'],
+      relevant_pmids: []
+    })),
+    pathway_context: {
+      affected_pathways: [...new Set(top.map(pathwayOf))],
+      pathway_interactions: 'Mock pathway interaction summary.',
+      upstream_regulators: [],
+      downstream_effects: []
+    },
+    similar_studies: { study_descriptions: [], how_current_data_compares: 'Mock provider: no literature consulted.' },
+    knowledge_gaps: { what_is_unknown: 'Mock provider output.', how_this_data_helps: 'Mock provider output.' },
+    suggested_searches: {
+      pubmed_queries: top.map(m => `"${m.name}" metabolomics`),
+      databases_to_check: ['HMDB', 'KEGG']
+    }
+  };
+};
+
+// Full response for a task, before streaming
+// `question` is the latest user message, for multi-turn tasks
+export const mockResponse = (task, prompt, question = '') => {
+  const metabolites = parseMetabolites(prompt);
+  switch (task) {
+    case 'hypothesis': {
+      const n = parseInt(prompt.match(/Generate exactly (\d+) ranked hypotheses/)?.[1], 10) || 3;
+      const block = prompt.match(/ALREADY PROPOSED[^\n]*\n((?:- [^\n]*\n?)+)/)?.[1] || '';
+      const excluded = [...block.matchAll(/^- (.+?): /gm)].map(m => m[1]);
+      return JSON.stringify(mockHypotheses(metabolites, n, excluded), null, 2);
+    }
+    case 'refine':
+      return JSON.stringify(mockRefinement(prompt), null, 2);
+    case 'chat':
+      return mockDiscussion(prompt, question);
+    case 'experimental':
+      return JSON.stringify(mockProtocol(prompt), null, 2);
+    case 'literature':
+      return JSON.stringify(mockLiterature(metabolites), null, 2);
+    default:
+      return 'Mock response.';
+  }
+};
+
+// Same contract as the real providers: resolves to { text, stopReason, usage }
+export const runMockModel = async ({ task, systemPrompt, messages, prefill = '', maxTokens, onText, signal }) => {
+  const prompt = messages.filter(msg => msg.role === 'user').map(msg => msg.content).join('\n');
+  const full = mockResponse(task, prompt, messages[messages.length - 1].content);
+  const remaining = prefill && full.startsWith(prefill) ? full.slice(prefill.length) : full;
+  const limit = maxTokens ? maxTokens * 4 : Infinity;
+  const output = remaining.slice(0, limit);
+  const usage = {
+    inputTokens: estimateTokens(systemPrompt + messages.map(msg => msg.content).join('')),
+    outputTokens: 0,
+    estimated: true
+  };
+
+  let text = '';
+  for (let i = 0; i < output.length; i += CHUNK_CHARS) {
+    if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+    await sleep(CHUNK_DELAY_MS);
+    text += output.slice(i, i + CHUNK_CHARS);
+    usage.outputTokens = estimateTokens(text);
+    onText?.(text, { ...usage });
+  }
+  return { text, stopReason: output.length < remaining.length ? 'max_tokens' : 'end_turn', usage };
+};
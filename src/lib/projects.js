@@ -0,0 +1,133 @@
+// ============ PROJECT WORKSPACE ============
+// Named projects persisted in IndexedDB. A project is a plain JSON object
+// holding the dataset, analysis settings, every model call (with its prompt,
+// settings and raw response) and the artifacts derived from them. API keys are
+// never stored.
+
+const DB_NAME = 'metabolomics-hypothesis-generator';
+const DB_VERSION = 1;
+const STORE = 'projects';
+
+export const PROJECT_VERSION = 1;
+export const BUNDLE_FORMAT = 'metabolomics-hypothesis-project';
+
+export const createId = (prefix = 'id') =>
+  `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+// ============ INDEXEDDB ============
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a retry after a failed open (e.g. private browsing)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = callback(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
+
+// Lightweight metadata for the project list
+const summarizeProject = (project) => ({
+  id: project.id,
+  name: project.name,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt,
+  fileName: project.dataset?.fileName || null,
+  rows: project.dataset?.sheet?.data?.length || 0,
+  runs: project.runs?.length || 0
+});
+
+export const listProjects = async () => {
+  const all = await withStore('readonly', store => store.getAll());
+  return (all || []).map(summarizeProject).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const loadProject = (id) => withStore('readonly', store => store.get(id));
+
+export const saveProject = async (project) => {
+  const record = { ...project, version: PROJECT_VERSION, updatedAt: new Date().toISOString() };
+  await withStore('readwrite', store => store.put(record));
+  return record;
+};
+
+export const deleteProject = (id) => withStore('readwrite', store => store.delete(id));
+
+// ============ RUN RECORDS ============
+// One entry per model call, kept whether or not the response parsed. Schema
+// issues and any repair re-prompts stay with the run they belong to.
+export const createRunRecord = ({
+  task, config, systemPrompt, userPrompt, rawResponse, parsed, error, stopReason, usage,
+  issues = [], repairs = [], meta = {}
+}) => ({
+  id: createId('run'),
+  createdAt: new Date().toISOString(),
+  task,
+  model: config.model,
+  temperature: config.temperature,
+  maxTokens: config.maxTokens,
+  systemPrompt,
+  userPrompt,
+  rawResponse,
+  parsed: parsed ?? null,
+  error: error || null,
+  stopReason: stopReason || null,
+  usage: usage || null,
+  issues,
+  repairs,
+  ...meta
+});
+
+// ============ BUNDLES ============
+export const createBundle = (project) => ({
+  format: BUNDLE_FORMAT,
+  version: PROJECT_VERSION,
+  exportedAt: new Date().toISOString(),
+  project
+});
+
+export const parseBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+  if (bundle?.format !== BUNDLE_FORMAT || !bundle.project) {
+    throw new Error('File is not a project bundle exported from this app');
+  }
+  if (bundle.version > PROJECT_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this app supports (${PROJECT_VERSION})`);
+  }
+  return bundle.project;
+};
+
+// Imported bundles get a fresh id so they never overwrite a local project
+export const importBundle = async (text) => {
+  const project = parseBundle(text);
+  const now = new Date().toISOString();
+  return saveProject({ ...project, id: createId('project'), createdAt: project.createdAt || now, importedAt: now });
+};
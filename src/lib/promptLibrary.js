@@ -0,0 +1,164 @@
+// ============ PROMPT LIBRARY ============
+// User-editable prompt templates and hypothesis types, kept per browser.
+//   templates: { [task]: [{ id, version, system, user, note, savedAt }] }
+//     Every save appends a version; the last one is active. A task with no
+//     versions uses the shipped template (DEFAULT_TEMPLATES).
+//   types: [{ id, label, icon, prompt, builtIn }]
+import { DEFAULT_TEMPLATES, PROMPT_TASKS } from './prompts';
+import { createId } from './projects';
+
+export const TYPES_FORMAT = 'metabolomics-hypothesis-types';
+
+export const DEFAULT_HYPOTHESIS_TYPES = [
+  { id: 'mechanisms', label: 'Biological Mechanisms', icon: '🧬',
+    prompt: 'Generate hypotheses about the biological mechanisms underlying these metabolic changes.' },
+  { id: 'disease', label: 'Disease Association', icon: '🏥',
+    prompt: 'Generate hypotheses about disease associations and clinical implications of these metabolic patterns.' },
+  { id: 'biomarkers', label: 'Biomarker Discovery', icon: '🎯',
+    prompt: 'Identify potential biomarker panels from these metabolic changes.' },
+  { id: 'therapeutics', label: 'Therapeutic Targets', icon: '💊',
+    prompt: 'Propose therapeutic interventions based on these metabolic findings.' },
+  { id: 'pathways', label: 'Pathway Analysis', icon: '🔄',
+    prompt: 'Analyze pathway-level changes and their biological significance.' }
+].map(type => ({ ...type, builtIn: true }));
+
+// Free-text query typed on the Generate tab; not part of the library
+export const CUSTOM_QUERY_TYPE = { id: 'custom', label: 'Custom Query', icon: '✨', prompt: '' };
+
+export const createPromptLibrary = () => ({ templates: {}, types: DEFAULT_HYPOTHESIS_TYPES });
+
+// Fill in anything missing from a stored library
+export const normalizeLibrary = (stored) => ({
+  templates: stored?.templates && typeof stored.templates === 'object' ? stored.templates : {},
+  types: Array.isArray(stored?.types) ? stored.types : DEFAULT_HYPOTHESIS_TYPES
+});
+
+// ============ TEMPLATES ============
+// Version history of a task's template; the shipped one counts as version 1
+// until something is saved
+export const templateHistory = (library, task) => {
+  const versions = library.templates[task];
+  if (versions?.length) return versions;
+  return [{ id: 'default', version: 1, ...DEFAULT_TEMPLATES[task], note: 'Shipped version', savedAt: null }];
+};
+
+export const activeTemplate = (library, task) => {
+  const versions = templateHistory(library, task);
+  return versions[versions.length - 1];
+};
+
+export const isShippedTemplate = (template, task) =>
+  template.system === DEFAULT_TEMPLATES[task].system && template.user === DEFAULT_TEMPLATES[task].user;
+
+export const saveTemplateVersion = (library, task, { system, user, note = '' }) => {
+  const versions = templateHistory(library, task);
+  const version = {
+    id: createId('tpl'),
+    version: versions[versions.length - 1].version + 1,
+    system,
+    user,
+    note,
+    savedAt: new Date().toISOString()
+  };
+  return { ...library, templates: { ...library.templates, [task]: [...versions, version] } };
+};
+
+// Both keep the history: the restored text becomes a new version
+export const resetTemplate = (library, task) =>
+  saveTemplateVersion(library, task, { ...DEFAULT_TEMPLATES[task], note: 'Reset to shipped version' });
+
+export const restoreTemplateVersion = (library, task, versionId) => {
+  const source = templateHistory(library, task).find(v => v.id === versionId);
+  if (!source) return library;
+  return saveTemplateVersion(library, task, {
+    system: source.system,
+    user: source.user,
+    note: `Restored version ${source.version}`
+  });
+};
+
+export const modifiedTasks = (library) =>
+  PROMPT_TASKS.filter(task => !isShippedTemplate(activeTemplate(library, task), task));
+
+// ============ HYPOTHESIS TYPES ============
+const shippedType = (id) => DEFAULT_HYPOTHESIS_TYPES.find(t => t.id === id);
+
+export const isModifiedType = (type) => {
+  const shipped = shippedType(type.id);
+  return Boolean(shipped) && ['label', 'icon', 'prompt'].some(key => shipped[key] !== type[key]);
+};
+
+export const saveHypothesisType = (library, type) => ({
+  ...library,
+  types: library.types.some(t => t.id === type.id)
+    ? library.types.map(t => (t.id === type.id ? { ...t, ...type } : t))
+    : [...library.types, type]
+});
+
+export const createHypothesisType = (library, fields = {}) => {
+  const type = { id: createId('type'), label: 'New hypothesis type', icon: '💡', prompt: '', builtIn: false, ...fields };
+  return { library: saveHypothesisType(library, type), type };
+};
+
+export const cloneHypothesisType = (library, id) => {
+  const source = library.types.find(t => t.id === id);
+  return createHypothesisType(library, { label: `${source.label} (copy)`, icon: source.icon, prompt: source.prompt });
+};
+
+// Only custom types can be deleted; built-in ones can be reset
+export const deleteHypothesisType = (library, id) => ({
+  ...library,
+  types: library.types.filter(t => t.id !== id || t.builtIn)
+});
+
+export const resetHypothesisType = (library, id) => {
+  const shipped = shippedType(id);
+  return shipped ? saveHypothesisType(library, shipped) : library;
+};
+
+// Shipped types come back as shipped (including deleted ones); custom types stay
+export const resetHypothesisTypes = (library) => ({
+  ...library,
+  types: [...DEFAULT_HYPOTHESIS_TYPES, ...library.types.filter(t => !t.builtIn)]
+});
+
+// ============ SHARING ============
+export const exportHypothesisTypes = (types) => JSON.stringify({
+  format: TYPES_FORMAT,
+  exportedAt: new Date().toISOString(),
+  types: types.map(({ label, icon, prompt }) => ({ label, icon, prompt }))
+}, null, 2);
+
+// Imported types are added as custom types; one with the same label and
+// prompt as an existing type is skipped. Returns { library, added, skipped }.
+export const importHypothesisTypes = (library, text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+  if (bundle?.format !== TYPES_FORMAT || !Array.isArray(bundle.types)) {
+    throw new Error('File is not a hypothesis type export from this app');
+  }
+  let next = library;
+  let added = 0;
+  let skipped = 0;
+  bundle.types.forEach(type => {
+    if (typeof type?.label !== 'string' || typeof type.prompt !== 'string' || !type.prompt.trim()) {
+      skipped++;
+      return;
+    }
+    if (next.types.some(t => t.label === type.label && t.prompt === type.prompt)) {
+      skipped++;
+      return;
+    }
+    next = createHypothesisType(next, {
+      label: type.label.slice(0, 80),
+      icon: typeof type.icon === 'string' && type.icon ? Array.from(type.icon).slice(0, 2).join('') : '💡',
+      prompt: type.prompt
+    }).library;
+    added++;
+  });
+  return { library: next, added, skipped };
+};
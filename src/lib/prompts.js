@@ -0,0 +1,375 @@
+// ============ PROMPTS ============
+// System and user prompt templates for each generation task. Shared by the
+// browser (for run provenance, previews and the mock provider) and the API
+// server, which renders the prompts it actually sends from the same inputs.
+// Imports here carry explicit extensions so Node can load this module.
+import { buildRepairPrompt } from './schemas.js';
+
+// ============ DEFAULT TEMPLATES ============
+// The shipped prompts. Users can edit them in the prompt library; the edited
+// template then travels with the request inputs (see buildPrompts).
+const HYPOTHESIS_SYSTEM_PROMPT = `You are an expert in systems biology, metabolomics, and biomedical research.
+You analyze differential metabolomics data and generate scientific hypotheses.
+
+CRITICAL REQUIREMENTS:
+1. Each hypothesis must be SPECIFIC and TESTABLE
+2. Evidence must cite EXACT metabolite names and fold-change values from the provided data
+3. Mechanisms must connect to known biochemistry with specific pathway names
+4. Confidence levels must be justified with explicit Bayesian reasoning
+5. Predictions must be experimentally verifiable
+
+For each hypothesis, assess:
+- Prior probability P(H) (based on existing literature)
+- Likelihood P(D|H) (how probable the observed data is if the hypothesis is true)
+- Alternative likelihood P(D|¬H) (how probable the observed data is if it is false)
+- Posterior probability (your updated belief; it is recomputed from the three values above and compared)
+
+OUTPUT FORMAT: JSON array with structured hypothesis objects.`;
+
+// Appended to hypothesis templates that don't place {{exclusions}} themselves
+const EXCLUSIONS_SECTION = `{{#exclusions}}
+ALREADY PROPOSED - do not repeat, rephrase or merely combine these; every new hypothesis must be genuinely different:
+{{exclusions}}
+{{/exclusions}}`;
+
+export const DEFAULT_TEMPLATES = {
+  hypothesis: {
+    system: HYPOTHESIS_SYSTEM_PROMPT,
+    user: `{{context}}
+{{#organism}}
+ORGANISM / STUDY SYSTEM: {{organism}}
+{{/organism}}
+TASK: {{task}}
+${EXCLUSIONS_SECTION}
+Generate exactly {{n_hypotheses}} ranked hypotheses. For each hypothesis, provide:
+1. rank (1-{{n_hypotheses}})
+2. title (brief)
+3. hypothesis (full statement)
+4. evidence (array of supporting data points with exact values)
+5. mechanism (proposed biological mechanism with pathway names)
+6. bayesian_analysis:
+   - prior_probability (0-1, based on literature)
+   - prior_rationale (why this prior)
+   - likelihood (0-1, P(D|H): probability of this data if the hypothesis is true)
+   - likelihood_rationale (why this likelihood)
+   - likelihood_alternative (0-1, P(D|¬H): probability of this data if the hypothesis is false)
+   - likelihood_alternative_rationale (why this alternative likelihood)
+   - posterior_probability (0-1, your updated belief)
+   - confidence_interval ([lower, upper] 95% CI)
+7. predictions (array of testable predictions)
+8. literature_support (relevant studies/PMIDs)
+9. alternative_explanations (what else could explain this)
+
+Return ONLY valid JSON array, no other text.`
+  },
+
+  experimental: {
+    system: `You are an expert in experimental design for metabolomics and biomedical research.
+Given a hypothesis, design a rigorous experimental validation protocol.
+
+Include:
+1. Primary experiment with controls
+2. Sample size calculations with power analysis
+3. Expected outcomes and decision criteria
+4. Timeline and resource estimates
+5. Potential pitfalls and mitigation strategies
+6. Alternative approaches if primary experiment fails
+
+OUTPUT FORMAT: Structured experimental protocol in JSON.`,
+    user: `HYPOTHESIS TO VALIDATE:
+Title: {{hypothesis_title}}
+Statement: {{hypothesis_statement}}
+Proposed Mechanism: {{mechanism}}
+Key Predictions: {{predictions}}
+{{#organism}}Organism / study system: {{organism}}
+{{/organism}}
+Design a comprehensive experimental validation protocol including:
+1. primary_experiment:
+   - objective
+   - methodology (detailed steps)
+   - controls (positive, negative, vehicle)
+   - sample_groups (with n per group)
+   - measurements (what to measure, how)
+   - statistical_analysis (tests to use)
+   
+2. power_analysis:
+   - effect_size_expected
+   - alpha
+   - power
+   - sample_size_calculation
+   
+3. expected_outcomes:
+   - if_hypothesis_true (specific predictions)
+   - if_hypothesis_false (what would you see)
+   - decision_criteria (how to conclude)
+   
+4. timeline:
+   - phases (array with duration and activities)
+   - total_duration
+   
+5. resources:
+   - equipment
+   - reagents
+   - estimated_cost
+   
+6. potential_pitfalls:
+   - risks (array of potential issues)
+   - mitigations (how to address each)
+   
+7. alternative_approaches:
+   - backup_experiments (if primary fails)
+
+Return ONLY valid JSON object, no other text.`
+  },
+
+  refine: {
+    system: HYPOTHESIS_SYSTEM_PROMPT,
+    user: `{{context}}
+{{#organism}}
+ORGANISM / STUDY SYSTEM: {{organism}}
+{{/organism}}
+HYPOTHESIS TO REVISE:
+{{hypothesis}}
+
+REVIEWER CRITIQUE:
+{{critique}}
+
+Revise this hypothesis to address the critique. Keep what the critique does not question, keep the evidence tied to exact metabolite names and values from the data, and update the Bayesian analysis so it matches the revised claim.
+
+Return ONLY the revised hypothesis as a single JSON object with the same fields (rank, title, hypothesis, evidence, mechanism, bayesian_analysis, predictions, literature_support, alternative_explanations), no other text.`
+  },
+
+  chat: {
+    system: `You are an expert in systems biology and metabolomics discussing one hypothesis with the scientist who is evaluating it.
+Answer their questions directly and concisely, citing exact metabolite names and values from the data where relevant. Say so when the data cannot answer a question.
+
+If your answer means the hypothesis should change (for example a different prior probability, an added alternative explanation or a revised prediction), end your reply with exactly one fenced block:
+\`\`\`json
+{"proposed_update": {"reason": "<one sentence>", "changes": {<only the fields that change>}}}
+\`\`\`
+"changes" uses the hypothesis' own field names and types; "bayesian_analysis" may list only the sub-fields that change. Leave the block out when nothing should change.`,
+    user: `{{context}}
+{{#organism}}
+ORGANISM / STUDY SYSTEM: {{organism}}
+{{/organism}}
+HYPOTHESIS UNDER DISCUSSION:
+{{hypothesis}}
+
+QUESTION:
+{{question}}`
+  },
+
+  literature: {
+    system: `You are a scientific literature expert specializing in metabolomics and systems biology.
+Analyze the provided metabolites and findings in the context of published research.
+
+Provide:
+1. Relevant PubMed references (cite specific PMIDs if known)
+2. Key findings from related studies
+3. How current data aligns or conflicts with literature
+4. Knowledge gaps that this data could address
+5. Suggested follow-up literature searches
+
+OUTPUT FORMAT: Structured literature analysis in JSON.`,
+    user: `{{context}}
+{{#organism}}
+ORGANISM / STUDY SYSTEM: {{organism}}
+{{/organism}}
+Provide a comprehensive literature analysis:
+
+1. key_metabolites_literature:
+   - For each top changed metabolite, provide:
+     - metabolite_name
+     - known_functions
+     - disease_associations
+     - relevant_pmids (if known)
+     
+2. pathway_context:
+   - affected_pathways
+   - pathway_interactions
+   - upstream_regulators
+   - downstream_effects
+   
+3. similar_studies:
+   - study_descriptions (array of relevant studies)
+   - how_current_data_compares
+   
+4. knowledge_gaps:
+   - what_is_unknown
+   - how_this_data_helps
+   
+5. suggested_searches:
+   - pubmed_queries (array of search strings)
+   - databases_to_check
+
+Return ONLY valid JSON object, no other text.`
+  }
+};
+
+// ============ VARIABLES ============
+// Variables available to each task's templates, filled from the request inputs
+export const TEMPLATE_VARIABLES = {
+  hypothesis: [
+    { name: 'context', description: 'Data summary: top metabolites, statistics, enrichment' },
+    { name: 'task', description: 'The selected hypothesis type\'s prompt' },
+    { name: 'n_hypotheses', description: 'Number of hypotheses to generate' },
+    { name: 'exclusions', description: 'Hypotheses already proposed, for "generate more" (empty otherwise)' },
+    { name: 'organism', description: 'Organism or study system (may be empty)' }
+  ],
+  refine: [
+    { name: 'context', description: 'Data summary: top metabolites, statistics, enrichment' },
+    { name: 'hypothesis', description: 'The hypothesis being revised, as JSON' },
+    { name: 'critique', description: 'The reviewer\'s critique' },
+    { name: 'organism', description: 'Organism or study system (may be empty)' }
+  ],
+  chat: [
+    { name: 'context', description: 'Data summary: top metabolites, statistics, enrichment' },
+    { name: 'hypothesis', description: 'The hypothesis under discussion (current version), as JSON' },
+    { name: 'question', description: 'The first question; later turns follow as separate messages' },
+    { name: 'organism', description: 'Organism or study system (may be empty)' }
+  ],
+  experimental: [
+    { name: 'hypothesis_title', description: 'Title of the hypothesis to validate' },
+    { name: 'hypothesis_statement', description: 'Full hypothesis statement' },
+    { name: 'mechanism', description: 'Proposed mechanism' },
+    { name: 'predictions', description: 'Predictions, separated by semicolons' },
+    { name: 'organism', description: 'Organism or study system (may be empty)' }
+  ],
+  literature: [
+    { name: 'context', description: 'Data summary: top metabolites, statistics, enrichment' },
+    { name: 'organism', description: 'Organism or study system (may be empty)' }
+  ]
+};
+
+export const DEFAULT_N_HYPOTHESES = 3;
+
+// inputs per task:
+//   hypothesis:   { context, taskPrompt, nHypotheses?, exclusions?, organism? }
+//     exclusions: [{ title, hypothesis }] already proposed
+//   refine:       { context, hypothesis, critique, organism? }
+//   chat:         { context, hypothesis, turns, organism? }
+//     turns: [{ role: 'user' | 'assistant', content }] alternating, first and last from the user
+//   experimental: { hypothesis: { title, hypothesis, mechanism, predictions }, organism? }
+//   literature:   { context, organism? }
+// Each may also carry template: { system, user } to use instead of the default.
+export const templateVariables = (task, inputs) => {
+  const organism = inputs.organism || '';
+  switch (task) {
+    case 'hypothesis':
+      return {
+        context: inputs.context,
+        task: inputs.taskPrompt,
+        n_hypotheses: String(inputs.nHypotheses || DEFAULT_N_HYPOTHESES),
+        exclusions: (inputs.exclusions || []).map(h => `- ${h.title}: ${h.hypothesis}`).join('\n'),
+        organism
+      };
+    case 'refine':
+      return {
+        context: inputs.context,
+        hypothesis: JSON.stringify(inputs.hypothesis, null, 2),
+        critique: inputs.critique,
+        organism
+      };
+    case 'chat':
+      checkTurns(inputs.turns);
+      return {
+        context: inputs.context,
+        hypothesis: JSON.stringify(inputs.hypothesis, null, 2),
+        question: inputs.turns[0].content,
+        organism
+      };
+    case 'experimental':
+      return {
+        hypothesis_title: inputs.hypothesis.title,
+        hypothesis_statement: inputs.hypothesis.hypothesis,
+        mechanism: inputs.hypothesis.mechanism,
+        predictions: (inputs.hypothesis.predictions || []).join('; '),
+        organism
+      };
+    default:
+      return { context: inputs.context, organism };
+  }
+};
+
+const checkTurns = (turns) => {
+  if (!Array.isArray(turns) || turns.length % 2 === 0) throw new Error('turns must be an odd-length array');
+  turns.forEach((turn, i) => {
+    const role = i % 2 === 0 ? 'user' : 'assistant';
+    if (turn?.role !== role || typeof turn.content !== 'string' || !turn.content.trim()) {
+      throw new Error(`turn ${i + 1} must be a non-empty ${role} message`);
+    }
+  });
+};
+
+// {{name}} is replaced by the variable; {{#name}}...{{/name}} is kept only
+// when the variable is non-empty. Unknown variables are left as written.
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+export const renderTemplate = (template, variables) => template
+  .replace(SECTION, (match, name, body) => (
+    name in variables ? (variables[name] ? body : '') : match
+  ))
+  .replace(VARIABLE, (match, name) => (name in variables ? String(variables[name] ?? '') : match));
+
+// Problems worth flagging before a template is used: unknown variables and
+// unclosed sections
+export const checkTemplate = (task, template) => {
+  const known = new Set(TEMPLATE_VARIABLES[task].map(v => v.name));
+  const problems = [];
+  ['system', 'user'].forEach(part => {
+    const text = template[part] || '';
+    const names = new Set([...text.matchAll(/\{\{[#/]?(\w+)\}\}/g)].map(m => m[1]));
+    names.forEach(name => {
+      if (!known.has(name)) problems.push(`${part}: unknown variable {{${name}}}`);
+    });
+    const opened = [...text.matchAll(/\{\{#(\w+)\}\}/g)].length;
+    const closed = [...text.matchAll(/\{\{\/(\w+)\}\}/g)].length;
+    if (opened !== closed) problems.push(`${part}: ${opened} section(s) opened but ${closed} closed`);
+  });
+  if (!template.user?.trim()) problems.push('user: the prompt is empty');
+  return problems;
+};
+
+export const PROMPT_TASKS = Object.keys(DEFAULT_TEMPLATES);
+
+// Inputs each builder needs; the server rejects requests missing any
+export const PROMPT_INPUTS = {
+  hypothesis: ['context', 'taskPrompt'],
+  refine: ['context', 'hypothesis', 'critique'],
+  chat: ['context', 'hypothesis', 'turns'],
+  experimental: ['hypothesis'],
+  literature: ['context']
+};
+
+// Whether each task answers with a JSON array (vs. a single object)
+const RESPONDS_WITH_ARRAY = { hypothesis: true, refine: false, chat: false, experimental: false, literature: false };
+
+// { systemPrompt, userPrompt } for a task, from inputs.template or the default
+export const buildPrompts = (task, inputs) => {
+  const template = inputs.template || DEFAULT_TEMPLATES[task];
+  const variables = templateVariables(task, inputs);
+  // Exclusions must reach the model even from a template written before they existed
+  const user = task === 'hypothesis' && variables.exclusions && !template.user.includes('{{exclusions}}')
+    ? `${template.user}\n\n${EXCLUSIONS_SECTION}`
+    : template.user;
+  return {
+    systemPrompt: renderTemplate(template.system || '', variables),
+    userPrompt: renderTemplate(user, variables)
+  };
+};
+
+// Conversation for a request. A repair replays the original exchange and
+// follows it with the schema violations ({ errors, response }). A chat opens
+// with the rendered prompt in place of the first question, then replays the
+// remaining turns.
+export const buildMessages = (task, userPrompt, repair = null, inputs = {}) => {
+  if (task === 'chat') return [{ role: 'user', content: userPrompt }, ...inputs.turns.slice(1)];
+  return repair ? [
+    { role: 'user', content: userPrompt },
+    { role: 'assistant', content: repair.response },
+    { role: 'user', content: buildRepairPrompt(repair.errors, RESPONDS_WITH_ARRAY[task]) }
+  ] : [
+    { role: 'user', content: userPrompt }
+  ];
+};
@@ -0,0 +1,133 @@
+// ============ MODEL PROVIDERS ============
+// Every backend exposes the same streaming call so the generators don't care
+// where a task runs. Anthropic and OpenAI-compatible requests go through the
+// API server (server/), which holds the credentials, builds the prompts from
+// the same inputs and enforces rate limits and token budgets. The mock
+// provider runs entirely in the browser.
+import { readAnthropicStream, readOpenAIStream } from './streaming';
+import { runMockModel, MOCK_MODEL } from './mockModel';
+import { buildMessages } from './prompts';
+import { parseRetryAfter } from './requests';
+
+export const PROVIDERS = [
+  { id: 'anthropic', label: 'Anthropic', description: 'Claude, called by the API server with its configured key' },
+  { id: 'openai', label: 'OpenAI-compatible', description: 'The /chat/completions endpoint configured on the API server, e.g. a local vLLM or llama.cpp server' },
+  { id: 'mock', label: 'Mock (offline)', description: 'Deterministic canned responses built from the data summary; nothing leaves the browser' }
+];
+
+export const PROVIDER_TASKS = [
+  { id: 'hypothesis', label: 'Hypotheses', endpoint: '/api/hypotheses' },
+  { id: 'refine', label: 'Hypothesis refinement', endpoint: '/api/refine' },
+  { id: 'chat', label: 'Hypothesis discussion', endpoint: '/api/chat' },
+  { id: 'experimental', label: 'Experimental design', endpoint: '/api/experimental' },
+  { id: 'literature', label: 'Literature analysis', endpoint: '/api/literature' }
+];
+
+export const DEFAULT_PROVIDERS = {
+  hypothesis: 'anthropic', refine: 'anthropic', chat: 'anthropic', experimental: 'anthropic', literature: 'anthropic'
+};
+
+// Refinement and discussion follow the hypothesis provider in projects saved
+// before they had their own
+const FOLLOWS_HYPOTHESIS = ['refine', 'chat'];
+
+export const providerFor = (config, task) => config.providers?.[task]
+  || (FOLLOWS_HYPOTHESIS.includes(task) && config.providers?.hypothesis)
+  || 'anthropic';
+
+// An empty OpenAI-compatible model name falls back to the server's default
+export const modelFor = (config, task, serverStatus) => {
+  switch (providerFor(config, task)) {
+    case 'openai': return config.openaiModel || serverStatus?.providers?.openai?.model || '';
+    case 'mock': return MOCK_MODEL;
+    default: return config.model;
+  }
+};
+
+// ============ SERVER ============
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+// Server capabilities, caller identity and token budget, or null when the
+// server can't be reached
+export const fetchServerStatus = async (token) => {
+  try {
+    const response = await fetch('/api/status', { headers: authHeaders(token) });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    return null;
+  }
+};
+
+// What still has to be set up before a task can run, or null
+export const providerSetupError = (config, task, serverStatus) => {
+  const provider = providerFor(config, task);
+  if (provider === 'mock') return null;
+  if (!serverStatus) return 'The API server is not reachable (start it with npm run server)';
+  if (serverStatus.authRequired && !serverStatus.user) return 'Enter a valid server access token in Settings';
+  if (!serverStatus.providers?.[provider]?.configured) {
+    return `The API server has no ${PROVIDERS.find(p => p.id === provider).label} credentials configured`;
+  }
+  if (!modelFor(config, task, serverStatus)) return 'Set the OpenAI-compatible model name in Settings';
+  return null;
+};
+
+const callServer = async ({ task, provider, config, serverStatus, token, inputs, repair, prefill, onText, signal }) => {
+  const { endpoint } = PROVIDER_TASKS.find(t => t.id === task);
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
+      body: JSON.stringify({
+        provider,
+        model: modelFor(config, task, serverStatus),
+        maxTokens: config.maxTokens,
+        temperature: config.temperature,
+        inputs,
+        repair,
+        prefill
+      }),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // fetch only rejects on connection failures, which are worth retrying
+    throw Object.assign(new Error(`Could not reach the API server: ${err.message}`), { network: true });
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(errorData.error?.message || `API error: ${response.status}`), {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+  return provider === 'openai' ? readOpenAIStream(response, onText) : readAnthropicStream(response, onText);
+};
+
+// Stream one request for `task` through its configured provider.
+//   inputs:  prompt builder inputs (see lib/prompts)
+//   repair:  { errors, response } to ask for a corrected answer
+//   prefill: assistant text to continue from after a max_tokens cut-off
+// Resolves to { text, stopReason, usage } with text excluding the prefill.
+export const callProvider = async ({
+  task, config, serverStatus, token, inputs, systemPrompt, userPrompt, repair = null, prefill = '', onText, signal
+}) => {
+  const setupError = providerSetupError(config, task, serverStatus);
+  if (setupError) throw new Error(setupError);
+
+  const provider = providerFor(config, task);
+  if (provider === 'mock') {
+    return runMockModel({
+      task,
+      systemPrompt,
+      messages: buildMessages(task, userPrompt, repair, inputs),
+      prefill,
+      maxTokens: config.maxTokens,
+      onText,
+      signal
+    });
+  }
+  return callServer({ task, provider, config, serverStatus, token, inputs, repair, prefill, onText, signal });
+};
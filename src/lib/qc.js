@@ -0,0 +1,275 @@
+// ============ DATA QUALITY ============
+// Checks run on upload, before anything reaches the summary or the prompt.
+// Results tables get row-level checks whose rows can be excluded in one click
+// (exclusions: { [rowIndex]: reason }, saved with the project). Sample-level
+// matrices also get missingness, pooled-QC CVs and PCA outlier samples ahead
+// of the differential analysis.
+import { toLog2FoldChange } from './columns';
+import { groupOf } from './contrasts';
+import { normalizeMemberName } from './enrichment';
+import { readMatrix, preprocess, column, median, regularizedBeta, isQcLabel } from './differential';
+
+export const LARGE_LOG2FC = 10;  // 1024-fold: more often a unit, blank or division artifact than biology
+export const QC_CV_LIMIT = 0.3;  // Features above this CV in pooled QCs are poorly measured
+export const QC_CV_COLUMN = 'qc_cv';
+const OUTLIER_CONFIDENCE = 0.95;
+const EXAMPLE_LIMIT = 8;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const show = (v) => (v === null || v === undefined || v === '' ? '(empty)' : String(v));
+const percent = (x) => `${Math.round(x * 100)}%`;
+
+// ============ RESULTS TABLE ============
+// [{ id, label, severity: 'error' | 'warning', description, rows: [{ index, name, value }] }]
+// for the checks that found something. Errors would put NaN or impossible
+// values into the prompt; warnings are plausible but worth a look.
+export const checkResultsTable = (rawData, columns) => {
+  if (!rawData || !columns.metabolite) return [];
+  const { metabolite: nameCol, foldChange: fcCol, pValue: pCol, group: groupCol } = columns;
+  const checks = [];
+  const add = (id, label, severity, description, test) => {
+    const rows = [];
+    rawData.forEach((row, index) => {
+      const value = test(row, index);
+      if (value !== false) rows.push({ index, name: show(row[nameCol]), value });
+    });
+    if (rows.length) checks.push({ id, label, severity, description, rows });
+  };
+
+  add('missing-name', 'Missing metabolite name', 'error', 'The row has no name to cite', (row) =>
+    (String(row[nameCol] ?? '').trim() === '' ? '(empty)' : false));
+
+  // Every occurrence after the first, within the row's group when one is mapped
+  const firstRow = new Map();
+  add('duplicate', 'Duplicate metabolite', 'warning',
+    groupCol ? `Listed more than once within the same ${groupCol}; the first row is kept` : 'Listed more than once; the first row is kept',
+    (row, index) => {
+      const name = normalizeMemberName(row[nameCol]);
+      if (!name) return false;
+      const key = groupCol ? `${groupOf(row, groupCol)}\u0000${name}` : name;
+      if (!firstRow.has(key)) {
+        firstRow.set(key, index);
+        return false;
+      }
+      return `same as row ${firstRow.get(key) + 1}`;
+    });
+
+  if (fcCol) {
+    add('fold-change', 'Fold change not a number', 'error', 'Empty, NaN, infinite or text fold change', (row) =>
+      (isNumber(toLog2FoldChange(row[fcCol], columns.foldChangeScale || 'log2')) ? false : show(row[fcCol])));
+    add('large-fc', `|log2FC| above ${LARGE_LOG2FC}`, 'warning', `More than ${2 ** LARGE_LOG2FC}-fold; check for units, blanks or near-zero denominators`, (row) => {
+      const fc = toLog2FoldChange(row[fcCol], columns.foldChangeScale || 'log2');
+      return isNumber(fc) && Math.abs(fc) > LARGE_LOG2FC ? fc.toFixed(2) : false;
+    });
+  }
+
+  if (pCol) {
+    add('p-range', 'P-value outside [0, 1]', 'error', 'Empty, text or out-of-range p-value', (row) => {
+      const p = row[pCol];
+      return isNumber(p) && p >= 0 && p <= 1 ? false : show(p);
+    });
+    add('p-zero', 'P-value exactly 0', 'warning', 'Usually underflow or rounding; the prompt would cite p=0', (row) =>
+      (row[pCol] === 0 ? '0' : false));
+  }
+
+  if (rawData.some(row => QC_CV_COLUMN in row)) {
+    add('qc-cv', `Pooled-QC CV above ${percent(QC_CV_LIMIT)}`, 'warning', 'Poorly reproducible across the pooled QC injections', (row) =>
+      (isNumber(row[QC_CV_COLUMN]) && row[QC_CV_COLUMN] > QC_CV_LIMIT ? percent(row[QC_CV_COLUMN]) : false));
+  }
+  return checks;
+};
+
+export const examplesOf = (check) => check.rows.slice(0, EXAMPLE_LIMIT);
+
+// Rows left after the exclusions
+export const applyExclusions = (rawData, exclusions) => {
+  if (!rawData || Object.keys(exclusions).length === 0) return rawData;
+  return rawData.filter((_, index) => !(index in exclusions));
+};
+
+// Exclusions with a check's rows added under its label
+export const excludeCheck = (exclusions, check) => ({
+  ...Object.fromEntries(check.rows.map(row => [row.index, check.label])),
+  ...exclusions
+});
+
+// Exclusions without a check's rows
+export const restoreCheck = (exclusions, check) => {
+  const next = { ...exclusions };
+  check.rows.forEach(row => { delete next[row.index]; });
+  return next;
+};
+
+// One line per reason, e.g. "3 × Duplicate metabolite", for the prompt and the report
+export const describeExclusions = (exclusions) => {
+  const counts = {};
+  Object.values(exclusions).forEach(reason => { counts[reason] = (counts[reason] || 0) + 1; });
+  return Object.entries(counts).map(([reason, count]) => `${count} × ${reason}`);
+};
+
+// ============ PCA ============
+// Leading eigenpairs of a symmetric matrix by power iteration with deflation
+const eigenpairs = (matrix, count) => {
+  const n = matrix.length;
+  const work = matrix.map(row => [...row]);
+  const pairs = [];
+  for (let k = 0; k < count; k++) {
+    let vector = Array.from({ length: n }, (_, i) => 1 + i / n);
+    let value = 0;
+    for (let iter = 0; iter < 500; iter++) {
+      const next = work.map(row => row.reduce((sum, x, j) => sum + x * vector[j], 0));
+      const norm = Math.sqrt(next.reduce((sum, x) => sum + x * x, 0));
+      if (norm === 0) break;
+      const normalized = next.map(x => x / norm);
+      const change = normalized.reduce((sum, x, i) => sum + Math.abs(x - vector[i]), 0);
+      vector = normalized;
+      value = norm;
+      if (change < 1e-10) break;
+    }
+    pairs.push({ value, vector });
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) work[i][j] -= value * vector[i] * vector[j];
+  }
+  return pairs;
+};
+
+// Smallest x with I_x(a, b) >= p, by bisection
+const betaQuantile = (p, a, b) => {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (regularizedBeta(mid, a, b) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Two-component PCA of autoscaled samples with Hotelling's T² per sample and
+// its in-sample limit, (n−1)²/n · Beta(k/2, (n−k−1)/2) at 95%.
+// rows: samples × features, complete. null with fewer than 4 samples.
+export const hotellingPCA = (rows, components = 2) => {
+  const n = rows.length;
+  if (n < components + 2) return null;
+  const centred = rows[0].map((_, f) => {
+    const values = rows.map(row => row[f]);
+    const m = values.reduce((sum, v) => sum + v, 0) / n;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (n - 1));
+    return sd > 0 ? values.map(v => (v - m) / sd) : null;
+  }).filter(Boolean);
+  if (centred.length === 0) return null;
+  // Sample × sample Gram matrix; its eigenvectors give the scores directly
+  const gram = rows.map((_, i) => rows.map((__, j) => centred.reduce((sum, col) => sum + col[i] * col[j], 0)));
+  const total = gram.reduce((sum, row, i) => sum + row[i], 0);
+  const pairs = eigenpairs(gram, components);
+  const scores = rows.map((_, i) => pairs.map(({ value, vector }) => vector[i] * Math.sqrt(value)));
+  const t2 = rows.map((_, i) => pairs.reduce((sum, { value, vector }) => sum + (value > 0 ? (n - 1) * vector[i] ** 2 : 0), 0));
+  const limit = ((n - 1) ** 2 / n) * betaQuantile(OUTLIER_CONFIDENCE, components / 2, (n - components - 1) / 2);
+  return { scores, t2, limit, explained: pairs.map(({ value }) => value / total) };
+};
+
+// ============ SAMPLE-LEVEL ============
+const MISSING_BINS = [
+  { label: 'Complete', test: (x) => x === 0 },
+  { label: '≤ 20% missing', test: (x) => x > 0 && x <= 0.2 },
+  { label: '20–50% missing', test: (x) => x > 0.2 && x <= 0.5 },
+  { label: '> 50% missing', test: (x) => x > 0.5 }
+];
+
+// Pooled QC samples: labelled so in any metadata column, or by their ID
+const isQcSample = (sample) => isQcLabel(sample.id) || Object.values(sample.metadata || {}).some(isQcLabel);
+
+// Diagnostics over every matched sample (study samples of all groups and
+// pooled QCs), leaving out those already in design.excludedSamples:
+//   samples:  [{ id, group, qc, missing, t2, pc, flags, excluded }]
+//   features: { count, bins: [{ label, count }], worst: [{ name, missing }] }
+//   qc:       { n, medianCv, below20, below30, cvByFeature: Map(name → cv) } | null
+//   pca:      { explained, limit } | null
+export const checkSamples = (matrix, metadata, design, options) => {
+  const excluded = design.excludedSamples || {};
+  const all = readMatrix(matrix, metadata, design, options, () => true);
+  const keep = all.samples.map(sample => !(sample.id in excluded));
+  const samples = all.samples.filter((_, s) => keep[s]);
+  const values = all.values.filter((_, s) => keep[s]);
+  const nFeatures = all.features.length;
+
+  // Missingness per sample and per feature
+  const sampleMissing = values.map(sample => sample.filter(v => v === null).length / (nFeatures || 1));
+  const featureMissing = all.features.map((_, f) => 1 - column(values, f).length / (values.length || 1));
+  const missingLimit = Math.max(0.2, 2 * (sampleMissing.length ? median(sampleMissing) : 0));
+
+  // Pooled-QC CVs on the normalized linear scale, from observed values only
+  const qcIndexes = samples.map((sample, s) => (isQcSample(sample) ? s : -1)).filter(s => s >= 0);
+  let qc = null;
+  if (qcIndexes.length >= 2) {
+    const { kept, processed } = preprocess(values, { ...options, imputation: 'none', maxMissing: 1, transform: 'none' });
+    const cvByFeature = new Map();
+    kept.forEach((f, k) => {
+      // Already-log data is taken back to the linear scale first
+      const observed = qcIndexes.map(s => processed[s][k]).filter(v => v !== null)
+        .map(v => (options.transform === 'log2' ? v : 2 ** v));
+      if (observed.length < 2) return;
+      const m = observed.reduce((sum, v) => sum + v, 0) / observed.length;
+      const sd = Math.sqrt(observed.reduce((sum, v) => sum + (v - m) ** 2, 0) / (observed.length - 1));
+      if (m > 0) cvByFeature.set(all.features[f].name, sd / m);
+    });
+    const cvs = [...cvByFeature.values()];
+    qc = cvs.length ? {
+      n: qcIndexes.length,
+      medianCv: median(cvs),
+      below20: cvs.filter(cv => cv <= 0.2).length / cvs.length,
+      below30: cvs.filter(cv => cv <= QC_CV_LIMIT).length / cvs.length,
+      cvByFeature
+    } : null;
+  }
+
+  // PCA on the processed matrix; a missing-value gap is filled so every sample gets a score
+  const { processed } = preprocess(values, { ...options, imputation: options.imputation === 'none' ? 'half-min' : options.imputation });
+  const pca = processed[0]?.length ? hotellingPCA(processed) : null;
+
+  const report = samples.map((sample, s) => {
+    const flags = [];
+    if (pca && pca.t2[s] > pca.limit) flags.push(`PCA outlier (T² ${pca.t2[s].toFixed(1)} > ${pca.limit.toFixed(1)})`);
+    if (sampleMissing[s] > missingLimit) flags.push(`${percent(sampleMissing[s])} of features missing`);
+    return {
+      id: sample.id,
+      group: sample.group,
+      qc: qcIndexes.includes(s),
+      missing: sampleMissing[s],
+      t2: pca ? pca.t2[s] : null,
+      pc: pca ? pca.scores[s] : null,
+      flags,
+      excluded: false
+    };
+  });
+  all.samples.filter((_, s) => !keep[s]).forEach(sample => {
+    report.push({ id: sample.id, group: sample.group, qc: isQcSample(sample), missing: null, t2: null, pc: null, flags: [], excluded: excluded[sample.id] });
+  });
+
+  return {
+    samples: report,
+    features: {
+      count: nFeatures,
+      bins: MISSING_BINS.map(bin => ({ label: bin.label, count: featureMissing.filter(bin.test).length })),
+      worst: all.features
+        .map((feature, f) => ({ name: feature.name, missing: featureMissing[f] }))
+        .filter(feature => feature.missing > 0)
+        .sort((a, b) => b.missing - a.missing)
+        .slice(0, EXAMPLE_LIMIT)
+    },
+    qc,
+    pca: pca ? { explained: pca.explained, limit: pca.limit } : null
+  };
+};
+
+// The results sheet with each feature's pooled-QC CV as a column, so the
+// row-level check can offer to exclude poorly measured features, and the QC
+// summary recorded with the analysis settings
+export const attachQc = (sheet, report) => {
+  if (!report?.qc) return sheet;
+  const { cvByFeature, ...summary } = report.qc;
+  return {
+    ...sheet,
+    headers: [...sheet.headers, QC_CV_COLUMN],
+    data: sheet.data.map(row => ({ ...row, [QC_CV_COLUMN]: cvByFeature.get(row.metabolite) ?? null })),
+    differential: { ...sheet.differential, qc: summary }
+  };
+};
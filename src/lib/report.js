@@ -0,0 +1,555 @@
+// ============ REPORT ============
+// A shareable write-up of the project: dataset summary, QC, plots, ranked
+// hypotheses with their Bayesian inputs, the literature analysis, chosen
+// protocols and an appendix of which model and prompt produced what.
+// buildReport returns a format-neutral list of blocks that the writers below
+// turn into Markdown, DOCX or PDF, all in the browser:
+//   { type: 'heading', level, text } | { type: 'paragraph', text, lead? } |
+//   { type: 'list', items, ordered? } | { type: 'table', headers, rows } |
+//   { type: 'figure', id, caption } | { type: 'code', text }
+// Figures are PNGs supplied at export time as images: { [id]: { bytes, dataUrl, width, height } }.
+import { describeSignificanceRule } from './statistics';
+import { describeDifferential } from './differential';
+import { describeExclusions } from './qc';
+import { formatTrajectory } from './timecourse';
+import { describeContrast } from './contrasts';
+
+export const REPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF', extension: 'pdf' },
+  { id: 'docx', label: 'Word (DOCX)', extension: 'docx' },
+  { id: 'markdown', label: 'Markdown', extension: 'md' }
+];
+
+// available(inputs) says whether the project has anything for the section
+export const REPORT_SECTIONS = [
+  { id: 'data', label: 'Dataset summary', available: (inputs) => Boolean(inputs.summary) },
+  { id: 'qc', label: 'Data quality', available: (inputs) => Boolean(inputs.summary) },
+  { id: 'figures', label: 'Plots', available: (inputs) => inputs.figures.length > 0 },
+  { id: 'hypotheses', label: 'Ranked hypotheses', available: (inputs) => Boolean(inputs.hypotheses?.length) },
+  { id: 'literature', label: 'Literature analysis', available: (inputs) => Boolean(inputs.literature) },
+  { id: 'protocols', label: 'Experimental protocols', available: (inputs) => inputs.protocols.length > 0 },
+  { id: 'provenance', label: 'Appendix: model & prompt provenance', available: (inputs) => inputs.runs.length > 0 }
+];
+
+const TOP_CHANGES = 10;
+const TASK_LABELS = { hypothesis: 'Hypotheses', literature: 'Literature analysis', experimental: 'Experimental protocol' };
+
+const percent = (x) => `${(x * 100).toFixed(0)}%`;
+const present = (value) => value !== null && value !== undefined && value !== '';
+
+// Free-form model output (the schemas' any() fields) as list items
+const toItems = (value) => {
+  if (!present(value)) return [];
+  if (Array.isArray(value)) return value.filter(present).map(toText);
+  if (typeof value === 'object') return Object.entries(value).filter(([, v]) => present(v)).map(([k, v]) => `${k.replace(/_/g, ' ')}: ${toText(v)}`);
+  return [String(value)];
+};
+const toText = (value) => {
+  if (!present(value)) return '';
+  if (Array.isArray(value)) return value.filter(present).map(toText).join('; ');
+  if (typeof value === 'object') return toItems(value).join('; ');
+  return String(value);
+};
+
+// ============ BUILDING ============
+const dataBlocks = ({ summary, columns, thresholds, groups, fileName, differential, enrichment, timeCourse }) => {
+  const { metabolite: nameCol, foldChange: fcCol, pValue: pCol, pathway: pathCol } = columns;
+  const changeRows = (rows) => rows.slice(0, TOP_CHANGES).map(row => [
+    String(row[nameCol]),
+    row[fcCol]?.toFixed(2),
+    row[pCol]?.toExponential(2),
+    ...(pathCol ? [row[pathCol] ?? ''] : [])
+  ]);
+  const headers = ['Metabolite', 'log2FC', 'p', ...(pathCol ? ['Pathway'] : [])];
+  const blocks = [
+    { type: 'heading', level: 1, text: 'Dataset summary' },
+    { type: 'paragraph', lead: 'Source', text: fileName || 'Unsaved dataset' },
+    ...(differential ? [{ type: 'paragraph', lead: 'Computed from sample-level intensities', text: describeDifferential(differential) }] : []),
+    { type: 'paragraph', lead: 'Significance rule', text: describeSignificanceRule(thresholds, columns, groups.length) },
+    {
+      type: 'table',
+      headers: ['', 'Metabolites', 'Significant', 'Increased', 'Decreased'],
+      rows: [
+        ['All rows', summary.total, summary.significant, summary.increased, summary.decreased],
+        ...summary.byGroup.map(g => [`${columns.group} = ${g.value}`, g.total, g.significant, g.increased, g.decreased])
+      ].map(row => row.map(String))
+    },
+    ...(summary.topIncreased.length ? [
+      { type: 'heading', level: 2, text: 'Largest increases' },
+      { type: 'table', headers, rows: changeRows(summary.topIncreased) }
+    ] : []),
+    ...(summary.topDecreased.length ? [
+      { type: 'heading', level: 2, text: 'Largest decreases' },
+      { type: 'table', headers, rows: changeRows(summary.topDecreased) }
+    ] : [])
+  ];
+  if (enrichment) {
+    const top = [
+      ...(enrichment.ora?.results || []).filter(r => r.fdr < 0.25 && r.overlap > 0).slice(0, 5)
+        .map(r => [r.name, 'ORA', `${r.overlap}/${r.size}`, r.fdr.toExponential(2)]),
+      ...(enrichment.msea?.results || []).filter(r => r.fdr < 0.25).slice(0, 5)
+        .map(r => [r.name, `MSEA (${r.direction})`, `NES ${r.nes.toFixed(2)}`, r.fdr.toExponential(2)])
+    ];
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Pathway enrichment' },
+      { type: 'paragraph', text: `Computed locally from ${enrichment.sourceLabel}.` },
+      top.length
+        ? { type: 'table', headers: ['Set', 'Method', 'Effect', 'FDR'], rows: top }
+        : { type: 'paragraph', text: 'No sets with FDR < 0.25.' }
+    );
+  }
+  if (timeCourse) {
+    const { clusters, timepoints, baseline, groupCol } = timeCourse;
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Time course' },
+      { type: 'paragraph', lead: groupCol, text: [...(baseline ? [baseline] : []), ...timepoints].join(' → ') },
+      {
+        type: 'table',
+        headers: ['Pattern', 'Metabolites', 'Largest changes'],
+        rows: clusters.map(c => [
+          c.label,
+          String(c.members.length),
+          c.members.slice(0, 3).map(m => `${m.name} (${formatTrajectory(m, baseline)})`).join('; ')
+        ])
+      }
+    );
+  }
+  return blocks;
+};
+
+const qcBlocks = ({ qualityChecks, exclusions, totalRows, differential }) => {
+  const excluded = Object.keys(exclusions).length;
+  const blocks = [
+    { type: 'heading', level: 1, text: 'Data quality' },
+    qualityChecks.length
+      ? {
+        type: 'table',
+        headers: ['Check', 'Severity', 'Rows', 'Excluded'],
+        rows: qualityChecks.map(check => [
+          check.label, check.severity, String(check.rows.length), String(check.rows.filter(row => row.index in exclusions).length)
+        ])
+      }
+      : { type: 'paragraph', text: 'No duplicate names, invalid fold changes or p-values were found.' },
+    {
+      type: 'paragraph',
+      lead: 'Excluded rows',
+      text: excluded ? `${excluded} of ${totalRows}: ${describeExclusions(exclusions).join(', ')}` : 'none'
+    }
+  ];
+  const sampleQc = differential?.qc;
+  if (sampleQc) {
+    blocks.push({
+      type: 'paragraph',
+      lead: 'Pooled QC',
+      text: `${sampleQc.n} injections, median CV ${percent(sampleQc.medianCv)}; ${percent(sampleQc.below20)} of features ≤ 20%, ${percent(sampleQc.below30)} ≤ 30%`
+    });
+  }
+  if (differential?.excludedSamples && Object.keys(differential.excludedSamples).length) {
+    blocks.push({
+      type: 'list',
+      items: Object.entries(differential.excludedSamples).map(([id, reason]) => `Sample ${id} excluded: ${reason}`)
+    });
+  }
+  return blocks;
+};
+
+const figureBlocks = ({ figures }) => [
+  { type: 'heading', level: 1, text: 'Plots' },
+  ...figures.map(figure => ({ type: 'figure', id: figure.id, caption: figure.caption }))
+];
+
+const bayesRows = (analysis, result) => [
+  ['Prior P(H)', percent(result.prior), analysis?.prior_rationale || ''],
+  ['Likelihood P(D|H)', percent(result.likelihood), analysis?.likelihood_rationale || ''],
+  [
+    result.mode === 'binary' ? 'P(D|¬H)' : 'P(D|other hypotheses)',
+    percent(result.likelihoodAlternative),
+    result.mode === 'binary' ? analysis?.likelihood_alternative_rationale || '' : 'Prior-weighted likelihood of the other hypotheses in this run'
+  ],
+  ['Posterior P(H|D), computed', `${percent(result.posterior)} [${percent(result.interval[0])}–${percent(result.interval[1])}]`, `Bayes factor ${result.bayesFactor.toFixed(2)}`]
+];
+
+const hypothesisBlocks = ({ hypotheses, posteriors, run, typeLabel }) => [
+  { type: 'heading', level: 1, text: 'Ranked hypotheses' },
+  {
+    type: 'paragraph',
+    text: `${hypotheses.length} hypotheses (${typeLabel || run?.hypothesisType || 'hypothesis run'}), generated ${new Date(run.createdAt).toLocaleString()}. Posteriors are computed from the model's elicited prior and likelihoods, with 95% credible intervals.`
+  },
+  {
+    type: 'table',
+    headers: ['Rank', 'Hypothesis', 'Posterior (95% CrI)', 'Bayes factor'],
+    rows: hypotheses.map((hyp, i) => {
+      const result = posteriors[i];
+      return [
+        String(hyp.rank ?? i + 1),
+        hyp.title,
+        result?.computed ? `${percent(result.posterior)} [${percent(result.interval[0])}–${percent(result.interval[1])}]` : 'not computed',
+        result?.computed ? result.bayesFactor.toFixed(2) : '—'
+      ];
+    })
+  },
+  ...hypotheses.flatMap((hyp, i) => {
+    const result = posteriors[i];
+    return [
+      { type: 'heading', level: 2, text: `#${hyp.rank ?? i + 1} ${hyp.title}` },
+      { type: 'paragraph', text: hyp.hypothesis },
+      { type: 'heading', level: 3, text: 'Bayesian analysis' },
+      result?.computed
+        ? { type: 'table', headers: ['Quantity', 'Value', 'Rationale'], rows: bayesRows(hyp.bayesian_analysis, result) }
+        : { type: 'paragraph', text: `Posterior not computed: missing or invalid ${result?.missing?.join(' and ') || 'inputs'}.` },
+      ...(result?.mismatch ? [{
+        type: 'paragraph',
+        text: `The model claimed a posterior of ${percent(result.claimed)}, which does not follow from its prior and likelihoods.`
+      }] : []),
+      { type: 'heading', level: 3, text: 'Supporting evidence' },
+      { type: 'list', items: toItems(hyp.evidence) },
+      { type: 'heading', level: 3, text: 'Proposed mechanism' },
+      { type: 'paragraph', text: toText(hyp.mechanism) },
+      { type: 'heading', level: 3, text: 'Testable predictions' },
+      { type: 'list', items: toItems(hyp.predictions), ordered: true },
+      ...(hyp.literature_support?.length ? [
+        { type: 'heading', level: 3, text: 'Literature support' },
+        { type: 'list', items: toItems(hyp.literature_support) }
+      ] : []),
+      ...(hyp.alternative_explanations ? [
+        { type: 'heading', level: 3, text: 'Alternative explanations' },
+        { type: 'paragraph', text: toText(hyp.alternative_explanations) }
+      ] : [])
+    ];
+  })
+];
+
+const literatureBlocks = ({ literature }) => {
+  const { key_metabolites_literature: metabolites = [], pathway_context: context, suggested_searches: searches } = literature;
+  const listSection = (title, value) => (toItems(value).length
+    ? [{ type: 'heading', level: 2, text: title }, { type: 'list', items: toItems(value) }]
+    : []);
+  return [
+    { type: 'heading', level: 1, text: 'Literature analysis' },
+    ...(metabolites.length ? [{
+      type: 'table',
+      headers: ['Metabolite', 'Known functions', 'Disease associations', 'PMIDs'],
+      rows: metabolites.map(m => [m.metabolite_name, toText(m.known_functions), toText(m.disease_associations), toText(m.relevant_pmids)])
+    }] : []),
+    ...listSection('Affected pathways', context?.affected_pathways),
+    ...listSection('Pathway interactions', context?.pathway_interactions),
+    ...listSection('Upstream regulators', context?.upstream_regulators),
+    ...listSection('Downstream effects', context?.downstream_effects),
+    ...listSection('Similar studies', literature.similar_studies),
+    ...listSection('Knowledge gaps', literature.knowledge_gaps),
+    ...listSection('Suggested PubMed queries', searches?.pubmed_queries),
+    ...listSection('Databases to check', searches?.databases_to_check)
+  ];
+};
+
+const protocolBlocks = ({ protocols }) => [
+  { type: 'heading', level: 1, text: 'Experimental protocols' },
+  ...protocols.flatMap(protocol => {
+    const primary = protocol.primary_experiment || {};
+    const power = protocol.power_analysis;
+    const outcomes = protocol.expected_outcomes;
+    const field = (lead, value) => (present(value) && toText(value) ? [{ type: 'paragraph', lead, text: toText(value) }] : []);
+    const listSection = (title, value) => (toItems(value).length
+      ? [{ type: 'heading', level: 3, text: title }, { type: 'list', items: toItems(value) }]
+      : []);
+    return [
+      { type: 'heading', level: 2, text: `Protocol: ${protocol.hypothesis}` },
+      ...field('Objective', primary.objective),
+      ...field('Methodology', primary.methodology),
+      ...field('Controls', primary.controls),
+      ...field('Sample groups', primary.sample_groups),
+      ...field('Measurements', primary.measurements),
+      ...field('Statistical analysis', primary.statistical_analysis),
+      ...(power ? [
+        { type: 'heading', level: 3, text: 'Power analysis' },
+        {
+          type: 'table',
+          headers: ['Expected effect size', 'Alpha', 'Power', 'Sample size'],
+          rows: [[power.effect_size_expected, power.alpha, power.power, power.sample_size_calculation].map(toText)]
+        }
+      ] : []),
+      ...(outcomes ? [
+        { type: 'heading', level: 3, text: 'Expected outcomes' },
+        ...field('If the hypothesis is true', outcomes.if_hypothesis_true),
+        ...field('If it is false', outcomes.if_hypothesis_false),
+        ...field('Decision criteria', outcomes.decision_criteria)
+      ] : []),
+      ...(protocol.timeline?.phases?.length ? [
+        { type: 'heading', level: 3, text: `Timeline${protocol.timeline.total_duration ? ` (${protocol.timeline.total_duration})` : ''}` },
+        {
+          type: 'table',
+          headers: ['Phase', 'Duration', 'Activities'],
+          rows: protocol.timeline.phases.map((phase, i) => [String(i + 1), toText(phase.duration), toText(phase.activities)])
+        }
+      ] : []),
+      ...listSection('Resources', protocol.resources),
+      ...listSection('Potential pitfalls', protocol.potential_pitfalls),
+      ...listSection('Alternative approaches', protocol.alternative_approaches)
+    ];
+  })
+];
+
+const provenanceBlocks = ({ runs }, { includePrompts }) => [
+  { type: 'heading', level: 1, text: 'Appendix: model & prompt provenance' },
+  {
+    type: 'table',
+    headers: ['Output', 'Generated', 'Provider / model', 'Temperature', 'Template', 'Tokens (in / out)'],
+    rows: runs.map(run => [
+      `${TASK_LABELS[run.task] || run.task}${run.contrast ? ` (${describeContrast(run.contrast)})` : ''}`,
+      new Date(run.createdAt).toLocaleString(),
+      `${run.provider || '—'} / ${run.model || '—'}`,
+      String(run.temperature ?? '—'),
+      run.templateVersion ? `v${run.templateVersion}` : '—',
+      run.usage ? `${run.usage.inputTokens ?? '—'} / ${run.usage.outputTokens ?? '—'}` : '—'
+    ])
+  },
+  ...(includePrompts ? runs.flatMap(run => [
+    { type: 'heading', level: 2, text: `${TASK_LABELS[run.task] || run.task}, ${new Date(run.createdAt).toLocaleString()}` },
+    { type: 'heading', level: 3, text: 'System prompt' },
+    { type: 'code', text: run.systemPrompt || '' },
+    { type: 'heading', level: 3, text: 'User prompt' },
+    { type: 'code', text: run.userPrompt || '' }
+  ]) : [])
+];
+
+const SECTION_BUILDERS = {
+  data: dataBlocks,
+  qc: qcBlocks,
+  figures: figureBlocks,
+  hypotheses: hypothesisBlocks,
+  literature: literatureBlocks,
+  protocols: protocolBlocks,
+  provenance: provenanceBlocks
+};
+
+// { title, subtitle, blocks } for the chosen sections that have content
+export const buildReport = (inputs, { title, sections, includePrompts = false }) => ({
+  title: title || 'Metabolomics hypothesis report',
+  subtitle: `${inputs.projectName ? `${inputs.projectName} • ` : ''}Generated ${new Date().toLocaleString()}`,
+  blocks: REPORT_SECTIONS
+    .filter(section => sections.includes(section.id) && section.available(inputs))
+    .flatMap(section => SECTION_BUILDERS[section.id](inputs, { includePrompts }))
+    .filter(block => block.type !== 'list' || block.items.length > 0)
+});
+
+// ============ MARKDOWN ============
+const escapeCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export const reportToMarkdown = (report, images = {}) => {
+  let figureNumber = 0;
+  const lines = [`# ${report.title}`, '', `_${report.subtitle}_`, ''];
+  report.blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        lines.push(`${'#'.repeat(block.level + 1)} ${block.text}`, '');
+        break;
+      case 'paragraph':
+        lines.push(block.lead ? `**${block.lead}:** ${block.text}` : block.text, '');
+        break;
+      case 'list':
+        lines.push(...block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`), '');
+        break;
+      case 'table':
+        lines.push(
+          `| ${block.headers.map(escapeCell).join(' | ')} |`,
+          `| ${block.headers.map(() => '---').join(' | ')} |`,
+          ...block.rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`),
+          ''
+        );
+        break;
+      case 'figure':
+        if (!images[block.id]) break;
+        figureNumber += 1;
+        lines.push(`![${block.caption}](${images[block.id].dataUrl})`, '', `_Figure ${figureNumber}. ${block.caption}_`, '');
+        break;
+      case 'code':
+        lines.push('```', block.text, '```', '');
+        break;
+      default:
+    }
+  });
+  return lines.join('\n');
+};
+
+// ============ DOCX ============
+// docx is only loaded when a Word report is requested
+export const reportToDocx = async (report, images = {}) => {
+  const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, ImageRun, AlignmentType
+  } = await import('docx');
+  const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+  const FIGURE_WIDTH = 600;
+  let figureNumber = 0;
+
+  const cell = (text, bold = false) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ''), bold, size: 18 })] })]
+  });
+  const children = [
+    new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({ children: [new TextRun({ text: report.subtitle, italics: true })] })
+  ];
+  report.blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({ text: block.text, heading: HEADINGS[block.level - 1] }));
+        break;
+      case 'paragraph':
+        children.push(new Paragraph({
+          children: [...(block.lead ? [new TextRun({ text: `${block.lead}: `, bold: true })] : []), new TextRun(block.text)]
+        }));
+        break;
+      case 'list':
+        block.items.forEach((item, i) => children.push(block.ordered
+          ? new Paragraph({ text: `${i + 1}. ${item}`, indent: { left: 360 } })
+          : new Paragraph({ text: item, bullet: { level: 0 } })));
+        break;
+      case 'table':
+        children.push(new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [
+            new TableRow({ tableHeader: true, children: block.headers.map(h => cell(h, true)) }),
+            ...block.rows.map(row => new TableRow({ children: row.map(value => cell(value)) }))
+          ]
+        }), new Paragraph(''));
+        break;
+      case 'figure': {
+        const image = images[block.id];
+        if (!image) break;
+        figureNumber += 1;
+        children.push(
+          new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new ImageRun({
+              type: 'png',
+              data: image.bytes,
+              transformation: { width: FIGURE_WIDTH, height: Math.round((FIGURE_WIDTH * image.height) / image.width) }
+            })]
+          }),
+          new Paragraph({ children: [new TextRun({ text: `Figure ${figureNumber}. ${block.caption}`, italics: true })] })
+        );
+        break;
+      }
+      case 'code':
+        children.push(new Paragraph({
+          children: block.text.split('\n').map((line, i) => new TextRun({ text: line, font: 'Courier New', size: 16, ...(i > 0 ? { break: 1 } : {}) }))
+        }));
+        break;
+      default:
+    }
+  });
+  return Packer.toBlob(new Document({ creator: 'Metabolomics Hypothesis Generator', title: report.title, sections: [{ children }] }));
+};
+
+// ============ PDF ============
+// The standard PDF fonts only cover Latin-1, so a few symbols are spelled out
+const PDF_REPLACEMENTS = { '→': '->', '←': '<-', '≤': '<=', '≥': '>=', '≈': '~', '−': '-', '–': '-', '—': '-', '…': '...', '•': '-', '‘': "'", '’': "'", '“': '"', '”': '"', 'α': 'alpha', 'β': 'beta', 'μ': 'u', 'Δ': 'delta' };
+const pdfText = (text) => String(text ?? '')
+  .replace(/[^\x00-\xff]/g, ch => PDF_REPLACEMENTS[ch] ?? '?');
+
+// jspdf is only loaded when a PDF is requested
+export const reportToPdf = async (report, images = {}) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const MARGIN = 50;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * MARGIN;
+  const HEADING_SIZES = [16, 13, 11];
+  let y = MARGIN;
+  let figureNumber = 0;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+  const write = (text, { size = 10, style = 'normal', font = 'helvetica', indent = 0, gap = 4 } = {}) => {
+    doc.setFont(font, style);
+    doc.setFontSize(size);
+    const lineHeight = size * 1.3;
+    doc.splitTextToSize(pdfText(text), contentWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, MARGIN + indent, y + size);
+      y += lineHeight;
+    });
+    y += gap;
+  };
+  const table = ({ headers, rows }) => {
+    const size = 8;
+    const lineHeight = size * 1.25;
+    const pad = 3;
+    // Columns share the width in proportion to their longest entry, within bounds
+    const lengths = headers.map((h, c) => Math.min(60, Math.max(6, ...[h, ...rows.map(r => r[c])].map(v => String(v ?? '').length))));
+    const total = lengths.reduce((a, b) => a + b, 0);
+    const widths = lengths.map(l => (l / total) * contentWidth);
+    const drawRow = (cells, bold) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      const wrapped = cells.map((value, c) => doc.splitTextToSize(pdfText(value), widths[c] - 2 * pad));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + 2 * pad;
+      ensureSpace(height);
+      let x = MARGIN;
+      wrapped.forEach((lines, c) => {
+        if (bold) {
+          doc.setFillColor(235, 238, 242);
+          doc.rect(x, y, widths[c], height, 'F');
+        }
+        doc.rect(x, y, widths[c], height);
+        lines.forEach((line, i) => doc.text(line, x + pad, y + pad + size + i * lineHeight));
+        x += widths[c];
+      });
+      y += height;
+    };
+    doc.setDrawColor(190, 196, 204);
+    drawRow(headers, true);
+    rows.forEach(row => drawRow(row, false));
+    y += 10;
+  };
+
+  write(report.title, { size: 20, style: 'bold' });
+  write(report.subtitle, { size: 10, style: 'italic', gap: 12 });
+  report.blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        ensureSpace(40);
+        y += block.level === 1 ? 10 : 4;
+        write(block.text, { size: HEADING_SIZES[block.level - 1], style: 'bold' });
+        break;
+      case 'paragraph':
+        write(block.lead ? `${block.lead}: ${block.text}` : block.text);
+        break;
+      case 'list':
+        block.items.forEach((item, i) => write(`${block.ordered ? `${i + 1}.` : '-'} ${item}`, { indent: 12, gap: 2 }));
+        y += 4;
+        break;
+      case 'table':
+        table(block);
+        break;
+      case 'figure': {
+        const image = images[block.id];
+        if (!image) break;
+        figureNumber += 1;
+        const height = (contentWidth * image.height) / image.width;
+        ensureSpace(height + 20);
+        doc.addImage(image.dataUrl, 'PNG', MARGIN, y, contentWidth, height);
+        y += height + 4;
+        write(`Figure ${figureNumber}. ${block.caption}`, { size: 9, style: 'italic', gap: 10 });
+        break;
+      }
+      case 'code':
+        write(block.text, { size: 7, font: 'courier', gap: 8 });
+        break;
+      default:
+    }
+  });
+
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(`${page} / ${pages}`, pageWidth - MARGIN, pageHeight - 24, { align: 'right' });
+  }
+  return doc.output('blob');
+};
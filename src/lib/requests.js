@@ -0,0 +1,149 @@
+// ============ RESILIENT REQUESTS ============
+// Retries with exponential backoff and jitter, Retry-After, an inactivity
+// timeout, and a queue so several generations don't hit the API at once.
+
+// Rate limited, overloaded (529) or transient server/gateway errors
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+// Error types Anthropic reports inside an already-open stream
+const RETRYABLE_STREAM_ERRORS = new Set(['overloaded_error', 'rate_limit_error', 'api_error']);
+
+export const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+export const isRetryable = (err) => Boolean(
+  err.timeout || err.network || RETRYABLE_STATUS.has(err.status) || RETRYABLE_STREAM_ERRORS.has(err.type)
+);
+
+// Retry-After is either seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - now) / 1000);
+};
+
+// Exponential backoff with "equal jitter": half the step is fixed, half random
+export const backoffDelay = (attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}) => {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return step / 2 + Math.random() * (step / 2);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Short label for an error in the attempt log
+export const describeError = (err) => (err.status ? `${err.status}: ${err.message}` : err.message);
+
+// Run fn({ signal, heartbeat }) until it succeeds, a non-retryable error
+// occurs or maxAttempts is reached. The attempt is abandoned when heartbeat()
+// hasn't been called for timeoutMs (call it whenever data arrives).
+// onAttempt receives { attempt, maxAttempts, state: 'running' | 'retrying' | 'failed', error, delayMs }.
+export const withRetry = async (fn, { maxAttempts = 4, baseDelayMs, maxDelayMs, timeoutMs = 0, signal, onAttempt } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort);
+    let timer = null;
+    let timedOut = false;
+    const heartbeat = () => {
+      clearTimeout(timer);
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs);
+      }
+    };
+
+    onAttempt?.({ attempt, maxAttempts, state: 'running' });
+    heartbeat();
+    let error;
+    try {
+      return await fn({ signal: controller.signal, heartbeat });
+    } catch (err) {
+      if (signal?.aborted || (err.name === 'AbortError' && !timedOut)) throw err;
+      error = timedOut
+        ? Object.assign(new Error(`No response for ${Math.round(timeoutMs / 1000)}s`), { timeout: true })
+        : err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+
+    if (attempt >= maxAttempts || !isRetryable(error)) {
+      onAttempt?.({ attempt, maxAttempts, state: 'failed', error: describeError(error) });
+      throw error;
+    }
+    const delayMs = error.retryAfter !== undefined && error.retryAfter !== null
+      ? error.retryAfter * 1000
+      : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+    onAttempt?.({ attempt, maxAttempts, state: 'retrying', error: describeError(error), delayMs });
+    await sleep(delayMs, signal);
+  }
+};
+
+// ============ QUEUE ============
+// First-in first-out with a concurrency limit. run(fn, { signal, onPosition })
+// starts fn when a slot is free; onPosition(n) reports the place in line
+// while waiting. Aborting the signal while queued drops the job.
+export const createRequestQueue = (concurrency = 1) => {
+  let limit = concurrency;
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    while (active < limit && waiting.length > 0) waiting.shift().start();
+    waiting.forEach((job, i) => job.onPosition?.(i + 1));
+  };
+
+  const run = (fn, { signal, onPosition } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const job = {
+      onPosition,
+      start: () => {
+        signal?.removeEventListener('abort', cancel);
+        active++;
+        Promise.resolve()
+          .then(fn)
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+    };
+    function cancel() {
+      const i = waiting.indexOf(job);
+      if (i === -1) return;
+      waiting.splice(i, 1);
+      reject(abortError());
+      next();
+    }
+    signal?.addEventListener('abort', cancel, { once: true });
+    waiting.push(job);
+    next();
+  });
+
+  const setConcurrency = (n) => {
+    limit = Math.max(1, n);
+    next();
+  };
+
+  return { run, setConcurrency };
+};
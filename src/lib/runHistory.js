@@ -0,0 +1,132 @@
+// ============ HYPOTHESIS RUN HISTORY ============
+// Matches hypotheses across generation runs by title wording and the measured
+// metabolites they cite, so recurring ideas can be surfaced as a stability signal.
+
+export const MATCH_THRESHOLD = 0.4;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'by', 'with', 'via', 'as', 'at', 'from', 'into',
+  'is', 'are', 'be', 'its', 'their', 'that', 'this', 'or', 'due', 'through', 'driven', 'mediated', 'induced'
+]);
+
+export const hypothesisRuns = (runs) => runs.filter(run => run.task === 'hypothesis' && Array.isArray(run.parsed));
+
+export const titleTokens = (title) => new Set(
+  String(title ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9+]+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    // Crude stemming so "oxidative"/"oxidation" and plurals line up
+    .map(word => word.replace(/(ations?|ative|ing|es|s)$/, ''))
+);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a matcher that finds which measured metabolites a hypothesis mentions.
+// Longer names are tried first so "Glutamic acid" wins over "Glutamic".
+export const createMetaboliteMatcher = (names, keyOf) => {
+  const patterns = [...new Set(names.map(n => String(n ?? '').trim()).filter(n => n.length > 1))]
+    .sort((a, b) => b.length - a.length)
+    .map(name => ({
+      key: keyOf(name),
+      pattern: new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(name)}(?![A-Za-z0-9])`, 'i')
+    }));
+
+  return (hypothesis) => {
+    const text = [
+      hypothesis.title,
+      hypothesis.hypothesis,
+      hypothesis.mechanism,
+      ...(Array.isArray(hypothesis.evidence) ? hypothesis.evidence : [hypothesis.evidence])
+    ].filter(Boolean).join(' \n ');
+    const keys = new Set();
+    patterns.forEach(({ key, pattern }) => {
+      if (pattern.test(text)) keys.add(key);
+    });
+    return keys;
+  };
+};
+
+// Title overlap counts for 40%, metabolite overlap for 60%; title alone when
+// neither hypothesis cites a measured metabolite
+export const hypothesisSimilarity = (a, b) => {
+  const title = jaccard(a.tokens, b.tokens);
+  if (a.metabolites.size === 0 && b.metabolites.size === 0) return title;
+  return 0.4 * title + 0.6 * jaccard(a.metabolites, b.metabolites);
+};
+
+const describeHypotheses = (run, matchMetabolites) => run.parsed.map((hyp, index) => ({
+  runId: run.id,
+  index,
+  hypothesis: hyp,
+  tokens: titleTokens(hyp.title),
+  metabolites: matchMetabolites(hyp)
+}));
+
+// Greedy clustering: each hypothesis joins the most similar existing cluster
+// that doesn't already hold a hypothesis from the same run
+export const findRecurringHypotheses = (runs, matchMetabolites, threshold = MATCH_THRESHOLD) => {
+  const clusters = [];
+  hypothesisRuns(runs).forEach(run => {
+    describeHypotheses(run, matchMetabolites).forEach(item => {
+      let best = null;
+      let bestScore = threshold;
+      clusters.forEach(cluster => {
+        if (cluster.runIds.has(run.id)) return;
+        const score = Math.max(...cluster.members.map(member => hypothesisSimilarity(item, member)));
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      });
+      if (best) {
+        best.members.push(item);
+        best.runIds.add(run.id);
+      } else {
+        clusters.push({ id: `${run.id}:${item.index}`, members: [item], runIds: new Set([run.id]) });
+      }
+    });
+  });
+
+  const byHypothesis = new Map();
+  clusters.forEach(cluster => {
+    cluster.title = cluster.members[0].hypothesis.title;
+    cluster.runCount = cluster.runIds.size;
+    cluster.members.forEach(member => byHypothesis.set(`${member.runId}:${member.index}`, cluster));
+  });
+  clusters.sort((a, b) => b.runCount - a.runCount);
+  return { clusters, byHypothesis, runCount: hypothesisRuns(runs).length };
+};
+
+// Pair up the hypotheses of two runs for side-by-side display: best matches
+// first, then whatever is left on either side
+export const alignRuns = (runA, runB, matchMetabolites, threshold = MATCH_THRESHOLD) => {
+  const left = describeHypotheses(runA, matchMetabolites);
+  const right = describeHypotheses(runB, matchMetabolites);
+  const candidates = [];
+  left.forEach(a => right.forEach(b => {
+    const score = hypothesisSimilarity(a, b);
+    if (score >= threshold) candidates.push({ a, b, score });
+  }));
+  candidates.sort((x, y) => y.score - x.score);
+
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const rows = [];
+  candidates.forEach(({ a, b, score }) => {
+    if (usedLeft.has(a.index) || usedRight.has(b.index)) return;
+    usedLeft.add(a.index);
+    usedRight.add(b.index);
+    rows.push({ left: a.hypothesis, right: b.hypothesis, score });
+  });
+  left.filter(a => !usedLeft.has(a.index)).forEach(a => rows.push({ left: a.hypothesis, right: null, score: null }));
+  right.filter(b => !usedRight.has(b.index)).forEach(b => rows.push({ left: null, right: b.hypothesis, score: null }));
+  return rows;
+};
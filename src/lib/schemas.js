@@ -0,0 +1,290 @@
+// ============ OUTPUT SCHEMAS ============
+// Validates and normalizes the JSON the model returns. Each schema node both
+// checks and coerces: fixable problems (percentages, strings where lists are
+// expected) are corrected and reported as 'fixed'; anything else is an 'error'
+// that can be sent back to the model for repair.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+export const formatPath = (path) => path
+  .map((key, i) => (typeof key === 'number' ? `[${key}]` : `${i === 0 ? '' : '.'}${key}`))
+  .join('') || '(root)';
+
+// ============ SCHEMA NODES ============
+export const text = (opts = {}) => ({ type: 'text', ...opts });
+export const textList = (opts = {}) => ({ type: 'textList', ...opts });
+export const probability = (opts = {}) => ({ type: 'probability', ...opts });
+export const interval = (opts = {}) => ({ type: 'interval', ...opts });
+export const integer = (opts = {}) => ({ type: 'integer', ...opts });
+export const number = (opts = {}) => ({ type: 'number', ...opts });
+export const any = (opts = {}) => ({ type: 'any', ...opts });
+export const object = (fields, opts = {}) => ({ type: 'object', fields, ...opts });
+export const arrayOf = (item, opts = {}) => ({ type: 'array', item, ...opts });
+
+// ============ COERCION ============
+const toText = (value) => {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join('; ');
+  if (isPlainObject(value)) {
+    return Object.entries(value).map(([k, v]) => `${k.replace(/_/g, ' ')}: ${toText(v)}`).join('; ');
+  }
+  return String(value);
+};
+
+// Split a block of text into list items: one per line (bullets and numbering
+// stripped), else one per semicolon
+const splitList = (value) => {
+  const lines = value.split(/\n+/).map(s => s.replace(/^\s*([-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+  return lines.length > 1 ? lines : value.split(/;\s+/).map(s => s.trim()).filter(Boolean);
+};
+
+const parseProbability = (value) => {
+  let num = value;
+  let percent = false;
+  if (typeof value === 'string') {
+    percent = value.includes('%');
+    num = parseFloat(value.replace('%', ''));
+  }
+  if (typeof num !== 'number' || !Number.isFinite(num)) return { error: 'is not a number' };
+  if (percent || (num > 1 && num <= 100)) return { value: num / 100, fixed: `converted ${value} from percent` };
+  if (num < 0 || num > 1) return { error: `${num} is outside 0–1` };
+  return { value: num };
+};
+
+const coercers = {
+  text: (value, node, path, issues) => {
+    if (typeof value === 'string') return value.trim();
+    issues.push({ path, message: `converted ${Array.isArray(value) ? 'list' : typeof value} to text`, severity: 'fixed' });
+    return toText(value);
+  },
+
+  textList: (value, node, path, issues) => {
+    let list = value;
+    if (typeof value === 'string') {
+      list = splitList(value);
+      issues.push({ path, message: 'converted text to a list', severity: 'fixed' });
+    } else if (!Array.isArray(value)) {
+      list = [toText(value)];
+      issues.push({ path, message: `wrapped ${typeof value} in a list`, severity: 'fixed' });
+    }
+    list = list.map(toText).filter(Boolean);
+    if (node.minItems && list.length < node.minItems) {
+      issues.push({ path, message: `needs at least ${node.minItems} item(s)`, severity: 'error' });
+    }
+    return list;
+  },
+
+  probability: (value, node, path, issues) => {
+    const result = parseProbability(value);
+    if (result.error) {
+      issues.push({ path, message: `must be a probability between 0 and 1 (${result.error})`, severity: 'error' });
+      return value;
+    }
+    if (result.fixed) issues.push({ path, message: result.fixed, severity: 'fixed' });
+    return result.value;
+  },
+
+  interval: (value, node, path, issues) => {
+    let bounds = value;
+    if (isPlainObject(value)) {
+      bounds = [value.lower ?? value.low ?? value.min, value.upper ?? value.high ?? value.max];
+    } else if (typeof value === 'string') {
+      // Bounds are non-negative, so a dash is always a range separator
+      bounds = value.match(/\d*\.?\d+%?/g) || [];
+    }
+    if (!Array.isArray(bounds) || bounds.length !== 2) {
+      issues.push({ path, message: 'must be a [lower, upper] pair', severity: 'error' });
+      return value;
+    }
+    if (bounds !== value) issues.push({ path, message: 'converted to a [lower, upper] pair', severity: 'fixed' });
+    const parsed = bounds.map((b, i) => coercers.probability(b, node, [...path, i], issues));
+    if (!parsed.every(b => typeof b === 'number')) return value;
+    if (parsed[0] > parsed[1]) {
+      issues.push({ path, message: 'bounds were reversed', severity: 'fixed' });
+      parsed.reverse();
+    }
+    return parsed;
+  },
+
+  integer: (value, node, path, issues) => {
+    const num = typeof value === 'string' ? parseFloat(value.replace(/^#/, '')) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) {
+      issues.push({ path, message: 'must be an integer', severity: 'error' });
+      return value;
+    }
+    if (num !== value || !Number.isInteger(num)) issues.push({ path, message: `converted ${value} to an integer`, severity: 'fixed' });
+    return Math.round(num);
+  },
+
+  number: (value, node, path, issues) => {
+    const num = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) {
+      issues.push({ path, message: 'must be a number', severity: 'error' });
+      return value;
+    }
+    if (num !== value) issues.push({ path, message: `converted "${value}" to a number`, severity: 'fixed' });
+    return num;
+  },
+
+  any: (value) => value,
+
+  object: (value, node, path, issues, context) => {
+    let obj = value;
+    if (!isPlainObject(value)) {
+      if (node.fromText && (typeof value === 'string' || typeof value === 'number')) {
+        obj = node.fromText(String(value));
+        issues.push({ path, message: 'converted text to an object', severity: 'fixed' });
+      } else {
+        issues.push({ path, message: 'must be an object', severity: 'error' });
+        return value;
+      }
+    }
+    // Unknown fields are kept untouched
+    const result = { ...obj };
+    Object.entries(node.fields).forEach(([key, child]) => {
+      const coerced = validateNode(obj[key], child, [...path, key], issues, context);
+      if (coerced === undefined) delete result[key];
+      else result[key] = coerced;
+    });
+    if (node.check) node.check(result).forEach(message => issues.push({ path, message, severity: 'error' }));
+    return result;
+  },
+
+  array: (value, node, path, issues) => {
+    let list = value;
+    if (!Array.isArray(value)) {
+      if (isPlainObject(value) && node.item.type === 'object') {
+        list = [value];
+        issues.push({ path, message: 'wrapped a single object in a list', severity: 'fixed' });
+      } else {
+        issues.push({ path, message: 'must be a list', severity: 'error' });
+        return value;
+      }
+    }
+    if (node.minItems && list.length < node.minItems) {
+      issues.push({ path, message: `needs at least ${node.minItems} item(s)`, severity: 'error' });
+    }
+    return list.map((item, index) => validateNode(item, node.item, [...path, index], issues, { index }));
+  }
+};
+
+const validateNode = (value, node, path, issues, context = {}) => {
+  if (isMissing(value)) {
+    if (node.defaultValue) {
+      const fallback = node.defaultValue(context);
+      issues.push({ path, message: `missing; set to ${fallback}`, severity: 'fixed' });
+      return fallback;
+    }
+    if (node.required) issues.push({ path, message: 'is missing', severity: 'error' });
+    return undefined;
+  }
+  return coercers[node.type](value, node, path, issues, context);
+};
+
+// Returns { value, issues, errors } where issues include automatic fixes
+export const validate = (value, schema) => {
+  const issues = [];
+  if (value === null || value === undefined) {
+    issues.push({ path: [], message: 'response did not contain parseable JSON', severity: 'error' });
+    return { value: null, issues, errors: issues };
+  }
+  const coerced = validateNode(value, schema, [], issues);
+  return { value: coerced, issues, errors: issues.filter(i => i.severity === 'error') };
+};
+
+// Issues keyed by the index of the top-level list item they belong to; -1 for the list itself
+export const issuesByItem = (issues) => {
+  const grouped = new Map();
+  (issues || []).forEach(item => {
+    const key = typeof item.path[0] === 'number' ? item.path[0] : -1;
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push({ ...item, path: key === -1 ? item.path : item.path.slice(1) });
+  });
+  return grouped;
+};
+
+// Follow-up message asking the model to fix its previous answer
+export const buildRepairPrompt = (errors, isArray) => `Your previous response did not match the required schema:
+${errors.map(e => `- ${formatPath(e.path)}: ${e.message}`).join('\n')}
+
+Return the complete corrected ${isArray ? 'JSON array' : 'JSON object'} with every field from the original request.
+Probabilities must be numbers between 0 and 1. Return ONLY valid JSON, no other text.`;
+
+// ============ SCHEMAS ============
+export const HYPOTHESIS_SCHEMA = object({
+  rank: integer({ defaultValue: ({ index }) => index + 1 }),
+  title: text({ required: true }),
+  hypothesis: text({ required: true }),
+  evidence: textList({ required: true, minItems: 1 }),
+  mechanism: text({ required: true }),
+  bayesian_analysis: object({
+    prior_probability: probability({ required: true }),
+    prior_rationale: text(),
+    likelihood: probability({ required: true }),
+    likelihood_rationale: text(),
+    likelihood_alternative: probability({ required: true }),
+    likelihood_alternative_rationale: text(),
+    // The model's own claims; the app computes its own posterior and interval
+    posterior_probability: probability(),
+    confidence_interval: interval()
+  }, { required: true }),
+  predictions: textList({ required: true, minItems: 1 }),
+  literature_support: textList(),
+  alternative_explanations: text()
+});
+
+export const HYPOTHESIS_LIST_SCHEMA = arrayOf(HYPOTHESIS_SCHEMA, { minItems: 1 });
+
+export const PROTOCOL_SCHEMA = object({
+  primary_experiment: object({
+    objective: text({ required: true }),
+    methodology: text({ required: true }),
+    controls: any(),
+    sample_groups: any(),
+    measurements: any(),
+    statistical_analysis: any()
+  }, { required: true }),
+  power_analysis: object({
+    effect_size_expected: text(),
+    alpha: number(),
+    power: probability(),
+    sample_size_calculation: text()
+  }),
+  expected_outcomes: object({
+    if_hypothesis_true: text(),
+    if_hypothesis_false: text(),
+    decision_criteria: text()
+  }),
+  timeline: object({
+    phases: arrayOf(object({
+      duration: text(),
+      activities: text()
+    }, { fromText: (activities) => ({ activities }) })),
+    total_duration: text()
+  }),
+  resources: any(),
+  potential_pitfalls: any(),
+  alternative_approaches: any()
+});
+
+export const LITERATURE_SCHEMA = object({
+  key_metabolites_literature: arrayOf(object({
+    metabolite_name: text({ required: true }),
+    known_functions: text(),
+    disease_associations: textList(),
+    relevant_pmids: textList()
+  }), { required: true, minItems: 1 }),
+  pathway_context: object({
+    affected_pathways: textList(),
+    pathway_interactions: any(),
+    upstream_regulators: any(),
+    downstream_effects: any()
+  }),
+  similar_studies: any(),
+  knowledge_gaps: any(),
+  suggested_searches: object({
+    pubmed_queries: textList(),
+    databases_to_check: textList()
+  })
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { HYPOTHESIS_LIST_SCHEMA, HYPOTHESIS_SCHEMA, validate, formatPath, issuesByItem } from './schemas';
+
+const hypothesis = (overrides = {}) => ({
+  title: 'Warburg shift',
+  hypothesis: 'Glycolysis is up',
+  evidence: ['Lactate increased'],
+  mechanism: 'HIF-1α',
+  bayesian_analysis: { prior_probability: 0.3, likelihood: 0.8, likelihood_alternative: 0.2 },
+  predictions: ['LDHA is induced'],
+  ...overrides
+});
+
+describe('validate', () => {
+  it('accepts a well-formed hypothesis and fills in the rank', () => {
+    const { value, errors, issues } = validate([hypothesis()], HYPOTHESIS_LIST_SCHEMA);
+    expect(errors).toEqual([]);
+    expect(value[0].rank).toBe(1);
+    expect(issues).toEqual([{ path: [0, 'rank'], message: 'missing; set to 1', severity: 'fixed' }]);
+  });
+
+  it('fixes percentages, text lists and reversed intervals', () => {
+    const { value, errors } = validate(hypothesis({
+      rank: '#2',
+      evidence: '- Lactate increased\n- Pyruvate decreased',
+      bayesian_analysis: { prior_probability: '30%', likelihood: 80, likelihood_alternative: 0.2, confidence_interval: '0.7 - 0.4' }
+    }), HYPOTHESIS_SCHEMA);
+    expect(errors).toEqual([]);
+    expect(value.rank).toBe(2);
+    expect(value.evidence).toEqual(['Lactate increased', 'Pyruvate decreased']);
+    expect(value.bayesian_analysis.prior_probability).toBeCloseTo(0.3, 10);
+    expect(value.bayesian_analysis.likelihood).toBeCloseTo(0.8, 10);
+    expect(value.bayesian_analysis.confidence_interval).toEqual([0.4, 0.7]);
+  });
+
+  it('reports what it cannot fix', () => {
+    const { errors } = validate([hypothesis({ title: '', bayesian_analysis: { prior_probability: 150, likelihood: 0.5 } })], HYPOTHESIS_LIST_SCHEMA);
+    expect(errors.map(e => formatPath(e.path))).toEqual([
+      '[0].title',
+      '[0].bayesian_analysis.prior_probability',
+      '[0].bayesian_analysis.likelihood_alternative'
+    ]);
+  });
+
+  it('treats unparseable responses as an error', () => {
+    expect(validate(null, HYPOTHESIS_LIST_SCHEMA).errors).toHaveLength(1);
+  });
+
+  it('wraps a single object where a list is expected', () => {
+    const { value, errors } = validate(hypothesis(), HYPOTHESIS_LIST_SCHEMA);
+    expect(errors).toEqual([]);
+    expect(value).toHaveLength(1);
+  });
+});
+
+describe('issuesByItem', () => {
+  it('groups issues by list item', () => {
+    const grouped = issuesByItem([
+      { path: [0, 'title'], message: 'a' },
+      { path: [], message: 'b' },
+      { path: [1, 'evidence'], message: 'c' }
+    ]);
+    expect(grouped.get(0)).toEqual([{ path: ['title'], message: 'a' }]);
+    expect(grouped.get(-1)).toEqual([{ path: [], message: 'b' }]);
+    expect(grouped.get(1)).toEqual([{ path: ['evidence'], message: 'c' }]);
+  });
+});
@@ -0,0 +1,136 @@
+// ============ SIGNIFICANCE & MULTIPLE TESTING ============
+// Annotated rows carry these two extra keys so every consumer (summary cards,
+// top lists, prompt context, exports) applies the same significance rule.
+export const ADJ_P = '__padj';
+export const IS_SIGNIFICANT = '__significant';
+
+export const CORRECTION_METHODS = [
+  { id: 'bh', label: 'Benjamini-Hochberg (FDR)', short: 'BH-adjusted p' },
+  { id: 'storey', label: 'Storey q-value', short: 'q' },
+  { id: 'bonferroni', label: 'Bonferroni (FWER)', short: 'Bonferroni p' },
+  { id: 'provided', label: 'Use adjusted p-value column', short: 'adjusted p' },
+  { id: 'none', label: 'None (raw p-values)', short: 'p' }
+];
+
+export const DEFAULT_THRESHOLDS = {
+  foldChange: 0.5,  // |log2FC|
+  pValue: 0.05,
+  correction: 'bh'
+};
+
+const isValidP = (p) => typeof p === 'number' && p >= 0 && p <= 1;
+
+// Step-up BH: q(i) = min over j >= i of p(j) * m / j
+export const benjaminiHochberg = (pvalues) => {
+  const indexed = pvalues
+    .map((p, i) => ({ p, i }))
+    .filter(({ p }) => isValidP(p))
+    .sort((a, b) => a.p - b.p);
+  const m = indexed.length;
+  const adjusted = pvalues.map(() => null);
+  let running = 1;
+  for (let k = m - 1; k >= 0; k--) {
+    running = Math.min(running, (indexed[k].p * m) / (k + 1));
+    adjusted[indexed[k].i] = running;
+  }
+  return adjusted;
+};
+
+export const bonferroni = (pvalues) => {
+  const m = pvalues.filter(isValidP).length;
+  return pvalues.map(p => (isValidP(p) ? Math.min(1, p * m) : null));
+};
+
+// Fewer p-values than this above lambda are too few to estimate pi0 from
+export const MIN_ABOVE_LAMBDA = 10;
+
+// Proportion of true nulls from the p-values above lambda (Storey & Tibshirani 2003),
+// floored at 1/m so the q-values never collapse to 0
+export const estimatePi0 = (pvalues, lambda = 0.5) => {
+  const valid = pvalues.filter(isValidP);
+  if (valid.length === 0) return 1;
+  const above = valid.filter(p => p > lambda).length;
+  return Math.min(1, Math.max(1 / valid.length, above / (valid.length * (1 - lambda))));
+};
+
+export const canEstimatePi0 = (pvalues, lambda = 0.5) =>
+  pvalues.filter(p => isValidP(p) && p > lambda).length >= MIN_ABOVE_LAMBDA;
+
+// Plain BH when pi0 can't be estimated (see storeyFallbacks)
+export const storeyQValues = (pvalues, lambda = 0.5) => {
+  const adjusted = benjaminiHochberg(pvalues);
+  if (!canEstimatePi0(pvalues, lambda)) return adjusted;
+  const pi0 = estimatePi0(pvalues, lambda);
+  return adjusted.map(q => (q === null ? null : Math.min(1, q * pi0)));
+};
+
+export const adjustPValues = (pvalues, method) => {
+  switch (method) {
+    case 'bh': return benjaminiHochberg(pvalues);
+    case 'storey': return storeyQValues(pvalues);
+    case 'bonferroni': return bonferroni(pvalues);
+    default: return pvalues.map(p => (isValidP(p) ? p : null));
+  }
+};
+
+// 'provided' falls back to raw p-values when no adjusted column is mapped
+export const effectiveCorrection = (thresholds, columns) =>
+  thresholds.correction === 'provided' && !columns.adjPValue ? 'none' : thresholds.correction;
+
+// Row indices per family of tests: one per group, or one for the whole table
+const testFamilies = (data, groupCol) => {
+  const families = new Map();
+  data.forEach((row, i) => {
+    const key = groupCol ? String(row[groupCol] ?? '') : '';
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(i);
+  });
+  return families;
+};
+
+export const annotateSignificance = (data, columns, thresholds) => {
+  if (!data) return null;
+  const { foldChange: fcCol, pValue: pCol, adjPValue: adjCol, group: groupCol } = columns;
+  const method = effectiveCorrection(thresholds, columns);
+  let adjusted;
+  if (method === 'provided') {
+    adjusted = data.map(row => (isValidP(row[adjCol]) ? row[adjCol] : null));
+  } else if (groupCol) {
+    adjusted = data.map(() => null);
+    testFamilies(data, groupCol).forEach(indices => {
+      adjustPValues(indices.map(i => data[i][pCol]), method).forEach((padj, k) => { adjusted[indices[k]] = padj; });
+    });
+  } else {
+    adjusted = adjustPValues(data.map(row => row[pCol]), method);
+  }
+
+  return data.map((row, i) => {
+    const fc = row[fcCol];
+    const padj = adjusted[i];
+    const significant = typeof fc === 'number'
+      && Math.abs(fc) > thresholds.foldChange
+      && padj !== null
+      && padj < thresholds.pValue;
+    return { ...row, [ADJ_P]: padj, [IS_SIGNIFICANT]: significant };
+  });
+};
+
+// Families ('' for the whole table, else group values) where Storey q-values
+// fell back to BH because too few p-values lie above lambda
+export const storeyFallbacks = (data, columns, thresholds, lambda = 0.5) => {
+  if (!data || effectiveCorrection(thresholds, columns) !== 'storey') return [];
+  return [...testFamilies(data, columns.group)]
+    .filter(([, indices]) => !canEstimatePi0(indices.map(i => data[i][columns.pValue]), lambda))
+    .map(([key]) => key);
+};
+
+export const correctionLabel = (thresholds, columns) =>
+  CORRECTION_METHODS.find(m => m.id === effectiveCorrection(thresholds, columns))?.short || 'p';
+
+// Human-readable rule, e.g. "|log2FC| > 0.5, BH-adjusted p < 0.05". groupCount
+// is the number of groups in the grouping column, if any.
+export const describeSignificanceRule = (thresholds, columns, groupCount = 0) => {
+  const rule = `|log2FC| > ${thresholds.foldChange}, ${correctionLabel(thresholds, columns)} < ${thresholds.pValue}`;
+  const perGroup = groupCount > 1 && !['provided', 'none'].includes(effectiveCorrection(thresholds, columns));
+  return perGroup ? `${rule} (corrected within each ${columns.group})` : rule;
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ADJ_P, IS_SIGNIFICANT, benjaminiHochberg, bonferroni, estimatePi0, storeyQValues, annotateSignificance, storeyFallbacks
+} from './statistics';
+
+const closeTo = (actual, expected) => actual.forEach((x, i) => expect(x).toBeCloseTo(expected[i], 10));
+
+describe('benjaminiHochberg', () => {
+  it('matches the step-up adjustment', () => {
+    closeTo(benjaminiHochberg([0.01, 0.04, 0.03, 0.005]), [0.02, 0.04, 0.04, 0.02]);
+  });
+
+  it('leaves invalid p-values out of the family', () => {
+    expect(benjaminiHochberg([0.01, null, 0.02, 'x'])).toEqual([0.02, null, 0.02, null]);
+  });
+});
+
+describe('bonferroni', () => {
+  it('multiplies by the number of tests and caps at 1', () => {
+    closeTo(bonferroni([0.01, 0.3, 0.02]), [0.03, 0.9, 0.06]);
+    expect(bonferroni([0.6, 0.7])).toEqual([1, 1]);
+  });
+});
+
+describe('Storey q-values', () => {
+  const uniform = Array.from({ length: 200 }, (_, i) => (i + 0.5) / 200);
+
+  it('estimates pi0 near 1 for uniform p-values', () => {
+    expect(estimatePi0(uniform)).toBeCloseTo(1, 5);
+  });
+
+  it('floors pi0 at 1/m', () => {
+    expect(estimatePi0([0.01, 0.02, 0.03, 0.04])).toBe(0.25);
+  });
+
+  it('scales BH by pi0 when it can be estimated', () => {
+    const pvalues = [...Array(20).fill(0.001), ...Array.from({ length: 20 }, (_, i) => 0.51 + i * 0.02)];
+    const pi0 = estimatePi0(pvalues);
+    expect(pi0).toBeCloseTo(1, 5);
+    closeTo(storeyQValues(pvalues), benjaminiHochberg(pvalues).map(q => q * pi0));
+  });
+
+  it('falls back to BH with too few p-values above lambda', () => {
+    const pvalues = [0.001, 0.01, 0.02, 0.3, 0.6];
+    expect(storeyQValues(pvalues)).toEqual(benjaminiHochberg(pvalues));
+  });
+});
+
+describe('annotateSignificance', () => {
+  const columns = { metabolite: 'name', foldChange: 'fc', pValue: 'p', group: 'group' };
+  const data = [
+    { name: 'A', fc: 2, p: 0.01, group: 'x' },
+    { name: 'B', fc: 0.1, p: 0.001, group: 'x' },
+    { name: 'A', fc: 2, p: 0.04, group: 'y' },
+    { name: 'B', fc: -1, p: 0.5, group: 'y' }
+  ];
+
+  it('corrects each group as its own family', () => {
+    const rows = annotateSignificance(data, columns, { foldChange: 0.5, pValue: 0.05, correction: 'bonferroni' });
+    expect(rows.map(r => r[ADJ_P])).toEqual([0.02, 0.002, 0.08, 1]);
+    expect(rows.map(r => r[IS_SIGNIFICANT])).toEqual([true, false, false, false]);
+  });
+
+  it('lists the families where Storey fell back to BH', () => {
+    expect(storeyFallbacks(data, columns, { foldChange: 0.5, pValue: 0.05, correction: 'storey' })).toEqual(['x', 'y']);
+    expect(storeyFallbacks(data, columns, { foldChange: 0.5, pValue: 0.05, correction: 'bh' })).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+// ============ STREAMING ============
+// Server-sent event parsing for streamed model responses, plus helpers for
+// rendering partial output while it arrives.
+
+// Rough live estimate; replaced by the provider's count when the stream ends
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Read a fetch Response body as server-sent events, calling onEvent({ event, data })
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    });
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) dispatch(buffer);
+};
+
+// Accumulate an Anthropic Messages stream. onText(text, usage) is called with
+// the full text so far after every delta.
+export const readAnthropicStream = async (response, onText) => {
+  let text = '';
+  let stopReason = null;
+  const usage = { inputTokens: 0, outputTokens: 0, estimated: true };
+
+  await readEventStream(response, ({ data }) => {
+    const payload = JSON.parse(data);
+    switch (payload.type) {
+      case 'message_start':
+        usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+        break;
+      case 'content_block_delta':
+        if (payload.delta?.type === 'text_delta') {
+          text += payload.delta.text;
+          usage.outputTokens = estimateTokens(text);
+          onText?.(text, { ...usage });
+        }
+        break;
+      case 'message_delta':
+        stopReason = payload.delta?.stop_reason || stopReason;
+        if (payload.usage?.output_tokens !== undefined) {
+          usage.outputTokens = payload.usage.output_tokens;
+          usage.estimated = false;
+        }
+        break;
+      case 'error':
+        // The type (e.g. overloaded_error) tells callers whether to retry
+        throw Object.assign(new Error(payload.error?.message || 'Stream error'), { type: payload.error?.type });
+      default:
+        break;
+    }
+  });
+
+  return { text, stopReason, usage };
+};
+
+// OpenAI finish reasons in the Anthropic vocabulary the rest of the app uses
+const OPENAI_STOP_REASONS = { stop: 'end_turn', length: 'max_tokens' };
+
+// Accumulate an OpenAI-compatible chat completions stream (vLLM, llama.cpp,
+// Ollama...). Same contract as readAnthropicStream.
+export const readOpenAIStream = async (response, onText) => {
+  let text = '';
+  let stopReason = null;
+  const usage = { inputTokens: 0, outputTokens: 0, estimated: true };
+
+  await readEventStream(response, ({ data }) => {
+    if (data === '[DONE]') return;
+    const payload = JSON.parse(data);
+    if (payload.error) throw new Error(payload.error.message || 'Stream error');
+    const choice = payload.choices?.[0];
+    if (choice?.delta?.content) {
+      text += choice.delta.content;
+      usage.outputTokens = estimateTokens(text);
+      onText?.(text, { ...usage });
+    }
+    if (choice?.finish_reason) {
+      stopReason = OPENAI_STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+    }
+    // Sent in a final chunk when the server honours stream_options.include_usage
+    if (payload.usage?.completion_tokens !== undefined) {
+      usage.inputTokens = payload.usage.prompt_tokens || 0;
+      usage.outputTokens = payload.usage.completion_tokens;
+      usage.estimated = false;
+    }
+  });
+
+  return { text, stopReason, usage };
+};
+
+// Complete top-level objects of a JSON array that is still being written, so
+// cards can render as soon as each object closes
+export const extractCompleteObjects = (text) => {
+  const start = (text || '').indexOf('[');
+  if (start === -1) return [];
+  const objects = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escape = false;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (escape) {
+      escape = false;
+    } else if (char === '\\') {
+      escape = inString;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (!inString) {
+      if (char === '{' || char === '[') {
+        if (depth === 0 && char === '{') objectStart = i;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            objects.push(JSON.parse(text.slice(objectStart, i + 1)));
+          } catch (e) {
+            // Skip a malformed object; the final parse reports it
+          }
+          objectStart = -1;
+        }
+        if (depth < 0) break;  // End of the array
+      }
+    }
+  }
+  return objects;
+};
+
+// Sum token usage across a request and its continuations
+export const addUsage = (a, b) => (a ? {
+  inputTokens: a.inputTokens + b.inputTokens,
+  outputTokens: a.outputTokens + b.outputTokens,
+  estimated: a.estimated || b.estimated
+} : b);
@@ -0,0 +1,152 @@
+// ============ TIME COURSE ============
+// When the grouping column holds timepoints (Pre / Post / Recovery-24h,
+// Day 0 / Day 7, T0 / T1...), the groups are put in time order and each
+// metabolite's log2FC across them becomes a trajectory. Trajectories are
+// sorted into named temporal patterns so the prompt can ask about kinetics
+// rather than a single fold change.
+//   timeCourse: { enabled: null | boolean, order: [label] | null, baseline: label | '' }
+// enabled: null follows the detection; baseline names the implicit reference
+// timepoint the fold changes are relative to ('' when there is none).
+import { ADJ_P, IS_SIGNIFICANT } from './statistics';
+import { groupOf } from './contrasts';
+
+export const DEFAULT_TIME_COURSE = { enabled: null, order: null, baseline: 'Baseline' };
+const PROMPT_LIMIT = 10;
+
+export const PATTERNS = [
+  { id: 'transient-rise', label: 'Transient spike', description: 'rises at the first timepoint, then returns toward baseline' },
+  { id: 'sustained-rise', label: 'Sustained rise', description: 'rises at the first timepoint and stays up' },
+  { id: 'delayed-rise', label: 'Delayed rise', description: 'unchanged at first, rises later' },
+  { id: 'transient-drop', label: 'Transient dip', description: 'falls at the first timepoint, then returns toward baseline' },
+  { id: 'sustained-drop', label: 'Sustained drop', description: 'falls at the first timepoint and stays down' },
+  { id: 'delayed-drop', label: 'Delayed drop', description: 'unchanged at first, falls later' },
+  { id: 'biphasic', label: 'Biphasic', description: 'significant changes in both directions' },
+  { id: 'stable', label: 'No significant change', description: 'not significant at any timepoint' }
+];
+
+// ============ ORDERING ============
+// Phase words rank before numbers, so "Pre" < "Post" < "Recovery-1h" < "Recovery-24h"
+const PHASES = [
+  { rank: 0, pattern: /\b(pre|baseline|before|screening|fasting)/i },
+  { rank: 1, pattern: /\b(during|intra)/i },
+  { rank: 2, pattern: /\b(post|after|end|immediate)/i },
+  { rank: 3, pattern: /\b(recovery|follow.?up|washout|rest)/i }
+];
+const UNIT_HOURS = { min: 1 / 60, m: 1 / 60, h: 1, hr: 1, hour: 1, d: 24, day: 24, w: 168, wk: 168, week: 168, mo: 730, month: 730, y: 8760, yr: 8760, year: 8760 };
+const PREFIXED = /\b(day|d|week|wk|w|month|mo|hour|hr|h|visit|v|t|time|tp)\s*[-_]?\s*(\d+(?:\.\d+)?)/i;
+const SUFFIXED = /(\d+(?:\.\d+)?)\s*(min|m|hours?|hrs?|h|days?|d|weeks?|wks?|w|months?|mo|years?|yrs?|y)?\b/i;
+
+const unitHours = (unit = '') => UNIT_HOURS[unit.toLowerCase().replace(/s$/, '')] ?? 1;
+
+// { phase, hours } for a timepoint label, or null when it carries neither a
+// phase word nor a number
+export const parseTimepoint = (label) => {
+  const text = String(label);
+  const phase = PHASES.find(p => p.pattern.test(text))?.rank ?? null;
+  const prefixed = text.match(PREFIXED);
+  const suffixed = prefixed ? null : text.match(SUFFIXED);
+  const hours = prefixed
+    ? parseFloat(prefixed[2]) * unitHours(prefixed[1])
+    : suffixed ? parseFloat(suffixed[1]) * unitHours(suffixed[2]) : null;
+  if (phase === null && hours === null) return null;
+  return { phase: phase ?? 2, hours: hours ?? 0 };
+};
+
+// Labels in time order; the original order when any label can't be read
+export const orderTimepoints = (labels) => {
+  const parsed = labels.map(label => ({ label, time: parseTimepoint(label) }));
+  if (parsed.some(p => !p.time)) return [...labels];
+  return parsed
+    .map((p, i) => ({ ...p, i }))
+    .sort((a, b) => a.time.phase - b.time.phase || a.time.hours - b.time.hours || a.i - b.i)
+    .map(p => p.label);
+};
+
+const TIME_COLUMN = /^(time.?point|time|visit|day|week|hour|session|phase)/i;
+
+// Whether the grouping column looks like timepoints
+export const looksLikeTimepoints = (groupCol, labels) =>
+  labels.length >= 2 && (TIME_COLUMN.test(groupCol || '') || labels.every(label => parseTimepoint(label) !== null));
+
+// The saved order restricted to the current groups, with any new ones
+// placed by time
+export const resolveOrder = (saved, labels) => {
+  const kept = (saved || []).filter(label => labels.includes(label));
+  const added = orderTimepoints(labels.filter(label => !kept.includes(label)));
+  return kept.length ? [...kept, ...added] : added;
+};
+
+// ============ TRAJECTORIES ============
+// [{ key, name, pathway, points: [{ fc, padj, significant } | null], pattern, peak }]
+// for metabolites measured at two or more timepoints, matched by keyOf
+export const buildTrajectories = (data, columns, order, keyOf) => {
+  const byKey = new Map();
+  data.forEach(row => {
+    const t = order.indexOf(groupOf(row, columns.group));
+    if (t === -1) return;
+    const name = row[columns.metabolite];
+    const key = keyOf(name);
+    if (!byKey.has(key)) {
+      byKey.set(key, { key, name, pathway: columns.pathway ? row[columns.pathway] : null, points: order.map(() => null) });
+    }
+    const entry = byKey.get(key);
+    // The first row wins if a timepoint lists a metabolite twice
+    if (entry.points[t]) return;
+    entry.points[t] = { fc: row[columns.foldChange], padj: row[ADJ_P], significant: Boolean(row[IS_SIGNIFICANT]) };
+  });
+  return [...byKey.values()]
+    .filter(entry => entry.points.filter(Boolean).length >= 2)
+    .map(entry => ({ ...entry, ...classifyTrajectory(entry.points) }));
+};
+
+// { pattern, peak } from the significant points: onset after the first
+// measured timepoint is delayed; otherwise a change that has fallen below
+// half its peak and lost significance by the last timepoint is transient
+export const classifyTrajectory = (points) => {
+  const measured = points.map((p, i) => p && { ...p, i }).filter(Boolean);
+  const up = measured.filter(p => p.significant && p.fc > 0);
+  const down = measured.filter(p => p.significant && p.fc < 0);
+  const peak = measured.reduce((best, p) => (Math.abs(p.fc) > Math.abs(best.fc) ? p : best), measured[0]).i;
+  if (!up.length && !down.length) return { pattern: 'stable', peak };
+  if (up.length && down.length) return { pattern: 'biphasic', peak };
+  const hits = up.length ? up : down;
+  const direction = up.length ? 'rise' : 'drop';
+  const top = hits.reduce((best, p) => (Math.abs(p.fc) > Math.abs(best.fc) ? p : best));
+  if (hits[0].i > measured[0].i) return { pattern: `delayed-${direction}`, peak: top.i };
+  const last = measured[measured.length - 1];
+  const stillChanged = last.significant && Math.sign(last.fc) === Math.sign(top.fc);
+  if (!stillChanged && Math.abs(last.fc) < Math.abs(top.fc) / 2) return { pattern: `transient-${direction}`, peak: top.i };
+  return { pattern: `sustained-${direction}`, peak: top.i };
+};
+
+// PATTERNS with their members ({ ...pattern, members }), largest peak first,
+// leaving out empty patterns
+export const clusterTrajectories = (trajectories) => PATTERNS
+  .map(pattern => ({
+    ...pattern,
+    members: trajectories
+      .filter(t => t.pattern === pattern.id)
+      .sort((a, b) => Math.abs(b.points[b.peak]?.fc || 0) - Math.abs(a.points[a.peak]?.fc || 0))
+  }))
+  .filter(cluster => cluster.members.length > 0);
+
+export const formatTrajectory = (trajectory, baseline) => [
+  ...(baseline ? ['0'] : []),
+  ...trajectory.points.map(p => (p ? `${p.fc?.toFixed(2)}${p.significant ? '*' : ''}` : 'n/a'))
+].join(' → ');
+
+// Prompt section for the 'timecourse' contrast
+export const formatTimeCourseForPrompt = (clusters, order, { groupCol, baseline }) => {
+  const axis = [...(baseline ? [`${baseline} (reference, log2FC 0)`] : []), ...order].join(' → ');
+  const changing = clusters.filter(c => c.id !== 'stable');
+  const stable = clusters.find(c => c.id === 'stable')?.members.length || 0;
+  const sections = changing.map(c => `${c.label.toUpperCase()} (${c.description}), ${c.members.length} metabolite(s):
+${c.members.slice(0, PROMPT_LIMIT).map(m => `- ${m.name}: ${formatTrajectory(m, baseline)}`).join('\n')}${
+  c.members.length > PROMPT_LIMIT ? `\n- …and ${c.members.length - PROMPT_LIMIT} more` : ''}`);
+  return `TIME COURSE (${groupCol}: ${axis})
+Each trajectory lists log2FC at each timepoint in order; * marks a significant change.
+
+${sections.length ? sections.join('\n\n') : 'No metabolite changes significantly at any timepoint.'}
+${stable ? `\nUnchanged at every timepoint: ${stable} metabolite(s).\n` : ''}
+Reason about kinetics: for each mechanism, say which trajectories it explains and whether its expected onset, peak timing, duration and recovery match them (e.g. fast substrate flux vs slower transcriptional, hormonal or clearance processes). Metabolites sharing a pattern may share a regulator.`;
+};
@@ -0,0 +1,117 @@
+// ============ USAGE ACCOUNTING ============
+// Every model call leaves one ledger entry: tokens, model, task, latency and
+// outcome. Costs are not stored but priced from the (editable) price table
+// whenever totals are shown, so correcting a price re-prices past calls.
+import { createId } from './projects';
+
+// USD per million tokens
+export const DEFAULT_PRICES = [
+  { model: 'claude-sonnet-4-20250514', input: 3, output: 15 },
+  { model: 'claude-opus-4-20250514', input: 15, output: 75 },
+  { model: 'claude-haiku-4-20250514', input: 1, output: 5 },
+  { model: 'mock-1', input: 0, output: 0 }
+];
+
+export const USAGE_KINDS = {
+  generation: 'Generation',
+  continuation: 'Continuation',
+  repair: 'Repair'
+};
+
+export const BUDGET_SCOPES = [
+  { id: 'project', label: 'This project' },
+  { id: 'session', label: 'This session' }
+];
+
+// status: 'ok' | 'aborted' (stopped by the user) | 'failed' (no usable response)
+export const createUsageEntry = ({ task, kind = 'generation', provider, model, usage, latencyMs, status = 'ok' }) => ({
+  id: createId('call'),
+  at: new Date().toISOString(),
+  task,
+  kind,
+  provider,
+  model,
+  inputTokens: usage?.inputTokens || 0,
+  outputTokens: usage?.outputTokens || 0,
+  estimated: Boolean(usage?.estimated),
+  latencyMs: Math.round(latencyMs || 0),
+  status
+});
+
+export const priceFor = (prices, model) => prices.find(p => p.model === model) || null;
+
+// USD, or null when the model has no price
+export const costOf = (entry, prices) => {
+  const price = priceFor(prices, entry.model);
+  if (!price) return null;
+  return (entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6;
+};
+
+const emptyTotals = () => ({
+  calls: 0, failed: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0, latencyMs: 0
+});
+
+const addEntry = (totals, entry, cost) => {
+  totals.calls++;
+  if (entry.status === 'failed') totals.failed++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  if (cost === null) {
+    if (entry.inputTokens || entry.outputTokens) totals.unpriced++;
+  } else {
+    totals.cost += cost;
+  }
+  if (entry.estimated) totals.estimated++;
+  totals.latencyMs += entry.latencyMs;
+};
+
+// { total, byTask, byModel } where each is { calls, failed, inputTokens,
+// outputTokens, cost, unpriced, estimated, avgLatencyMs }
+export const summarizeUsage = (entries, prices) => {
+  const total = emptyTotals();
+  const byTask = {};
+  const byModel = {};
+  entries.forEach(entry => {
+    const cost = costOf(entry, prices);
+    addEntry(total, entry, cost);
+    const model = entry.model || 'unknown';
+    if (!byTask[entry.task]) byTask[entry.task] = emptyTotals();
+    if (!byModel[model]) byModel[model] = emptyTotals();
+    addEntry(byTask[entry.task], entry, cost);
+    addEntry(byModel[model], entry, cost);
+  });
+  const finish = (t) => ({ ...t, avgLatencyMs: t.calls ? t.latencyMs / t.calls : 0 });
+  const finishAll = (groups) => Object.fromEntries(Object.entries(groups).map(([key, t]) => [key, finish(t)]));
+  return { total: finish(total), byTask: finishAll(byTask), byModel: finishAll(byModel) };
+};
+
+// Message explaining why a new call to `model` is blocked, or null.
+// budget: { cost, tokens } where 0 (or less) means none; summary: the
+// summarizeUsage result for the budget's scope. Unpriced calls add nothing to
+// the cost, so a cost budget also blocks while any model involved is unpriced.
+export const budgetBlock = ({ cost, tokens }, summary, model, prices) => {
+  if (cost > 0) {
+    const spent = summary.total.cost;
+    if (spent >= cost) {
+      return `Cost budget of ${formatCost(cost)} reached (${formatCost(spent)} spent). Raise it in Settings to continue.`;
+    }
+    const unpriced = Object.keys(summary.byModel).filter(m => summary.byModel[m].unpriced > 0);
+    if (model && !priceFor(prices, model) && !unpriced.includes(model)) unpriced.push(model);
+    if (unpriced.length) {
+      return `No price for ${unpriced.join(', ')}, so the cost budget can't be enforced. Add a price in Settings, or use a token budget instead.`;
+    }
+  }
+  const used = summary.total.inputTokens + summary.total.outputTokens;
+  if (tokens > 0 && used >= tokens) {
+    return `Token budget of ${tokens.toLocaleString()} reached (${used.toLocaleString()} used). Raise it in Settings to continue.`;
+  }
+  return null;
+};
+
+export const formatCost = (usd) => {
+  if (usd === null || usd === undefined) return '—';
+  if (usd > 0 && usd < 0.01) return `$${usd.toFixed(4)}`;
+  return `$${usd.toFixed(2)}`;
+};
+
+export const formatLatency = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`);
@@ -6,7 +6,11 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
-    open: true
+    open: true,
+    // Model calls go through the API server (npm run server)
+    proxy: {
+      '/api': 'http://127.0.0.1:8787'
+    }
   },
   build: {
     outDir: 'dist',